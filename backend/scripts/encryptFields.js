@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Field encryption migration
+ * Encrypts the PII fields of documents written before field-level encryption was enabled:
+ * Package recipient and deliveryAddress under the package content key, User phone under
+ * the keyring's primary key
+ *
+ * Safe to re-run: documents that already carry encrypted fields are skipped.
+ * Later key rotations are handled by the key rotation job, not by this script.
+ *
+ * --reindex recomputes the blind search indexes of every document instead, which is
+ * needed after BLIND_INDEX_KEY changes
+ *
+ * Usage: npm run encrypt-fields -- [--dry-run] [--reindex]
+ */
+
+const mongoose = require('mongoose');
+const Package = require('../src/models/Package');
+const User = require('../src/models/User');
+
+const MODELS = [Package, User];
+const UNENCRYPTED = { 'encryptedFields.ciphertext': { $exists: false } };
+
+const migrate = async (Model, dryRun) => {
+  const summary = { model: Model.modelName, encrypted: 0, skipped: 0 };
+  const cursor = Model.collection.find(UNENCRYPTED);
+
+  for await (const raw of cursor) {
+    const update = await Model.getFieldEncryptionUpdate(raw);
+    if (!update) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      // The filter leaves documents alone if the application encrypted them in the meantime
+      await Model.collection.updateOne({ _id: raw._id, ...UNENCRYPTED }, update);
+    }
+    summary.encrypted += 1;
+  }
+
+  return summary;
+};
+
+const reindex = async (Model, dryRun) => {
+  const summary = { model: Model.modelName, reindexed: 0, failed: 0 };
+  const cursor = Model.find().cursor();
+
+  for await (const doc of cursor) {
+    // Cursors skip the query hooks that open content key sealed fields
+    await Model.openEncryptedFields([doc]);
+    if (doc.$locals.fieldDecryptionError) {
+      summary.failed += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      await Model.rebuildSearchIndex(doc);
+    }
+    summary.reindexed += 1;
+  }
+
+  return summary;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const rebuildIndexes = process.argv.includes('--reindex');
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    for (const Model of MODELS) {
+      if (rebuildIndexes) {
+        const { model, reindexed, failed } = await reindex(Model, dryRun);
+        console.log(`${model}: ${reindexed} ${dryRun ? 'would be reindexed' : 'reindexed'}, ${failed} could not be decrypted`);
+      } else {
+        const { model, encrypted, skipped } = await migrate(Model, dryRun);
+        console.log(`${model}: ${encrypted} ${dryRun ? 'would be encrypted' : 'encrypted'}, ${skipped} without PII`);
+      }
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Field encryption migration failed: ${error.message}`);
+  process.exit(1);
+});
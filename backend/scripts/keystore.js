@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Keystore CLI
+ * Creates and maintains the encrypted secret store read by SECRET_PROVIDER=keystore
+ *
+ * The passphrase is read from KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE and
+ * the file location from KEYSTORE_PATH (default backend/secrets/keystore.json)
+ *
+ * Usage: npm run keystore -- <command> [options]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const secrets = require('../src/config/secrets');
+const keystore = require('../src/utils/keystore');
+
+const USAGE = `Usage: npm run keystore -- <command> [options]
+
+Commands:
+  init [--from-env] [--force]  Create the keystore with freshly generated secrets
+                               --from-env imports valid secrets from the environment instead
+  rotate <NAME> [--force]      Replace one generated secret; AES_KEYRING gets a new primary key
+                               and keeps the old ones as retired
+  set <NAME>                   Store a value read from stdin, e.g. RSA keys or EMAIL_PASS
+  list                         Show stored secret names with a fingerprint of each value
+  passphrase                   Re-encrypt the keystore under NEW_KEYSTORE_PASSPHRASE
+  check                        Validate the secrets the server would load with this environment`;
+
+const generateSecretString = () => crypto.randomBytes(48).toString('base64');
+
+const generateSigningKey = () => crypto.generateKeyPairSync('ec', {
+  namedCurve: 'prime256v1',
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+}).privateKey;
+
+// Retire the active keys and add a new primary; old labels still open with retired keys
+const rotateKeyring = (current) => {
+  const entries = current ? JSON.parse(current) : [];
+  const nextNumber = entries.reduce((max, entry) => {
+    const match = /^k(\d+)$/.exec(entry.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0) + 1;
+
+  entries.forEach((entry) => {
+    if ((entry.status || 'active') === 'active') {
+      entry.status = 'retired';
+    }
+  });
+  entries.push({ id: `k${nextNumber}`, key: crypto.randomBytes(32).toString('hex'), status: 'active' });
+
+  return JSON.stringify(entries);
+};
+
+// Secrets the CLI can generate; everything else has to be provided with set
+const GENERATORS = {
+  JWT_SECRET: generateSecretString,
+  REFRESH_TOKEN_SECRET: generateSecretString,
+  PRE_AUTH_TOKEN_SECRET: generateSecretString,
+  AES_KEYRING: rotateKeyring,
+  BLIND_INDEX_KEY: () => crypto.randomBytes(32).toString('hex'),
+  TRACKING_LINK_SECRET: generateSecretString,
+  QR_SIGNING_PRIVATE_KEY: generateSigningKey,
+};
+
+const ROTATION_NOTES = {
+  JWT_SECRET: 'All signed-in users will have to sign in again.',
+  REFRESH_TOKEN_SECRET: 'All refresh tokens are now invalid.',
+  PRE_AUTH_TOKEN_SECRET: 'Users halfway through a two-factor login have to enter their password again.',
+  AES_KEYRING: 'Restart the server; package content keys are rewrapped and remaining QR payloads and encrypted fields re-encrypted under the new primary key in the background.',
+  BLIND_INDEX_KEY: 'Run npm run encrypt-fields -- --reindex so searches keep finding existing records.',
+  TRACKING_LINK_SECRET: 'Tracking links already shared or emailed stop working.',
+  QR_SIGNING_PRIVATE_KEY: 'Labels signed with the old key no longer verify and must be reprinted.',
+};
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const getPassphrase = () => {
+  const passphrase = secrets.getKeystorePassphrase();
+  if (!passphrase) {
+    fail('Set KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE to the keystore passphrase');
+  }
+  return passphrase;
+};
+
+const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+
+const readStdin = () => new Promise((resolve, reject) => {
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => { data += chunk; });
+  process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+  process.stdin.on('error', reject);
+});
+
+// Collect the secrets that are set in the environment and pass validation
+const importFromEnv = () => {
+  const imported = {};
+
+  Object.keys(secrets.SECRET_SPECS).forEach((name) => {
+    const value = process.env[name];
+    if (!value) return;
+
+    const problem = secrets.checkValue(name, value);
+    if (problem) {
+      console.warn(`Skipping ${name}: ${problem}`);
+      return;
+    }
+    imported[name] = value;
+  });
+
+  // Keep labels sealed with a single AES_KEY readable by turning it into the first keyring entry
+  if (!imported.AES_KEYRING && imported.AES_KEY) {
+    imported.AES_KEYRING = JSON.stringify([
+      { id: process.env.AES_KEY_ID || 'k1', key: imported.AES_KEY, status: 'active' },
+    ]);
+  }
+
+  return imported;
+};
+
+const init = (options) => {
+  const filePath = secrets.getKeystorePath();
+  if (fs.existsSync(filePath) && !options.force) {
+    fail(`Keystore ${filePath} already exists; use rotate to change secrets or --force to overwrite it`);
+  }
+
+  const values = options.fromEnv ? importFromEnv() : {};
+  Object.entries(GENERATORS).forEach(([name, generate]) => {
+    if (!values[name]) {
+      values[name] = generate();
+    }
+  });
+
+  keystore.writeFile(filePath, values, getPassphrase());
+  console.log(`Keystore written to ${filePath} with ${Object.keys(values).length} secrets`);
+  console.log('Start the server with SECRET_PROVIDER=keystore');
+};
+
+const rotate = (name, options) => {
+  const generate = GENERATORS[name];
+  if (!generate) {
+    fail(`${name || 'A secret name'} cannot be generated; rotatable secrets: ${Object.keys(GENERATORS).join(', ')}`);
+  }
+
+  if (name === 'QR_SIGNING_PRIVATE_KEY' && !options.force) {
+    fail(`${ROTATION_NOTES[name]} Re-run with --force to rotate it anyway.`);
+  }
+
+  const filePath = secrets.getKeystorePath();
+  const passphrase = getPassphrase();
+  const values = keystore.readFile(filePath, passphrase);
+
+  values[name] = generate(values[name]);
+  if (name === 'QR_SIGNING_PRIVATE_KEY') {
+    delete values.QR_SIGNING_PUBLIC_KEY; // Derived from the new private key from now on
+  }
+
+  keystore.writeFile(filePath, values, passphrase);
+  console.log(`${name} rotated. ${ROTATION_NOTES[name]}`);
+
+  if (name === 'AES_KEYRING' && process.env.AES_PRIMARY_KEY_ID) {
+    console.warn('AES_PRIMARY_KEY_ID is set and will keep the old primary key in use until it is removed');
+  }
+};
+
+const set = async (name) => {
+  if (!secrets.SECRET_SPECS[name]) {
+    fail(`Unknown secret ${name}; known secrets: ${Object.keys(secrets.SECRET_SPECS).join(', ')}`);
+  }
+
+  const value = await readStdin();
+  if (!value) {
+    fail(`No value for ${name} was given on stdin`);
+  }
+
+  const problem = secrets.checkValue(name, value);
+  if (problem) {
+    fail(`${name} ${problem}`);
+  }
+
+  const filePath = secrets.getKeystorePath();
+  const passphrase = getPassphrase();
+  const values = keystore.readFile(filePath, passphrase);
+  values[name] = value;
+
+  keystore.writeFile(filePath, values, passphrase);
+  console.log(`${name} stored`);
+};
+
+const list = () => {
+  const values = keystore.readFile(secrets.getKeystorePath(), getPassphrase());
+
+  Object.keys(values).sort().forEach((name) => {
+    const known = secrets.SECRET_SPECS[name] ? '' : ' (not used by the server)';
+    console.log(`${name.padEnd(24)} ${fingerprint(values[name])}${known}`);
+  });
+};
+
+const changePassphrase = () => {
+  const newPassphrase = process.env.NEW_KEYSTORE_PASSPHRASE;
+  if (!newPassphrase) {
+    fail('Set NEW_KEYSTORE_PASSPHRASE to the new passphrase');
+  }
+
+  const filePath = secrets.getKeystorePath();
+  const values = keystore.readFile(filePath, getPassphrase());
+
+  keystore.writeFile(filePath, values, newPassphrase);
+  console.log('Keystore re-encrypted; update KEYSTORE_PASSPHRASE wherever the server is started');
+};
+
+const check = () => {
+  const problems = secrets.validate();
+  if (problems.length === 0) {
+    console.log('All secrets are set and well formed');
+    return;
+  }
+
+  problems.forEach(({ name, problem }) => console.log(`${name} ${problem}`));
+  process.exit(1);
+};
+
+const main = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = rest.filter(arg => !arg.startsWith('--'));
+  const options = {
+    force: rest.includes('--force'),
+    fromEnv: rest.includes('--from-env'),
+  };
+
+  switch (command) {
+    case 'init':
+      return init(options);
+    case 'rotate':
+      return rotate(args[0], options);
+    case 'set':
+      return set(args[0]);
+    case 'list':
+      return list();
+    case 'passphrase':
+      return changePassphrase();
+    case 'check':
+      return check();
+    default:
+      console.log(USAGE);
+      process.exit(command ? 1 : 0);
+  }
+};
+
+main().catch((error) => fail(error.message));
@@ -3,11 +3,25 @@
  * Entry point for the backend application
  */
 
+const secrets = require('./src/config/secrets');
+
+// Refuse to boot in production with default, missing or malformed secrets
+try {
+  secrets.assertReady();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const app = require('./src/app');
 const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./src/config/db');
 const logger = require('./src/utils/logger');
+const keyRotationService = require('./src/services/keyRotationService');
+const qrBatchService = require('./src/services/qrBatchService');
+const trackingChainService = require('./src/services/trackingChainService');
+const retentionService = require('./src/services/retentionService');
 const { PORT } = require('./src/config/constants');
 
 // Create HTTP server and attach Socket.IO
@@ -48,6 +62,18 @@ io.on('connection', (socket) => {
 // Make io accessible to our routes
 app.set('io', io);
 
+// Re-encrypt stored QR payloads whenever the primary key changes
+keyRotationService.start();
+
+// Periodically anchor tracking chain heads
+trackingChainService.start();
+
+// Shred delivered packages once their retention period is over
+retentionService.start();
+
+// Pick up QR batch jobs queued before a restart
+qrBatchService.start().catch((error) => logger.error(`QR batch service start error: ${error.message}`));
+
 // Start the server
 const startServer = async () => {
   try {
@@ -82,6 +108,8 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM signal
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  keyRotationService.stop();
+  retentionService.stop();
   server.close(() => {
     logger.info('Process terminated');
   });
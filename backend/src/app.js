@@ -22,6 +22,8 @@ const userRoutes = require('./routes/users');
 const packageRoutes = require('./routes/packages');
 const qrCodeRoutes = require('./routes/qrCodes');
 const trackingRoutes = require('./routes/tracking');
+const securityAlertRoutes = require('./routes/securityAlerts');
+const retentionRoutes = require('./routes/retention');
 
 // Load environment variables
 require('dotenv').config();
@@ -101,6 +103,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/packages', packageRoutes);
 app.use('/api/qrcodes', qrCodeRoutes);
 app.use('/api/tracking', trackingRoutes);
+app.use('/api/security-alerts', securityAlertRoutes);
+app.use('/api/retention', retentionRoutes);
 
 // Catch 404 and forward to error handler
 app.use((req, res, next) => {
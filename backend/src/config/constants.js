@@ -1,8 +1,11 @@
 /**
  * Application Constants
  * This file contains all the constants used throughout the application
+ * Keys and credentials are read through the secret store, never from process.env directly
  */
 
+const secrets = require('./secrets');
+
 // Server Configuration
 const SERVER = {
     PORT: process.env.PORT || 5000,
@@ -15,17 +18,93 @@ const SERVER = {
   const ROLES = {
     ADMIN: 'admin',
     DELIVERY_AGENT: 'delivery_agent',
+    HUB_SORTER: 'hub_sorter',
     CUSTOMER: 'customer',
   };
   
   // Authentication Constants
   const AUTH = {
-    JWT_SECRET: process.env.JWT_SECRET || 'cipher-ship-jwt-secret',
-    JWT_EXPIRY: process.env.JWT_EXPIRY || '24h',
-    REFRESH_TOKEN_SECRET: process.env.REFRESH_TOKEN_SECRET || 'cipher-ship-refresh-token-secret',
+    JWT_SECRET: secrets.get('JWT_SECRET'),
+    JWT_EXPIRY: process.env.JWT_EXPIRY || '15m', // Short lived; clients renew it with their refresh token
+    REFRESH_TOKEN_SECRET: secrets.get('REFRESH_TOKEN_SECRET'),
     REFRESH_TOKEN_EXPIRY: process.env.REFRESH_TOKEN_EXPIRY || '7d',
+    PRE_AUTH_TOKEN_SECRET: secrets.get('PRE_AUTH_TOKEN_SECRET'),
+    PRE_AUTH_TOKEN_EXPIRY: '5m', // Time to enter the second factor after the password
+    AMR: {
+      PASSWORD: 'pwd',
+      OTP: 'otp', // Authenticator or recovery code
+      EMAIL_OTP: 'email-otp', // Emailed code; the inbox also resets the password, so it does not meet AUTH.MFA
+    },
+    MFA: {
+      REQUIRED_ROLES: [ROLES.ADMIN], // Sessions of these roles need a second factor on every protected route
+      ERROR_CODES: {
+        REQUIRED: 'MFA_REQUIRED',
+        ENROLLMENT_REQUIRED: 'MFA_ENROLLMENT_REQUIRED',
+        PRE_AUTH_INVALID: 'PRE_AUTH_TOKEN_INVALID',
+        PRE_AUTH_EXPIRED: 'PRE_AUTH_TOKEN_EXPIRED',
+      },
+    },
     BCRYPT_SALT_ROUNDS: 10,
     TWO_FACTOR_EXPIRY: 600, // 10 minutes in seconds
+    TWO_FACTOR: {
+      RECOVERY_CODE_COUNT: 10, // Single-use codes issued when 2FA is enabled
+      RECOVERY_CODE_LENGTH: 16, // Base32 characters, 80 bits; shown as four groups of four
+      EMAIL_CODE_LENGTH: 6, // Digits; expires after TWO_FACTOR_EXPIRY
+      EMAIL_CODE_MAX_ATTEMPTS: 5, // Wrong guesses before the emailed code is discarded
+      EMAIL_CODE_RESEND_COOLDOWN: 60, // Seconds between sends
+      EMAIL_CODE_MAX_SENDS: 5, // Sends per window
+      EMAIL_CODE_SEND_WINDOW: 60 * 60, // 1 hour in seconds
+      RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+      MAX_FAILED_PER_IP: 10, // Failed second factor attempts per window from one IP
+      MAX_FAILED_PER_USER: 10, // Failed second factor attempts per window against one account, across IPs
+      METHODS: {
+        TOTP: 'totp',
+        RECOVERY_CODE: 'recovery-code',
+        EMAIL: 'email',
+      },
+      ERROR_CODES: {
+        NOT_ENABLED: 'TWO_FACTOR_NOT_ENABLED',
+        ALREADY_ENABLED: 'TWO_FACTOR_ALREADY_ENABLED',
+        SETUP_NOT_STARTED: 'TWO_FACTOR_SETUP_NOT_STARTED',
+        INVALID_METHOD: 'TWO_FACTOR_INVALID_METHOD',
+        INVALID_CODE: 'TWO_FACTOR_INVALID_CODE',
+        CODE_EXPIRED: 'TWO_FACTOR_CODE_EXPIRED',
+        TOO_MANY_ATTEMPTS: 'TWO_FACTOR_TOO_MANY_ATTEMPTS',
+        SEND_COOLDOWN: 'TWO_FACTOR_SEND_COOLDOWN',
+        SEND_LIMIT: 'TWO_FACTOR_SEND_LIMIT',
+      },
+    },
+    PASSWORD_RESET_EXPIRY: 60 * 60, // 1 hour in seconds
+    EMAIL_VERIFICATION: {
+      TOKEN_EXPIRY: 60 * 60 * 24, // 1 day in seconds
+      RESEND_COOLDOWN: 60, // Seconds between sends
+      MAX_SENDS: 5, // Sends per window, including the one at registration
+      SEND_WINDOW: 60 * 60 * 24, // 1 day in seconds
+      ERROR_CODES: {
+        NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+        INVALID: 'EMAIL_VERIFICATION_INVALID',
+        EXPIRED: 'EMAIL_VERIFICATION_EXPIRED',
+        ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED',
+        RESEND_COOLDOWN: 'EMAIL_VERIFICATION_RESEND_COOLDOWN',
+        RESEND_LIMIT: 'EMAIL_VERIFICATION_RESEND_LIMIT',
+      },
+    },
+    SESSION: {
+      REVOKE_REASONS: {
+        ROTATED: 'rotated', // Exchanged for its successor; presenting it again is reuse
+        REUSE_DETECTED: 'reuse-detected',
+        LOGOUT: 'logout',
+        ACCOUNT_INACTIVE: 'account-inactive',
+        PASSWORD_RESET: 'password-reset',
+        MFA_ENROLLED: 'mfa-enrolled', // Replaced by a session with the second factor when 2FA was set up
+      },
+      ERROR_CODES: {
+        INVALID: 'REFRESH_TOKEN_INVALID',
+        EXPIRED: 'REFRESH_TOKEN_EXPIRED',
+        REUSED: 'REFRESH_TOKEN_REUSED',
+        ACCOUNT_INACTIVE: 'ACCOUNT_INACTIVE',
+      },
+    },
   };
   
   // QR Code Constants
@@ -34,6 +113,44 @@ const SERVER = {
     VERSION: 10, // Version determines size of QR code
     MARGIN: 4, // White space margin around QR code
     EXPIRY: 60 * 60 * 24 * 7, // 7 days in seconds
+    REVOCATION_REASONS: {
+      COMPROMISED: 'compromised',
+      LOST: 'lost',
+      DAMAGED: 'damaged',
+      REGENERATED: 'regenerated',
+      DELIVERED: 'delivered',
+      SHREDDED: 'shredded', // The package data key was destroyed under a retention policy
+      OTHER: 'other',
+    },
+    ERROR_CODES: {
+      INVALID: 'QR_INVALID', // Could not be decrypted or failed its integrity check
+      UNKNOWN: 'QR_UNKNOWN', // Decrypted but never issued by this server
+      REVOKED: 'QR_REVOKED',
+      EXPIRED: 'QR_EXPIRED',
+      INACTIVE: 'QR_INACTIVE',
+    },
+    REVOCATION_FEED_LIMIT: 500, // Max entries per page of the revocation feed
+    PAYLOAD_ENCODINGS: {
+      ENVELOPE: 'envelope', // Dot separated base64 envelope around JSON
+      COMPACT: 'compact', // Base45 binary envelope around tagged fields, fits alphanumeric mode
+    },
+    PAYLOAD_ENCODING: process.env.QR_PAYLOAD_ENCODING || 'compact',
+    ERROR_CORRECTION_LEVELS: ['L', 'M', 'Q', 'H'],
+    SCAN_ACTIONS: {
+      SCAN: 'scan',
+      VERIFY: 'verify',
+    },
+    SCAN_OUTCOMES: {
+      SUCCESS: 'success',
+      UNAUTHORIZED: 'unauthorized',
+      DECRYPT_FAILED: 'decrypt_failed',
+      UNKNOWN: 'unknown',
+      REVOKED: 'revoked',
+      EXPIRED: 'expired',
+      INACTIVE: 'inactive',
+      PACKAGE_NOT_FOUND: 'package_not_found',
+      TRACKING_MISMATCH: 'tracking_mismatch',
+    },
   };
   
   // Encryption Constants
@@ -41,6 +158,182 @@ const SERVER = {
     AES_KEY_LENGTH: 256,
     RSA_KEY_LENGTH: 2048,
     IV_LENGTH: 16, // For AES
+    GCM_IV_LENGTH: 12, // Recommended nonce size for AES-GCM
+    AES_KEY: secrets.get('AES_KEY'),
+    AES_KEY_ID: process.env.AES_KEY_ID || 'k1',
+    LEGACY_AES_IV: secrets.get('AES_IV'), // Static IV used by pre-envelope CBC QR codes
+    ALLOW_LEGACY_CBC: process.env.ALLOW_LEGACY_CBC !== 'false', // Migration window for old QR codes
+    ENVELOPE_PREFIX: 'CS',
+    ENVELOPE_VERSION: 1,
+    COMPACT_VERSION: 2, // Binary envelope, written as CS2:<base45>
+    KEYRING: secrets.get('AES_KEYRING'), // JSON array of { id, key, status }
+    PRIMARY_KEY_ID: process.env.AES_PRIMARY_KEY_ID, // Defaults to the newest active key
+    KEY_STATUS: {
+      ACTIVE: 'active', // Encrypts and decrypts
+      RETIRED: 'retired', // Decrypts already printed labels only
+      REVOKED: 'revoked', // Rejected everywhere
+    },
+    REENCRYPTION_INTERVAL: 60 * 60, // 1 hour in seconds
+    REENCRYPTION_BATCH_SIZE: 100,
+    SIGNING_ALGORITHM: 'ECDSA-P256-SHA256',
+    SIGNING_PRIVATE_KEY: secrets.get('QR_SIGNING_PRIVATE_KEY'), // EC P-256 key in PEM format
+    SIGNING_PUBLIC_KEY: secrets.get('QR_SIGNING_PUBLIC_KEY'), // Derived from the private key if unset
+    SIGNING_KEY_ID: process.env.QR_SIGNING_KEY_ID || 's1',
+    BLIND_INDEX_KEY: secrets.get('BLIND_INDEX_KEY'), // HMAC key for searching encrypted fields
+    BLIND_INDEX_MIN_PREFIX: 3, // Shortest name prefix that is indexed
+    BLIND_INDEX_MAX_PREFIX: 20,
+    RSA_PRIVATE_KEY: secrets.get('RSA_PRIVATE_KEY'), // PEM, for server-side asymmetric decryption
+    RSA_PUBLIC_KEY: secrets.get('RSA_PUBLIC_KEY'),
+    CONTENT_KEY_PREFIX: 'pk:', // keyId of payloads and fields sealed under a package content key, followed by its id
+  };
+  
+  // Security Alert Constants
+  const SECURITY_ALERTS = {
+    TYPES: {
+      UNASSIGNED_AGENT_SCAN: 'unassigned-agent-scan',
+      REPEATED_DECRYPT_FAILURES: 'repeated-decrypt-failures',
+      OFF_ROUTE_SCAN: 'off-route-scan',
+      SCAN_AFTER_DELIVERY: 'scan-after-delivery',
+      IMPOSSIBLE_TRAVEL: 'impossible-travel',
+      HANDOVER_PIN_LOCKOUT: 'handover-pin-lockout',
+      REFRESH_TOKEN_REUSE: 'refresh-token-reuse',
+    },
+    SEVERITY: {
+      LOW: 'low',
+      MEDIUM: 'medium',
+      HIGH: 'high',
+    },
+    STATUS: {
+      OPEN: 'open',
+      ACKNOWLEDGED: 'acknowledged',
+    },
+    DEDUP_WINDOW: 60 * 60, // Repeats of an open alert within 1 hour are folded into it (seconds)
+    DECRYPT_FAILURE_THRESHOLD: 5, // Failed decrypts from one IP before alerting
+    DECRYPT_FAILURE_WINDOW: 15 * 60, // 15 minutes in seconds
+    ROUTE_DEVIATION_KM: 25, // Max distance from the pickup-to-delivery route
+    MAX_TRAVEL_SPEED_KMH: 200, // Faster movement between scans is treated as impossible
+    MIN_TRAVEL_DISTANCE_KM: 5, // Ignore GPS jitter below this distance
+  };
+  
+  // PII Disclosure Constants
+  const DISCLOSURE = {
+    FIELDS: {
+      TRACKING_NUMBER: 'trackingNumber',
+      CITY_ZIP: 'cityZip', // City and zip code only, enough for sorting
+      RECIPIENT_NAME: 'recipientName',
+      FULL_ADDRESS: 'fullAddress',
+      PHONE: 'phone',
+    },
+    DOORSTEP_RADIUS_KM: 0.5, // Reported scan location must be this close to the address; unverified, so only checked on top of an open delivery attempt
+  };
+  
+  // Shipping Label Constants
+  const LABEL = {
+    WIDTH_IN: 4,
+    HEIGHT_IN: 6,
+    ZPL_DPI: 203, // Standard thermal printer resolution (8 dots/mm)
+    FORMATS: {
+      PDF: 'pdf',
+      ZPL: 'zpl',
+    },
+    PII_FIELDS: {
+      RECIPIENT_NAME: 'recipientName',
+      DELIVERY_STREET: 'deliveryStreet',
+      RECIPIENT_PHONE: 'recipientPhone',
+    },
+    // Recipient details printed in clear text; city and zip code are always shown for sorting
+    DEFAULT_PII_FIELDS: (process.env.LABEL_PII_FIELDS || 'recipientName,deliveryStreet')
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean),
+  };
+  
+  // Doorstep Handover PIN Constants
+  const HANDOVER = {
+    PIN_LENGTH: 6,
+    PIN_EXPIRY: 60 * 60 * 24, // 1 day in seconds, issued when the package goes out for delivery
+    MAX_ATTEMPTS: 5, // Wrong entries before the PIN locks
+    MAX_SENDS: 5, // Initial PIN plus resends per package
+    RESEND_COOLDOWN: 60, // Seconds between resends
+    MIN_OVERRIDE_JUSTIFICATION: 20, // Characters required for an admin override or PIN reset
+    STATUS: {
+      PENDING: 'pending',
+      VERIFIED: 'verified',
+      LOCKED: 'locked',
+      OVERRIDDEN: 'overridden',
+    },
+    ERROR_CODES: {
+      NOT_ISSUED: 'PIN_NOT_ISSUED',
+      INVALID: 'PIN_INVALID',
+      EXPIRED: 'PIN_EXPIRED',
+      LOCKED: 'PIN_LOCKED',
+      ALREADY_USED: 'PIN_ALREADY_USED',
+      RESEND_COOLDOWN: 'PIN_RESEND_COOLDOWN',
+      RESEND_LIMIT: 'PIN_RESEND_LIMIT',
+    },
+  };
+  
+  // Batch QR and Label Generation Constants
+  const QR_BATCH = {
+    MAX_PACKAGES: 1000, // Packages per job
+    OUTPUT_FORMATS: {
+      LABEL_PDF: 'label-pdf', // One multi-page PDF with a 4x6 label per package
+      PNG_ZIP: 'png-zip',
+      SVG_ZIP: 'svg-zip',
+    },
+    STATUS: {
+      QUEUED: 'queued',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+    },
+    OUTPUT_DIR: process.env.QR_BATCH_OUTPUT_DIR, // Defaults to a folder in the OS temp directory
+    RESULT_TTL: 60 * 60 * 24, // 1 day in seconds, then the job and its file are removed
+    PROGRESS_SAVE_INTERVAL: 25, // Packages between progress writes
+  };
+  
+  // Per-agent encryption of customer details
+  const AGENT_KEYS = {
+    ALGORITHM: 'RSA-OAEP-256', // RSA-OAEP with SHA-256, as produced by generateRSAKeyPair in the browser
+    MIN_MODULUS_LENGTH: 2048,
+    DATA_KEY_LENGTH: 32, // AES-256 package data key
+    DEVICE_KEY_STATUS: {
+      ACTIVE: 'active',
+      REVOKED: 'revoked',
+    },
+    GRANT_STATUS: {
+      ACTIVE: 'active',
+      REVOKED: 'revoked',
+    },
+    ERROR_CODES: {
+      INVALID_PUBLIC_KEY: 'INVALID_PUBLIC_KEY',
+      NO_DEVICE_KEY: 'NO_DEVICE_KEY',
+      NO_GRANT: 'NO_GRANT',
+      DEVICE_KEY_NOT_FOUND: 'DEVICE_KEY_NOT_FOUND',
+      DEVICE_KEY_REVOKED: 'DEVICE_KEY_REVOKED',
+    },
+  };
+  
+  // Package data retention and crypto-shredding
+  const RETENTION = {
+    DEFAULT_DAYS: parseInt(process.env.RETENTION_DEFAULT_DAYS, 10) || 90, // Days after actual delivery when no policy matches
+    SERVICE_LEVELS: {
+      ECONOMY: 'economy',
+      STANDARD: 'standard',
+      EXPRESS: 'express',
+      OVERNIGHT: 'overnight',
+    },
+    SHRED_INTERVAL: parseInt(process.env.RETENTION_SHRED_INTERVAL, 10) || 60 * 60 * 24, // Seconds between shredding runs
+    SHRED_BATCH_SIZE: 500, // Packages shredded per run at most, the rest wait for the next run
+    TRIGGERS: {
+      SCHEDULE: 'schedule',
+      MANUAL: 'manual',
+    },
+    ERROR_CODES: {
+      POLICY_NOT_FOUND: 'RETENTION_POLICY_NOT_FOUND',
+      POLICY_EXISTS: 'RETENTION_POLICY_EXISTS',
+      INVALID_POLICY: 'RETENTION_POLICY_INVALID',
+    },
   };
   
   // Database Constants
@@ -62,16 +355,47 @@ const SERVER = {
       FAILED: 'failed',
       RETURNED: 'returned',
     },
+    NUMBER_ALPHABET: '0123456789ABCDEFGHJKMNPQRSTVWXYZ', // Crockford base32, no look-alike letters
+    NUMBER_RANDOM_LENGTH: 10, // Characters after the date, 5 bits each
     LOG_LEVEL: {
       INFO: 'info',
       WARNING: 'warning',
       ERROR: 'error',
     },
+    CHAIN: {
+      GENESIS_HASH: '0'.repeat(64), // prevHash of the first entry of every package
+      APPEND_RETRIES: 5, // Attempts when another entry claims the same sequence first
+      ANCHOR_INTERVAL: parseInt(process.env.TRACKING_ANCHOR_INTERVAL, 10) || 60 * 60, // Seconds between anchors
+      REDACTION_ACTION: 'redaction',
+      MIN_REDACTION_REASON: 10, // Characters
+      ERROR_CODES: {
+        NOT_FOUND: 'TRACKING_ENTRY_NOT_FOUND',
+        ALREADY_REDACTED: 'TRACKING_ENTRY_ALREADY_REDACTED',
+        NOT_REDACTABLE: 'TRACKING_ENTRY_NOT_REDACTABLE',
+      },
+    },
+    PUBLIC: {
+      LINK_SECRET: secrets.get('TRACKING_LINK_SECRET'), // HMAC key of signed share links
+      LINK_EXPIRY: parseInt(process.env.TRACKING_LINK_EXPIRY, 10) || 30 * 24 * 60 * 60, // Seconds a share link stays valid
+      RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+      MAX_FAILED_PER_IP: 20, // Failed lookups per window from one IP, across tracking numbers
+      MAX_FAILED_PER_TRACKING_NUMBER: 10, // Failed lookups per window of one tracking number, across IPs
+      ERROR_CODES: {
+        SECOND_FACTOR_REQUIRED: 'TRACKING_SECOND_FACTOR_REQUIRED',
+        INVALID_LINK: 'TRACKING_LINK_INVALID',
+        LINK_EXPIRED: 'TRACKING_LINK_EXPIRED',
+        NOT_FOUND: 'TRACKING_NOT_FOUND',
+      },
+    },
   };
   
   // Email Constants
   const EMAIL = {
     FROM: process.env.EMAIL_FROM || 'noreply@ciphership.com',
+    HOST: process.env.EMAIL_HOST,
+    PORT: parseInt(process.env.EMAIL_PORT, 10) || 587,
+    USER: process.env.EMAIL_USER,
+    PASS: secrets.get('EMAIL_PASS'),
     TEMPLATES: {
       WELCOME: 'welcome',
       RESET_PASSWORD: 'reset_password',
@@ -105,6 +429,13 @@ const SERVER = {
     ENCRYPTION,
     DATABASE,
     TRACKING,
+    SECURITY_ALERTS,
+    DISCLOSURE,
+    LABEL,
+    HANDOVER,
+    QR_BATCH,
+    AGENT_KEYS,
+    RETENTION,
     EMAIL,
     RATE_LIMIT,
     VALIDATION,
@@ -5,7 +5,7 @@
 const passport = require('passport');
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const User = require('../models/User');
-const { JWT_SECRET } = require('./constants');
+const { AUTH } = require('./constants');
 const logger = require('../utils/logger');
 
 /**
@@ -13,7 +13,7 @@ const logger = require('../utils/logger');
  */
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
-  secretOrKey: JWT_SECRET,
+  secretOrKey: AUTH.JWT_SECRET,
 };
 
 /**
@@ -0,0 +1,70 @@
+/**
+ * Secret providers
+ * Each provider answers get(name) with the raw string value or undefined
+ */
+
+const fs = require('fs');
+const path = require('path');
+const keystore = require('../utils/keystore');
+
+/**
+ * Reads secrets from environment variables (and .env in development)
+ */
+class EnvSecretProvider {
+  constructor(env = process.env) {
+    this.name = 'env';
+    this.env = env;
+  }
+
+  get(name) {
+    const value = this.env[name];
+    return value === '' ? undefined : value;
+  }
+}
+
+/**
+ * Reads secrets from one file per secret, as mounted by Docker or Kubernetes
+ * e.g. /run/secrets/JWT_SECRET
+ */
+class FileSecretProvider {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+
+    if (!fs.existsSync(directory)) {
+      throw new Error(`Secrets directory ${directory} does not exist`);
+    }
+  }
+
+  get(name) {
+    const candidates = [name, name.toLowerCase()].map(file => path.join(this.directory, file));
+    const filePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!filePath) return undefined;
+
+    // Mounted files usually end with a newline that is not part of the secret
+    const value = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    return value === '' ? undefined : value;
+  }
+}
+
+/**
+ * Reads secrets from the encrypted local keystore, unlocked once at startup
+ */
+class KeystoreSecretProvider {
+  constructor(filePath, passphrase) {
+    this.name = 'keystore';
+    this.filePath = filePath;
+    this.secrets = keystore.readFile(filePath, passphrase);
+  }
+
+  get(name) {
+    const value = this.secrets[name];
+    return value === '' || value === null ? undefined : value;
+  }
+}
+
+module.exports = {
+  EnvSecretProvider,
+  FileSecretProvider,
+  KeystoreSecretProvider,
+};
@@ -0,0 +1,322 @@
+/**
+ * Secret store
+ * Every key and credential the application uses is read through here, from the
+ * provider selected with SECRET_PROVIDER:
+ *   env      - environment variables and .env (default)
+ *   keystore - encrypted file at KEYSTORE_PATH, unlocked with KEYSTORE_PASSPHRASE
+ *              or the passphrase in KEYSTORE_PASSPHRASE_FILE (see scripts/keystore.js)
+ *   file     - one file per secret in SECRETS_DIR, e.g. /run/secrets/JWT_SECRET
+ *
+ * Provider settings are read from the environment directly, as this module is
+ * loaded by constants.js before anything else is configured
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EnvSecretProvider, FileSecretProvider, KeystoreSecretProvider } = require('./secretProviders');
+
+// constants.js is evaluated before app.js loads .env, so load it here first
+require('dotenv').config();
+
+const PROVIDERS = {
+  ENV: 'env',
+  KEYSTORE: 'keystore',
+  FILE: 'file',
+};
+
+const DEFAULT_KEYSTORE_PATH = path.join(__dirname, '../../secrets/keystore.json');
+const DEFAULT_SECRETS_DIR = '/run/secrets';
+const MIN_SECRET_LENGTH = 32;
+const HEX_256 = /^[0-9a-f]{64}$/i;
+const HEX_128 = /^[0-9a-f]{32}$/i;
+const KEY_STATUSES = ['active', 'retired', 'revoked'];
+
+// Values that have shipped in code, docs or examples and must never guard production
+const KNOWN_DEFAULTS = [
+  'cipher-ship-jwt-secret',
+  'cipher-ship-refresh-token-secret',
+  'secret',
+  'changeme',
+  'your_jwt_secret',
+  'your-secret-key',
+];
+
+const isRepeated = (value) => /^(.)\1*$/.test(value);
+
+const checkSecretString = (value) => {
+  if (KNOWN_DEFAULTS.includes(value)) return 'is a known default value';
+  if (value.length < MIN_SECRET_LENGTH) return `must be at least ${MIN_SECRET_LENGTH} characters`;
+  if (isRepeated(value)) return 'is a single repeated character';
+  return null;
+};
+
+const checkHexKey = (pattern, bits) => (value) => {
+  if (!pattern.test(value)) return `must be a ${bits}-bit key as hex`;
+  if (isRepeated(value)) return 'is a single repeated character';
+  return null;
+};
+
+const checkKeyring = (value) => {
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    return 'is not valid JSON';
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) return 'must be a non-empty JSON array';
+
+  for (const entry of entries) {
+    // '.' separates envelope parts and ':' marks package content key ids
+    if (!entry || !entry.id || /[.:]/.test(String(entry.id))) return 'has an entry with an invalid id';
+    if (!HEX_256.test(entry.key || '') || isRepeated(entry.key)) return `key ${entry.id} is not a 256-bit hex key`;
+    if (entry.status && !KEY_STATUSES.includes(entry.status)) return `key ${entry.id} has an unknown status`;
+  }
+
+  if (!entries.some(entry => (entry.status || 'active') === 'active')) return 'has no active key';
+  return null;
+};
+
+const checkPrivateKey = (type, check) => (value) => {
+  try {
+    const key = crypto.createPrivateKey(value);
+    if (key.asymmetricKeyType !== type) return `must be an ${type.toUpperCase()} private key`;
+    return check ? check(key.asymmetricKeyDetails) : null;
+  } catch (error) {
+    return 'is not a valid PEM private key';
+  }
+};
+
+const checkPublicKey = (type) => (value) => {
+  try {
+    const key = crypto.createPublicKey(value);
+    return key.asymmetricKeyType === type ? null : `must be an ${type.toUpperCase()} public key`;
+  } catch (error) {
+    return 'is not a valid PEM public key';
+  }
+};
+
+const checkP256 = (details) => (details.namedCurve === 'prime256v1' ? null : 'must use the P-256 curve');
+const checkRsaSize = (details) => (details.modulusLength >= 2048 ? null : 'must be at least 2048 bits');
+
+const isLegacyCbcAllowed = () => process.env.ALLOW_LEGACY_CBC !== 'false';
+
+/**
+ * Every secret the application reads
+ * required is either a boolean or a function of the other secrets
+ * devDefault is only ever handed out outside production
+ */
+const SECRET_SPECS = {
+  JWT_SECRET: {
+    description: 'Signs access tokens',
+    required: true,
+    validate: checkSecretString,
+    devDefault: 'cipher-ship-jwt-secret',
+  },
+  REFRESH_TOKEN_SECRET: {
+    description: 'Signs refresh tokens',
+    required: true,
+    validate: checkSecretString,
+    devDefault: 'cipher-ship-refresh-token-secret',
+  },
+  PRE_AUTH_TOKEN_SECRET: {
+    description: 'Signs the pre-auth tokens that carry a password login to its second factor',
+    required: true,
+    validate: checkSecretString,
+    devDefault: 'cipher-ship-pre-auth-token-secret',
+  },
+  AES_KEYRING: {
+    description: 'JSON array of { id, key, status } AES-256 keys that seal QR payloads',
+    required: false,
+    validate: checkKeyring,
+  },
+  AES_KEY: {
+    description: 'Single AES-256 key, used when no keyring is configured and for legacy CBC labels',
+    required: (has) => !has('AES_KEYRING'),
+    validate: checkHexKey(HEX_256, 256),
+  },
+  AES_IV: {
+    description: 'Static IV of legacy CBC labels',
+    required: (has) => isLegacyCbcAllowed() && has('AES_KEY'),
+    validate: checkHexKey(HEX_128, 128),
+  },
+  BLIND_INDEX_KEY: {
+    description: 'HMAC key of the search indexes over encrypted fields',
+    required: true,
+    validate: checkHexKey(HEX_256, 256),
+    devDefault: '6d542ddcfe2775786bbffbc08b119b8100032747b5e5e9237d3f8e48dab3b146',
+  },
+  TRACKING_LINK_SECRET: {
+    description: 'HMAC key of signed public tracking links',
+    required: true,
+    validate: checkSecretString,
+    devDefault: 'cipher-ship-tracking-link-secret',
+  },
+  QR_SIGNING_PRIVATE_KEY: {
+    description: 'EC P-256 key that signs QR payloads',
+    required: true,
+    validate: checkPrivateKey('ec', checkP256),
+  },
+  QR_SIGNING_PUBLIC_KEY: {
+    description: 'Published QR verification key, derived from the private key if unset',
+    required: false,
+    validate: checkPublicKey('ec'),
+  },
+  RSA_PRIVATE_KEY: {
+    description: 'RSA key for server-side asymmetric decryption',
+    required: false,
+    validate: checkPrivateKey('rsa', checkRsaSize),
+  },
+  RSA_PUBLIC_KEY: {
+    description: 'RSA key for server-side asymmetric encryption',
+    required: false,
+    validate: checkPublicKey('rsa'),
+  },
+  EMAIL_PASS: {
+    description: 'SMTP password',
+    required: false,
+  },
+};
+
+let provider = null;
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Read the keystore passphrase from KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE
+ * @returns {string|undefined} - Passphrase
+ */
+const getKeystorePassphrase = () => {
+  if (process.env.KEYSTORE_PASSPHRASE) {
+    return process.env.KEYSTORE_PASSPHRASE;
+  }
+
+  if (process.env.KEYSTORE_PASSPHRASE_FILE) {
+    return fs.readFileSync(process.env.KEYSTORE_PASSPHRASE_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+
+  return undefined;
+};
+
+/**
+ * Path of the keystore file
+ * @returns {string} - Absolute path
+ */
+const getKeystorePath = () => path.resolve(process.env.KEYSTORE_PATH || DEFAULT_KEYSTORE_PATH);
+
+/**
+ * Create the configured provider; a misconfigured provider never falls back to another one
+ * @returns {Object} - Provider instance
+ */
+const createProvider = () => {
+  const name = process.env.SECRET_PROVIDER || PROVIDERS.ENV;
+
+  switch (name) {
+    case PROVIDERS.ENV:
+      return new EnvSecretProvider();
+    case PROVIDERS.FILE:
+      return new FileSecretProvider(path.resolve(process.env.SECRETS_DIR || DEFAULT_SECRETS_DIR));
+    case PROVIDERS.KEYSTORE:
+      return new KeystoreSecretProvider(getKeystorePath(), getKeystorePassphrase());
+    default:
+      throw new Error(`Unknown SECRET_PROVIDER "${name}", expected one of: ${Object.values(PROVIDERS).join(', ')}`);
+  }
+};
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+/**
+ * Get a secret value
+ * Outside production a missing secret falls back to its development default
+ * @param {string} name - Secret name
+ * @returns {string|undefined} - Secret value
+ */
+const get = (name) => {
+  const value = getProvider().get(name);
+  if (value !== undefined) return value;
+
+  const spec = SECRET_SPECS[name];
+  return spec && !isProduction() ? spec.devDefault : undefined;
+};
+
+/**
+ * Check a single value against its spec
+ * @param {string} name - Secret name
+ * @param {string} value - Candidate value
+ * @returns {string|null} - Problem description, or null when the value is acceptable
+ */
+const checkValue = (name, value) => {
+  const spec = SECRET_SPECS[name];
+  if (!spec) return null;
+  if (spec.devDefault && value === spec.devDefault) return 'is the development default';
+  return spec.validate ? spec.validate(value) : null;
+};
+
+/**
+ * Validate every secret the configured provider supplies
+ * Problems name the secret but never include its value
+ * @returns {Array<Object>} - Problems ({ name, problem })
+ */
+const validate = () => {
+  const source = getProvider();
+  const has = (name) => source.get(name) !== undefined;
+  const problems = [];
+
+  Object.entries(SECRET_SPECS).forEach(([name, spec]) => {
+    const value = source.get(name);
+    const required = typeof spec.required === 'function' ? spec.required(has) : spec.required;
+
+    if (value === undefined) {
+      if (required) {
+        problems.push({
+          name,
+          problem: spec.devDefault ? 'is not set, the development default is in use' : 'is not set',
+        });
+      }
+      return;
+    }
+
+    const problem = checkValue(name, value);
+    if (problem) {
+      problems.push({ name, problem });
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Stop startup in production when secrets are default, missing or malformed
+ * Outside production the same problems are only printed as warnings
+ * @throws {Error} - In production when any problem is found
+ */
+const assertReady = () => {
+  const problems = validate();
+  if (problems.length === 0) return;
+
+  const lines = problems.map(({ name, problem }) => `  - ${name} ${problem}`).join('\n');
+  const source = `${getProvider().name} secret provider`;
+
+  if (isProduction()) {
+    throw new Error(`Refusing to start: insecure secrets from the ${source}:\n${lines}`);
+  }
+
+  console.warn(`Insecure secrets from the ${source}, this would not start in production:\n${lines}`);
+};
+
+module.exports = {
+  PROVIDERS,
+  SECRET_SPECS,
+  get,
+  checkValue,
+  validate,
+  assertReady,
+  getKeystorePath,
+  getKeystorePassphrase,
+};
@@ -1,13 +1,45 @@
 const User = require('../models/User');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
+const sessionService = require('../services/sessionService');
+const emailService = require('../services/emailService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
+const { logSecurity } = require('../utils/logger');
+const { validatePasswordStrength } = require('../utils/validators');
 const { asyncHandler } = require('../middleware/asyncHandler');
+const { AUTH } = require('../config/constants');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+// HTTP status returned for each session error code
+const SESSION_STATUS_HTTP = {
+  [AUTH.SESSION.ERROR_CODES.INVALID]: 401,
+  [AUTH.SESSION.ERROR_CODES.EXPIRED]: 401,
+  [AUTH.SESSION.ERROR_CODES.REUSED]: 401,
+  [AUTH.SESSION.ERROR_CODES.ACCOUNT_INACTIVE]: 403,
+};
+
+// HTTP status returned for each email verification error code
+const EMAIL_VERIFICATION_STATUS_HTTP = {
+  [AUTH.EMAIL_VERIFICATION.ERROR_CODES.INVALID]: 400,
+  [AUTH.EMAIL_VERIFICATION.ERROR_CODES.EXPIRED]: 410,
+  [AUTH.EMAIL_VERIFICATION.ERROR_CODES.ALREADY_VERIFIED]: 409,
+  [AUTH.EMAIL_VERIFICATION.ERROR_CODES.RESEND_COOLDOWN]: 429,
+  [AUTH.EMAIL_VERIFICATION.ERROR_CODES.RESEND_LIMIT]: 429,
+};
+
+// HTTP status returned for each two-factor error code
+const TWO_FACTOR_STATUS_HTTP = {
+  [AUTH.TWO_FACTOR.ERROR_CODES.NOT_ENABLED]: 400,
+  [AUTH.TWO_FACTOR.ERROR_CODES.ALREADY_ENABLED]: 409,
+  [AUTH.TWO_FACTOR.ERROR_CODES.SETUP_NOT_STARTED]: 400,
+  [AUTH.TWO_FACTOR.ERROR_CODES.INVALID_METHOD]: 400,
+  [AUTH.TWO_FACTOR.ERROR_CODES.INVALID_CODE]: 401,
+  [AUTH.TWO_FACTOR.ERROR_CODES.CODE_EXPIRED]: 401,
+  [AUTH.TWO_FACTOR.ERROR_CODES.TOO_MANY_ATTEMPTS]: 429,
+  [AUTH.TWO_FACTOR.ERROR_CODES.SEND_COOLDOWN]: 429,
+  [AUTH.TWO_FACTOR.ERROR_CODES.SEND_LIMIT]: 429,
+  [AUTH.MFA.ERROR_CODES.PRE_AUTH_INVALID]: 401,
+  [AUTH.MFA.ERROR_CODES.PRE_AUTH_EXPIRED]: 401,
 };
 
 // @desc    Register a user
@@ -29,9 +61,13 @@ exports.register = asyncHandler(async (req, res) => {
     email,
     password,
     role: role === 'delivery-agent' && req.user?.role !== 'admin' ? 'customer' : role,
+    emailVerified: false,
   });
 
   if (user) {
+    await emailVerificationService.issue(user, { welcome: true });
+    const session = await sessionService.createSession(user, sessionService.getRequestMeta(req));
+
     res.status(201).json({
       success: true,
       data: {
@@ -39,7 +75,9 @@ exports.register = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id),
+        emailVerified: user.isEmailVerified(),
+        twoFactorEnabled: user.twoFactorEnabled,
+        ...session,
       },
     });
   } else {
@@ -72,10 +110,13 @@ exports.login = asyncHandler(async (req, res) => {
     return res.status(200).json({
       success: true,
       requiresTwoFactor: true,
-      userId: user._id,
+      preAuthToken: sessionService.generatePreAuthToken(user),
+      methods: twoFactorService.getLoginMethods(user),
     });
   }
 
+  const session = await sessionService.createSession(user, sessionService.getRequestMeta(req));
+
   res.status(200).json({
     success: true,
     data: {
@@ -83,22 +124,204 @@ exports.login = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
-      token: generateToken(user._id),
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: user.twoFactorEnabled,
+      ...session,
+    },
+  });
+});
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ success: false, error: 'Refresh token is required' });
+  }
+
+  const result = await sessionService.rotate(refreshToken, sessionService.getRequestMeta(req));
+
+  if (result.code) {
+    return res.status(SESSION_STATUS_HTTP[result.code] || 401).json({
+      success: false,
+      code: result.code,
+      error: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken,
     },
   });
 });
 
-// @desc    Setup 2FA
+// @desc    Logout, revoking the session the refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ success: false, error: 'Refresh token is required' });
+  }
+
+  await sessionService.logout(refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out',
+  });
+});
+
+// @desc    Verify an email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, error: 'Verification token is required' });
+  }
+
+  const result = await emailVerificationService.verify(token);
+
+  if (result.code) {
+    return res.status(EMAIL_VERIFICATION_STATUS_HTTP[result.code] || 400).json({
+      success: false,
+      code: result.code,
+      error: result.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email address verified',
+  });
+});
+
+// @desc    Send another email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = asyncHandler(async (req, res) => {
+  const result = await emailVerificationService.resend(req.user);
+
+  if (result.code) {
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+    }
+    return res.status(EMAIL_VERIFICATION_STATUS_HTTP[result.code] || 400).json({
+      success: false,
+      code: result.code,
+      error: result.message,
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.sent ? 'Verification email sent' : 'A new link was issued but the email could not be sent',
+    data: {
+      sent: result.sent,
+      expiresAt: result.expiresAt,
+    },
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ success: false, error: 'Email is required' });
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+  if (user && user.isActive) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    // Not awaited, so the response time does not tell whether the account exists
+    emailService.sendPasswordResetEmail(user.email, user.firstName, resetToken)
+      .catch((error) => console.error('Password reset email error:', error));
+
+    logSecurity('password-reset-requested', 'Password reset requested', { ip: req.ip, userId: user._id });
+  }
+
+  // Same answer whether or not the account exists
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+  });
+});
+
+// @desc    Set a new password with a reset token; signs out every session
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const strength = validatePasswordStrength(typeof password === 'string' ? password : '');
+  if (!strength.isValid) {
+    return res.status(400).json({ success: false, error: strength.message });
+  }
+
+  // Claim the token in the same update that clears it, so it works only once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() },
+    },
+    { passwordResetToken: null, passwordResetExpires: null },
+    { new: true }
+  );
+
+  if (!user) {
+    return res.status(400).json({ success: false, error: 'Password reset link is invalid or has expired' });
+  }
+
+  user.password = password;
+  await user.save();
+
+  await sessionService.revokeUserSessions(user._id, AUTH.SESSION.REVOKE_REASONS.PASSWORD_RESET);
+
+  logSecurity('password-reset', 'Password reset, all sessions revoked', { ip: req.ip, userId: user._id });
+
+  emailService.sendPasswordChangedEmail(user.email, user.firstName)
+    .catch((error) => console.error('Password changed email error:', error));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please login with your new password',
+  });
+});
+
+// @desc    Start 2FA setup; the secret is only used once confirmed with a code
 // @route   POST /api/auth/2fa/setup
 // @access  Private
 exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(409).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.ALREADY_ENABLED,
+      error: 'Two-factor authentication is already enabled. Disable it first to set up a new device',
+    });
+  }
+
   // Generate a secret key
   const secret = speakeasy.generateSecret({
     name: `CipherShip:${req.user.email}`,
   });
 
-  // Save secret to user
-  req.user.twoFactorSecret = secret.base32;
+  // Keep it pending until the first code is verified
+  req.user.twoFactorTempSecret = secret.base32;
   await req.user.save();
 
   // Generate QR code
@@ -113,55 +336,270 @@ exports.setupTwoFactor = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Verify 2FA
-// @route   POST /api/auth/2fa/verify
+// @desc    Confirm 2FA setup with a code from the authenticator app and issue recovery codes
+// @route   POST /api/auth/2fa/setup/verify
 // @access  Private
+exports.confirmTwoFactorSetup = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  const user = req.user;
+
+  if (user.twoFactorEnabled) {
+    return res.status(409).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.ALREADY_ENABLED,
+      error: 'Two-factor authentication is already enabled',
+    });
+  }
+
+  if (!user.twoFactorTempSecret) {
+    return res.status(400).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.SETUP_NOT_STARTED,
+      error: 'Start two-factor setup first',
+    });
+  }
+
+  if (!twoFactorService.verifyTotp(user.twoFactorTempSecret, token)) {
+    return res.status(400).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.INVALID_CODE,
+      error: 'Invalid token',
+    });
+  }
+
+  user.twoFactorSecret = user.twoFactorTempSecret;
+  user.twoFactorTempSecret = null;
+  user.twoFactorEnabled = true;
+  user.twoFactorEmailCode = {};
+  const recoveryCodes = await twoFactorService.generateRecoveryCodes(user);
+
+  logSecurity('two-factor-enabled', 'Two-factor authentication enabled', { ip: req.ip, userId: user._id });
+
+  // The code just proved the second factor, so swap the password-only session for one that has it
+  if (req.auth && req.auth.sid) {
+    await sessionService.revokeFamily(req.auth.sid, AUTH.SESSION.REVOKE_REASONS.MFA_ENROLLED);
+  }
+  const session = await sessionService.createSession(
+    user,
+    sessionService.getRequestMeta(req),
+    [AUTH.AMR.PASSWORD, AUTH.AMR.OTP]
+  );
+
+  res.status(200).json({
+    success: true,
+    message: '2FA verification successful',
+    twoFactorEnabled: true,
+    data: {
+      recoveryCodes,
+      ...session,
+    },
+  });
+});
+
+// @desc    Exchange the pre-auth token from login and a second factor for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public (needs the pre-auth token)
 exports.verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { preAuthToken, token, method = AUTH.TWO_FACTOR.METHODS.TOTP } = req.body;
+
+  if (!preAuthToken || !token) {
+    return res.status(400).json({ success: false, error: 'Pre-auth token and verification code are required' });
+  }
+
+  const preAuth = await sessionService.verifyPreAuthToken(preAuthToken);
+
+  if (preAuth.code) {
+    return res.status(TWO_FACTOR_STATUS_HTTP[preAuth.code] || 401).json({
+      success: false,
+      code: preAuth.code,
+      error: preAuth.message,
+    });
+  }
+
+  const { user } = preAuth;
+  const error = await twoFactorService.verify(user, method, token);
+
+  if (error) {
+    return res.status(TWO_FACTOR_STATUS_HTTP[error.code] || 401).json({
+      success: false,
+      code: error.code,
+      error: error.message,
+    });
+  }
+
+  // The code just used was marked in the database, not on this document
+  let recoveryCodesRemaining = twoFactorService.countRecoveryCodes(user);
+  if (method === AUTH.TWO_FACTOR.METHODS.RECOVERY_CODE) {
+    recoveryCodesRemaining -= 1;
+    logSecurity('two-factor-recovery-code-used', 'Login with a 2FA recovery code', {
+      ip: req.ip,
+      userId: user._id,
+      recoveryCodesRemaining
+    });
+  }
+
+  const session = await sessionService.createSession(
+    user,
+    sessionService.getRequestMeta(req),
+    twoFactorService.getAmr(method)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: user.twoFactorEnabled,
+      recoveryCodesRemaining,
+      ...session,
+    },
+  });
+});
+
+// @desc    Email a one-time login code for users without their authenticator
+// @route   POST /api/auth/2fa/email
+// @access  Public (needs the pre-auth token)
+exports.sendTwoFactorEmailCode = asyncHandler(async (req, res) => {
+  const { preAuthToken } = req.body;
+
+  if (!preAuthToken) {
+    return res.status(400).json({ success: false, error: 'Pre-auth token is required' });
+  }
+
+  const preAuth = await sessionService.verifyPreAuthToken(preAuthToken);
+
+  if (preAuth.code) {
+    return res.status(TWO_FACTOR_STATUS_HTTP[preAuth.code] || 401).json({
+      success: false,
+      code: preAuth.code,
+      error: preAuth.message,
+    });
+  }
+
+  const result = await twoFactorService.sendEmailCode(preAuth.user);
+
+  if (result.code) {
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+    }
+    return res.status(TWO_FACTOR_STATUS_HTTP[result.code] || 400).json({
+      success: false,
+      code: result.code,
+      error: result.message,
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'A login code has been sent to your email address',
+    data: {
+      expiresAt: result.expiresAt,
+    },
+  });
+});
+
+// @desc    Replace the recovery codes, invalidating the old ones
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
   const { token } = req.body;
-  const userId = req.user ? req.user._id : req.body.userId;
+  const user = req.user;
 
-  // Get user
-  const user = req.user || await User.findById(userId);
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.NOT_ENABLED,
+      error: 'Two-factor authentication is not enabled',
+    });
+  }
 
-  if (!user) {
-    return res.status(404).json({ success: false, error: 'User not found' });
+  if (!twoFactorService.verifyTotp(user.twoFactorSecret, token)) {
+    return res.status(401).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.INVALID_CODE,
+      error: 'Invalid token',
+    });
   }
 
-  // Verify token
-  const verified = speakeasy.totp.verify({
-    secret: user.twoFactorSecret,
-    encoding: 'base32',
-    token,
+  const recoveryCodes = await twoFactorService.generateRecoveryCodes(user);
+
+  logSecurity('two-factor-recovery-codes-regenerated', 'Two-factor recovery codes replaced', { ip: req.ip, userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recoveryCodes,
+    },
   });
+});
+
+// @desc    Disable 2FA; needs the password and an authenticator or recovery code
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, token, method = AUTH.TWO_FACTOR.METHODS.TOTP } = req.body;
 
-  if (!verified) {
-    return res.status(400).json({ success: false, error: 'Invalid token' });
+  if (!password || !token) {
+    return res.status(400).json({ success: false, error: 'Password and verification code are required' });
   }
 
-  // If this is setup verification, enable 2FA
-  if (req.user && !user.twoFactorEnabled) {
-    user.twoFactorEnabled = true;
-    await user.save();
+  // An emailed code alone is not enough to remove the second factor
+  if (method !== AUTH.TWO_FACTOR.METHODS.TOTP && method !== AUTH.TWO_FACTOR.METHODS.RECOVERY_CODE) {
+    return res.status(400).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.INVALID_METHOD,
+      error: 'Use a code from your authenticator app or a recovery code',
+    });
   }
 
-  // If this is login verification, return user with token
-  if (!req.user) {
-    return res.status(200).json({
-      success: true,
-      data: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id),
-      },
+  if (AUTH.MFA.REQUIRED_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      code: AUTH.MFA.ERROR_CODES.REQUIRED,
+      error: 'Two-factor authentication is required for your role and cannot be disabled',
     });
   }
 
+  // req.user is loaded without the password hash
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      code: AUTH.TWO_FACTOR.ERROR_CODES.NOT_ENABLED,
+      error: 'Two-factor authentication is not enabled',
+    });
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return res.status(401).json({ success: false, error: 'Invalid credentials' });
+  }
+
+  const error = await twoFactorService.verify(user, method, token);
+
+  if (error) {
+    return res.status(TWO_FACTOR_STATUS_HTTP[error.code] || 401).json({
+      success: false,
+      code: error.code,
+      error: error.message,
+    });
+  }
+
+  await twoFactorService.disable(user);
+
+  logSecurity('two-factor-disabled', 'Two-factor authentication disabled', { ip: req.ip, userId: user._id, method });
+
+  emailService.send2FADisabledEmail(user.email, user.firstName)
+    .catch((err) => console.error('2FA disabled email error:', err));
+
   res.status(200).json({
     success: true,
-    message: '2FA verification successful',
-    twoFactorEnabled: user.twoFactorEnabled,
+    message: 'Two-factor authentication disabled',
+    twoFactorEnabled: false,
   });
 });
 
@@ -3,11 +3,22 @@ const QRCode = require('../models/QRCode');
 const TrackingLog = require('../models/TrackingLog');
 const User = require('../models/User');
 const qrCodeService = require('../services/qrCodeService');
-const encryptionService = require('../services/encryptionService');
+const contentKeyService = require('../services/contentKeyService');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const labelService = require('../services/labelService');
+const handoverPinService = require('../services/handoverPinService');
+const agentKeyService = require('../services/agentKeyService');
+const { AGENT_KEYS, LABEL, RETENTION, ROLES, TRACKING } = require('../config/constants');
 const { validateObjectId } = require('../utils/validators');
 
+// HTTP status returned for each agent key error code
+const AGENT_KEY_STATUS_HTTP = {
+  [AGENT_KEYS.ERROR_CODES.INVALID_PUBLIC_KEY]: 400,
+  [AGENT_KEYS.ERROR_CODES.NO_DEVICE_KEY]: 403,
+  [AGENT_KEYS.ERROR_CODES.NO_GRANT]: 409
+};
+
 /**
  * Create a new package
  */
@@ -21,9 +32,16 @@ exports.createPackage = async (req, res) => {
       packageDetails, 
       weight, 
       dimensions,
-      customerId 
+      customerId,
+      tenant,
+      serviceLevel
     } = req.body;
 
+    // The service level selects the retention policy, so reject unknown ones instead of defaulting
+    if (serviceLevel !== undefined && !Object.values(RETENTION.SERVICE_LEVELS).includes(serviceLevel)) {
+      return res.status(400).json({ success: false, message: 'Invalid service level' });
+    }
+
     // Check if customer exists if customerId provided
     let customer = null;
     if (customerId) {
@@ -47,6 +65,8 @@ exports.createPackage = async (req, res) => {
       packageDetails,
       weight,
       dimensions,
+      tenant,
+      serviceLevel,
       status: 'created',
       createdBy: req.user.id
     });
@@ -54,7 +74,7 @@ exports.createPackage = async (req, res) => {
     await newPackage.save();
 
     // Generate tracking number
-    const trackingNumber = `CS-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
+    const trackingNumber = Package.generateTrackingNumber();
     newPackage.trackingNumber = trackingNumber;
     await newPackage.save();
 
@@ -75,8 +95,8 @@ exports.createPackage = async (req, res) => {
       packageId: newPackage._id
     };
 
-    // Encrypt sensitive data
-    const encryptedData = encryptionService.encryptAES(JSON.stringify(packageData));
+    // Encrypt sensitive data under the package content key and a fresh IV
+    const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(newPackage._id, packageData);
 
     // Generate QR code
     const qrCodeDataUrl = await qrCodeService.generateQRCode(encryptedData);
@@ -85,6 +105,8 @@ exports.createPackage = async (req, res) => {
     const qrCode = new QRCode({
       packageId: newPackage._id,
       encryptedData,
+      iv,
+      keyId,
       qrCodeDataUrl
     });
 
@@ -144,13 +166,12 @@ exports.getAllPackages = async (req, res) => {
       };
     }
     
-    // Search by tracking number or customer details
+    // Search by tracking number or recipient details; the latter are encrypted, so
+    // they match through blind indexes (exact email or phone, name prefixes)
     if (req.query.search) {
       filter.$or = [
         { trackingNumber: { $regex: req.query.search, $options: 'i' } },
-        { customerName: { $regex: req.query.search, $options: 'i' } },
-        { customerPhone: { $regex: req.query.search, $options: 'i' } },
-        { customerEmail: { $regex: req.query.search, $options: 'i' } }
+        ...Package.searchFilter(req.query.search)
       ];
     }
     
@@ -217,10 +238,17 @@ exports.getPackageById = async (req, res) => {
       .populate('userId', 'name email role')
       .sort({ createdAt: 1 });
     
+    // Customers see the QR code only once their email address is verified
+    const packageData = package.toJSON();
+    if (req.user.role === ROLES.CUSTOMER && !req.user.isEmailVerified()) {
+      delete packageData.qrCode;
+      delete packageData.qrCodeId;
+    }
+    
     res.status(200).json({
       success: true,
       data: {
-        package,
+        package: packageData,
         trackingHistory: trackingLogs
       }
     });
@@ -244,11 +272,19 @@ exports.updatePackageStatus = async (req, res) => {
     }
     
     // Validate status
-    const validStatuses = ['created', 'in-transit', 'out-for-delivery', 'delivered', 'failed', 'returned'];
+    const validStatuses = Object.values(TRACKING.STATUS);
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid status. Must be one of: created, in-transit, out-for-delivery, delivered, failed, returned' 
+        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
+      });
+    }
+    
+    // Delivery is only confirmed through the handover endpoint
+    if (status === TRACKING.STATUS.DELIVERED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/tracking/:packageId/delivered with the handover PIN to mark a package delivered'
       });
     }
     
@@ -259,9 +295,15 @@ exports.updatePackageStatus = async (req, res) => {
     }
     
     // Update package status
+    const previousStatus = package.status;
     package.status = status;
     await package.save();
     
+    // Email the recipient a handover PIN for the doorstep
+    if (status === TRACKING.STATUS.OUT_FOR_DELIVERY && previousStatus !== status) {
+      await handoverPinService.issue(package, req.user.id);
+    }
+    
     // Create tracking log entry
     const logMessage = message || `Package status updated to ${status}`;
     const trackingLog = new TrackingLog({
@@ -355,26 +397,30 @@ exports.updatePackage = async (req, res) => {
       req.body.customerPhone !== undefined || 
       req.body.customerAddress !== undefined
     ) {
+      // Keep the copy encrypted for the assigned agent current
+      await agentKeyService.refreshCustomerData(package);
+      
       // Get QR code
       const qrCode = await QRCode.findById(package.qrCodeId);
       if (qrCode) {
         // Decrypt existing data
-        const decryptedData = encryptionService.decryptAES(qrCode.encryptedData);
-        const packageData = JSON.parse(decryptedData);
+        const { data: packageData } = await contentKeyService.decryptPayload(qrCode.encryptedData);
         
         // Update package data
         packageData.customerName = package.customerName;
         packageData.customerPhone = package.customerPhone;
         packageData.customerAddress = package.customerAddress;
         
-        // Encrypt updated data
-        const encryptedData = encryptionService.encryptAES(JSON.stringify(packageData));
+        // Re-encrypt updated data under a fresh IV (also upgrades legacy CBC codes)
+        const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(package._id, packageData);
         
         // Generate new QR code
         const qrCodeDataUrl = await qrCodeService.generateQRCode(encryptedData);
         
         // Update QR code
         qrCode.encryptedData = encryptedData;
+        qrCode.iv = iv;
+        qrCode.keyId = keyId;
         qrCode.qrCodeDataUrl = qrCodeDataUrl;
         await qrCode.save();
       }
@@ -429,8 +475,7 @@ exports.deletePackage = async (req, res) => {
       await QRCode.findByIdAndDelete(package.qrCodeId);
     }
     
-    // Delete associated tracking logs
-    await TrackingLog.deleteMany({ packageId: id });
+    // Tracking logs are kept: they are the package's tamper-evident proof of custody
     
     // Delete package
     await Package.findByIdAndDelete(id);
@@ -532,4 +577,177 @@ exports.getPackageByTrackingNumber = async (req, res) => {
     console.error('Get package by tracking number error:', error);
     res.status(500).json({ success: false, message: 'Server error while fetching package' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get a printable 4x6 shipping label as PDF or ZPL
+ * Query: format=pdf|zpl, pii=comma separated LABEL.PII_FIELDS or 'none'
+ */
+exports.getPackageLabel = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || LABEL.FORMATS.PDF).toLowerCase();
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID' });
+    }
+
+    if (!Object.values(LABEL.FORMATS).includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid label format. Use one of: ${Object.values(LABEL.FORMATS).join(', ')}`
+      });
+    }
+
+    const { fields: piiFields, unknown } = labelService.parsePiiFields(req.query.pii);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown PII fields: ${unknown.join(', ')}. Allowed: ${Object.values(LABEL.PII_FIELDS).join(', ')} or none`
+      });
+    }
+
+    const pkg = await Package.findById(id);
+
+    if (!pkg) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+
+    const qrCode = pkg.qrCode
+      ? await QRCode.findById(pkg.qrCode)
+      : await QRCode.findOne({ package: pkg._id, isActive: true }).sort({ createdAt: -1 });
+
+    if (!qrCode) {
+      return res.status(409).json({ success: false, message: 'Package has no QR code to print' });
+    }
+
+    if (!qrCode.isActive) {
+      return res.status(410).json({ success: false, message: 'Package QR code is no longer active' });
+    }
+
+    const label = labelService.buildLabelData(pkg, qrCode, piiFields);
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: req.user.id,
+      action: 'label-printed',
+      status: pkg.status,
+      details: { format, piiFields, qrCodeId: qrCode._id },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    const filename = `label-${pkg.trackingNumber}.${format}`;
+
+    if (format === LABEL.FORMATS.ZPL) {
+      res.set({
+        'Content-Type': 'application/zpl; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.status(200).send(labelService.renderZpl(label));
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}"`
+    });
+    res.status(200).send(labelService.renderPdf(label));
+  } catch (error) {
+    console.error('Get package label error:', error);
+    res.status(500).json({ success: false, message: 'Server error while generating label' });
+  }
+};
+
+/**
+ * Assign a package to a delivery agent
+ * The package data key is granted to the agent's device; any earlier agent loses access
+ */
+exports.assignPackageToAgent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { agentId } = req.body;
+
+    if (!validateObjectId(id) || !validateObjectId(agentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package or agent ID format' });
+    }
+
+    const pkg = await Package.findById(id);
+    if (!pkg) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+
+    if ([TRACKING.STATUS.DELIVERED, TRACKING.STATUS.RETURNED].includes(pkg.status)) {
+      return res.status(409).json({ success: false, message: `Cannot assign a package that is ${pkg.status}` });
+    }
+
+    const agent = await User.findById(agentId);
+    if (!agent || agent.role !== ROLES.DELIVERY_AGENT || !agent.isActive) {
+      return res.status(400).json({ success: false, message: 'Agent must be an active delivery agent' });
+    }
+
+    const previousAgent = pkg.assignedAgent;
+    pkg.assignedAgent = agent._id;
+    await pkg.save();
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: req.user.id,
+      action: 'agent-assigned',
+      status: pkg.status,
+      details: { agent: agent._id, previousAgent: previousAgent || null },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    const grant = await agentKeyService.grantToAgent(pkg, agent._id, { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: grant.code ? `Package assigned. ${grant.message}` : 'Package assigned successfully',
+      data: {
+        package: pkg,
+        keyGranted: !grant.code
+      }
+    });
+  } catch (error) {
+    console.error('Assign package error:', error);
+    res.status(500).json({ success: false, message: 'Server error while assigning package' });
+  }
+};
+
+/**
+ * Get the customer details of a package encrypted to one of the assigned agent's devices
+ * Query: device=fingerprint of the enrolled device key asking
+ */
+exports.getCustomerEnvelope = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+
+    const pkg = await Package.findById(id);
+    if (!pkg) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+
+    if (!pkg.assignedAgent || pkg.assignedAgent.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'This package is not assigned to you' });
+    }
+
+    const result = await agentKeyService.getEnvelopeForAgent(pkg, req.user.id, req.query.device);
+    if (result.code) {
+      return res.status(AGENT_KEY_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({ success: true, data: result.envelope });
+  } catch (error) {
+    console.error('Get customer envelope error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching customer envelope' });
+  }
+};
@@ -1,10 +1,61 @@
 const QRCode = require('../models/QRCode');
+const QRRevocation = require('../models/QRRevocation');
 const Package = require('../models/Package');
 const TrackingLog = require('../models/TrackingLog');
 const qrCodeService = require('../services/qrCodeService');
 const encryptionService = require('../services/encryptionService');
+const contentKeyService = require('../services/contentKeyService');
+const keyRotationService = require('../services/keyRotationService');
 const notificationService = require('../services/notificationService');
+const disclosurePolicyService = require('../services/disclosurePolicyService');
+const qrBatchService = require('../services/qrBatchService');
+const labelService = require('../services/labelService');
+const QRBatchJob = require('../models/QRBatchJob');
 const { validateObjectId } = require('../utils/validators');
+const { QR_CODE, QR_BATCH, LABEL, ROLES, TRACKING } = require('../config/constants');
+
+// Roles allowed to scan and verify QR codes; what each sees is decided by the disclosure policy
+const SCAN_ROLES = [ROLES.ADMIN, ROLES.DELIVERY_AGENT, ROLES.HUB_SORTER];
+
+// HTTP status returned by the scan endpoint for each QR status code
+const QR_STATUS_HTTP = {
+  [QR_CODE.ERROR_CODES.UNKNOWN]: 404,
+  [QR_CODE.ERROR_CODES.REVOKED]: 410,
+  [QR_CODE.ERROR_CODES.EXPIRED]: 410,
+  [QR_CODE.ERROR_CODES.INACTIVE]: 410
+};
+
+// Scan outcome recorded for each QR status code
+const SCAN_OUTCOME_BY_CODE = {
+  [QR_CODE.ERROR_CODES.UNKNOWN]: QR_CODE.SCAN_OUTCOMES.UNKNOWN,
+  [QR_CODE.ERROR_CODES.REVOKED]: QR_CODE.SCAN_OUTCOMES.REVOKED,
+  [QR_CODE.ERROR_CODES.EXPIRED]: QR_CODE.SCAN_OUTCOMES.EXPIRED,
+  [QR_CODE.ERROR_CODES.INACTIVE]: QR_CODE.SCAN_OUTCOMES.INACTIVE
+};
+
+/**
+ * Build the scan record for QRCode.recordScan from the request
+ * @param {Object} req - Express request
+ * @param {string} action - One of QR_CODE.SCAN_ACTIONS
+ * @param {string} outcome - One of QR_CODE.SCAN_OUTCOMES
+ * @returns {Object} - Scan data
+ */
+const buildScanData = (req, action, outcome) => {
+  const { location } = req.body;
+  
+  return {
+    scannedBy: req.user.id,
+    scannerRole: req.user.role,
+    location: location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+      ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy }
+      : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    isAuthorized: outcome === QR_CODE.SCAN_OUTCOMES.SUCCESS,
+    action,
+    outcome
+  };
+};
 
 /**
  * Generate QR code for a package
@@ -33,8 +84,8 @@ exports.generateQRCode = async (req, res) => {
       packageId: package._id
     };
     
-    // Encrypt sensitive data
-    const encryptedData = encryptionService.encryptAES(JSON.stringify(packageData));
+    // Encrypt sensitive data under the package content key and a fresh IV
+    const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(package._id, packageData);
     
     // Generate QR code
     const qrCodeDataUrl = await qrCodeService.generateQRCode(encryptedData);
@@ -46,6 +97,8 @@ exports.generateQRCode = async (req, res) => {
       qrCode = await QRCode.findById(package.qrCodeId);
       if (qrCode) {
         qrCode.encryptedData = encryptedData;
+        qrCode.iv = iv;
+        qrCode.keyId = keyId;
         qrCode.qrCodeDataUrl = qrCodeDataUrl;
         qrCode.updatedAt = Date.now();
         await qrCode.save();
@@ -54,6 +107,8 @@ exports.generateQRCode = async (req, res) => {
         qrCode = new QRCode({
           packageId: package._id,
           encryptedData,
+          iv,
+          keyId,
           qrCodeDataUrl
         });
         await qrCode.save();
@@ -67,6 +122,8 @@ exports.generateQRCode = async (req, res) => {
       qrCode = new QRCode({
         packageId: package._id,
         encryptedData,
+        iv,
+        keyId,
         qrCodeDataUrl
       });
       await qrCode.save();
@@ -198,65 +255,104 @@ exports.scanQRCode = async (req, res) => {
   try {
     const { encryptedData } = req.body;
     
-    // Verify that the user is a delivery agent or admin
-    if (req.user.role !== 'admin' && req.user.role !== 'delivery-agent') {
+    // Verify that the user is allowed to scan
+    if (!SCAN_ROLES.includes(req.user.role)) {
+      await qrCodeService.recordScanAttempt(encryptedData, null,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.SCAN, QR_CODE.SCAN_OUTCOMES.UNAUTHORIZED));
       return res.status(403).json({ success: false, message: 'Not authorized to scan QR codes' });
     }
     
     // Decrypt data
+    let packageData;
     try {
-      const decryptedData = encryptionService.decryptAES(encryptedData);
-      const packageData = JSON.parse(decryptedData);
-      
-      // Find associated package
-      const package = await Package.findById(packageData.packageId);
-      
-      if (!package) {
-        return res.status(404).json({ success: false, message: 'Associated package not found' });
-      }
-      
-      // Log scan event
-      await TrackingLog.create({
-        packageId: package._id,
-        status: package.status,
-        message: `QR code scanned by ${req.user.name} (${req.user.role})`,
-        userId: req.user.id
+      ({ data: packageData } = await contentKeyService.decryptPayload(encryptedData));
+    } catch (error) {
+      await qrCodeService.recordScanAttempt(encryptedData, null,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.SCAN, QR_CODE.SCAN_OUTCOMES.DECRYPT_FAILED));
+      return res.status(400).json({ success: false, code: QR_CODE.ERROR_CODES.INVALID, message: 'Invalid QR code data' });
+    }
+    
+    // Reject revoked, expired and unknown codes before disclosing anything
+    const qrStatus = await qrCodeService.checkQRCodeStatus(encryptedData);
+    if (qrStatus.code) {
+      await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.SCAN, SCAN_OUTCOME_BY_CODE[qrStatus.code]));
+      return res.status(QR_STATUS_HTTP[qrStatus.code]).json({
+        success: false,
+        code: qrStatus.code,
+        message: qrStatus.message
       });
-      
-      // Return the decrypted customer information
-      res.status(200).json({
-        success: true,
-        message: 'QR code scanned successfully',
-        data: {
-          packageData,
-          package: {
-            id: package._id,
-            trackingNumber: package.trackingNumber,
-            status: package.status,
-            details: package.packageDetails
-          }
+    }
+    
+    // Find associated package
+    const package = await Package.findById(packageData.packageId);
+    
+    if (!package) {
+      await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.SCAN, QR_CODE.SCAN_OUTCOMES.PACKAGE_NOT_FOUND));
+      return res.status(404).json({ success: false, message: 'Associated package not found' });
+    }
+    
+    // Record the scan with the scanner's location and device
+    const scanData = buildScanData(req, QR_CODE.SCAN_ACTIONS.SCAN, QR_CODE.SCAN_OUTCOMES.SUCCESS);
+    await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode, scanData);
+    
+    // Only disclose the customer fields this scanner needs at this stage, and log the decision
+    const disclosure = await disclosurePolicyService.decide({ user: req.user, pkg: package, location: scanData.location });
+    await disclosurePolicyService.logDecision({
+      pkg: package,
+      user: req.user,
+      decision: disclosure,
+      qrCodeId: qrStatus.qrCode._id,
+      ipAddress: scanData.ipAddress,
+      userAgent: scanData.userAgent
+    });
+
+    // Log scan event
+    await TrackingLog.create({
+      packageId: package._id,
+      status: package.status,
+      message: `QR code scanned by ${req.user.name} (${req.user.role})`,
+      userId: req.user.id
+    });
+
+    // Return the disclosed customer information
+    res.status(200).json({
+      success: true,
+      message: 'QR code scanned successfully',
+      data: {
+        packageData: disclosurePolicyService.apply(packageData, package, disclosure),
+        disclosure: {
+          fields: disclosure.fields,
+          withheld: disclosure.withheld
+        },
+        package: {
+          id: package._id,
+          trackingNumber: package.trackingNumber,
+          status: package.status,
+          details: package.packageDetails
         }
-      });
-      
-      // Notify customer if they have an account
-      if (package.customerId) {
-        await notificationService.sendNotification(
-          package.customerId,
-          'Package Scanned',
-          `Your package (${package.trackingNumber}) was scanned by a delivery agent`,
-          {
-            type: 'package_scanned',
-            packageId: package._id,
-            status: package.status
-          }
-        );
       }
-    } catch (error) {
-      return res.status(400).json({ success: false, message: 'Invalid QR code data' });
+    });
+    
+    // Notify customer if they have an account
+    if (package.customerId) {
+      await notificationService.sendNotification(
+        package.customerId,
+        'Package Scanned',
+        `Your package (${package.trackingNumber}) was scanned by a delivery agent`,
+        {
+          type: 'package_scanned',
+          packageId: package._id,
+          status: package.status
+        }
+      );
     }
   } catch (error) {
     console.error('Scan QR code error:', error);
-    res.status(500).json({ success: false, message: 'Server error while scanning QR code' });
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error while scanning QR code' });
+    }
   }
 };
 
@@ -267,47 +363,79 @@ exports.verifyQRCode = async (req, res) => {
   try {
     const { encryptedData } = req.body;
     
+    // Verify that the user is allowed to scan
+    if (!SCAN_ROLES.includes(req.user.role)) {
+      await qrCodeService.recordScanAttempt(encryptedData, null,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, QR_CODE.SCAN_OUTCOMES.UNAUTHORIZED));
+      return res.status(403).json({ success: false, message: 'Not authorized to verify QR codes' });
+    }
+    
+    // Try to decrypt the data to verify authenticity (signature, GCM tag or legacy CBC)
+    let packageData;
+    let signed;
     try {
-      // Try to decrypt the data to verify authenticity
-      const decryptedData = encryptionService.decryptAES(encryptedData);
-      const packageData = JSON.parse(decryptedData);
-      
-      // Verify the package exists
-      const package = await Package.findById(packageData.packageId);
-      if (!package) {
-        return res.status(200).json({ 
-          success: true, 
-          isValid: false, 
-          message: 'QR code is invalid or associated package not found' 
-        });
-      }
-      
-      // Verify tracking number matches
-      if (package.trackingNumber !== packageData.trackingNumber) {
-        return res.status(200).json({ 
-          success: true, 
-          isValid: false, 
-          message: 'QR code contains invalid tracking information' 
-        });
-      }
-      
-      res.status(200).json({
-        success: true,
-        isValid: true,
-        message: 'QR code is valid',
-        data: {
-          trackingNumber: packageData.trackingNumber,
-          status: package.status
-        }
-      });
+      ({ data: packageData, signed } = await contentKeyService.decryptPayload(encryptedData));
     } catch (error) {
       // If decryption fails, the QR code is invalid
-      res.status(200).json({ 
+      await qrCodeService.recordScanAttempt(encryptedData, null,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, QR_CODE.SCAN_OUTCOMES.DECRYPT_FAILED));
+      return res.status(200).json({ 
         success: true, 
         isValid: false, 
+        code: QR_CODE.ERROR_CODES.INVALID,
         message: 'QR code is invalid or has been tampered with' 
       });
     }
+    
+    // A genuine code is still unusable once revoked or expired
+    const qrStatus = await qrCodeService.checkQRCodeStatus(encryptedData);
+    if (qrStatus.code) {
+      await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, SCAN_OUTCOME_BY_CODE[qrStatus.code]));
+      return res.status(200).json({
+        success: true,
+        isValid: false,
+        code: qrStatus.code,
+        message: qrStatus.message
+      });
+    }
+    
+    // Verify the package exists
+    const package = await Package.findById(packageData.packageId);
+    if (!package) {
+      await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, QR_CODE.SCAN_OUTCOMES.PACKAGE_NOT_FOUND));
+      return res.status(200).json({ 
+        success: true, 
+        isValid: false, 
+        message: 'QR code is invalid or associated package not found' 
+      });
+    }
+    
+    // Verify tracking number matches
+    if (package.trackingNumber !== packageData.trackingNumber) {
+      await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+        buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, QR_CODE.SCAN_OUTCOMES.TRACKING_MISMATCH));
+      return res.status(200).json({ 
+        success: true, 
+        isValid: false, 
+        message: 'QR code contains invalid tracking information' 
+      });
+    }
+    
+    await qrCodeService.recordScanAttempt(encryptedData, qrStatus.qrCode,
+      buildScanData(req, QR_CODE.SCAN_ACTIONS.VERIFY, QR_CODE.SCAN_OUTCOMES.SUCCESS));
+    
+    res.status(200).json({
+      success: true,
+      isValid: true,
+      message: 'QR code is valid',
+      data: {
+        trackingNumber: packageData.trackingNumber,
+        status: package.status,
+        signed
+      }
+    });
   } catch (error) {
     console.error('Verify QR code error:', error);
     res.status(500).json({ success: false, message: 'Server error while verifying QR code' });
@@ -315,40 +443,65 @@ exports.verifyQRCode = async (req, res) => {
 };
 
 /**
- * Get scan history for a QR code
+ * Get scan history for a package, across every QR code issued for it
  */
 exports.getScanHistory = async (req, res) => {
   try {
     const { packageId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
     
     // Validate ObjectId
     if (!validateObjectId(packageId)) {
       return res.status(400).json({ success: false, message: 'Invalid package ID format' });
     }
     
+    // Parse filters
+    let isAuthorized;
+    if (req.query.authorized !== undefined) {
+      if (!['true', 'false'].includes(req.query.authorized)) {
+        return res.status(400).json({ success: false, message: 'Invalid authorized parameter. Use true or false' });
+      }
+      isAuthorized = req.query.authorized === 'true';
+    }
+    
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({ success: false, message: 'Invalid date range. Use ISO 8601 dates' });
+    }
+    
     // Find package
     const package = await Package.findById(packageId);
     if (!package) {
       return res.status(404).json({ success: false, message: 'Package not found' });
     }
     
-    // If user is a customer, ensure they can only view their own packages' scan history
-    if (req.user.role === 'customer' && package.customerId && package.customerId.toString() !== req.user.id) {
+    // Only admins, the sender and the assigned agent may view a package's scan history
+    const isAdmin = req.user.role === ROLES.ADMIN;
+    const isSender = Boolean(package.sender) && package.sender.toString() === req.user.id;
+    const isAssignedAgent = req.user.role === ROLES.DELIVERY_AGENT
+      && Boolean(package.assignedAgent) && package.assignedAgent.toString() === req.user.id;
+    if (!isAdmin && !isSender && !isAssignedAgent) {
       return res.status(403).json({ success: false, message: 'Not authorized to view this scan history' });
     }
     
-    // Find scan logs
-    const scanLogs = await TrackingLog.find({
-      packageId,
-      message: { $regex: /QR code scanned/ }
-    })
-      .populate('userId', 'name email role')
-      .sort({ createdAt: -1 });
+    const { scans, total } = await QRCode.getScanHistory(packageId, {
+      isAuthorized,
+      startDate,
+      endDate,
+      page,
+      limit,
+      includeClientDetails: isAdmin
+    });
     
     res.status(200).json({
       success: true,
-      count: scanLogs.length,
-      data: scanLogs
+      count: scans.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: scans
     });
   } catch (error) {
     console.error('Get scan history error:', error);
@@ -356,18 +509,101 @@ exports.getScanHistory = async (req, res) => {
   }
 };
 
+/**
+ * Compare QR sizes for a package under each payload encoding (admin only)
+ */
+exports.getEncodingMetrics = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    // Find package
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    // Measure the same payload the package's QR code carries
+    const packageData = {
+      trackingNumber: package.trackingNumber,
+      customerName: package.customerName,
+      customerPhone: package.customerPhone,
+      customerAddress: package.customerAddress,
+      packageId: package._id.toString()
+    };
+    
+    res.status(200).json({
+      success: true,
+      data: qrCodeService.getEncodingMetrics(packageData)
+    });
+  } catch (error) {
+    console.error('Get encoding metrics error:', error);
+    res.status(500).json({ success: false, message: 'Server error while measuring QR encodings' });
+  }
+};
+
+/**
+ * Get PII disclosure decisions for a package (admin only)
+ */
+exports.getDisclosureLog = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const filter = { package: packageId, action: 'pii-disclosure' };
+    const [decisions, total] = await Promise.all([
+      TrackingLog.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'firstName lastName email role'),
+      TrackingLog.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: decisions.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: decisions
+    });
+  } catch (error) {
+    console.error('Get disclosure log error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching disclosure log' });
+  }
+};
+
 /**
  * Invalidate QR code (for security reasons)
  */
 exports.invalidateQRCode = async (req, res) => {
   try {
-    const { packageId } = req.body;
+    const { packageId, reason = QR_CODE.REVOCATION_REASONS.COMPROMISED, details } = req.body;
     
     // Validate ObjectId
     if (!validateObjectId(packageId)) {
       return res.status(400).json({ success: false, message: 'Invalid package ID format' });
     }
     
+    // Validate revocation reason
+    if (!Object.values(QR_CODE.REVOCATION_REASONS).includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reason. Must be one of: ${Object.values(QR_CODE.REVOCATION_REASONS).join(', ')}`
+      });
+    }
+    
     // Find package
     const package = await Package.findById(packageId);
     if (!package) {
@@ -379,8 +615,11 @@ exports.invalidateQRCode = async (req, res) => {
       return res.status(404).json({ success: false, message: 'No QR code associated with this package' });
     }
     
-    // Delete old QR code
-    await QRCode.findByIdAndDelete(package.qrCodeId);
+    // Revoke the old QR code; the record is kept so printed labels keep failing
+    const oldQRCode = await QRCode.findById(package.qrCodeId);
+    if (oldQRCode) {
+      await qrCodeService.revokeQRCode(oldQRCode, { reason, details, userId: req.user.id });
+    }
     
     // Create package data object with sensitive information
     const packageData = {
@@ -391,9 +630,8 @@ exports.invalidateQRCode = async (req, res) => {
       packageId: package._id
     };
     
-    // Generate new encryption key and IV for this QR code
-    // Encrypt sensitive data with new key
-    const encryptedData = encryptionService.encryptAES(JSON.stringify(packageData));
+    // Encrypt sensitive data under the package content key and a fresh IV
+    const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(package._id, packageData);
     
     // Generate new QR code
     const qrCodeDataUrl = await qrCodeService.generateQRCode(encryptedData);
@@ -402,6 +640,8 @@ exports.invalidateQRCode = async (req, res) => {
     const newQRCode = new QRCode({
       packageId: package._id,
       encryptedData,
+      iv,
+      keyId,
       qrCodeDataUrl
     });
     
@@ -415,7 +655,7 @@ exports.invalidateQRCode = async (req, res) => {
     await TrackingLog.create({
       packageId: package._id,
       status: package.status,
-      message: 'QR code invalidated and regenerated for security',
+      message: `QR code revoked (${reason}) and regenerated for security`,
       userId: req.user.id
     });
     
@@ -431,4 +671,295 @@ exports.invalidateQRCode = async (req, res) => {
     console.error('Invalidate QR code error:', error);
     res.status(500).json({ success: false, message: 'Server error while invalidating QR code' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get encryption keyring status (admin only)
+ */
+exports.getKeyringStatus = async (req, res) => {
+  try {
+    const status = await keyRotationService.getStatus();
+    
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Get keyring status error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching keyring status' });
+  }
+};
+
+/**
+ * Re-encrypt stored QR payloads under the primary key (admin only)
+ */
+exports.rotateQRCodeKeys = async (req, res) => {
+  try {
+    if (keyRotationService.running) {
+      return res.status(409).json({ success: false, message: 'A key rotation run is already in progress' });
+    }
+    
+    // Run in the background; progress is visible through the keyring status endpoint
+    keyRotationService.run(req.user.id).catch((error) => {
+      console.error('Key rotation run error:', error);
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Key rotation started'
+    });
+  } catch (error) {
+    console.error('Rotate QR code keys error:', error);
+    res.status(500).json({ success: false, message: 'Server error while starting key rotation' });
+  }
+};
+
+
+/**
+ * Get the public key used to verify QR signatures offline
+ */
+exports.getSigningKey = async (req, res) => {
+  try {
+    const { keyId, algorithm, publicKey, spki } = encryptionService.getSigningPublicKey();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        keyId,
+        algorithm,
+        publicKey,
+        spki
+      }
+    });
+  } catch (error) {
+    console.error('Get signing key error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching signing key' });
+  }
+};
+
+/**
+ * Get revoked QR codes for agent devices (delta feed)
+ */
+exports.getRevokedQRCodes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || QR_CODE.REVOCATION_FEED_LIMIT, QR_CODE.REVOCATION_FEED_LIMIT);
+    
+    // Only return revocations from this point on
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid since parameter. Use an ISO 8601 date' });
+      }
+    }
+    
+    const { revocations, total } = await QRRevocation.getFeed({ since, page, limit });
+    
+    const data = revocations.map(revocation => ({
+      qrCodeId: revocation.qrCode,
+      packageId: revocation.package,
+      fingerprints: revocation.fingerprints,
+      reason: revocation.reason,
+      revokedAt: revocation.revokedAt
+    }));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      // Pass back as `since` on the next sync once all pages are fetched
+      nextSince: data.length > 0 ? data[data.length - 1].revokedAt : since,
+      data
+    });
+  } catch (error) {
+    console.error('Get revoked QR codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching revoked QR codes' });
+  }
+};
+
+/**
+ * Start a background job generating QR codes for many packages (admin only)
+ * Body: packageIds, or filter { status, startDate, endDate }; format; regenerate; pii
+ */
+exports.createBatchJob = async (req, res) => {
+  try {
+    const { packageIds, filter = {}, format = QR_BATCH.OUTPUT_FORMATS.LABEL_PDF, regenerate = false, pii } = req.body;
+    
+    if (!Object.values(QR_BATCH.OUTPUT_FORMATS).includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${Object.values(QR_BATCH.OUTPUT_FORMATS).join(', ')}`
+      });
+    }
+    
+    if (packageIds !== undefined) {
+      if (!Array.isArray(packageIds) || packageIds.length === 0 || !packageIds.every(id => validateObjectId(id))) {
+        return res.status(400).json({ success: false, message: 'packageIds must be a non-empty array of package IDs' });
+      }
+    } else {
+      if (!filter.status && !filter.startDate && !filter.endDate) {
+        return res.status(400).json({ success: false, message: 'Provide packageIds or a filter with status and/or a date range' });
+      }
+      
+      if (filter.status && !Object.values(TRACKING.STATUS).includes(filter.status)) {
+        return res.status(400).json({ success: false, message: 'Invalid status filter' });
+      }
+      
+      if ([filter.startDate, filter.endDate].some(date => date && isNaN(new Date(date).getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter. Use ISO 8601 dates' });
+      }
+    }
+    
+    const { fields: piiFields, unknown } = labelService.parsePiiFields(pii);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown PII fields: ${unknown.join(', ')}. Allowed: ${Object.values(LABEL.PII_FIELDS).join(', ')} or none`
+      });
+    }
+    
+    const selection = packageIds !== undefined
+      ? { packageIds }
+      : { status: filter.status, startDate: filter.startDate, endDate: filter.endDate };
+    const resolvedIds = await qrBatchService.resolvePackageIds(selection);
+    
+    if (resolvedIds.length === 0) {
+      return res.status(404).json({ success: false, message: 'No packages match the selection' });
+    }
+    
+    if (resolvedIds.length > QR_BATCH.MAX_PACKAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can hold at most ${QR_BATCH.MAX_PACKAGES} packages. Narrow the selection`
+      });
+    }
+    
+    const job = await qrBatchService.createJob({
+      packageIds: resolvedIds,
+      selection,
+      format,
+      regenerate: Boolean(regenerate),
+      piiFields
+    }, req.user.id);
+    
+    // Progress is visible through the job status endpoint
+    res.status(202).json({
+      success: true,
+      message: 'QR batch job queued',
+      data: job
+    });
+  } catch (error) {
+    console.error('Create QR batch job error:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating QR batch job' });
+  }
+};
+
+/**
+ * Get recent QR batch jobs (admin only)
+ */
+exports.getBatchJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
+    const [jobs, total] = await Promise.all([
+      QRBatchJob.find(filter)
+        .select('-packages -failures')
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      QRBatchJob.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Get QR batch jobs error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching QR batch jobs' });
+  }
+};
+
+/**
+ * Get a QR batch job with its progress (admin only)
+ */
+exports.getBatchJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!validateObjectId(jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID format' });
+    }
+    
+    const job = await QRBatchJob.findById(jobId).populate('createdBy', 'firstName lastName email');
+    
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'QR batch job not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get QR batch job error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching QR batch job' });
+  }
+};
+
+/**
+ * Download the PDF or ZIP produced by a finished QR batch job (admin only)
+ */
+exports.downloadBatchJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!validateObjectId(jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID format' });
+    }
+    
+    const job = await QRBatchJob.findById(jobId).select('+output.path');
+    
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'QR batch job not found' });
+    }
+    
+    if (job.status !== QR_BATCH.STATUS.COMPLETED) {
+      return res.status(409).json({
+        success: false,
+        message: `QR batch job is ${job.status}`,
+        data: { status: job.status, percentComplete: job.percentComplete, error: job.error }
+      });
+    }
+    
+    const content = await qrBatchService.readOutput(job);
+    
+    if (!content) {
+      return res.status(410).json({ success: false, message: 'QR batch output has expired' });
+    }
+    
+    res.set({
+      'Content-Type': job.output.contentType,
+      'Content-Disposition': `attachment; filename="${job.output.fileName}"`
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Download QR batch job error:', error);
+    res.status(500).json({ success: false, message: 'Server error while downloading QR batch output' });
+  }
+};
@@ -0,0 +1,206 @@
+const ShreddingReport = require('../models/ShreddingReport');
+const retentionService = require('../services/retentionService');
+const { isValidObjectId } = require('../utils/validators');
+const { RETENTION } = require('../config/constants');
+
+// HTTP status returned for each retention error code
+const RETENTION_STATUS_HTTP = {
+  [RETENTION.ERROR_CODES.INVALID_POLICY]: 400,
+  [RETENTION.ERROR_CODES.POLICY_NOT_FOUND]: 404,
+  [RETENTION.ERROR_CODES.POLICY_EXISTS]: 409
+};
+
+const sendResultError = (res, result) => res.status(RETENTION_STATUS_HTTP[result.code] || 400).json({
+  success: false,
+  code: result.code,
+  message: result.message
+});
+
+/**
+ * Get retention policies and the default that applies when none matches (admin only)
+ */
+exports.getRetentionPolicies = async (req, res) => {
+  try {
+    const policies = await retentionService.listPolicies();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policies,
+        defaultRetentionDays: RETENTION.DEFAULT_DAYS,
+        serviceLevels: Object.values(RETENTION.SERVICE_LEVELS)
+      }
+    });
+  } catch (error) {
+    console.error('Get retention policies error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching retention policies' });
+  }
+};
+
+/**
+ * Create a retention policy (admin only)
+ * Body: name, tenant, serviceLevel, retentionDays, isActive
+ */
+exports.createRetentionPolicy = async (req, res) => {
+  try {
+    const result = await retentionService.createPolicy(req.body, req.user.id);
+    if (result.code) {
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Retention policy created',
+      data: result.policy
+    });
+  } catch (error) {
+    console.error('Create retention policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating retention policy' });
+  }
+};
+
+/**
+ * Update a retention policy (admin only)
+ */
+exports.updateRetentionPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID format' });
+    }
+
+    const result = await retentionService.updatePolicy(id, req.body, req.user.id);
+    if (result.code) {
+      return sendResultError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy updated',
+      data: result.policy
+    });
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating retention policy' });
+  }
+};
+
+/**
+ * Delete a retention policy (admin only)
+ */
+exports.deleteRetentionPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID format' });
+    }
+
+    const result = await retentionService.deletePolicy(id, req.user.id);
+    if (result.code) {
+      return sendResultError(res, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy deleted'
+    });
+  } catch (error) {
+    console.error('Delete retention policy error:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting retention policy' });
+  }
+};
+
+/**
+ * Run the shredding job now (admin only)
+ * With dryRun set the packages that would be shredded are returned and nothing changes
+ */
+exports.runShredding = async (req, res) => {
+  try {
+    if (retentionService.running) {
+      return res.status(409).json({ success: false, message: 'A shredding run is already in progress' });
+    }
+
+    const dryRun = req.body.dryRun === true;
+    const result = await retentionService.run({ userId: req.user.id, dryRun });
+
+    if (result.skipped) {
+      return res.status(409).json({ success: false, message: result.reason });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Packages due for shredding' : 'Shredding run completed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Run shredding error:', error);
+    res.status(500).json({ success: false, message: 'Server error while shredding packages' });
+  }
+};
+
+/**
+ * Get shredding reports, newest first, without their package lists (admin only)
+ */
+exports.getShreddingReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [reports, total] = await Promise.all([
+      ShreddingReport.find()
+        .select('-packages -failures')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('triggeredBy', 'firstName lastName email'),
+      ShreddingReport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: reports
+    });
+  } catch (error) {
+    console.error('Get shredding reports error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching shredding reports' });
+  }
+};
+
+/**
+ * Get one shredding report with its hash and signature checked (admin only)
+ */
+exports.getShreddingReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid report ID format' });
+    }
+
+    const report = await ShreddingReport.findById(id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Shredding report not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report,
+        verification: retentionService.verifyReport(report)
+      }
+    });
+  } catch (error) {
+    console.error('Get shredding report error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching shredding report' });
+  }
+};
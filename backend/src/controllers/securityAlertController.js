@@ -0,0 +1,113 @@
+const SecurityAlert = require('../models/SecurityAlert');
+const { validateObjectId } = require('../utils/validators');
+const { SECURITY_ALERTS } = require('../config/constants');
+
+/**
+ * Get security alerts with filters and pagination (admin only)
+ */
+exports.getSecurityAlerts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.status) {
+      if (!Object.values(SECURITY_ALERTS.STATUS).includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: 'Invalid status filter' });
+      }
+      filter.status = req.query.status;
+    }
+
+    if (req.query.type) {
+      if (!Object.values(SECURITY_ALERTS.TYPES).includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: 'Invalid type filter' });
+      }
+      filter.type = req.query.type;
+    }
+
+    if (req.query.packageId) {
+      if (!validateObjectId(req.query.packageId)) {
+        return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+      }
+      filter.package = req.query.packageId;
+    }
+
+    const [alerts, total] = await Promise.all([
+      SecurityAlert.find(filter)
+        .sort({ lastSeenAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('package', 'trackingNumber status')
+        .populate('user', 'firstName lastName email role')
+        .populate('acknowledgedBy', 'firstName lastName email'),
+      SecurityAlert.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: alerts
+    });
+  } catch (error) {
+    console.error('Get security alerts error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching security alerts' });
+  }
+};
+
+/**
+ * Get count of open security alerts (admin only)
+ */
+exports.getOpenAlertCount = async (req, res) => {
+  try {
+    const count = await SecurityAlert.countDocuments({ status: SECURITY_ALERTS.STATUS.OPEN });
+
+    res.status(200).json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Get open alert count error:', error);
+    res.status(500).json({ success: false, message: 'Server error while counting security alerts' });
+  }
+};
+
+/**
+ * Acknowledge a security alert (admin only)
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    // Validate ObjectId
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid alert ID format' });
+    }
+
+    const alert = await SecurityAlert.findById(id);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Security alert not found' });
+    }
+
+    if (alert.status === SECURITY_ALERTS.STATUS.ACKNOWLEDGED) {
+      return res.status(409).json({ success: false, message: 'Security alert has already been acknowledged' });
+    }
+
+    await alert.acknowledge(req.user.id, note);
+
+    res.status(200).json({
+      success: true,
+      message: 'Security alert acknowledged',
+      data: alert
+    });
+  } catch (error) {
+    console.error('Acknowledge security alert error:', error);
+    res.status(500).json({ success: false, message: 'Server error while acknowledging security alert' });
+  }
+};
@@ -4,7 +4,49 @@ const QRCode = require('../models/QRCode');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const handoverPinService = require('../services/handoverPinService');
+const qrCodeService = require('../services/qrCodeService');
+const trackingChainService = require('../services/trackingChainService');
+const trackingLinkService = require('../services/trackingLinkService');
+const HandoverPin = require('../models/HandoverPin');
 const { validateObjectId } = require('../utils/validators');
+const { HANDOVER, QR_CODE, ROLES, TRACKING } = require('../config/constants');
+
+// HTTP status returned for each handover PIN error code
+const HANDOVER_STATUS_HTTP = {
+  [HANDOVER.ERROR_CODES.NOT_ISSUED]: 409,
+  [HANDOVER.ERROR_CODES.INVALID]: 400,
+  [HANDOVER.ERROR_CODES.EXPIRED]: 410,
+  [HANDOVER.ERROR_CODES.LOCKED]: 423,
+  [HANDOVER.ERROR_CODES.ALREADY_USED]: 409,
+  [HANDOVER.ERROR_CODES.RESEND_COOLDOWN]: 429,
+  [HANDOVER.ERROR_CODES.RESEND_LIMIT]: 429
+};
+
+// HTTP status returned for each redaction error code
+const CHAIN_STATUS_HTTP = {
+  [TRACKING.CHAIN.ERROR_CODES.NOT_FOUND]: 404,
+  [TRACKING.CHAIN.ERROR_CODES.ALREADY_REDACTED]: 409,
+  [TRACKING.CHAIN.ERROR_CODES.NOT_REDACTABLE]: 409
+};
+
+// HTTP status returned for each public tracking error code
+const PUBLIC_TRACKING_STATUS_HTTP = {
+  [TRACKING.PUBLIC.ERROR_CODES.SECOND_FACTOR_REQUIRED]: 400,
+  [TRACKING.PUBLIC.ERROR_CODES.INVALID_LINK]: 403,
+  [TRACKING.PUBLIC.ERROR_CODES.LINK_EXPIRED]: 410,
+  [TRACKING.PUBLIC.ERROR_CODES.NOT_FOUND]: 404
+};
+
+/**
+ * Whether the user is the delivery agent the package is assigned to
+ * @param {Object} pkg - Package document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+const isAssignedAgent = (pkg, user) => (
+  user.role === ROLES.DELIVERY_AGENT && Boolean(pkg.assignedAgent) && pkg.assignedAgent.toString() === user.id
+);
 
 /**
  * Get tracking history for a package
@@ -55,37 +97,30 @@ exports.getTrackingHistory = async (req, res) => {
 };
 
 /**
- * Get tracking history by tracking number (public endpoint)
+ * Get limited tracking information by tracking number (public)
+ * Query: token from a signed share link, or zip of the destination address
  */
 exports.getTrackingByNumber = async (req, res) => {
   try {
     const { trackingNumber } = req.params;
+    const { token, zip } = req.query;
     
-    // Find package by tracking number
-    const package = await Package.findOne({ trackingNumber });
-    if (!package) {
-      return res.status(404).json({ success: false, message: 'Package not found' });
+    if ((token !== undefined && typeof token !== 'string') || (zip !== undefined && typeof zip !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Invalid tracking lookup parameters' });
     }
     
-    // Find tracking logs
-    const trackingLogs = await TrackingLog.find({ packageId: package._id })
-      .select('-userId') // Don't expose user information in public endpoint
-      .sort({ createdAt: 1 });
+    const result = await trackingLinkService.lookup(trackingNumber, { token, zip });
+    if (result.code) {
+      return res.status(PUBLIC_TRACKING_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
     
     res.status(200).json({
       success: true,
-      data: {
-        package: {
-          trackingNumber: package.trackingNumber,
-          status: package.status,
-          createdAt: package.createdAt
-        },
-        trackingHistory: trackingLogs.map(log => ({
-          status: log.status,
-          message: log.message,
-          createdAt: log.createdAt
-        }))
-      }
+      data: result
     });
   } catch (error) {
     console.error('Get tracking by number error:', error);
@@ -93,6 +128,39 @@ exports.getTrackingByNumber = async (req, res) => {
   }
 };
 
+/**
+ * Create a signed link that shows the package status without a zip code
+ * Access: Admin or Sender
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    const isSender = package.sender && package.sender.toString() === req.user.id;
+    if (req.user.role !== ROLES.ADMIN && !isSender) {
+      return res.status(403).json({ success: false, message: 'Not authorized to share tracking for this package' });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: trackingLinkService.createLink(package.trackingNumber)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ success: false, message: 'Server error while creating tracking link' });
+  }
+};
+
 /**
  * Add tracking event
  */
@@ -111,6 +179,14 @@ exports.addTrackingEvent = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Package not found' });
     }
     
+    // Delivery is only confirmed through the handover endpoint
+    if (status === TRACKING.STATUS.DELIVERED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/tracking/:packageId/delivered with the handover PIN to mark a package delivered'
+      });
+    }
+    
     // Create tracking log entry
     const trackingLog = new TrackingLog({
       packageId,
@@ -126,6 +202,11 @@ exports.addTrackingEvent = async (req, res) => {
     if (status && status !== package.status) {
       package.status = status;
       await package.save();
+      
+      // Email the recipient a handover PIN for the doorstep
+      if (status === TRACKING.STATUS.OUT_FOR_DELIVERY) {
+        await handoverPinService.issue(package, req.user.id);
+      }
     }
     
     // Send email notification to customer if email exists
@@ -382,29 +463,378 @@ exports.getTrackingAnalytics = async (req, res) => {
 
 /**
  * Delete tracking event (admin only)
+ * History is never removed: the entry's content is cleared and a signed redaction entry is appended
+ * Body: reason
  */
 exports.deleteTrackingEvent = async (req, res) => {
   try {
     const { id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
     
     // Validate ObjectId
     if (!validateObjectId(id)) {
       return res.status(400).json({ success: false, message: 'Invalid tracking event ID format' });
     }
     
-    const trackingEvent = await TrackingLog.findById(id);
-    if (!trackingEvent) {
-      return res.status(404).json({ success: false, message: 'Tracking event not found' });
+    if (reason.length < TRACKING.CHAIN.MIN_REDACTION_REASON) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason of at least ${TRACKING.CHAIN.MIN_REDACTION_REASON} characters is required`
+      });
     }
     
-    await TrackingLog.findByIdAndDelete(id);
+    const result = await trackingChainService.redactEntry(id, reason, {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.code) {
+      return res.status(CHAIN_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Tracking event deleted successfully'
+      message: 'Tracking event redacted',
+      data: result.entry
     });
   } catch (error) {
     console.error('Delete tracking event error:', error);
     res.status(500).json({ success: false, message: 'Server error while deleting tracking event' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Validate the hash chain of a package's tracking history
+ * Allowed for admins, the assigned agent and the package sender
+ */
+exports.verifyTrackingChain = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    const isSender = req.user.role === ROLES.CUSTOMER && package.sender && package.sender.toString() === req.user.id;
+    if (req.user.role !== ROLES.ADMIN && !isAssignedAgent(package, req.user) && !isSender) {
+      return res.status(403).json({ success: false, message: 'Not authorized to verify this tracking history' });
+    }
+    
+    const report = await trackingChainService.verifyPackage(package._id);
+    
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Verify tracking chain error:', error);
+    res.status(500).json({ success: false, message: 'Server error while verifying tracking history' });
+  }
+};
+
+/**
+ * Mark a package delivered once the recipient's handover PIN is confirmed
+ * Body: pin, notes, location { latitude, longitude, address }
+ */
+exports.markPackageDelivered = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const { pin, notes, location } = req.body;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    // Only the assigned agent (or an admin) can hand the package over
+    if (req.user.role !== ROLES.ADMIN && !isAssignedAgent(package, req.user)) {
+      return res.status(403).json({ success: false, message: 'Package is not assigned to you' });
+    }
+    
+    if (package.status !== TRACKING.STATUS.OUT_FOR_DELIVERY) {
+      return res.status(409).json({
+        success: false,
+        message: `Package must be ${TRACKING.STATUS.OUT_FOR_DELIVERY} to be delivered (currently ${package.status})`
+      });
+    }
+    
+    const handover = await handoverPinService.confirmHandover(package, pin, {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (handover.code) {
+      return res.status(HANDOVER_STATUS_HTTP[handover.code] || 400).json({
+        success: false,
+        code: handover.code,
+        message: handover.message,
+        remainingAttempts: handover.remainingAttempts
+      });
+    }
+    
+    package.status = TRACKING.STATUS.DELIVERED;
+    package.actualDelivery = new Date();
+    await package.save();
+    
+    const trackingLog = await TrackingLog.logAction({
+      package: package._id,
+      user: req.user.id,
+      action: 'delivered',
+      status: TRACKING.STATUS.DELIVERED,
+      details: { handover: handover.method, notes },
+      location: location && typeof location.latitude === 'number' && typeof location.longitude === 'number'
+        ? { latitude: location.latitude, longitude: location.longitude, address: location.address }
+        : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    // The label has done its job; later scans of it are rejected
+    if (package.qrCode) {
+      const qrCode = await QRCode.findById(package.qrCode);
+      if (qrCode && qrCode.isActive) {
+        await qrCodeService.revokeQRCode(qrCode, { reason: QR_CODE.REVOCATION_REASONS.DELIVERED, userId: req.user.id })
+          .catch((error) => console.error('Revoke delivered QR code error:', error));
+      }
+    }
+    
+    if (package.recipient && package.recipient.email) {
+      await emailService.sendDeliveryConfirmation(
+        package.recipient.email,
+        package.recipient.name,
+        package._id,
+        package.trackingNumber
+      ).catch((error) => console.error('Delivery confirmation email error:', error));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Package marked as delivered',
+      data: {
+        package,
+        handover: handover.method,
+        trackingLog
+      }
+    });
+  } catch (error) {
+    console.error('Mark package delivered error:', error);
+    res.status(500).json({ success: false, message: 'Server error while marking package delivered' });
+  }
+};
+
+/**
+ * Get handover PIN state for a package (never the PIN itself)
+ */
+exports.getHandoverPinStatus = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    if (req.user.role !== ROLES.ADMIN && !isAssignedAgent(package, req.user)) {
+      return res.status(403).json({ success: false, message: 'Package is not assigned to you' });
+    }
+    
+    const handoverPin = await HandoverPin.findOne({ package: package._id })
+      .populate('override.by', 'firstName lastName email');
+    
+    if (!handoverPin) {
+      return res.status(404).json({ success: false, message: 'No handover PIN has been issued for this package' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: handoverPin
+    });
+  } catch (error) {
+    console.error('Get handover PIN status error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching handover PIN status' });
+  }
+};
+
+/**
+ * Send the recipient a new handover PIN
+ * Allowed for admins, the assigned agent and the package sender
+ */
+exports.resendHandoverPin = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    const isSender = req.user.role === ROLES.CUSTOMER && package.sender && package.sender.toString() === req.user.id;
+    if (req.user.role !== ROLES.ADMIN && !isAssignedAgent(package, req.user) && !isSender) {
+      return res.status(403).json({ success: false, message: 'Not authorized to resend the handover PIN' });
+    }
+    
+    if (package.status !== TRACKING.STATUS.OUT_FOR_DELIVERY) {
+      return res.status(409).json({ success: false, message: 'Package is not out for delivery' });
+    }
+    
+    const result = await handoverPinService.resend(package, req.user.id);
+    
+    if (result.code) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(HANDOVER_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: result.sent ? 'A new handover PIN was sent to the recipient' : 'A new handover PIN was issued but the email could not be sent',
+      data: {
+        sent: result.sent,
+        expiresAt: result.handoverPin.expiresAt,
+        sendsRemaining: Math.max(HANDOVER.MAX_SENDS - result.handoverPin.sendCount, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Resend handover PIN error:', error);
+    res.status(500).json({ success: false, message: 'Server error while resending handover PIN' });
+  }
+};
+
+/**
+ * Reset a locked or exhausted handover PIN and send a new one (admin only); the justification is logged
+ */
+exports.resetHandoverPin = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const justification = typeof req.body.justification === 'string' ? req.body.justification.trim() : '';
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    if (justification.length < HANDOVER.MIN_OVERRIDE_JUSTIFICATION) {
+      return res.status(400).json({
+        success: false,
+        message: `A justification of at least ${HANDOVER.MIN_OVERRIDE_JUSTIFICATION} characters is required`
+      });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    if (package.status !== TRACKING.STATUS.OUT_FOR_DELIVERY) {
+      return res.status(409).json({ success: false, message: 'Package is not out for delivery' });
+    }
+    
+    const result = await handoverPinService.reset(package, req.user.id, justification, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.code) {
+      return res.status(HANDOVER_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: result.sent ? 'Handover PIN reset and a new PIN was sent to the recipient' : 'Handover PIN reset but the email could not be sent',
+      data: result.handoverPin
+    });
+  } catch (error) {
+    console.error('Reset handover PIN error:', error);
+    res.status(500).json({ success: false, message: 'Server error while resetting handover PIN' });
+  }
+};
+
+/**
+ * Confirm a handover without the PIN (admin only); the justification is logged
+ */
+exports.overrideHandoverPin = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const justification = typeof req.body.justification === 'string' ? req.body.justification.trim() : '';
+    
+    // Validate ObjectId
+    if (!validateObjectId(packageId)) {
+      return res.status(400).json({ success: false, message: 'Invalid package ID format' });
+    }
+    
+    if (justification.length < HANDOVER.MIN_OVERRIDE_JUSTIFICATION) {
+      return res.status(400).json({
+        success: false,
+        message: `A justification of at least ${HANDOVER.MIN_OVERRIDE_JUSTIFICATION} characters is required`
+      });
+    }
+    
+    const package = await Package.findById(packageId);
+    if (!package) {
+      return res.status(404).json({ success: false, message: 'Package not found' });
+    }
+    
+    if (package.status !== TRACKING.STATUS.OUT_FOR_DELIVERY) {
+      return res.status(409).json({ success: false, message: 'Package is not out for delivery' });
+    }
+    
+    const result = await handoverPinService.override(package, req.user.id, justification, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.code) {
+      return res.status(HANDOVER_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Handover PIN overridden. The assigned agent can now mark the package delivered',
+      data: result.handoverPin
+    });
+  } catch (error) {
+    console.error('Override handover PIN error:', error);
+    res.status(500).json({ success: false, message: 'Server error while overriding handover PIN' });
+  }
+};
@@ -1,7 +1,16 @@
 const User = require('../models/User');
 const encryptionService = require('../services/encryptionService');
 const emailService = require('../services/emailService');
+const agentKeyService = require('../services/agentKeyService');
 const { validateObjectId } = require('../utils/validators');
+const { AGENT_KEYS } = require('../config/constants');
+
+// HTTP status returned for each device key error code
+const DEVICE_KEY_STATUS_HTTP = {
+  [AGENT_KEYS.ERROR_CODES.INVALID_PUBLIC_KEY]: 400,
+  [AGENT_KEYS.ERROR_CODES.DEVICE_KEY_NOT_FOUND]: 404,
+  [AGENT_KEYS.ERROR_CODES.DEVICE_KEY_REVOKED]: 409
+};
 
 /**
  * Get all users (admin only)
@@ -21,12 +30,13 @@ exports.getAllUsers = async (req, res) => {
     if (req.query.search) {
       filter.$or = [
         { name: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } }
+        { email: { $regex: req.query.search, $options: 'i' } },
+        ...User.searchFilter(req.query.search) // Phone numbers are encrypted
       ];
     }
 
     const users = await User.find(filter)
-      .select('-password -refreshToken -twoFactorSecret -twoFactorToken -twoFactorExpires -passwordResetToken -passwordResetExpires')
+      .select('-password -twoFactorSecret -twoFactorToken -twoFactorExpires -passwordResetToken -passwordResetExpires -searchIndex')
       .skip(skip)
       .limit(limit)
       .sort({ createdAt: -1 });
@@ -65,7 +75,7 @@ exports.getUserById = async (req, res) => {
     }
 
     const user = await User.findById(id)
-      .select('-password -refreshToken -twoFactorSecret -twoFactorToken -twoFactorExpires -passwordResetToken -passwordResetExpires');
+      .select('-password -twoFactorSecret -twoFactorToken -twoFactorExpires -passwordResetToken -passwordResetExpires');
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
@@ -341,4 +351,115 @@ exports.getUserStats = async (req, res) => {
     console.error('Get user stats error:', error);
     res.status(500).json({ success: false, message: 'Server error while fetching user statistics' });
   }
-};
\ No newline at end of file
+};
+/**
+ * Enroll a device of the current delivery agent by its public key
+ * The agent's assigned packages are granted to the device right away
+ */
+exports.registerDeviceKey = async (req, res) => {
+  try {
+    const { publicKey, label } = req.body;
+
+    const result = await agentKeyService.registerDeviceKey(req.user.id, {
+      publicKey,
+      label,
+      userAgent: req.headers['user-agent']
+    });
+    if (result.code) {
+      return res.status(DEVICE_KEY_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.failed.length > 0
+        ? 'Device enrolled, but some packages could not be granted to it. Enroll the device again to retry'
+        : 'Device enrolled successfully',
+      data: {
+        device: result.deviceKey,
+        packagesGranted: result.granted,
+        packagesFailed: result.failed
+      }
+    });
+  } catch (error) {
+    console.error('Register device key error:', error);
+    res.status(500).json({ success: false, message: 'Server error while enrolling device' });
+  }
+};
+
+/**
+ * List the devices enrolled by the current delivery agent
+ */
+exports.getMyDeviceKeys = async (req, res) => {
+  try {
+    const devices = await agentKeyService.listDeviceKeys(req.user.id);
+
+    res.status(200).json({ success: true, count: devices.length, data: devices });
+  } catch (error) {
+    console.error('Get device keys error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching devices' });
+  }
+};
+
+/**
+ * List the devices enrolled by a delivery agent (admin only)
+ */
+exports.getAgentDeviceKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+    }
+
+    const agent = await User.findById(id);
+    if (!agent) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const devices = await agentKeyService.listDeviceKeys(id);
+
+    res.status(200).json({ success: true, count: devices.length, data: devices });
+  } catch (error) {
+    console.error('Get agent device keys error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching devices' });
+  }
+};
+
+/**
+ * Revoke a delivery agent's device, e.g. a lost phone (admin only)
+ */
+exports.revokeDeviceKey = async (req, res) => {
+  try {
+    const { id, deviceId } = req.params;
+    const { reason } = req.body;
+
+    if (!validateObjectId(id) || !validateObjectId(deviceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user or device ID format' });
+    }
+
+    const result = await agentKeyService.revokeDeviceKey(id, deviceId, { userId: req.user.id, reason });
+    if (result.code) {
+      return res.status(DEVICE_KEY_STATUS_HTTP[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device revoked successfully',
+      data: {
+        device: result.deviceKey,
+        packagesRekeyed: result.rekeyed
+      }
+    });
+  } catch (error) {
+    console.error('Revoke device key error:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking device' });
+  }
+};
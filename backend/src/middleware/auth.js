@@ -1,13 +1,40 @@
 const jwt = require('jsonwebtoken');
-const { AUTH } = require('../config/constants');
+const { AUTH, ROLES } = require('../config/constants');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('auth-middleware');
 
+/**
+ * Whether the access token of a request was issued after a second factor that meets the MFA policy
+ * Sessions from an emailed code carry AUTH.AMR.EMAIL_OTP instead, and do not count
+ * @param {Object} req - Express request, after authenticate
+ * @returns {boolean}
+ */
+const hasMfa = (req) => Boolean(req.auth && req.auth.amr.includes(AUTH.AMR.OTP));
+
+/**
+ * Refuse a request that needs a second factor
+ * Users with 2FA log in again with it; users without are sent to set it up first
+ */
+const sendMfaRequired = (req, res) => {
+  const enrolled = req.user.twoFactorEnabled;
+  
+  return res.status(403).json({ 
+    success: false, 
+    code: enrolled ? AUTH.MFA.ERROR_CODES.REQUIRED : AUTH.MFA.ERROR_CODES.ENROLLMENT_REQUIRED,
+    message: enrolled
+      ? 'Two-factor authentication required. Please login again with your second factor.'
+      : 'Set up two-factor authentication to continue.',
+    requireTwoFactor: true
+  });
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request object
+ * Also enforces the MFA policy of AUTH.MFA.REQUIRED_ROLES
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -50,122 +77,90 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    // Attach user to request object
-    req.user = user;
-    next();
-  } catch (error) {
-    logger.error('Authentication error:', error);
-    
-    if (error.name === 'TokenExpiredError') {
+    // Tokens issued before a password change stop working
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Token expired. Please login again.' 
-      });
-    }
-    
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid token. Please login again.' 
-    });
-  }
-};
-
-/**
- * Verify refresh token middleware
- * Used for issuing new access tokens
- */
-const verifyRefreshToken = async (req, res, next) => {
-  try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Refresh token is required.' 
+        message: 'Password was changed. Please login again.' 
       });
     }
     
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, AUTH.REFRESH_TOKEN_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id);
-    
-    if (!user) {
+    // Tokens of a session that was logged out or revoked stop working before they expire
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid refresh token. User not found.' 
+        message: 'Session has ended. Please login again.' 
       });
     }
     
-    if (!user.isActive) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied. Your account is inactive.' 
-      });
-    }
+    // Attach user and how the session was authenticated to request object
+    req.user = user;
+    req.auth = { sid: decoded.sid, amr: decoded.amr || [AUTH.AMR.PASSWORD] };
     
-    if (user.refreshToken !== refreshToken) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid refresh token. Please login again.' 
-      });
+    // MFA policy: sessions of these roles need a second factor, except on the routes that set one up
+    if (AUTH.MFA.REQUIRED_ROLES.includes(user.role) && !req.mfaExempt && !hasMfa(req)) {
+      return sendMfaRequired(req, res);
     }
     
-    // Attach user to request object
-    req.user = user;
     next();
   } catch (error) {
-    logger.error('Refresh token verification error:', error);
+    logger.error('Authentication error:', error);
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         success: false, 
-        message: 'Refresh token expired. Please login again.' 
+        message: 'Token expired. Please login again.' 
       });
     }
     
     return res.status(401).json({ 
       success: false, 
-      message: 'Invalid refresh token. Please login again.' 
+      message: 'Invalid token. Please login again.' 
     });
   }
 };
 
 /**
- * Verify two-factor authentication status
- * Ensures user has completed 2FA if enabled
+ * Require a second factor from any role
+ * Roles in AUTH.MFA.REQUIRED_ROLES already need one on every route
  */
-const verifyTwoFactor = async (req, res, next) => {
-  try {
-    // Skip if 2FA is not enabled
-    if (!req.user.twoFactorEnabled) {
-      return next();
-    }
-    
-    // Check if 2FA verification flag is set in session
-    const twoFactorVerified = req.session && req.session.twoFactorVerified;
-    
-    if (!twoFactorVerified) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Two-factor authentication required.',
-        requireTwoFactor: true
-      });
-    }
-    
-    next();
-  } catch (error) {
-    logger.error('Two-factor verification error:', error);
-    return res.status(500).json({ 
+const requireMfa = (req, res, next) => {
+  if (!hasMfa(req)) {
+    return sendMfaRequired(req, res);
+  }
+  
+  next();
+};
+
+/**
+ * Let a route through the MFA policy, for the routes users need to set up 2FA
+ * Must run before authenticate
+ */
+const allowWithoutMfa = (req, res, next) => {
+  req.mfaExempt = true;
+  next();
+};
+
+/**
+ * Require a verified email address from customers
+ * Staff accounts are created by admins and are not held to it
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.role === ROLES.CUSTOMER && !req.user.isEmailVerified()) {
+    return res.status(403).json({ 
       success: false, 
-      message: 'Server error during two-factor verification.' 
+      code: AUTH.EMAIL_VERIFICATION.ERROR_CODES.NOT_VERIFIED,
+      message: 'Please verify your email address first.',
+      requireEmailVerification: true
     });
   }
+  
+  next();
 };
 
 module.exports = {
   authenticate,
-  verifyRefreshToken,
-  verifyTwoFactor
+  requireMfa,
+  allowWithoutMfa,
+  requireVerifiedEmail
 };
\ No newline at end of file
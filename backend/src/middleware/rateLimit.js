@@ -0,0 +1,128 @@
+const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const { RATE_LIMIT, TRACKING, AUTH } = require('../config/constants');
+const { logSecurity } = require('../utils/logger');
+const trackingLinkService = require('../services/trackingLinkService');
+
+/**
+ * Build a limiter for public tracking lookups
+ * Only refused lookups count, so a customer checking their own package is never locked out
+ * @param {number} max - Failed lookups allowed per window
+ * @param {Function} keyGenerator - Request to limiter key
+ * @param {string} scope - Name used in the log line when the limit is hit
+ * @param {Function} skip - Request to whether the limiter leaves it alone (optional)
+ * @returns {Function} - Express middleware
+ */
+const createTrackingLimiter = (max, keyGenerator, scope, skip = () => false) => rateLimit({
+  windowMs: TRACKING.PUBLIC.RATE_LIMIT_WINDOW_MS,
+  max,
+  keyGenerator,
+  skip,
+  skipSuccessfulRequests: true,
+  standardHeaders: RATE_LIMIT.STANDARD_HEADERS,
+  legacyHeaders: RATE_LIMIT.LEGACY_HEADERS,
+  handler: (req, res) => {
+    logSecurity('tracking-lookup-limited', `Failed public tracking lookups limited per ${scope}`, {
+      ip: req.ip,
+      trackingNumber: req.params.trackingNumber
+    });
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed tracking lookups, please try again later'
+    });
+  }
+});
+
+/**
+ * Limit failed lookups from one IP across tracking numbers, against enumeration
+ */
+const trackingLookupLimiterByIp = createTrackingLimiter(
+  TRACKING.PUBLIC.MAX_FAILED_PER_IP,
+  (req) => req.ip,
+  'IP'
+);
+
+/**
+ * Limit failed lookups of one tracking number across IPs, against guessing its zip code
+ * Lookups with a valid share link are not limited, so wrong zip codes from others cannot
+ * block the people the link was shared with
+ */
+const trackingLookupLimiterByNumber = createTrackingLimiter(
+  TRACKING.PUBLIC.MAX_FAILED_PER_TRACKING_NUMBER,
+  (req) => String(req.params.trackingNumber).toUpperCase(),
+  'tracking number',
+  (req) => typeof req.query.token === 'string'
+    && trackingLinkService.verifyToken(req.params.trackingNumber, req.query.token) === null
+);
+
+/**
+ * Limit failed second factor attempts from one IP, against guessing 6 digit codes
+ * Only refused attempts count, as with tracking lookups
+ */
+const twoFactorLimiter = rateLimit({
+  windowMs: AUTH.TWO_FACTOR.RATE_LIMIT_WINDOW_MS,
+  max: AUTH.TWO_FACTOR.MAX_FAILED_PER_IP,
+  keyGenerator: (req) => req.ip,
+  skipSuccessfulRequests: true,
+  standardHeaders: RATE_LIMIT.STANDARD_HEADERS,
+  legacyHeaders: RATE_LIMIT.LEGACY_HEADERS,
+  handler: (req, res) => {
+    logSecurity('two-factor-limited', 'Failed two-factor attempts limited per IP', {
+      ip: req.ip,
+      path: req.originalUrl
+    });
+    res.status(429).json({
+      success: false,
+      error: 'Too many failed verification attempts, please try again later'
+    });
+  }
+});
+
+/**
+ * Account id from the pre-auth token of a request, only if the token is genuine
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getPreAuthUserId = (req) => {
+  try {
+    const decoded = jwt.verify(String(req.body.preAuthToken || ''), AUTH.PRE_AUTH_TOKEN_SECRET);
+    return decoded.id || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Limit failed second factor attempts against one account across IPs
+ * Keyed by the account only for a verified pre-auth token; otherwise anyone could forge a token
+ * naming a victim and use up their attempts, so forged or expired tokens count against the IP
+ */
+const twoFactorLimiterByUser = rateLimit({
+  windowMs: AUTH.TWO_FACTOR.RATE_LIMIT_WINDOW_MS,
+  max: AUTH.TWO_FACTOR.MAX_FAILED_PER_USER,
+  keyGenerator: (req) => {
+    const userId = getPreAuthUserId(req);
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  },
+  skipSuccessfulRequests: true,
+  standardHeaders: RATE_LIMIT.STANDARD_HEADERS,
+  legacyHeaders: RATE_LIMIT.LEGACY_HEADERS,
+  handler: (req, res) => {
+    const userId = getPreAuthUserId(req);
+    logSecurity('two-factor-limited', `Failed two-factor attempts limited per ${userId ? 'account' : 'IP'}`, {
+      ip: req.ip,
+      userId
+    });
+    res.status(429).json({
+      success: false,
+      error: 'Too many failed verification attempts, please try again later'
+    });
+  }
+});
+
+module.exports = {
+  trackingLookupLimiterByIp,
+  trackingLookupLimiterByNumber,
+  twoFactorLimiter,
+  twoFactorLimiterByUser
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { AGENT_KEYS } = require('../config/constants');
+
+const AgentDeviceKeySchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  publicKey: {
+    type: String, // Base64 SPKI; the private key never leaves the device
+    required: true
+  },
+  fingerprint: {
+    type: String, // SHA-256 of the SPKI bytes, hex encoded
+    required: true
+  },
+  algorithm: {
+    type: String,
+    default: AGENT_KEYS.ALGORITHM
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date // Last time the device fetched customer details
+  },
+  status: {
+    type: String,
+    enum: Object.values(AGENT_KEYS.DEVICE_KEY_STATUS),
+    default: AGENT_KEYS.DEVICE_KEY_STATUS.ACTIVE
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AgentDeviceKeySchema.index({ agent: 1, status: 1 });
+AgentDeviceKeySchema.index({ agent: 1, fingerprint: 1 });
+
+// Method to return device details without the key material
+AgentDeviceKeySchema.methods.toJSON = function() {
+  const deviceKey = this.toObject();
+  delete deviceKey.publicKey;
+  return deviceKey;
+};
+
+module.exports = mongoose.model('AgentDeviceKey', AgentDeviceKeySchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { HANDOVER, AUTH } = require('../config/constants');
+
+const HandoverPinSchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true,
+    unique: true // One PIN per package; resends replace it
+  },
+  pinHash: {
+    type: String, // Unset when an admin overrides a package that never got a PIN
+    select: false
+  },
+  status: {
+    type: String,
+    enum: Object.values(HANDOVER.STATUS),
+    default: HANDOVER.STATUS.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0 // Wrong entries across every PIN of the package, until an admin reset
+  },
+  sendCount: {
+    type: Number,
+    default: 0 // PINs sent for the package, including re-issues, until an admin reset
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  override: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    justification: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date
+    }
+  },
+  lastReset: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    justification: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date
+    }
+  }
+});
+
+// Method to replace the PIN and its expiry; wrong entries keep counting across every PIN of the
+// package, so sending it out again cannot buy more guesses. Only an admin reset clears them
+HandoverPinSchema.methods.setPin = async function(pin) {
+  this.pinHash = await bcrypt.hash(pin, AUTH.BCRYPT_SALT_ROUNDS);
+  this.status = HANDOVER.STATUS.PENDING;
+  this.issuedAt = new Date();
+  this.expiresAt = new Date(Date.now() + HANDOVER.PIN_EXPIRY * 1000);
+  this.verifiedAt = undefined;
+  this.verifiedBy = undefined;
+};
+
+// Method to compare an entered PIN; requires pinHash to be selected
+HandoverPinSchema.methods.comparePin = async function(candidatePin) {
+  return await bcrypt.compare(String(candidatePin), this.pinHash);
+};
+
+// Whether the PIN can no longer be entered because its time ran out
+HandoverPinSchema.virtual('isExpired').get(function() {
+  return !this.expiresAt || this.expiresAt <= new Date();
+});
+
+// Wrong entries left before the PIN locks
+HandoverPinSchema.virtual('remainingAttempts').get(function() {
+  return Math.max(HANDOVER.MAX_ATTEMPTS - this.attempts, 0);
+});
+
+// Method to return PIN state without the hash
+HandoverPinSchema.methods.toJSON = function() {
+  const pin = this.toObject({ virtuals: true });
+  delete pin.pinHash;
+  delete pin.id;
+  return pin;
+};
+
+module.exports = mongoose.model('HandoverPin', HandoverPinSchema);
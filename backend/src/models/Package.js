@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { TRACKING } = require('../config/constants');
+const { RETENTION, TRACKING } = require('../config/constants');
+const fieldEncryption = require('./plugins/fieldEncryption');
+const contentKeyService = require('../services/contentKeyService');
 
 const AddressSchema = new mongoose.Schema({
   street: {
@@ -27,6 +30,18 @@ const AddressSchema = new mongoose.Schema({
     required: true,
     trim: true,
     default: 'United States'
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
   }
 }, { _id: false });
 
@@ -97,6 +112,11 @@ const StatusHistorySchema = new mongoose.Schema({
   }
 });
 
+// Shredded packages keep their tracking record but no longer have recipient details
+function isNotShredded() {
+  return !this.shreddedAt;
+}
+
 const PackageSchema = new mongoose.Schema({
   trackingNumber: {
     type: String,
@@ -111,7 +131,7 @@ const PackageSchema = new mongoose.Schema({
   },
   recipient: {
     type: RecipientSchema,
-    required: true
+    required: isNotShredded // Removed for good by crypto-shredding, see shreddedAt
   },
   pickupAddress: {
     type: AddressSchema,
@@ -119,7 +139,7 @@ const PackageSchema = new mongoose.Schema({
   },
   deliveryAddress: {
     type: AddressSchema,
-    required: true
+    required: isNotShredded
   },
   weight: {
     value: {
@@ -168,6 +188,33 @@ const PackageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  tenant: {
+    type: String, // Shipper account the package belongs to, selects its retention policy
+    trim: true
+  },
+  serviceLevel: {
+    type: String,
+    enum: Object.values(RETENTION.SERVICE_LEVELS),
+    default: RETENTION.SERVICE_LEVELS.STANDARD
+  },
+  shreddedAt: {
+    type: Date // Set once the content key is destroyed; recipient details are gone for good
+  },
+  customerEnvelope: {
+    // Customer details under the package data key, readable only with an agent key grant
+    ciphertext: {
+      type: String
+    },
+    iv: {
+      type: String
+    },
+    dataKeyVersion: {
+      type: Number
+    },
+    sealedAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -178,6 +225,21 @@ const PackageSchema = new mongoose.Schema({
   }
 });
 
+// Recipient PII is encrypted at rest under the package content key, with blind indexes for support searches
+PackageSchema.plugin(fieldEncryption, {
+  fields: ['recipient', 'deliveryAddress'],
+  context: 'package',
+  blindIndexes: {
+    email: { path: 'recipient.email', type: 'email' },
+    phone: { path: 'recipient.phone', type: 'phone' },
+    name: { path: 'recipient.name', type: 'name' }
+  },
+  contentKeys: contentKeyService
+});
+
+// Find delivered packages that are due for shredding
+PackageSchema.index({ shreddedAt: 1, actualDelivery: 1 });
+
 // Update the updatedAt timestamp before saving
 PackageSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -193,12 +255,15 @@ PackageSchema.pre('save', function(next) {
   next();
 });
 
-// Generate tracking number
+// Generate tracking number: CS-YYYYMMDD-XXXXXXXXXX with 50 random bits, too many to enumerate
 PackageSchema.statics.generateTrackingNumber = function() {
   const prefix = 'CS'; // Cipher Ship
-  const timestamp = Date.now().toString().slice(-8);
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `${prefix}${timestamp}${random}`;
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = Array.from(
+    { length: TRACKING.NUMBER_RANDOM_LENGTH },
+    () => TRACKING.NUMBER_ALPHABET[crypto.randomInt(TRACKING.NUMBER_ALPHABET.length)]
+  ).join('');
+  return `${prefix}-${date}-${random}`;
 };
 
 // Get current status with formatted timestamp
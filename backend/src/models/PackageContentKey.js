@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Key the package PII and QR payloads are sealed under; deleting it shreds them
+const PackageContentKeySchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true,
+    unique: true
+  },
+  keyId: {
+    type: String, // Master keyring entry the content key is wrapped with
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rewrappedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Find keys that still need rewrapping under the primary key
+PackageContentKeySchema.index({ keyId: 1 });
+
+module.exports = mongoose.model('PackageContentKey', PackageContentKeySchema);
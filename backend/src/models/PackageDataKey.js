@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const PackageDataKeySchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 1 // Bumped each time the key is replaced, e.g. on reassignment
+  },
+  keyId: {
+    type: String, // Master keyring entry the data key is wrapped with
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotatedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PackageDataKey', PackageDataKeySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { AGENT_KEYS } = require('../config/constants');
+
+const PackageKeyGrantSchema = new mongoose.Schema({
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AgentDeviceKey',
+    required: true
+  },
+  dataKeyVersion: {
+    type: Number,
+    required: true
+  },
+  encryptedKey: {
+    type: String, // Package data key, RSA-OAEP encrypted to the device public key
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(AGENT_KEYS.GRANT_STATUS),
+    default: AGENT_KEYS.GRANT_STATUS.ACTIVE
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokeReason: {
+    type: String,
+    trim: true
+  }
+});
+
+PackageKeyGrantSchema.index({ package: 1, status: 1 });
+PackageKeyGrantSchema.index({ agent: 1, status: 1 });
+
+module.exports = mongoose.model('PackageKeyGrant', PackageKeyGrantSchema);
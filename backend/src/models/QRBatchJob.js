@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { QR_BATCH } = require('../config/constants');
+
+const QRBatchJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: Object.values(QR_BATCH.OUTPUT_FORMATS),
+    required: true
+  },
+  regenerate: {
+    type: Boolean,
+    default: false // Reuse active, unexpired QR codes instead of replacing them
+  },
+  piiFields: [{
+    type: String // LABEL.PII_FIELDS printed on label PDFs
+  }],
+  selection: {
+    type: mongoose.Schema.Types.Mixed // Package IDs or filter the job was created from
+  },
+  packages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package'
+  }],
+  status: {
+    type: String,
+    enum: Object.values(QR_BATCH.STATUS),
+    default: QR_BATCH.STATUS.QUEUED
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    issued: { type: Number, default: 0 }, // New QR codes created
+    failed: { type: Number, default: 0 }
+  },
+  failures: [{
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package'
+    },
+    trackingNumber: String,
+    error: String
+  }],
+  output: {
+    fileName: String,
+    contentType: String,
+    size: Number,
+    path: {
+      type: String,
+      select: false // Server side location, only read for downloads
+    }
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + QR_BATCH.RESULT_TTL * 1000)
+  }
+});
+
+// Remove finished jobs once their result has expired
+QRBatchJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+QRBatchJobSchema.index({ createdBy: 1, createdAt: -1 });
+QRBatchJobSchema.index({ status: 1 });
+
+// Share of packages processed so far, 0-100
+QRBatchJobSchema.virtual('percentComplete').get(function() {
+  if (!this.progress || !this.progress.total) {
+    return this.status === QR_BATCH.STATUS.COMPLETED ? 100 : 0;
+  }
+  return Math.floor((this.progress.processed / this.progress.total) * 100);
+});
+
+// Method to return job data without the resolved package list or output location
+QRBatchJobSchema.methods.toJSON = function() {
+  const job = this.toObject({ virtuals: true });
+  delete job.packages;
+  delete job.id;
+  if (job.output) {
+    delete job.output.path;
+  }
+  return job;
+};
+
+module.exports = mongoose.model('QRBatchJob', QRBatchJobSchema);
@@ -1,5 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { QR_CODE } = require('../config/constants');
+const { QR_CODE, ENCRYPTION } = require('../config/constants');
 
 const QRCodeSchema = new mongoose.Schema({
   package: {
@@ -15,6 +16,18 @@ const QRCodeSchema = new mongoose.Schema({
     type: String, // Initialization Vector for AES encryption
     required: true
   },
+  keyId: {
+    type: String, // Keyring id of the key that sealed encryptedData
+    default: null
+  },
+  encoding: {
+    type: String, // Payload encoding of encryptedData; null for legacy CBC
+    enum: [...Object.values(QR_CODE.PAYLOAD_ENCODINGS), null],
+    default: null
+  },
+  fingerprints: [{
+    type: String // SHA-256 of every QR content issued for this code, including pre-rotation labels
+  }],
   image: {
     type: String, // Base64 encoded QR code image
     required: true
@@ -61,6 +74,16 @@ const QRCodeSchema = new mongoose.Schema({
     isAuthorized: {
       type: Boolean,
       required: true
+    },
+    action: {
+      type: String,
+      enum: Object.values(QR_CODE.SCAN_ACTIONS),
+      default: QR_CODE.SCAN_ACTIONS.SCAN
+    },
+    outcome: {
+      type: String,
+      enum: Object.values(QR_CODE.SCAN_OUTCOMES),
+      default: QR_CODE.SCAN_OUTCOMES.SUCCESS
     }
   }],
   createdAt: {
@@ -73,12 +96,50 @@ const QRCodeSchema = new mongoose.Schema({
   }
 });
 
+// Find payloads that still need re-encryption under the primary key
+QRCodeSchema.index({ keyId: 1 });
+
+QRCodeSchema.index({ fingerprints: 1 });
+QRCodeSchema.index({ package: 1 });
+
 // Update the updatedAt timestamp before saving
 QRCodeSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  
+  // Remember the content hash so labels printed before a rotation stay traceable
+  if (this.isModified('encryptedData')) {
+    const fingerprint = this.constructor.fingerprint(this.encryptedData);
+    if (!this.fingerprints.includes(fingerprint)) {
+      this.fingerprints.push(fingerprint);
+    }
+    
+    this.encoding = this.constructor.detectEncoding(this.encryptedData);
+  }
+  
   next();
 });
 
+// Work out the payload encoding from the envelope prefix
+QRCodeSchema.statics.detectEncoding = function(content) {
+  if (content.startsWith(`${ENCRYPTION.ENVELOPE_PREFIX}${ENCRYPTION.COMPACT_VERSION}:`)) {
+    return QR_CODE.PAYLOAD_ENCODINGS.COMPACT;
+  }
+  if (content.startsWith(`${ENCRYPTION.ENVELOPE_PREFIX}${ENCRYPTION.ENVELOPE_VERSION}.`)) {
+    return QR_CODE.PAYLOAD_ENCODINGS.ENVELOPE;
+  }
+  return null;
+};
+
+// Hash scanned QR content the same way agent devices do
+QRCodeSchema.statics.fingerprint = function(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+};
+
+// Find the QR code that issued some scanned content
+QRCodeSchema.statics.findByContent = function(content) {
+  return this.findOne({ fingerprints: this.fingerprint(content) });
+};
+
 // Check if QR code is expired
 QRCodeSchema.methods.isExpired = function() {
   return this.expiresAt < new Date();
@@ -91,12 +152,76 @@ QRCodeSchema.methods.recordScan = function(scanData) {
     location: scanData.location,
     ipAddress: scanData.ipAddress,
     userAgent: scanData.userAgent,
-    isAuthorized: scanData.isAuthorized
+    isAuthorized: scanData.isAuthorized,
+    action: scanData.action,
+    outcome: scanData.outcome
   });
   
   return this.save();
 };
 
+// Get scans across every QR code issued for a package, newest first
+// Where the scan came from (IP, user agent, location) and the scanner's email are for admins only
+QRCodeSchema.statics.getScanHistory = async function(packageId, { isAuthorized, startDate, endDate, page = 1, limit = 20, includeClientDetails = false } = {}) {
+  const scanFilter = {};
+  if (typeof isAuthorized === 'boolean') {
+    scanFilter['scans.isAuthorized'] = isAuthorized;
+  }
+  if (startDate || endDate) {
+    scanFilter['scans.timestamp'] = {};
+    if (startDate) scanFilter['scans.timestamp'].$gte = startDate;
+    if (endDate) scanFilter['scans.timestamp'].$lte = endDate;
+  }
+  
+  const basePipeline = [
+    { $match: { package: new mongoose.Types.ObjectId(packageId) } },
+    { $unwind: '$scans' },
+    { $match: scanFilter }
+  ];
+  
+  const [scans, countResult] = await Promise.all([
+    this.aggregate([
+      ...basePipeline,
+      { $sort: { 'scans.timestamp': -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'scans.scannedBy',
+          foreignField: '_id',
+          pipeline: [{
+            $project: includeClientDetails
+              ? { firstName: 1, lastName: 1, email: 1, role: 1 }
+              : { firstName: 1, lastName: 1, role: 1 }
+          }],
+          as: 'scannedBy'
+        }
+      },
+      {
+        $project: {
+          _id: '$scans._id',
+          qrCode: '$_id',
+          qrCodeActive: '$isActive',
+          scannedBy: { $arrayElemAt: ['$scannedBy', 0] },
+          timestamp: '$scans.timestamp',
+          ...(includeClientDetails && {
+            location: '$scans.location',
+            ipAddress: '$scans.ipAddress',
+            userAgent: '$scans.userAgent'
+          }),
+          isAuthorized: '$scans.isAuthorized',
+          action: '$scans.action',
+          outcome: '$scans.outcome'
+        }
+      }
+    ]),
+    this.aggregate([...basePipeline, { $count: 'total' }])
+  ]);
+  
+  return { scans, total: countResult.length > 0 ? countResult[0].total : 0 };
+};
+
 // Get scan count
 QRCodeSchema.virtual('scanCount').get(function() {
   return this.scans.length;
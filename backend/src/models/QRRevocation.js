@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { QR_CODE } = require('../config/constants');
+
+const QRRevocationSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode',
+    required: true,
+    unique: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  fingerprints: [{
+    type: String // SHA-256 of each revoked QR content, checked offline by agent devices
+  }],
+  reason: {
+    type: String,
+    enum: Object.values(QR_CODE.REVOCATION_REASONS),
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Define indexes for scan checks and the delta feed
+QRRevocationSchema.index({ fingerprints: 1 });
+QRRevocationSchema.index({ revokedAt: 1, _id: 1 });
+
+// Static method to check whether scanned content has been revoked
+QRRevocationSchema.statics.findByFingerprint = function(fingerprint) {
+  return this.findOne({ fingerprints: fingerprint });
+};
+
+// Static method to get revocations from a point in time, oldest first
+// The bound is inclusive so entries sharing a timestamp are never skipped; clients merge by qrCode
+QRRevocationSchema.statics.getFeed = async function({ since = null, page = 1, limit = QR_CODE.REVOCATION_FEED_LIMIT } = {}) {
+  const filter = since ? { revokedAt: { $gte: since } } : {};
+
+  const [revocations, total] = await Promise.all([
+    this.find(filter)
+      .sort({ revokedAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('qrCode package fingerprints reason revokedAt')
+      .lean(),
+    this.countDocuments(filter)
+  ]);
+
+  return { revocations, total };
+};
+
+module.exports = mongoose.model('QRRevocation', QRRevocationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { AUTH } = require('../config/constants');
+
+// One refresh token of a session; every refresh replaces it with a new token of the same family
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String, // Session id, shared by every token rotated from the same login
+    required: true
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the token; the token itself is never stored
+    required: true,
+    unique: true
+  },
+  amr: {
+    type: [String], // How the login was authenticated; carried into every access token of the session
+    enum: Object.values(AUTH.AMR),
+    default: [AUTH.AMR.PASSWORD]
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(AUTH.SESSION.REVOKE_REASONS)
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Find the live token of a session, and every session of a user
+RefreshTokenSchema.index({ family: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired tokens are removed by MongoDB
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { RETENTION } = require('../config/constants');
+
+const RetentionPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tenant: {
+    type: String, // null applies to every tenant
+    trim: true,
+    default: null
+  },
+  serviceLevel: {
+    type: String, // null applies to every service level
+    enum: [...Object.values(RETENTION.SERVICE_LEVELS), null],
+    default: null
+  },
+  retentionDays: {
+    type: Number, // Days after actual delivery before the package content key is destroyed
+    required: true,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One policy per tenant and service level combination
+RetentionPolicySchema.index({ tenant: 1, serviceLevel: 1 }, { unique: true });
+
+// Update the updatedAt timestamp before saving
+RetentionPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to rank how specifically the policy matches a package: tenant counts more than service level
+RetentionPolicySchema.methods.getSpecificity = function(pkg) {
+  if (this.tenant && this.tenant !== pkg.tenant) return -1;
+  if (this.serviceLevel && this.serviceLevel !== pkg.serviceLevel) return -1;
+
+  return (this.tenant ? 2 : 0) + (this.serviceLevel ? 1 : 0);
+};
+
+module.exports = mongoose.model('RetentionPolicy', RetentionPolicySchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { SECURITY_ALERTS } = require('../config/constants');
+
+const SecurityAlertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(SECURITY_ALERTS.TYPES),
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: Object.values(SECURITY_ALERTS.SEVERITY),
+    default: SECURITY_ALERTS.SEVERITY.MEDIUM
+  },
+  status: {
+    type: String,
+    enum: Object.values(SECURITY_ALERTS.STATUS),
+    default: SECURITY_ALERTS.STATUS.OPEN
+  },
+  dedupKey: {
+    type: String,
+    required: true // Repeats with the same key are folded into one open alert
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package'
+  },
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QRCode'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  acknowledgementNote: {
+    type: String,
+    trim: true
+  }
+});
+
+// Define indexes for deduplication and the admin list
+SecurityAlertSchema.index({ dedupKey: 1, status: 1, lastSeenAt: -1 });
+SecurityAlertSchema.index({ status: 1, lastSeenAt: -1 });
+
+// Static method to raise an alert, folding repeats into a recent open alert
+SecurityAlertSchema.statics.raise = async function(alertData) {
+  const windowStart = new Date(Date.now() - SECURITY_ALERTS.DEDUP_WINDOW * 1000);
+
+  const existing = await this.findOneAndUpdate(
+    {
+      dedupKey: alertData.dedupKey,
+      status: SECURITY_ALERTS.STATUS.OPEN,
+      lastSeenAt: { $gte: windowStart }
+    },
+    {
+      $inc: { occurrences: 1 },
+      $set: { lastSeenAt: new Date(), details: alertData.details }
+    },
+    { new: true }
+  );
+
+  if (existing) {
+    return { alert: existing, created: false };
+  }
+
+  const alert = await this.create(alertData);
+  return { alert, created: true };
+};
+
+// Method to acknowledge an alert
+SecurityAlertSchema.methods.acknowledge = function(userId, note) {
+  this.status = SECURITY_ALERTS.STATUS.ACKNOWLEDGED;
+  this.acknowledgedBy = userId;
+  this.acknowledgedAt = new Date();
+  this.acknowledgementNote = note;
+
+  return this.save();
+};
+
+module.exports = mongoose.model('SecurityAlert', SecurityAlertSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { RETENTION } = require('../config/constants');
+
+const ShreddingReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: Object.values(RETENTION.TRIGGERS),
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  policies: [{
+    // Policies as they were during the run; policy is null for the built-in default
+    _id: false,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetentionPolicy'
+    },
+    name: String,
+    tenant: String,
+    serviceLevel: String,
+    retentionDays: Number
+  }],
+  packages: [{
+    _id: false,
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package',
+      required: true
+    },
+    trackingNumber: String,
+    tenant: String,
+    serviceLevel: String,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetentionPolicy'
+    },
+    retentionDays: Number,
+    actualDelivery: Date,
+    contentKeyId: String, // null when the package never had a content key
+    qrCodesRevoked: Number,
+    masterKeySealed: {
+      // Copies sealed under a master key instead of the content key; these were deleted, not shredded
+      fields: Boolean,
+      qrPayloads: Number
+    },
+    shreddedAt: Date
+  }],
+  failures: [{
+    _id: false,
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package'
+    },
+    trackingNumber: String,
+    error: String
+  }],
+  totals: {
+    due: Number,
+    shredded: Number,
+    failed: Number
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String, // hash of the previous report, so reports form a chain
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  keyId: {
+    type: String
+  },
+  signature: {
+    type: String, // Server signature over hash
+    required: true
+  }
+});
+
+ShreddingReportSchema.index({ startedAt: -1 });
+ShreddingReportSchema.index({ 'packages.package': 1 });
+
+// Static method to get the newest report
+ShreddingReportSchema.statics.getLatest = function() {
+  return this.findOne().sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('ShreddingReport', ShreddingReportSchema);
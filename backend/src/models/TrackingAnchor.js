@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const TrackingAnchorSchema = new mongoose.Schema({
+  heads: [{
+    _id: false,
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package',
+      required: true
+    },
+    sequence: {
+      type: Number,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    }
+  }],
+  root: {
+    type: String, // SHA-256 over the canonical list of heads
+    required: true
+  },
+  prevHash: {
+    type: String, // hash of the previous anchor, so anchors form a chain of their own
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  keyId: {
+    type: String
+  },
+  signature: {
+    type: String, // Server signature over hash
+    required: true
+  },
+  anchoredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TrackingAnchorSchema.index({ anchoredAt: -1 });
+TrackingAnchorSchema.index({ 'heads.package': 1, anchoredAt: -1 });
+
+// Static method to get the newest anchor
+TrackingAnchorSchema.statics.getLatest = function() {
+  return this.findOne().sort({ anchoredAt: -1 });
+};
+
+// Static method to get the newest anchor that covers a package
+TrackingAnchorSchema.statics.getLatestForPackage = function(packageId) {
+  return this.findOne({ 'heads.package': packageId }).sort({ anchoredAt: -1 });
+};
+
+module.exports = mongoose.model('TrackingAnchor', TrackingAnchorSchema);
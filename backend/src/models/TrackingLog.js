@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const { TRACKING } = require('../config/constants');
+const { hashEntry } = require('../utils/hashChain');
+
+// Fields covered by an entry's hash; sequence and prevHash link it to the rest of the chain
+const CHAINED_FIELDS = [
+  'package', 'user', 'action', 'details', 'status', 'location',
+  'ipAddress', 'userAgent', 'level', 'timestamp', 'sequence', 'redaction'
+];
 
 const TrackingLogSchema = new mongoose.Schema({
   package: {
@@ -46,6 +53,36 @@ const TrackingLogSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  sequence: {
+    type: Number // Position in the package's chain, starting at 0
+  },
+  prevHash: {
+    type: String
+  },
+  hash: {
+    type: String // SHA-256 over the chained fields and prevHash
+  },
+  redaction: {
+    // Only set on redaction entries, which take the place of deleting an entry
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrackingLog'
+    },
+    targetSequence: Number,
+    targetHash: String,
+    retainedHash: String, // Hash of the target once cleared, so what remains of it stays verifiable
+    reason: String,
+    keyId: String,
+    signature: String // Server signature over the redaction, see trackingChainService
+  },
+  redactedBy: {
+    // Set on an entry whose content was cleared by a redaction entry
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrackingLog'
+    },
+    at: Date
   }
 });
 
@@ -54,8 +91,52 @@ TrackingLogSchema.index({ package: 1, timestamp: -1 });
 TrackingLogSchema.index({ user: 1, timestamp: -1 });
 TrackingLogSchema.index({ level: 1, timestamp: -1 });
 TrackingLogSchema.index({ timestamp: -1 });
+TrackingLogSchema.index(
+  { package: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Link every new entry to the head of its package's chain; chained entries are append-only
+TrackingLogSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    if (this.hash && CHAINED_FIELDS.some(field => this.isModified(field))) {
+      return next(new Error('Tracking log entries cannot be modified once written'));
+    }
+    return next();
+  }
+
+  if (!this.package) return next();
+
+  try {
+    const head = await this.constructor.findOne({ package: this.package, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash');
+
+    this.sequence = head ? head.sequence + 1 : 0;
+    this.prevHash = head ? head.hash : TRACKING.CHAIN.GENESIS_HASH;
+    this.hash = this.computeHash();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to get the content covered by the entry's hash
+TrackingLogSchema.methods.getChainContent = function() {
+  const entry = this.toObject({ depopulate: true });
+  return CHAINED_FIELDS.reduce((content, field) => {
+    content[field] = entry[field];
+    return content;
+  }, {});
+};
+
+// Method to compute the entry's hash from its content and prevHash
+TrackingLogSchema.methods.computeHash = function() {
+  return hashEntry(this.getChainContent(), this.prevHash);
+};
 
 // Static method to create a new tracking log entry
+// Retries when a concurrent entry for the same package claimed the next sequence first
 TrackingLogSchema.statics.logAction = async function(logData) {
   try {
     const log = new this({
@@ -67,10 +148,19 @@ TrackingLogSchema.statics.logAction = async function(logData) {
       location: logData.location,
       ipAddress: logData.ipAddress,
       userAgent: logData.userAgent,
-      level: logData.level || TRACKING.LOG_LEVEL.INFO
+      level: logData.level || TRACKING.LOG_LEVEL.INFO,
+      redaction: logData.redaction
     });
     
-    return await log.save();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await log.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= TRACKING.CHAIN.APPEND_RETRIES) {
+          throw error;
+        }
+      }
+    }
   } catch (error) {
     console.error('Error logging action:', error);
     throw error;
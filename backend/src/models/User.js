@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { ROLES, AUTH } = require('../config/constants');
+const fieldEncryption = require('./plugins/fieldEncryption');
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -48,11 +50,75 @@ const UserSchema = new mongoose.Schema({
     default: false
   },
   twoFactorTempSecret: {
-    type: String,
+    type: String, // Secret of a setup not yet confirmed with a code
     default: null
   },
-  refreshToken: {
-    type: String,
+  twoFactorRecoveryCodes: [{
+    codeHash: {
+      type: String, // SHA-256 of the code; the code itself is shown once and never stored
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  twoFactorEmailCode: {
+    codeHash: {
+      type: String // SHA-256 of the emailed code; cleared once used
+    },
+    expiresAt: {
+      type: Date
+    },
+    attempts: {
+      type: Number, // Wrong guesses against the current code
+      default: 0
+    },
+    lastSentAt: {
+      type: Date
+    },
+    sendCount: {
+      type: Number, // Sends in the current window
+      default: 0
+    },
+    windowStartedAt: {
+      type: Date
+    }
+  },
+  emailVerified: {
+    type: Boolean // No default: accounts from before verification have none and count as verified
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerification: {
+    tokenHash: {
+      type: String // SHA-256 of the emailed token; cleared once used
+    },
+    expiresAt: {
+      type: Date
+    },
+    lastSentAt: {
+      type: Date
+    },
+    sendCount: {
+      type: Number, // Sends in the current window
+      default: 0
+    },
+    windowStartedAt: {
+      type: Date
+    }
+  },
+  passwordResetToken: {
+    type: String, // SHA-256 of the emailed token; cleared once used
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
     default: null
   },
   lastLogin: {
@@ -69,12 +135,28 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Phone numbers are encrypted at rest, with a blind index for admin searches
+UserSchema.plugin(fieldEncryption, {
+  fields: ['phone'],
+  context: 'user',
+  blindIndexes: {
+    phone: { path: 'phone', type: 'phone' }
+  }
+});
+
+// Look up emailed verification tokens
+UserSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+
 // Update the updatedAt timestamp before saving
 UserSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
   // Hash password if it's modified
   if (this.isModified('password')) {
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now();
+    }
+    
     bcrypt.genSalt(AUTH.BCRYPT_SALT_ROUNDS, (err, salt) => {
       if (err) return next(err);
       
@@ -94,6 +176,32 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to start a password reset; returns the token to email, only its hash is stored
+UserSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + AUTH.PASSWORD_RESET_EXPIRY * 1000);
+  return resetToken;
+};
+
+// Method to start email verification; returns the token to email, only its hash is stored
+UserSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  this.emailVerification.tokenHash = this.constructor.hashToken(verificationToken);
+  this.emailVerification.expiresAt = new Date(Date.now() + AUTH.EMAIL_VERIFICATION.TOKEN_EXPIRY * 1000);
+  return verificationToken;
+};
+
+// Method to check the email address is verified; only an explicit false counts as unverified
+UserSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// Static method to hash an emailed token for lookup
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 // Get full name
 UserSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -103,9 +211,16 @@ UserSchema.virtual('fullName').get(function() {
 UserSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
-  delete user.refreshToken;
+  delete user.refreshToken; // Left on accounts from before per-session refresh tokens
   delete user.twoFactorSecret;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerification;
   delete user.twoFactorTempSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorEmailCode;
+  delete user.encryptedFields;
+  delete user.searchIndex;
   return user;
 };
 
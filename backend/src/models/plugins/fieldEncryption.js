@@ -0,0 +1,359 @@
+/**
+ * Field-level encryption at rest
+ * Mongoose plugin that seals the configured paths of a document into one AES-256-GCM
+ * blob under the keyring's primary key, or under a key of the document's own, and
+ * leaves them out of the stored document.
+ * Documents are decrypted as they are loaded, so application code keeps reading plain
+ * values; lean queries, aggregations, backups and direct database access see ciphertext only.
+ *
+ * Options:
+ *   fields       - paths to encrypt, e.g. ['recipient', 'deliveryAddress']
+ *   context      - name bound into the ciphertext together with the document id, e.g. 'package'
+ *   blindIndexes - searchable keys, e.g. { email: { path: 'recipient.email', type: 'email' } },
+ *                  kept as HMAC tokens under searchIndex and queried with searchFilter()
+ *   contentKeys  - per-document key store (contentKeyService); blobs are sealed under the
+ *                  document's content key, so destroying that key shreds the fields. These
+ *                  blobs are opened once the query returns, as init hooks cannot wait for the
+ *                  key; documents read through a cursor need openEncryptedFields()
+ *
+ * Encrypted paths cannot be queried or changed with update queries; change them on the
+ * document and save it. Blobs under a non-primary key are moved by keyRotationService.
+ */
+
+const encryptionService = require('../../services/encryptionService');
+const keyring = require('../../services/keyringService');
+const blindIndex = require('../../utils/blindIndex');
+const { ENCRYPTION } = require('../../config/constants');
+
+const STORE_FIELD = 'encryptedFields';
+const INDEX_FIELD = 'searchIndex';
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    return target[key];
+  }, obj);
+  parent[last] = value;
+};
+
+// Whether two dotted paths overlap, e.g. 'recipient' and 'recipient.email'
+const overlaps = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+// Plain JSON copy of a value, subdocuments included
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+module.exports = function fieldEncryption(schema, { fields, context, blindIndexes = {}, contentKeys = null }) {
+  const getContext = (id) => `${context}:${id}`;
+  const usesContentKey = (sealed) => Boolean(contentKeys) && encryptionService.isContentKeyId(sealed.keyId);
+
+  // Key new blobs of a document are sealed under: its content key, or null for the master key
+  const getSealingKey = (id) => (contentKeys ? contentKeys.getKey(id, { create: true }) : null);
+  const touchesFields = (paths) => paths.some(path => fields.some(field => overlaps(path.replace(/^[+-]/, ''), field)));
+
+  // Blind index tokens for a set of plain field values keyed by field
+  const buildSearchIndex = (values) => {
+    const plain = {};
+    Object.entries(values).forEach(([field, value]) => setPath(plain, field, value));
+
+    return Object.entries(blindIndexes).reduce((index, [key, { path, type }]) => {
+      index[key] = blindIndex.getTokens(type, getPath(plain, path));
+      return index;
+    }, {});
+  };
+
+  schema.add({
+    [STORE_FIELD]: {
+      keyId: String,
+      iv: String,
+      tag: String,
+      ciphertext: String
+    }
+  });
+
+  schema.index({ [`${STORE_FIELD}.keyId`]: 1 });
+
+  Object.keys(blindIndexes).forEach((key) => {
+    schema.add({ [INDEX_FIELD]: { [key]: [String] } });
+    schema.index({ [`${INDEX_FIELD}.${key}`]: 1 });
+  });
+
+  // Decrypt into the raw document before it is hydrated, so nothing is marked modified
+  schema.pre('init', function(raw) {
+    const sealed = raw[STORE_FIELD];
+    if (!sealed || !sealed.ciphertext) return;
+
+    // The content key has to be loaded first, see openDocuments
+    if (usesContentKey(sealed)) {
+      this.$locals.sealedFields = sealed;
+      return;
+    }
+
+    try {
+      const values = encryptionService.decryptFields(sealed, getContext(raw._id));
+      fields.forEach((field) => {
+        if (values[field] !== undefined) {
+          setPath(raw, field, values[field]);
+        }
+      });
+    } catch (error) {
+      // Saving would overwrite the fields with nothing, see the save hook
+      this.$locals.fieldDecryptionError = error.message;
+      console.error(`Field decryption failed for ${context} ${raw._id}:`, error.message);
+    }
+  });
+
+  /**
+   * Decrypt blobs sealed under content keys into loaded documents
+   * One key lookup covers all documents; the fields are left unmodified
+   * @param {Array<Object>} docs - Hydrated documents
+   * @returns {Promise<void>}
+   */
+  const openDocuments = async (docs) => {
+    const pending = docs.filter(doc => doc && doc.$locals && doc.$locals.sealedFields);
+    if (pending.length === 0) return;
+
+    const keys = await contentKeys.getKeys(pending.map(doc => doc._id));
+
+    pending.forEach((doc) => {
+      const sealed = doc.$locals.sealedFields;
+      delete doc.$locals.sealedFields;
+
+      try {
+        const values = encryptionService.decryptFields(sealed, getContext(doc._id), keys.get(doc._id.toString()));
+        fields.forEach((field) => {
+          if (values[field] !== undefined) {
+            doc.set(field, values[field]);
+          }
+          doc.unmarkModified(field);
+        });
+      } catch (error) {
+        // A missing content key; shredding removes the sealed fields along with the key
+        doc.$locals.fieldDecryptionError = error.message;
+        console.error(`Field decryption failed for ${context} ${doc._id}:`, error.message);
+      }
+    });
+  };
+
+  if (contentKeys) {
+    schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], async function(result) {
+      await openDocuments([].concat(result || []));
+    });
+  }
+
+  // Seal the fields after validation has run on the plain values
+  schema.pre('save', async function() {
+    if (this.$locals.fieldDecryptionError) {
+      throw new Error(`Encrypted fields of ${context} ${this._id} could not be decrypted; refusing to overwrite them`);
+    }
+
+    if (this.$locals.sealedFields) {
+      throw new Error(`Encrypted fields of ${context} ${this._id} were never opened; load it through a query or openEncryptedFields()`);
+    }
+
+    const sealed = this.get(STORE_FIELD);
+    const hasPlaintext = fields.some(field => this.get(field) !== undefined);
+    const needsSealing = this.isNew || fields.some(field => this.isModified(field)) ||
+      (hasPlaintext && !(sealed && sealed.ciphertext));
+
+    if (!needsSealing) return;
+
+    const values = {};
+    fields.forEach((field) => {
+      values[field] = toPlain(this.get(field));
+    });
+
+    const contentKey = await getSealingKey(this._id);
+    this.set(STORE_FIELD, encryptionService.encryptFields(values, getContext(this._id), contentKey));
+    if (Object.keys(blindIndexes).length > 0) {
+      this.set(INDEX_FIELD, buildSearchIndex(values));
+    }
+    this.$locals.fieldPlaintext = values;
+
+    // Clear the plain values so they are never written
+    fields.forEach(field => this.set(field, undefined));
+  });
+
+  // Put the plain values back on the in-memory document without marking them modified
+  const restorePlaintext = function() {
+    const values = this.$locals.fieldPlaintext;
+    if (!values) return;
+
+    delete this.$locals.fieldPlaintext;
+    fields.forEach((field) => {
+      if (values[field] !== undefined) {
+        this.set(field, values[field]);
+      }
+      this.unmarkModified(field);
+    });
+  };
+
+  schema.post('save', restorePlaintext);
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext.call(this);
+    next(error);
+  });
+
+  // Queries selecting encrypted paths also need the blob to decrypt them from
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function() {
+    const projection = this.projection();
+    if (!projection) return;
+
+    const paths = Object.keys(projection);
+    const inclusive = paths.some(path => projection[path] === 1 || projection[path] === true);
+    if (inclusive && touchesFields(paths)) {
+      this.select(STORE_FIELD);
+    }
+  });
+
+  // Update queries would write plain values past the save hook
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function() {
+    const update = this.getUpdate() || {};
+    const paths = Object.keys(update).reduce((all, key) => (
+      key.startsWith('$') ? all.concat(Object.keys(update[key] || {})) : all.concat(key)
+    ), []);
+
+    if (touchesFields(paths)) {
+      throw new Error(`Encrypted ${context} fields (${fields.join(', ')}) must be changed through document.save()`);
+    }
+  });
+
+  // Keep the blob and the index out of API responses
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret[STORE_FIELD];
+      delete ret[INDEX_FIELD];
+      return typeof toJSON.transform === 'function' ? toJSON.transform(doc, ret, options) : ret;
+    }
+  });
+
+  /**
+   * Build the update that encrypts a raw, not yet encrypted document
+   * @param {Object} raw - Document as stored
+   * @returns {Promise<Object|null>} - Update for the collection, or null if there is nothing to encrypt
+   */
+  schema.statics.getFieldEncryptionUpdate = async function(raw) {
+    const values = {};
+    fields.forEach((field) => {
+      const value = getPath(raw, field);
+      if (value !== undefined && value !== null) {
+        values[field] = value;
+      }
+    });
+
+    if (Object.keys(values).length === 0) return null;
+
+    const contentKey = await getSealingKey(raw._id);
+    return {
+      $set: {
+        [STORE_FIELD]: encryptionService.encryptFields(values, getContext(raw._id), contentKey),
+        ...(Object.keys(blindIndexes).length > 0 ? { [INDEX_FIELD]: buildSearchIndex(values) } : {})
+      },
+      $unset: fields.reduce((unset, field) => ({ ...unset, [field]: 1 }), {})
+    };
+  };
+
+  /**
+   * Re-encrypt blobs sealed with a key other than the primary key
+   * With content keys, every blob still under a master key moves onto its document's content key;
+   * the content keys themselves follow the primary key through contentKeyService.rewrapKeys
+   * @param {number} batchSize - Documents loaded per query
+   * @returns {Promise<Object>} - { rotated, failed }
+   */
+  schema.statics.rotateEncryptedFields = async function(batchSize = 100) {
+    const { id: primaryKeyId } = keyring.getPrimaryKey();
+    const summary = { rotated: 0, failed: 0 };
+    const keyPath = `${STORE_FIELD}.keyId`;
+    const stale = contentKeys
+      ? { $exists: true, $not: new RegExp(`^${ENCRYPTION.CONTENT_KEY_PREFIX}`) }
+      : { $exists: true, $ne: primaryKeyId };
+
+    // Failed documents keep their old key id, so skip past them by _id
+    let lastId = null;
+    let batch;
+    do {
+      const filter = { [keyPath]: stale };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+
+      batch = await this.find(filter).sort({ _id: 1 }).limit(batchSize);
+
+      for (const doc of batch) {
+        lastId = doc._id;
+
+        if (doc.$locals.fieldDecryptionError) {
+          summary.failed += 1;
+          continue;
+        }
+
+        const values = {};
+        fields.forEach((field) => {
+          values[field] = toPlain(doc.get(field));
+        });
+
+        // Raw collection update: the document itself has not changed
+        const contentKey = await getSealingKey(doc._id);
+        await this.collection.updateOne(
+          { _id: doc._id, [keyPath]: doc.get(keyPath) },
+          { $set: { [STORE_FIELD]: encryptionService.encryptFields(values, getContext(doc._id), contentKey) } }
+        );
+        summary.rotated += 1;
+      }
+    } while (batch.length === batchSize);
+
+    return summary;
+  };
+
+  /**
+   * Decrypt documents that were not loaded through a query, e.g. from a cursor
+   * @param {Array<Object>} docs - Hydrated documents
+   * @returns {Promise<Array<Object>>} - The same documents
+   */
+  schema.statics.openEncryptedFields = async function(docs) {
+    if (contentKeys) {
+      await openDocuments(docs);
+    }
+    return docs;
+  };
+
+  /**
+   * Recompute the blind index of a loaded document, e.g. after BLIND_INDEX_KEY changed
+   * @param {Object} doc - Decrypted document
+   * @returns {Promise<boolean>} - Whether the index was written
+   */
+  schema.statics.rebuildSearchIndex = async function(doc) {
+    if (doc.$locals.fieldDecryptionError || Object.keys(blindIndexes).length === 0) return false;
+
+    const values = {};
+    fields.forEach((field) => {
+      values[field] = toPlain(doc.get(field));
+    });
+
+    await this.collection.updateOne({ _id: doc._id }, { $set: { [INDEX_FIELD]: buildSearchIndex(values) } });
+    return true;
+  };
+
+  /**
+   * Query conditions matching a search term against the blind indexes
+   * Meant to be combined with other conditions under $or
+   * @param {string} term - Search term as typed
+   * @returns {Array<Object>} - Conditions, empty when the term fits no index
+   */
+  schema.statics.searchFilter = function(term) {
+    return Object.entries(blindIndexes).reduce((conditions, [key, { type }]) => {
+      const search = blindIndex.getSearchTokens(type, term);
+      if (search) {
+        conditions.push({ [`${INDEX_FIELD}.${key}`]: { [search.all ? '$all' : '$in']: search.tokens } });
+      }
+      return conditions;
+    }, []);
+  };
+};
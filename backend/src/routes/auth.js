@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { validateRegistration, validateLogin, validate2FASetup } = require('../middleware/validation');
-const { authenticateJWT } = require('../middleware/auth');
+const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { authenticate, allowWithoutMfa, requireMfa } = require('../middleware/auth');
+const { twoFactorLimiter, twoFactorLimiterByUser } = require('../middleware/rateLimit');
 
 /**
  * @route   POST /api/auth/register
@@ -13,21 +14,21 @@ router.post('/register', validateRegistration, authController.register);
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and return JWT token
+ * @desc    Login user and return JWT token, or a pre-auth token if 2FA is enabled
  * @access  Public
  */
 router.post('/login', validateLogin, authController.login);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and invalidate token
- * @access  Private
+ * @desc    Logout user, revoking the session of the refresh token in the body
+ * @access  Public (works after the access token has expired)
  */
-router.post('/logout', authenticateJWT, authController.logout);
+router.post('/logout', authController.logout);
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token using refresh token
+ * @desc    Exchange a refresh token for new tokens; replaying a used one revokes the session
  * @access  Public
  */
 router.post('/refresh', authController.refreshToken);
@@ -35,30 +36,65 @@ router.post('/refresh', authController.refreshToken);
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
- * @access  Private
+ * @access  Private (also before the MFA policy is met)
  */
-router.get('/me', authenticateJWT, authController.getCurrentUser);
+router.get('/me', allowWithoutMfa, authenticate, authController.getMe);
 
 /**
  * @route   POST /api/auth/2fa/setup
- * @desc    Set up two-factor authentication
- * @access  Private
+ * @desc    Start two-factor setup; returns the secret and its QR code
+ * @access  Private (also before the MFA policy is met)
+ */
+router.post('/2fa/setup', allowWithoutMfa, authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/setup/verify
+ * @desc    Confirm two-factor setup with a code; returns recovery codes and a session with the second factor
+ * @access  Private (also before the MFA policy is met)
  */
-router.post('/2fa/setup', authenticateJWT, validate2FASetup, authController.setup2FA);
+router.post('/2fa/setup/verify', allowWithoutMfa, authenticate, twoFactorLimiter, authController.confirmTwoFactorSetup);
 
 /**
  * @route   POST /api/auth/2fa/verify
- * @desc    Verify two-factor authentication token
- * @access  Private
+ * @desc    Exchange the pre-auth token from login and an authenticator, recovery or emailed code for a session
+ * @access  Public (needs the pre-auth token)
  */
-router.post('/2fa/verify', authenticateJWT, authController.verify2FA);
+router.post('/2fa/verify', twoFactorLimiter, twoFactorLimiterByUser, authController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/email
+ * @desc    Email a one-time login code (cooldown and hourly limit apply)
+ * @access  Public (needs the pre-auth token)
+ */
+router.post('/2fa/email', twoFactorLimiter, authController.sendTwoFactorEmailCode);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes; needs a code from the authenticator app
+ * @access  Private (second factor required)
+ */
+router.post('/2fa/recovery-codes', authenticate, requireMfa, twoFactorLimiter, authController.regenerateRecoveryCodes);
 
 /**
  * @route   POST /api/auth/2fa/disable
- * @desc    Disable two-factor authentication
+ * @desc    Disable two-factor authentication; needs the password and an authenticator or recovery code
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, twoFactorLimiter, authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send another verification email (cooldown and daily limit apply)
  * @access  Private
  */
-router.post('/2fa/disable', authenticateJWT, authController.disable2FA);
+router.post('/verify-email/resend', authenticate, authController.resendVerificationEmail);
 
 /**
  * @route   POST /api/auth/forgot-password
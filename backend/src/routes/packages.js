@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const packageController = require('../controllers/packageController');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
 const { checkRole } = require('../middleware/rbac');
 const { validatePackage } = require('../middleware/validation');
 
@@ -10,62 +10,76 @@ const { validatePackage } = require('../middleware/validation');
  * @desc    Create a new package
  * @access  Private/Admin
  */
-router.post('/', authenticateJWT, checkRole('admin'), validatePackage, packageController.createPackage);
+router.post('/', authenticate, checkRole('admin'), requireVerifiedEmail, validatePackage, packageController.createPackage);
 
 /**
  * @route   GET /api/packages
  * @desc    Get all packages (filtered by role)
  * @access  Private
  */
-router.get('/', authenticateJWT, packageController.getAllPackages);
+router.get('/', authenticate, packageController.getAllPackages);
 
 /**
  * @route   GET /api/packages/:id
  * @desc    Get package by ID
  * @access  Private
  */
-router.get('/:id', authenticateJWT, packageController.getPackageById);
+router.get('/:id', authenticate, packageController.getPackageById);
+
+/**
+ * @route   GET /api/packages/:id/label
+ * @desc    Get printable 4x6 shipping label (?format=pdf|zpl, ?pii=recipientName,deliveryStreet|none)
+ * @access  Private/Admin or Hub Sorter
+ */
+router.get('/:id/label', authenticate, checkRole(['admin', 'hub_sorter']), packageController.getPackageLabel);
+
+/**
+ * @route   GET /api/packages/:id/customer-envelope
+ * @desc    Get customer details encrypted to the assigned agent's device key
+ * @access  Private/Delivery Agent
+ */
+router.get('/:id/customer-envelope', authenticate, checkRole('delivery_agent'), packageController.getCustomerEnvelope);
 
 /**
  * @route   PUT /api/packages/:id
  * @desc    Update package
  * @access  Private/Admin
  */
-router.put('/:id', authenticateJWT, checkRole('admin'), validatePackage, packageController.updatePackage);
+router.put('/:id', authenticate, checkRole('admin'), validatePackage, packageController.updatePackage);
 
 /**
  * @route   DELETE /api/packages/:id
  * @desc    Delete package
  * @access  Private/Admin
  */
-router.delete('/:id', authenticateJWT, checkRole('admin'), packageController.deletePackage);
+router.delete('/:id', authenticate, checkRole('admin'), packageController.deletePackage);
 
 /**
  * @route   POST /api/packages/:id/status
  * @desc    Update package status
  * @access  Private/Admin or Delivery Agent
  */
-router.post('/:id/status', authenticateJWT, checkRole(['admin', 'delivery_agent']), packageController.updatePackageStatus);
+router.post('/:id/status', authenticate, checkRole(['admin', 'delivery_agent']), packageController.updatePackageStatus);
 
 /**
  * @route   GET /api/packages/customer/:customerId
  * @desc    Get packages by customer ID
  * @access  Private/Admin or Self
  */
-router.get('/customer/:customerId', authenticateJWT, packageController.getPackagesByCustomer);
+router.get('/customer/:customerId', authenticate, packageController.getPackagesByCustomer);
 
 /**
  * @route   GET /api/packages/agent/:agentId
  * @desc    Get packages assigned to a delivery agent
  * @access  Private/Admin or Self (if agent)
  */
-router.get('/agent/:agentId', authenticateJWT, packageController.getPackagesByAgent);
+router.get('/agent/:agentId', authenticate, packageController.getPackagesByAgent);
 
 /**
  * @route   POST /api/packages/:id/assign
  * @desc    Assign package to delivery agent
  * @access  Private/Admin
  */
-router.post('/:id/assign', authenticateJWT, checkRole('admin'), packageController.assignPackageToAgent);
+router.post('/:id/assign', authenticate, checkRole('admin'), packageController.assignPackageToAgent);
 
 module.exports = router;
\ No newline at end of file
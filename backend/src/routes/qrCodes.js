@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const qrCodeController = require('../controllers/qrCodeController');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
 const { checkRole } = require('../middleware/rbac');
 const { validateQRGeneration } = require('../middleware/validation');
 
@@ -10,55 +10,132 @@ const { validateQRGeneration } = require('../middleware/validation');
  * @desc    Generate QR code for a package
  * @access  Private/Admin
  */
-router.post('/generate', authenticateJWT, checkRole('admin'), validateQRGeneration, qrCodeController.generateQRCode);
+router.post('/generate', authenticate, checkRole('admin'), validateQRGeneration, qrCodeController.generateQRCode);
+
+/**
+ * @route   GET /api/qr-codes/signing-key
+ * @desc    Get the public key for verifying QR signatures offline
+ * @access  Public
+ */
+router.get('/signing-key', qrCodeController.getSigningKey);
+
+/**
+ * @route   GET /api/qr-codes/revoked
+ * @desc    Get revoked QR codes, paginated, optionally only those revoked since a date
+ * @access  Private/Admin or Delivery Agent
+ */
+router.get('/revoked', authenticate, checkRole(['admin', 'delivery_agent']), qrCodeController.getRevokedQRCodes);
+
+/**
+ * @route   GET /api/qr-codes/keys
+ * @desc    Get encryption keyring status and QR codes per key
+ * @access  Private/Admin
+ */
+router.get('/keys', authenticate, checkRole('admin'), qrCodeController.getKeyringStatus);
+
+/**
+ * @route   POST /api/qr-codes/keys/rotate
+ * @desc    Re-encrypt stored QR payloads under the primary key
+ * @access  Private/Admin
+ */
+router.post('/keys/rotate', authenticate, checkRole('admin'), qrCodeController.rotateQRCodeKeys);
+
+/**
+ * @route   POST /api/qr-codes/batch
+ * @desc    Queue QR code generation for many packages, bundled as a label PDF or PNG/SVG ZIP
+ * @access  Private/Admin
+ */
+router.post('/batch', authenticate, checkRole('admin'), qrCodeController.createBatchJob);
+
+/**
+ * @route   GET /api/qr-codes/batch
+ * @desc    Get recent QR batch jobs
+ * @access  Private/Admin
+ */
+router.get('/batch', authenticate, checkRole('admin'), qrCodeController.getBatchJobs);
+
+/**
+ * @route   GET /api/qr-codes/batch/:jobId
+ * @desc    Get QR batch job status and progress
+ * @access  Private/Admin
+ */
+router.get('/batch/:jobId', authenticate, checkRole('admin'), qrCodeController.getBatchJob);
+
+/**
+ * @route   GET /api/qr-codes/batch/:jobId/download
+ * @desc    Download the PDF or ZIP of a completed QR batch job
+ * @access  Private/Admin
+ */
+router.get('/batch/:jobId/download', authenticate, checkRole('admin'), qrCodeController.downloadBatchJob);
 
 /**
  * @route   GET /api/qr-codes/:id
  * @desc    Get QR code by ID
- * @access  Private
+ * @access  Private (customers need a verified email address)
  */
-router.get('/:id', authenticateJWT, qrCodeController.getQRCodeById);
+router.get('/:id', authenticate, requireVerifiedEmail, qrCodeController.getQRCodeById);
 
 /**
  * @route   GET /api/qr-codes/package/:packageId
  * @desc    Get QR code by package ID
- * @access  Private
+ * @access  Private (customers need a verified email address)
+ */
+router.get('/package/:packageId', authenticate, requireVerifiedEmail, qrCodeController.getQRCodeByPackage);
+
+/**
+ * @route   GET /api/qr-codes/package/:packageId/scans
+ * @desc    Get scan history for a package, filterable by authorized and date range
+ * @access  Private (admin, sender or assigned agent; scan origin for admins only)
+ */
+router.get('/package/:packageId/scans', authenticate, qrCodeController.getScanHistory);
+
+/**
+ * @route   GET /api/qr-codes/package/:packageId/encoding-metrics
+ * @desc    Compare QR content length and version for the package under each payload encoding
+ * @access  Private/Admin
+ */
+router.get('/package/:packageId/encoding-metrics', authenticate, checkRole('admin'), qrCodeController.getEncodingMetrics);
+
+/**
+ * @route   GET /api/qr-codes/package/:packageId/disclosures
+ * @desc    Get the PII disclosure decisions made when the package was scanned
+ * @access  Private/Admin
  */
-router.get('/package/:packageId', authenticateJWT, qrCodeController.getQRCodeByPackage);
+router.get('/package/:packageId/disclosures', authenticate, checkRole('admin'), qrCodeController.getDisclosureLog);
 
 /**
  * @route   POST /api/qr-codes/scan
- * @desc    Scan and decrypt QR code
- * @access  Private/Delivery Agent
+ * @desc    Scan and decrypt QR code (role is checked in the controller so refused attempts are recorded)
+ * @access  Private/Admin, Delivery Agent or Hub Sorter
  */
-router.post('/scan', authenticateJWT, checkRole('delivery_agent'), qrCodeController.scanQRCode);
+router.post('/scan', authenticate, qrCodeController.scanQRCode);
 
 /**
  * @route   POST /api/qr-codes/verify
- * @desc    Verify QR code authenticity
- * @access  Private/Delivery Agent
+ * @desc    Verify QR code authenticity (role is checked in the controller so refused attempts are recorded)
+ * @access  Private/Admin, Delivery Agent or Hub Sorter
  */
-router.post('/verify', authenticateJWT, checkRole('delivery_agent'), qrCodeController.verifyQRCode);
+router.post('/verify', authenticate, qrCodeController.verifyQRCode);
 
 /**
  * @route   GET /api/qr-codes/logs/:qrCodeId
  * @desc    Get scan logs for a QR code
  * @access  Private/Admin
  */
-router.get('/logs/:qrCodeId', authenticateJWT, checkRole('admin'), qrCodeController.getQRCodeLogs);
+router.get('/logs/:qrCodeId', authenticate, checkRole('admin'), qrCodeController.getQRCodeLogs);
 
 /**
  * @route   POST /api/qr-codes/:id/regenerate
  * @desc    Regenerate QR code (if compromised)
  * @access  Private/Admin
  */
-router.post('/:id/regenerate', authenticateJWT, checkRole('admin'), qrCodeController.regenerateQRCode);
+router.post('/:id/regenerate', authenticate, checkRole('admin'), qrCodeController.regenerateQRCode);
 
 /**
  * @route   POST /api/qr-codes/:id/invalidate
- * @desc    Invalidate QR code
+ * @desc    Revoke QR code with a reason and issue a replacement
  * @access  Private/Admin
  */
-router.post('/:id/invalidate', authenticateJWT, checkRole('admin'), qrCodeController.invalidateQRCode);
+router.post('/:id/invalidate', authenticate, checkRole('admin'), qrCodeController.invalidateQRCode);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const retentionController = require('../controllers/retentionController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole } = require('../middleware/rbac');
+
+/**
+ * @route   GET /api/retention/policies
+ * @desc    Get retention policies and the default retention period
+ * @access  Private/Admin
+ */
+router.get('/policies', authenticate, checkRole('admin'), retentionController.getRetentionPolicies);
+
+/**
+ * @route   POST /api/retention/policies
+ * @desc    Create a retention policy for a tenant and/or service level
+ * @access  Private/Admin
+ */
+router.post('/policies', authenticate, checkRole('admin'), retentionController.createRetentionPolicy);
+
+/**
+ * @route   PUT /api/retention/policies/:id
+ * @desc    Update a retention policy
+ * @access  Private/Admin
+ */
+router.put('/policies/:id', authenticate, checkRole('admin'), retentionController.updateRetentionPolicy);
+
+/**
+ * @route   DELETE /api/retention/policies/:id
+ * @desc    Delete a retention policy
+ * @access  Private/Admin
+ */
+router.delete('/policies/:id', authenticate, checkRole('admin'), retentionController.deleteRetentionPolicy);
+
+/**
+ * @route   POST /api/retention/shred
+ * @desc    Shred packages past their retention period now, or list them with dryRun
+ * @access  Private/Admin
+ */
+router.post('/shred', authenticate, checkRole('admin'), retentionController.runShredding);
+
+/**
+ * @route   GET /api/retention/reports
+ * @desc    Get shredding reports
+ * @access  Private/Admin
+ */
+router.get('/reports', authenticate, checkRole('admin'), retentionController.getShreddingReports);
+
+/**
+ * @route   GET /api/retention/reports/:id
+ * @desc    Get a shredding report with its signature verified
+ * @access  Private/Admin
+ */
+router.get('/reports/:id', authenticate, checkRole('admin'), retentionController.getShreddingReport);
+
+module.exports = router;
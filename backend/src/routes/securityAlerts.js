@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const securityAlertController = require('../controllers/securityAlertController');
+const { authenticate } = require('../middleware/auth');
+const { checkRole } = require('../middleware/rbac');
+
+/**
+ * @route   GET /api/security-alerts
+ * @desc    Get security alerts, filterable by status, type and package
+ * @access  Private/Admin
+ */
+router.get('/', authenticate, checkRole('admin'), securityAlertController.getSecurityAlerts);
+
+/**
+ * @route   GET /api/security-alerts/open-count
+ * @desc    Get count of open security alerts
+ * @access  Private/Admin
+ */
+router.get('/open-count', authenticate, checkRole('admin'), securityAlertController.getOpenAlertCount);
+
+/**
+ * @route   POST /api/security-alerts/:id/acknowledge
+ * @desc    Acknowledge a security alert with an optional note
+ * @access  Private/Admin
+ */
+router.post('/:id/acknowledge', authenticate, checkRole('admin'), securityAlertController.acknowledgeAlert);
+
+module.exports = router;
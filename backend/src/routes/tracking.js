@@ -1,71 +1,121 @@
 const express = require('express');
 const router = express.Router();
 const trackingController = require('../controllers/trackingController');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { checkRole } = require('../middleware/rbac');
 const { validateTrackingUpdate } = require('../middleware/validation');
+const { trackingLookupLimiterByIp, trackingLookupLimiterByNumber } = require('../middleware/rateLimit');
 
 /**
  * @route   GET /api/tracking/:trackingNumber
- * @desc    Get tracking information by tracking number
- * @access  Public (with limited info) or Private (full info)
+ * @desc    Get status and dates of a package with a signed share link token or the destination zip code
+ * @access  Public (rate limited per IP and per tracking number)
  */
-router.get('/:trackingNumber', trackingController.getTrackingByNumber);
+router.get('/:trackingNumber', trackingLookupLimiterByIp, trackingLookupLimiterByNumber, trackingController.getTrackingByNumber);
+
+/**
+ * @route   POST /api/tracking/:packageId/share-link
+ * @desc    Create a signed, expiring public tracking link
+ * @access  Private/Admin or Sender
+ */
+router.post('/:packageId/share-link', authenticate, trackingController.createShareLink);
 
 /**
  * @route   POST /api/tracking/:packageId/update
  * @desc    Add a tracking update for a package
  * @access  Private/Admin or Delivery Agent
  */
-router.post('/:packageId/update', authenticateJWT, checkRole(['admin', 'delivery_agent']), validateTrackingUpdate, trackingController.addTrackingUpdate);
+router.post('/:packageId/update', authenticate, checkRole(['admin', 'delivery_agent']), validateTrackingUpdate, trackingController.addTrackingUpdate);
 
 /**
  * @route   GET /api/tracking/package/:packageId
  * @desc    Get tracking history for a package
  * @access  Private
  */
-router.get('/package/:packageId', authenticateJWT, trackingController.getTrackingHistory);
+router.get('/package/:packageId', authenticate, trackingController.getTrackingHistory);
+
+/**
+ * @route   GET /api/tracking/package/:packageId/verify
+ * @desc    Validate the hash chain of a package's tracking history against its latest anchor
+ * @access  Private/Admin, Assigned Delivery Agent or Sender
+ */
+router.get('/package/:packageId/verify', authenticate, trackingController.verifyTrackingChain);
 
 /**
  * @route   GET /api/tracking/logs
  * @desc    Get all tracking logs (admin only)
  * @access  Private/Admin
  */
-router.get('/logs', authenticateJWT, checkRole('admin'), trackingController.getAllTrackingLogs);
+router.get('/logs', authenticate, checkRole('admin'), trackingController.getAllTrackingLogs);
 
 /**
  * @route   GET /api/tracking/logs/recent
  * @desc    Get recent tracking activities
  * @access  Private/Admin
  */
-router.get('/logs/recent', authenticateJWT, checkRole('admin'), trackingController.getRecentTrackingLogs);
+router.get('/logs/recent', authenticate, checkRole('admin'), trackingController.getRecentTrackingLogs);
+
+/**
+ * @route   DELETE /api/tracking/logs/:id
+ * @desc    Redact a tracking event; a signed redaction entry takes its place in the history
+ * @access  Private/Admin
+ */
+router.delete('/logs/:id', authenticate, checkRole('admin'), trackingController.deleteTrackingEvent);
 
 /**
  * @route   GET /api/tracking/agent/:agentId
  * @desc    Get tracking updates by delivery agent
  * @access  Private/Admin or Self (if agent)
  */
-router.get('/agent/:agentId', authenticateJWT, trackingController.getTrackingByAgent);
+router.get('/agent/:agentId', authenticate, trackingController.getTrackingByAgent);
 
 /**
  * @route   GET /api/tracking/customer/:customerId
  * @desc    Get tracking updates for a customer's packages
  * @access  Private/Admin or Self (if customer)
  */
-router.get('/customer/:customerId', authenticateJWT, trackingController.getTrackingByCustomer);
+router.get('/customer/:customerId', authenticate, trackingController.getTrackingByCustomer);
 
 /**
  * @route   POST /api/tracking/:packageId/delivered
- * @desc    Mark package as delivered with signature/photo confirmation
- * @access  Private/Delivery Agent
+ * @desc    Mark package as delivered after confirming the recipient's handover PIN (or an admin override)
+ * @access  Private/Assigned Delivery Agent or Admin
+ */
+router.post('/:packageId/delivered', authenticate, checkRole(['admin', 'delivery_agent']), trackingController.markPackageDelivered);
+
+/**
+ * @route   GET /api/tracking/:packageId/handover-pin
+ * @desc    Get handover PIN state (attempts, expiry, override) without the PIN
+ * @access  Private/Assigned Delivery Agent or Admin
+ */
+router.get('/:packageId/handover-pin', authenticate, checkRole(['admin', 'delivery_agent']), trackingController.getHandoverPinStatus);
+
+/**
+ * @route   POST /api/tracking/:packageId/handover-pin/resend
+ * @desc    Email the recipient a new handover PIN
+ * @access  Private/Admin, Assigned Delivery Agent or Sender
+ */
+router.post('/:packageId/handover-pin/resend', authenticate, trackingController.resendHandoverPin);
+
+/**
+ * @route   POST /api/tracking/:packageId/handover-pin/reset
+ * @desc    Unlock a handover PIN locked by wrong entries or the send limit and send a new one, with a logged justification
+ * @access  Private/Admin
+ */
+router.post('/:packageId/handover-pin/reset', authenticate, checkRole('admin'), trackingController.resetHandoverPin);
+
+/**
+ * @route   POST /api/tracking/:packageId/handover-pin/override
+ * @desc    Confirm a handover without the PIN, with a logged justification
+ * @access  Private/Admin
  */
-router.post('/:packageId/delivered', authenticateJWT, checkRole('delivery_agent'), trackingController.markPackageDelivered);
+router.post('/:packageId/handover-pin/override', authenticate, checkRole('admin'), trackingController.overrideHandoverPin);
 
 /**
  * @route   POST /api/tracking/:packageId/failed
  * @desc    Record a failed delivery attempt
  * @access  Private/Delivery Agent
  */
-router.post('/:packageId/failed', authenticateJWT, checkRole('delivery_agent'), trackingController.recordFailedDelivery);
+router.post('/:packageId/failed', authenticate, checkRole('delivery_agent'), trackingController.recordFailedDelivery);
 
 module.exports = router;
\ No newline at end of file
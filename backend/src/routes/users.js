@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { checkRole } = require('../middleware/rbac');
 const { validateUserUpdate } = require('../middleware/validation');
 
@@ -10,48 +10,76 @@ const { validateUserUpdate } = require('../middleware/validation');
  * @desc    Get all users (admin only)
  * @access  Private/Admin
  */
-router.get('/', authenticateJWT, checkRole('admin'), userController.getAllUsers);
+router.get('/', authenticate, checkRole('admin'), userController.getAllUsers);
+
+/**
+ * @route   POST /api/users/me/devices
+ * @desc    Enroll a device of the current delivery agent by its public key
+ * @access  Private/Delivery Agent
+ */
+router.post('/me/devices', authenticate, checkRole('delivery_agent'), userController.registerDeviceKey);
+
+/**
+ * @route   GET /api/users/me/devices
+ * @desc    List the current delivery agent's enrolled devices
+ * @access  Private/Delivery Agent
+ */
+router.get('/me/devices', authenticate, checkRole('delivery_agent'), userController.getMyDeviceKeys);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
  * @access  Private/Admin or Self
  */
-router.get('/:id', authenticateJWT, userController.getUserById);
+router.get('/:id', authenticate, userController.getUserById);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
  * @access  Private/Admin or Self
  */
-router.put('/:id', authenticateJWT, validateUserUpdate, userController.updateUser);
+router.put('/:id', authenticate, validateUserUpdate, userController.updateUser);
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
  * @access  Private/Admin
  */
-router.delete('/:id', authenticateJWT, checkRole('admin'), userController.deleteUser);
+router.delete('/:id', authenticate, checkRole('admin'), userController.deleteUser);
 
 /**
  * @route   POST /api/users/:id/role
  * @desc    Change user role (admin only)
  * @access  Private/Admin
  */
-router.post('/:id/role', authenticateJWT, checkRole('admin'), userController.changeUserRole);
+router.post('/:id/role', authenticate, checkRole('admin'), userController.changeUserRole);
+
+/**
+ * @route   GET /api/users/:id/devices
+ * @desc    List a delivery agent's enrolled devices (admin only)
+ * @access  Private/Admin
+ */
+router.get('/:id/devices', authenticate, checkRole('admin'), userController.getAgentDeviceKeys);
+
+/**
+ * @route   POST /api/users/:id/devices/:deviceId/revoke
+ * @desc    Revoke a delivery agent's device (admin only)
+ * @access  Private/Admin
+ */
+router.post('/:id/devices/:deviceId/revoke', authenticate, checkRole('admin'), userController.revokeDeviceKey);
 
 /**
  * @route   GET /api/users/delivery-agents
  * @desc    Get all delivery agents (admin only)
  * @access  Private/Admin
  */
-router.get('/delivery-agents', authenticateJWT, checkRole('admin'), userController.getDeliveryAgents);
+router.get('/delivery-agents', authenticate, checkRole('admin'), userController.getDeliveryAgents);
 
 /**
  * @route   GET /api/users/customer/:id
  * @desc    Get customer details (admin or delivery agent)
  * @access  Private/Admin or Delivery Agent
  */
-router.get('/customer/:id', authenticateJWT, checkRole(['admin', 'delivery_agent']), userController.getCustomerDetails);
+router.get('/customer/:id', authenticate, checkRole(['admin', 'delivery_agent']), userController.getCustomerDetails);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,461 @@
+// agentKeyService.js
+const crypto = require('crypto');
+const AgentDeviceKey = require('../models/AgentDeviceKey');
+const PackageDataKey = require('../models/PackageDataKey');
+const PackageKeyGrant = require('../models/PackageKeyGrant');
+const Package = require('../models/Package');
+const TrackingLog = require('../models/TrackingLog');
+const encryptionService = require('./encryptionService');
+const qrCodeService = require('./qrCodeService');
+const encryptionUtils = require('../utils/encryption');
+const { AGENT_KEYS, ENCRYPTION, TRACKING } = require('../config/constants');
+const { logSecurity } = require('../utils/logger');
+
+/**
+ * Service encrypting customer details for the delivery agent a package is assigned to
+ * Each package has its own data key, wrapped by the master key for storage and
+ * RSA-OAEP encrypted to each enrolled device of the assigned agent, so only those devices can read the details
+ */
+class AgentKeyService {
+  /**
+   * Parse a device public key and check it is strong enough
+   * @param {string} publicKey - Base64 SPKI public key
+   * @returns {crypto.KeyObject|null} - The key, or null if it is unusable
+   */
+  parsePublicKey(publicKey) {
+    if (typeof publicKey !== 'string' || publicKey.length === 0) {
+      return null;
+    }
+
+    try {
+      const keyObject = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+      if (keyObject.asymmetricKeyType !== 'rsa' || keyObject.asymmetricKeyDetails.modulusLength < AGENT_KEYS.MIN_MODULUS_LENGTH) {
+        return null;
+      }
+      return keyObject;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fingerprint of a device public key
+   * @param {string} publicKey - Base64 SPKI public key
+   * @returns {string} - Hex encoded SHA-256 of the key bytes
+   */
+  getFingerprint(publicKey) {
+    return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex');
+  }
+
+  /**
+   * Get the enrolled devices new grants for an agent are encrypted to
+   * @param {string} agentId - ID of the agent
+   * @returns {Promise<Array>} - Active AgentDeviceKey documents
+   */
+  async getActiveDeviceKeys(agentId) {
+    return AgentDeviceKey.find({ agent: agentId, status: AGENT_KEYS.DEVICE_KEY_STATUS.ACTIVE })
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * List every device an agent has enrolled, newest first
+   * @param {string} agentId - ID of the agent
+   * @returns {Promise<Array>} - AgentDeviceKey documents, including revoked ones
+   */
+  async listDeviceKeys(agentId) {
+    return AgentDeviceKey.find({ agent: agentId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Enroll a device public key for an agent
+   * Packages already assigned to the agent are granted to the new device straight away.
+   * Enrolling an active device again retries the packages it is still missing
+   * @param {string} agentId - ID of the agent
+   * @param {Object} keyData - { publicKey, label, userAgent }
+   * @returns {Promise<Object>} - { deviceKey, granted, failed, code, message }
+   */
+  async registerDeviceKey(agentId, { publicKey, label, userAgent }) {
+    if (!this.parsePublicKey(publicKey)) {
+      return {
+        code: AGENT_KEYS.ERROR_CODES.INVALID_PUBLIC_KEY,
+        message: `Public key must be a base64 SPKI RSA key of at least ${AGENT_KEYS.MIN_MODULUS_LENGTH} bits`
+      };
+    }
+
+    const fingerprint = this.getFingerprint(publicKey);
+    const existing = await AgentDeviceKey.findOne({ agent: agentId, fingerprint });
+    if (existing) {
+      if (existing.status === AGENT_KEYS.DEVICE_KEY_STATUS.REVOKED) {
+        return {
+          code: AGENT_KEYS.ERROR_CODES.DEVICE_KEY_REVOKED,
+          message: 'This device key has been revoked. Generate a new key to enroll the device again'
+        };
+      }
+      return { deviceKey: existing, ...await this.grantOpenPackages(agentId, existing), code: null, message: null };
+    }
+
+    const deviceKey = await AgentDeviceKey.create({
+      agent: agentId,
+      publicKey,
+      fingerprint,
+      label,
+      userAgent
+    });
+
+    return { deviceKey, ...await this.grantOpenPackages(agentId, deviceKey), code: null, message: null };
+  }
+
+  /**
+   * Grant the packages an agent still has to deliver to one of their devices
+   * Packages the device already holds a grant for under the current data key are skipped, and one
+   * failing package does not stop the rest, so running it again only fills in what is missing
+   * @param {string} agentId - ID of the agent
+   * @param {Object} deviceKey - Active AgentDeviceKey document
+   * @returns {Promise<Object>} - { granted, failed } where failed lists { package, trackingNumber }
+   */
+  async grantOpenPackages(agentId, deviceKey) {
+    const packages = await Package.find({
+      assignedAgent: agentId,
+      status: { $nin: [TRACKING.STATUS.DELIVERED, TRACKING.STATUS.RETURNED] }
+    });
+
+    let granted = 0;
+    const failed = [];
+
+    for (const pkg of packages) {
+      try {
+        const dataKey = await this.getDataKey(pkg);
+        const current = await PackageKeyGrant.exists({
+          package: pkg._id,
+          deviceKey: deviceKey._id,
+          dataKeyVersion: dataKey.version,
+          status: AGENT_KEYS.GRANT_STATUS.ACTIVE
+        });
+        if (current) {
+          continue;
+        }
+
+        await this.ensureSealed(pkg, dataKey);
+        await this.grantToDevice(pkg, deviceKey, dataKey, agentId);
+        granted += 1;
+      } catch (error) {
+        console.error(`Device key grant error for package ${pkg._id}:`, error);
+        failed.push({ package: pkg._id, trackingNumber: pkg.trackingNumber });
+      }
+    }
+
+    if (failed.length > 0) {
+      logSecurity('device-key-grant-failed', `${failed.length} packages could not be granted to device key ${deviceKey.fingerprint} of agent ${agentId}`, {
+        deviceKey: deviceKey._id,
+        packages: failed.map((entry) => entry.package)
+      }, { id: agentId });
+    }
+
+    return { granted, failed };
+  }
+
+  /**
+   * Revoke an enrolled device, e.g. a lost phone
+   * No new grants are made for it, and packages it could read get a new data key
+   * that is granted to the agent's remaining devices
+   * @param {string} agentId - ID of the agent owning the device
+   * @param {string} deviceKeyId - ID of the AgentDeviceKey
+   * @param {Object} options - { userId, reason }
+   * @returns {Promise<Object>} - { deviceKey, rekeyed, code, message }
+   */
+  async revokeDeviceKey(agentId, deviceKeyId, { userId, reason } = {}) {
+    const deviceKey = await AgentDeviceKey.findOne({ _id: deviceKeyId, agent: agentId });
+    if (!deviceKey) {
+      return { code: AGENT_KEYS.ERROR_CODES.DEVICE_KEY_NOT_FOUND, message: 'Device not found' };
+    }
+
+    if (deviceKey.status === AGENT_KEYS.DEVICE_KEY_STATUS.REVOKED) {
+      return { code: AGENT_KEYS.ERROR_CODES.DEVICE_KEY_REVOKED, message: 'Device is already revoked' };
+    }
+
+    // Revoke first so no grant made from here on can target this device
+    deviceKey.status = AGENT_KEYS.DEVICE_KEY_STATUS.REVOKED;
+    deviceKey.revokedAt = new Date();
+    deviceKey.revokedBy = userId;
+    deviceKey.revokeReason = reason;
+    await deviceKey.save();
+
+    const grants = await PackageKeyGrant.find({ deviceKey: deviceKey._id, status: AGENT_KEYS.GRANT_STATUS.ACTIVE });
+    const packages = await Package.find({ _id: { $in: grants.map((grant) => grant.package) } });
+
+    let rekeyed = 0;
+    for (const pkg of packages) {
+      if (pkg.assignedAgent && pkg.assignedAgent.toString() === String(agentId)) {
+        await this.grantToAgent(pkg, agentId, { userId, rekey: true });
+      } else {
+        await this.revokeGrants(pkg, { userId, reason: 'device-revoked' });
+      }
+      rekeyed += 1;
+    }
+
+    logSecurity('device-key-revoked', `Device key ${deviceKey.fingerprint} of agent ${agentId} revoked`, {
+      deviceKey: deviceKey._id,
+      reason,
+      rekeyed
+    }, { id: userId });
+
+    return { deviceKey, rekeyed, code: null, message: null };
+  }
+
+  /**
+   * Get the package data key, creating one the first time it is needed
+   * @param {Object} pkg - Package document
+   * @returns {Promise<Object>} - { key, version }
+   */
+  async getDataKey(pkg) {
+    const stored = await PackageDataKey.findOne({ package: pkg._id }).select('+wrappedKey');
+    if (stored) {
+      return { key: encryptionService.unwrapDataKey(stored, this.getWrapContext(pkg, stored.version)), version: stored.version };
+    }
+
+    return this.replaceDataKey(pkg);
+  }
+
+  /**
+   * Replace the package data key with a fresh one
+   * Grants and the customer envelope made with the old key stop working, so callers reseal and regrant
+   * @param {Object} pkg - Package document
+   * @returns {Promise<Object>} - { key, version }
+   */
+  async replaceDataKey(pkg) {
+    const key = crypto.randomBytes(AGENT_KEYS.DATA_KEY_LENGTH);
+    const current = await PackageDataKey.findOne({ package: pkg._id });
+    const version = current ? current.version + 1 : 1;
+
+    await PackageDataKey.findOneAndUpdate(
+      { package: pkg._id },
+      {
+        ...encryptionService.wrapDataKey(key, this.getWrapContext(pkg, version)),
+        version,
+        rotatedAt: current ? new Date() : undefined
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return { key, version };
+  }
+
+  /**
+   * Context bound to a wrapped data key, so it cannot be moved to another package or version
+   * @param {Object} pkg - Package document
+   * @param {number} version - Data key version
+   * @returns {string}
+   */
+  getWrapContext(pkg, version) {
+    return `package:${pkg._id}:v${version}`;
+  }
+
+  /**
+   * Encrypt the customer details under the package data key
+   * Uses AES-GCM with the tag appended to the ciphertext, as Web Crypto expects
+   * @param {Object} pkg - Package document
+   * @param {Object} dataKey - { key, version }
+   * @returns {Promise<Object>} - The stored customer envelope
+   */
+  async sealCustomerData(pkg, dataKey) {
+    const iv = crypto.randomBytes(ENCRYPTION.GCM_IV_LENGTH);
+    const { encryptedData, authTag } = encryptionUtils.encryptAES(
+      JSON.stringify(qrCodeService.buildPackagePayload(pkg)),
+      dataKey.key.toString('hex'),
+      iv
+    );
+
+    const customerEnvelope = {
+      ciphertext: Buffer.concat([Buffer.from(encryptedData, 'base64'), Buffer.from(authTag, 'base64')]).toString('base64'),
+      iv: iv.toString('base64'),
+      dataKeyVersion: dataKey.version,
+      sealedAt: new Date()
+    };
+
+    // Written directly so the status history hook does not run
+    await Package.updateOne({ _id: pkg._id }, { $set: { customerEnvelope } });
+    pkg.customerEnvelope = customerEnvelope;
+    return customerEnvelope;
+  }
+
+  /**
+   * Seal the customer details again if the stored envelope is missing or from an older data key
+   * @param {Object} pkg - Package document
+   * @param {Object} dataKey - { key, version }
+   * @returns {Promise<void>}
+   */
+  async ensureSealed(pkg, dataKey) {
+    const stored = await Package.findById(pkg._id).select('customerEnvelope');
+    const customerEnvelope = stored && stored.customerEnvelope;
+    if (!customerEnvelope || !customerEnvelope.ciphertext || customerEnvelope.dataKeyVersion !== dataKey.version) {
+      await this.sealCustomerData(pkg, dataKey);
+    }
+  }
+
+  /**
+   * Reseal the customer details after they change, if the package has been granted to an agent
+   * @param {Object} pkg - Package document
+   * @returns {Promise<void>}
+   */
+  async refreshCustomerData(pkg) {
+    if (!(await PackageDataKey.exists({ package: pkg._id }))) {
+      return;
+    }
+    await this.sealCustomerData(pkg, await this.getDataKey(pkg));
+  }
+
+  /**
+   * Give an agent's enrolled devices access to the package customer details
+   * If another agent held access, or rekey is set, the data key is replaced first
+   * so whatever earlier holders kept stops working
+   * @param {Object} pkg - Package document
+   * @param {string} agentId - ID of the agent the package is assigned to
+   * @param {Object} options - { userId, rekey }
+   * @returns {Promise<Object>} - { grants, code, message }
+   */
+  async grantToAgent(pkg, agentId, { userId, rekey = false } = {}) {
+    const previousGrants = await PackageKeyGrant.find({ package: pkg._id, status: AGENT_KEYS.GRANT_STATUS.ACTIVE });
+    const reassigned = previousGrants.some((grant) => grant.agent.toString() !== String(agentId));
+    const replaceKey = rekey || reassigned;
+
+    await this.revokeGrants(pkg, {
+      userId,
+      reason: reassigned ? 'reassigned' : (rekey ? 'rekeyed' : 'regranted'),
+      grants: previousGrants
+    });
+
+    const dataKey = replaceKey ? await this.replaceDataKey(pkg) : await this.getDataKey(pkg);
+    await this.ensureSealed(pkg, dataKey);
+
+    const deviceKeys = await this.getActiveDeviceKeys(agentId);
+    if (deviceKeys.length === 0) {
+      return {
+        grants: [],
+        code: AGENT_KEYS.ERROR_CODES.NO_DEVICE_KEY,
+        message: 'The agent has no enrolled device yet; access is granted once they enroll one'
+      };
+    }
+
+    const grants = [];
+    for (const deviceKey of deviceKeys) {
+      grants.push(await this.grantToDevice(pkg, deviceKey, dataKey, userId));
+    }
+
+    return { grants, code: null, message: null };
+  }
+
+  /**
+   * Encrypt the package data key to one device
+   * @param {Object} pkg - Package document
+   * @param {Object} deviceKey - AgentDeviceKey document
+   * @param {Object} dataKey - { key, version }
+   * @param {string} userId - ID of the user making the grant
+   * @returns {Promise<Object>} - PackageKeyGrant document
+   */
+  async grantToDevice(pkg, deviceKey, dataKey, userId) {
+    // The browser unwraps to a base64 string and imports it as a raw AES key
+    const encryptedKey = encryptionUtils.encryptRSA(
+      dataKey.key.toString('base64'),
+      this.parsePublicKey(deviceKey.publicKey)
+    );
+
+    const grant = await PackageKeyGrant.create({
+      package: pkg._id,
+      agent: deviceKey.agent,
+      deviceKey: deviceKey._id,
+      dataKeyVersion: dataKey.version,
+      encryptedKey,
+      grantedBy: userId
+    });
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'agent-key-granted',
+      status: pkg.status,
+      details: { agent: deviceKey.agent, deviceKey: deviceKey.fingerprint, dataKeyVersion: dataKey.version }
+    });
+
+    return grant;
+  }
+
+  /**
+   * Revoke active grants on a package
+   * @param {Object} pkg - Package document
+   * @param {Object} options - { userId, reason, grants } (grants defaults to all active ones)
+   * @returns {Promise<number>} - Number of grants revoked
+   */
+  async revokeGrants(pkg, { userId, reason, grants } = {}) {
+    const active = grants || await PackageKeyGrant.find({ package: pkg._id, status: AGENT_KEYS.GRANT_STATUS.ACTIVE });
+    if (active.length === 0) {
+      return 0;
+    }
+
+    await PackageKeyGrant.updateMany(
+      { _id: { $in: active.map((grant) => grant._id) } },
+      { status: AGENT_KEYS.GRANT_STATUS.REVOKED, revokedAt: new Date(), revokeReason: reason }
+    );
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'agent-key-revoked',
+      status: pkg.status,
+      details: { agents: active.map((grant) => grant.agent), reason }
+    });
+
+    return active.length;
+  }
+
+  /**
+   * Get what an agent's device needs to decrypt the customer details
+   * @param {Object} pkg - Package document
+   * @param {string} agentId - ID of the agent
+   * @param {string} fingerprint - Fingerprint of the device key asking
+   * @returns {Promise<Object>} - { envelope, code, message }
+   */
+  async getEnvelopeForAgent(pkg, agentId, fingerprint) {
+    const deviceKey = fingerprint && await AgentDeviceKey.findOne({
+      agent: agentId,
+      fingerprint: String(fingerprint),
+      status: AGENT_KEYS.DEVICE_KEY_STATUS.ACTIVE
+    });
+
+    if (!deviceKey) {
+      return { code: AGENT_KEYS.ERROR_CODES.NO_DEVICE_KEY, message: 'This device is not enrolled or has been revoked' };
+    }
+
+    const grant = await PackageKeyGrant.findOne({
+      package: pkg._id,
+      deviceKey: deviceKey._id,
+      status: AGENT_KEYS.GRANT_STATUS.ACTIVE
+    });
+
+    if (!grant) {
+      return { code: AGENT_KEYS.ERROR_CODES.NO_GRANT, message: 'No active key grant for this package on your device' };
+    }
+
+    const stored = await Package.findById(pkg._id).select('customerEnvelope');
+    const customerEnvelope = stored && stored.customerEnvelope;
+    if (!customerEnvelope || customerEnvelope.dataKeyVersion !== grant.dataKeyVersion) {
+      return { code: AGENT_KEYS.ERROR_CODES.NO_GRANT, message: 'The key grant for this package is out of date' };
+    }
+
+    await AgentDeviceKey.updateOne({ _id: deviceKey._id }, { lastUsedAt: new Date() });
+
+    return {
+      envelope: {
+        algorithm: AGENT_KEYS.ALGORITHM,
+        ciphertext: customerEnvelope.ciphertext,
+        iv: customerEnvelope.iv,
+        encryptedKey: grant.encryptedKey,
+        deviceKeyFingerprint: deviceKey.fingerprint,
+        dataKeyVersion: grant.dataKeyVersion
+      },
+      code: null,
+      message: null
+    };
+  }
+}
+
+module.exports = new AgentKeyService();
@@ -0,0 +1,187 @@
+// contentKeyService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PackageContentKey = require('../models/PackageContentKey');
+const encryptionService = require('./encryptionService');
+const keyring = require('./keyringService');
+const { ENCRYPTION } = require('../config/constants');
+
+/**
+ * Service managing the per-package content keys
+ * Recipient PII and QR payloads of a package are sealed under a key of its own, wrapped by the
+ * master key. Destroying that key (crypto-shredding) leaves every copy of them unreadable,
+ * including backups and printed labels, while the rest of the package record stays usable
+ */
+class ContentKeyService {
+  /**
+   * Context bound to a wrapped content key, so it cannot be moved to another package
+   * @param {string} packageId - ID of the package
+   * @returns {string}
+   */
+  getWrapContext(packageId) {
+    return `package-content:${packageId}`;
+  }
+
+  /**
+   * Unwrap a stored content key
+   * @param {Object} stored - PackageContentKey document including wrappedKey
+   * @returns {Object} - { id, key }
+   */
+  unwrap(stored) {
+    return {
+      id: stored._id.toString(),
+      key: encryptionService.unwrapDataKey(stored, this.getWrapContext(stored.package))
+    };
+  }
+
+  /**
+   * Get the content key of a package
+   * @param {string} packageId - ID of the package
+   * @param {Object} options - { create } to create the key if the package has none yet
+   * @returns {Promise<Object|null>} - { id, key }, or null if there is none
+   */
+  async getKey(packageId, { create = false } = {}) {
+    const stored = await PackageContentKey.findOne({ package: packageId }).select('+wrappedKey');
+    if (stored) {
+      return this.unwrap(stored);
+    }
+
+    return create ? this.createKey(packageId) : null;
+  }
+
+  /**
+   * Create the content key of a package
+   * @param {string} packageId - ID of the package
+   * @returns {Promise<Object>} - { id, key }
+   */
+  async createKey(packageId) {
+    const key = crypto.randomBytes(ENCRYPTION.AES_KEY_LENGTH / 8);
+
+    try {
+      const stored = await PackageContentKey.create({
+        package: packageId,
+        ...encryptionService.wrapDataKey(key, this.getWrapContext(packageId))
+      });
+      return { id: stored._id.toString(), key };
+    } catch (error) {
+      // Another request created the key first
+      if (error.code === 11000) {
+        return this.getKey(packageId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the content keys of several packages with one query
+   * Keys that cannot be unwrapped are left out, like missing ones
+   * @param {Array<string>} packageIds - IDs of the packages
+   * @returns {Promise<Map>} - Package id string to { id, key }
+   */
+  async getKeys(packageIds) {
+    const stored = await PackageContentKey.find({ package: { $in: packageIds } }).select('+wrappedKey');
+    const keys = new Map();
+
+    stored.forEach((entry) => {
+      try {
+        keys.set(entry.package.toString(), this.unwrap(entry));
+      } catch (error) {
+        console.error(`Content key of package ${entry.package} could not be unwrapped:`, error.message);
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Encrypt a QR payload under the package content key, creating the key if needed
+   * @param {string} packageId - ID of the package the payload belongs to
+   * @param {Object|string} data - The payload to encrypt
+   * @param {Object} options - Options passed on to encryptionService.encryptPayload
+   * @returns {Promise<Object>} - { encryptedData, iv, keyId, encoding }
+   */
+  async encryptPayload(packageId, data, options = {}) {
+    const contentKey = await this.getKey(packageId, { create: true });
+    return encryptionService.encryptPayload(data, { ...options, contentKey });
+  }
+
+  /**
+   * Decrypt a QR payload, looking up the content key it was sealed under
+   * Payloads of shredded packages fail like any other undecryptable payload
+   * @param {string} encryptedData - Encrypted QR string
+   * @returns {Promise<Object>} - Parsed payload with envelope metadata
+   */
+  async decryptPayload(encryptedData) {
+    const keyId = encryptionService.getPayloadKeyId(encryptedData);
+    let contentKey = null;
+
+    if (encryptionService.isContentKeyId(keyId)) {
+      const id = keyId.slice(ENCRYPTION.CONTENT_KEY_PREFIX.length);
+      const stored = mongoose.isValidObjectId(id) && await PackageContentKey.findById(id).select('+wrappedKey');
+      contentKey = stored ? this.unwrap(stored) : null;
+    }
+
+    return encryptionService.decryptPayload(encryptedData, { contentKey });
+  }
+
+  /**
+   * Rewrap content keys held under a master key other than the primary key
+   * The content keys themselves do not change, so sealed data and printed labels stay as they are
+   * @param {number} batchSize - Keys loaded per query
+   * @returns {Promise<Object>} - { rewrapped, failed }
+   */
+  async rewrapKeys(batchSize = ENCRYPTION.REENCRYPTION_BATCH_SIZE) {
+    const { id: primaryKeyId } = keyring.getPrimaryKey();
+    const summary = { rewrapped: 0, failed: 0 };
+
+    // Failed keys keep their old key id, so skip past them by _id
+    let lastId = null;
+    let batch;
+    do {
+      const filter = { keyId: { $ne: primaryKeyId } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+
+      batch = await PackageContentKey.find(filter).select('+wrappedKey').sort({ _id: 1 }).limit(batchSize);
+
+      for (const stored of batch) {
+        lastId = stored._id;
+
+        try {
+          const { key } = this.unwrap(stored);
+          await PackageContentKey.updateOne(
+            { _id: stored._id, keyId: stored.keyId },
+            { ...encryptionService.wrapDataKey(key, this.getWrapContext(stored.package)), rewrappedAt: new Date() }
+          );
+          summary.rewrapped += 1;
+        } catch (error) {
+          console.error(`Content key ${stored._id} could not be rewrapped:`, error.message);
+          summary.failed += 1;
+        }
+      }
+    } while (batch.length === batchSize);
+
+    return summary;
+  }
+
+  /**
+   * Destroy the content key of a package; what was sealed under it can never be read again
+   * @param {string} packageId - ID of the package
+   * @returns {Promise<Object|null>} - { id, keyId, createdAt } of the destroyed key, or null if it had none
+   */
+  async destroyKey(packageId) {
+    const stored = await PackageContentKey.findOneAndDelete({ package: packageId });
+    if (!stored) {
+      return null;
+    }
+
+    return {
+      id: stored._id.toString(),
+      keyId: encryptionService.getContentKeyId(stored._id),
+      createdAt: stored.createdAt
+    };
+  }
+}
+
+module.exports = new ContentKeyService();
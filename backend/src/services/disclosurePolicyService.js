@@ -0,0 +1,179 @@
+// disclosurePolicyService.js
+const TrackingLog = require('../models/TrackingLog');
+const HandoverPin = require('../models/HandoverPin');
+const { haversineKm, hasCoordinates } = require('../utils/geo');
+const { logSecurity } = require('../utils/logger');
+const { DISCLOSURE, HANDOVER, ROLES, TRACKING } = require('../config/constants');
+
+const { FIELDS } = DISCLOSURE;
+
+/**
+ * Service deciding which customer fields of a decrypted QR payload a scanner may see
+ * Every decision is written to the tracking log so PII exposure can be audited
+ */
+class DisclosurePolicyService {
+  /**
+   * Decide which fields to disclose for a scan
+   * @param {Object} context - Decision inputs
+   * @param {Object} context.user - Scanning user ({ id, role })
+   * @param {Object} context.pkg - Package document
+   * @param {Object} context.location - Scan location ({ latitude, longitude }) (optional)
+   * @returns {Promise<Object>} - { fields, withheld, reason }
+   */
+  async decide({ user, pkg, location }) {
+    const routing = [FIELDS.TRACKING_NUMBER, FIELDS.CITY_ZIP];
+    const isAssigned = Boolean(pkg.assignedAgent) && pkg.assignedAgent.toString() === String(user.id);
+    const outForDelivery = pkg.status === TRACKING.STATUS.OUT_FOR_DELIVERY;
+
+    let fields;
+    let reason;
+
+    if (user.role === ROLES.ADMIN) {
+      fields = Object.values(FIELDS);
+      reason = 'admin';
+    } else if (user.role === ROLES.DELIVERY_AGENT && isAssigned && outForDelivery) {
+      fields = [...routing, FIELDS.RECIPIENT_NAME, FIELDS.FULL_ADDRESS];
+      reason = 'assigned-agent-out-for-delivery';
+
+      // The phone number is only needed once the agent is at the door. The scan location comes
+      // from the agent's own request and is unverified, so it only narrows a release the server
+      // already allows: a delivery attempt that is still open
+      if (await this.hasActiveDeliveryAttempt(pkg) && this.isAtDoorstep(pkg, location)) {
+        fields.push(FIELDS.PHONE);
+        reason = 'assigned-agent-delivery-attempt';
+      }
+    } else if (user.role === ROLES.DELIVERY_AGENT && isAssigned) {
+      fields = routing;
+      reason = 'assigned-agent-before-dispatch';
+    } else if (user.role === ROLES.DELIVERY_AGENT) {
+      fields = routing;
+      reason = 'agent-not-assigned';
+    } else if (user.role === ROLES.HUB_SORTER) {
+      fields = routing;
+      reason = 'hub-sorting';
+    } else {
+      fields = [];
+      reason = 'no-policy-for-role';
+    }
+
+    return {
+      fields,
+      withheld: Object.values(FIELDS).filter((field) => !fields.includes(field)),
+      reason
+    };
+  }
+
+  /**
+   * Check whether the server has an open delivery attempt for a package
+   * An attempt starts when the package goes out for delivery and its handover PIN is issued,
+   * and ends when the PIN is used, expires or locks after wrong entries
+   * @param {Object} pkg - Package document
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveDeliveryAttempt(pkg) {
+    if (pkg.status !== TRACKING.STATUS.OUT_FOR_DELIVERY) {
+      return false;
+    }
+
+    const handoverPin = await HandoverPin.findOne({ package: pkg._id });
+    return Boolean(handoverPin)
+      && handoverPin.status === HANDOVER.STATUS.PENDING
+      && !handoverPin.isExpired;
+  }
+
+  /**
+   * Check whether a scan location is near the delivery address
+   * The location is reported by the scanner and cannot be trusted on its own
+   * @param {Object} pkg - Package document
+   * @param {Object} location - Scan location (optional)
+   * @returns {boolean} - Whether the scan is within the doorstep radius
+   */
+  isAtDoorstep(pkg, location) {
+    const destination = pkg.deliveryAddress && pkg.deliveryAddress.coordinates;
+    if (!hasCoordinates(location) || !hasCoordinates(destination)) {
+      return false;
+    }
+
+    return haversineKm(location, destination) <= DISCLOSURE.DOORSTEP_RADIUS_KM;
+  }
+
+  /**
+   * Reduce a decrypted payload to the fields a decision allows
+   * @param {Object} packageData - Decrypted QR payload
+   * @param {Object} pkg - Package document, source of city and zip code
+   * @param {Object} decision - Result of decide()
+   * @returns {Object} - Disclosed payload
+   */
+  apply(packageData, pkg, decision) {
+    const disclosed = { packageId: packageData.packageId };
+    const allows = (field) => decision.fields.includes(field);
+
+    if (allows(FIELDS.TRACKING_NUMBER)) {
+      disclosed.trackingNumber = packageData.trackingNumber;
+    }
+
+    if (allows(FIELDS.CITY_ZIP)) {
+      const address = pkg.deliveryAddress
+        || (typeof packageData.customerAddress === 'object' ? packageData.customerAddress : null);
+      if (address) {
+        disclosed.city = address.city;
+        disclosed.zipCode = address.zipCode;
+      }
+    }
+
+    if (allows(FIELDS.RECIPIENT_NAME)) {
+      disclosed.customerName = packageData.customerName;
+    }
+
+    if (allows(FIELDS.FULL_ADDRESS)) {
+      disclosed.customerAddress = packageData.customerAddress;
+    }
+
+    if (allows(FIELDS.PHONE)) {
+      disclosed.customerPhone = packageData.customerPhone;
+    }
+
+    return disclosed;
+  }
+
+  /**
+   * Record a disclosure decision in the tracking log
+   * @param {Object} entry - Log details
+   * @param {Object} entry.pkg - Package document
+   * @param {Object} entry.user - Scanning user ({ id, role })
+   * @param {Object} entry.decision - Result of decide()
+   * @param {string} entry.qrCodeId - ID of the scanned QR code (optional)
+   * @param {string} entry.ipAddress - Scanner IP address (optional)
+   * @param {string} entry.userAgent - Scanner user agent (optional)
+   * @returns {Promise<Object>} - Created log entry
+   */
+  logDecision({ pkg, user, decision, qrCodeId, ipAddress, userAgent }) {
+    if (decision.fields.includes(FIELDS.PHONE)) {
+      logSecurity('pii-phone-released', `Customer phone of package ${pkg._id} released to ${user.role}`, {
+        ip: ipAddress,
+        userId: user.id,
+        packageId: pkg._id,
+        qrCodeId,
+        reason: decision.reason
+      });
+    }
+
+    return TrackingLog.logAction({
+      package: pkg._id,
+      user: user.id,
+      action: 'pii-disclosure',
+      status: pkg.status,
+      details: {
+        qrCodeId,
+        role: user.role,
+        disclosed: decision.fields,
+        withheld: decision.withheld,
+        reason: decision.reason
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+}
+
+module.exports = new DisclosurePolicyService();
@@ -1,6 +1,7 @@
 // emailService.js
 const nodemailer = require('nodemailer');
-const { EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS, FROM_EMAIL } = require('../config/constants');
+const trackingLinkService = require('./trackingLinkService');
+const { EMAIL } = require('../config/constants');
 
 /**
  * Service for handling email notifications
@@ -8,12 +9,12 @@ const { EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS, FROM_EMAIL } = require('
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
-      host: EMAIL_HOST,
-      port: EMAIL_PORT,
-      secure: EMAIL_PORT === 465, // true for 465, false for other ports
+      host: EMAIL.HOST,
+      port: EMAIL.PORT,
+      secure: EMAIL.PORT === 465, // true for 465, false for other ports
       auth: {
-        user: EMAIL_USER,
-        pass: EMAIL_PASS,
+        user: EMAIL.USER,
+        pass: EMAIL.PASS,
       },
     });
   }
@@ -32,7 +33,7 @@ class EmailService {
         : null;
         
       const mailOptions = {
-        from: `"Cipher Ship" <${FROM_EMAIL}>`,
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
         to: email,
         subject: 'Welcome to Cipher Ship - Secure Delivery System',
         html: `
@@ -61,6 +62,46 @@ class EmailService {
     }
   }
 
+  /**
+   * Send an email address verification link
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @param {string} verificationToken - Email verification token
+   * @returns {Promise<Object>} - Email send result
+   */
+  async sendVerificationEmail(email, name, verificationToken) {
+    try {
+      const verificationLink = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+      
+      const mailOptions = {
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
+        to: email,
+        subject: 'Verify Your Email Address - Cipher Ship',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Verify Your Email Address</h2>
+            <p>Hello ${name},</p>
+            <p>Please verify your email address by clicking the button below:</p>
+            <p>
+              <a href="${verificationLink}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Verify Email
+              </a>
+            </p>
+            <p>Or copy and paste this link: ${verificationLink}</p>
+            <p>This link will expire in 24 hours.</p>
+            <p>If you didn't create a Cipher Ship account, you can ignore this email.</p>
+            <p>Best regards,<br>The Cipher Ship Team</p>
+          </div>
+        `
+      };
+
+      return await this.transporter.sendMail(mailOptions);
+    } catch (error) {
+      console.error('Email service error:', error);
+      throw new Error('Failed to send verification email');
+    }
+  }
+
   /**
    * Send password reset email
    * @param {string} email - Recipient email
@@ -73,7 +114,7 @@ class EmailService {
       const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
       
       const mailOptions = {
-        from: `"Cipher Ship" <${FROM_EMAIL}>`,
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
         to: email,
         subject: 'Password Reset Request - Cipher Ship',
         html: `
@@ -101,6 +142,39 @@ class EmailService {
     }
   }
 
+  /**
+   * Send notice that the account password was changed
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @returns {Promise<Object>} - Email send result
+   */
+  async sendPasswordChangedEmail(email, name) {
+    try {
+      const forgotLink = `${process.env.FRONTEND_URL}/forgot-password`;
+      
+      const mailOptions = {
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
+        to: email,
+        subject: 'Your Password Was Changed - Cipher Ship',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Password Changed</h2>
+            <p>Hello ${name},</p>
+            <p>The password of your Cipher Ship account was just changed, and every device signed in to your account was signed out.</p>
+            <p>If you made this change, no further action is needed.</p>
+            <p>If you didn't, reset your password right away and contact our support team: <a href="${forgotLink}">${forgotLink}</a></p>
+            <p>Best regards,<br>The Cipher Ship Team</p>
+          </div>
+        `
+      };
+
+      return await this.transporter.sendMail(mailOptions);
+    } catch (error) {
+      console.error('Email service error:', error);
+      throw new Error('Failed to send password changed email');
+    }
+  }
+
   /**
    * Send 2FA verification code
    * @param {string} email - Recipient email
@@ -111,7 +185,7 @@ class EmailService {
   async send2FACode(email, name, verificationCode) {
     try {
       const mailOptions = {
-        from: `"Cipher Ship" <${FROM_EMAIL}>`,
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
         to: email,
         subject: 'Your Two-Factor Authentication Code - Cipher Ship',
         html: `
@@ -136,6 +210,39 @@ class EmailService {
     }
   }
 
+  /**
+   * Tell a user that two-factor authentication was turned off on their account
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @returns {Promise<Object>} - Email send result
+   */
+  async send2FADisabledEmail(email, name) {
+    try {
+      const forgotLink = `${process.env.FRONTEND_URL}/forgot-password`;
+
+      const mailOptions = {
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
+        to: email,
+        subject: 'Two-Factor Authentication Disabled - Cipher Ship',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Two-Factor Authentication Disabled</h2>
+            <p>Hello ${name},</p>
+            <p>Two-factor authentication was just turned off for your Cipher Ship account. Your account is now protected by your password only.</p>
+            <p>If you made this change, no further action is needed. You can turn it back on at any time.</p>
+            <p>If you didn't, reset your password right away and contact our support team: <a href="${forgotLink}">${forgotLink}</a></p>
+            <p>Best regards,<br>The Cipher Ship Team</p>
+          </div>
+        `
+      };
+
+      return await this.transporter.sendMail(mailOptions);
+    } catch (error) {
+      console.error('Email service error:', error);
+      throw new Error('Failed to send 2FA disabled email');
+    }
+  }
+
   /**
    * Send delivery confirmation to customer
    * @param {string} email - Recipient email
@@ -146,10 +253,10 @@ class EmailService {
    */
   async sendDeliveryConfirmation(email, name, packageId, trackingNumber) {
     try {
-      const trackingLink = `${process.env.FRONTEND_URL}/track-package?id=${trackingNumber}`;
+      const trackingLink = trackingLinkService.createLink(trackingNumber).url;
       
       const mailOptions = {
-        from: `"Cipher Ship" <${FROM_EMAIL}>`,
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
         to: email,
         subject: 'Package Delivery Confirmation - Cipher Ship',
         html: `
@@ -188,7 +295,7 @@ class EmailService {
    */
   async sendStatusUpdate(email, name, packageId, trackingNumber, status, message = '') {
     try {
-      const trackingLink = `${process.env.FRONTEND_URL}/track-package?id=${trackingNumber}`;
+      const trackingLink = trackingLinkService.createLink(trackingNumber).url;
       
       // Convert status to user-friendly text
       const statusText = {
@@ -202,7 +309,7 @@ class EmailService {
       }[status] || status;
       
       const mailOptions = {
-        from: `"Cipher Ship" <${FROM_EMAIL}>`,
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
         to: email,
         subject: `Package Status Update: ${statusText} - Cipher Ship`,
         html: `
@@ -229,6 +336,43 @@ class EmailService {
       throw new Error('Failed to send status update');
     }
   }
+
+  /**
+   * Send the doorstep handover PIN to the recipient
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @param {string} trackingNumber - Tracking number
+   * @param {string} pin - One-time handover PIN
+   * @param {Date} expiresAt - When the PIN stops working
+   * @returns {Promise<Object>} - Email send result
+   */
+  async sendHandoverPin(email, name, trackingNumber, pin, expiresAt) {
+    try {
+      const mailOptions = {
+        from: `"Cipher Ship" <${EMAIL.FROM}>`,
+        to: email,
+        subject: `Your Delivery PIN for ${trackingNumber} - Cipher Ship`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Your Package Is Out for Delivery</h2>
+            <p>Hello ${name},</p>
+            <p>Your package <strong>${trackingNumber}</strong> is on its way. Give this PIN to the delivery agent when they hand it over:</p>
+            <div style="background-color: #f4f4f4; padding: 15px; font-size: 24px; letter-spacing: 5px; text-align: center; font-weight: bold; margin: 20px 0;">
+              ${pin}
+            </div>
+            <p>This PIN is valid until ${expiresAt.toUTCString()}.</p>
+            <p>Only share it in person when you receive the package. Our staff will never ask for it by phone or email.</p>
+            <p>Best regards,<br>The Cipher Ship Team</p>
+          </div>
+        `
+      };
+
+      return await this.transporter.sendMail(mailOptions);
+    } catch (error) {
+      console.error('Email service error:', error);
+      throw new Error('Failed to send handover PIN');
+    }
+  }
 }
 
 module.exports = new EmailService();
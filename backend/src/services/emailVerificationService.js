@@ -0,0 +1,118 @@
+// emailVerificationService.js
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AUTH } = require('../config/constants');
+
+const { EMAIL_VERIFICATION } = AUTH;
+
+/**
+ * Service for confirming that users own the email address they registered with
+ * Unverified customers can log in but cannot create shipments or see QR codes
+ */
+class EmailVerificationService {
+  /**
+   * Issue a fresh verification token and email it
+   * Counts against the send limit. Never throws on mail errors, so registration cannot fail on them
+   * @param {Object} user - User document
+   * @param {Object} options - { welcome } to send it inside the welcome email
+   * @returns {Promise<Object>} - { sent }
+   */
+  async issue(user, { welcome = false } = {}) {
+    const now = Date.now();
+    const verification = user.emailVerification;
+
+    // Start a new send window once the previous one has passed
+    if (!verification.windowStartedAt || verification.windowStartedAt.getTime() + EMAIL_VERIFICATION.SEND_WINDOW * 1000 <= now) {
+      verification.windowStartedAt = new Date(now);
+      verification.sendCount = 0;
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    verification.lastSentAt = new Date(now);
+    verification.sendCount += 1;
+    await user.save();
+
+    try {
+      if (welcome) {
+        await emailService.sendWelcomeEmail(user.email, user.firstName, verificationToken);
+      } else {
+        await emailService.sendVerificationEmail(user.email, user.firstName, verificationToken);
+      }
+      return { sent: true };
+    } catch (error) {
+      console.error('Verification email error:', error);
+      return { sent: false };
+    }
+  }
+
+  /**
+   * Send another verification email, subject to the cooldown and the send limit
+   * A new token replaces the previous one
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { sent, expiresAt }, or { code, message, retryAfter } if refused
+   */
+  async resend(user) {
+    if (user.isEmailVerified()) {
+      return { code: EMAIL_VERIFICATION.ERROR_CODES.ALREADY_VERIFIED, message: 'Email address is already verified' };
+    }
+
+    const now = Date.now();
+    const verification = user.emailVerification;
+
+    const nextAllowed = verification.lastSentAt
+      ? verification.lastSentAt.getTime() + EMAIL_VERIFICATION.RESEND_COOLDOWN * 1000
+      : 0;
+    if (nextAllowed > now) {
+      return {
+        code: EMAIL_VERIFICATION.ERROR_CODES.RESEND_COOLDOWN,
+        message: 'A verification email was sent recently. Please wait before requesting another',
+        retryAfter: Math.ceil((nextAllowed - now) / 1000)
+      };
+    }
+
+    const windowEnd = verification.windowStartedAt
+      ? verification.windowStartedAt.getTime() + EMAIL_VERIFICATION.SEND_WINDOW * 1000
+      : 0;
+    if (windowEnd > now && verification.sendCount >= EMAIL_VERIFICATION.MAX_SENDS) {
+      return {
+        code: EMAIL_VERIFICATION.ERROR_CODES.RESEND_LIMIT,
+        message: 'Too many verification emails have been sent. Please try again later',
+        retryAfter: Math.ceil((windowEnd - now) / 1000)
+      };
+    }
+
+    const { sent } = await this.issue(user);
+    return { sent, expiresAt: verification.expiresAt };
+  }
+
+  /**
+   * Verify an email address with an emailed token; each token works once
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Object>} - { user }, or { code, message } if refused
+   */
+  async verify(token) {
+    const tokenHash = User.hashToken(token);
+
+    const user = await User.findOneAndUpdate(
+      { 'emailVerification.tokenHash': tokenHash, 'emailVerification.expiresAt': { $gt: new Date() } },
+      {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { 'emailVerification.tokenHash': 1, 'emailVerification.expiresAt': 1 }
+      },
+      { new: true }
+    );
+
+    if (user) {
+      return { user };
+    }
+
+    if (await User.exists({ 'emailVerification.tokenHash': tokenHash })) {
+      return { code: EMAIL_VERIFICATION.ERROR_CODES.EXPIRED, message: 'Verification link has expired. Please request a new one' };
+    }
+
+    return { code: EMAIL_VERIFICATION.ERROR_CODES.INVALID, message: 'Verification link is invalid or has already been used' };
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -1,19 +1,479 @@
 // encryptionService.js
 const crypto = require('crypto');
-const { AES_KEY, AES_IV, RSA_PRIVATE_KEY, RSA_PUBLIC_KEY } = require('../config/constants');
+const { ENCRYPTION, QR_CODE } = require('../config/constants');
+const encryptionUtils = require('../utils/encryption');
+const base45 = require('../utils/base45');
+const { encodeFields, decodeFields } = require('../utils/compactCodec');
+const keyring = require('./keyringService');
+
+const { LEGACY_AES_IV, RSA_PRIVATE_KEY, RSA_PUBLIC_KEY } = ENCRYPTION;
+const COMPACT_PREFIX = `${ENCRYPTION.ENVELOPE_PREFIX}${ENCRYPTION.COMPACT_VERSION}:`;
+const GCM_TAG_LENGTH = 16;
+const SIGNATURE_LENGTH = 64; // P-256 signature in IEEE P1363 encoding
 
 /**
  * Service for handling encryption and decryption of sensitive data
  */
 class EncryptionService {
+  constructor() {
+    this.signingPublicKey = null;
+  }
+
+  /**
+   * Encrypt a QR payload with AES-256-GCM under a fresh IV and the primary key
+   * @param {Object|string} data - The payload to encrypt (objects are JSON encoded)
+   * @param {Object} options - Encoding options
+   * @param {string} options.encoding - One of QR_CODE.PAYLOAD_ENCODINGS (strings always use the envelope)
+   * @param {Object} options.contentKey - Package content key ({ id, key }) to seal with instead of the primary key
+   * @returns {Object} - Serialized envelope plus the IV, key id and encoding used
+   */
+  encryptPayload(data, { encoding = QR_CODE.PAYLOAD_ENCODING, contentKey = null } = {}) {
+    if (encoding === QR_CODE.PAYLOAD_ENCODINGS.COMPACT && typeof data === 'object') {
+      return this.encryptCompactPayload(data, contentKey);
+    }
+
+    try {
+      const plaintext = typeof data === 'string' ? data : JSON.stringify(data);
+      const { id: keyId, key } = this.getSealingKey(contentKey);
+      const header = this.buildEnvelopeHeader(ENCRYPTION.ENVELOPE_VERSION, keyId);
+      const iv = crypto.randomBytes(ENCRYPTION.GCM_IV_LENGTH);
+
+      // The header is authenticated so the version and key id cannot be swapped
+      const { encryptedData, authTag } = encryptionUtils.encryptAES(plaintext, key, iv, header);
+
+      const envelope = this.serializeEnvelope({
+        version: ENCRYPTION.ENVELOPE_VERSION,
+        keyId,
+        iv: iv.toString('base64'),
+        tag: authTag,
+        ciphertext: encryptedData
+      });
+
+      // Sign the whole envelope so agents can check it offline with the public key
+      return {
+        encryptedData: `${envelope}.${this.signEnvelope(envelope)}`,
+        iv: iv.toString('base64'),
+        keyId,
+        encoding: QR_CODE.PAYLOAD_ENCODINGS.ENVELOPE
+      };
+    } catch (error) {
+      console.error('Payload encryption error:', error);
+      throw new Error('Encryption failed');
+    }
+  }
+
+  /**
+   * Encrypt a QR payload into the compact binary envelope
+   * Layout before base45: [keyId length][keyId][iv][tag][ciphertext][signature]
+   * @param {Object} data - The payload to encrypt
+   * @param {Object} contentKey - Package content key to seal with instead of the primary key (optional)
+   * @returns {Object} - Serialized envelope plus the IV, key id and encoding used
+   */
+  encryptCompactPayload(data, contentKey = null) {
+    try {
+      const { id: keyId, key } = this.getSealingKey(contentKey);
+      const keyIdBytes = Buffer.from(keyId, 'utf8');
+      if (keyIdBytes.length > 255) {
+        throw new Error('Key id is too long for the compact envelope');
+      }
+
+      const iv = crypto.randomBytes(ENCRYPTION.GCM_IV_LENGTH);
+      const { encryptedData, authTag } = encryptionUtils.encryptAES(
+        encodeFields(data),
+        key,
+        iv,
+        `${COMPACT_PREFIX}${keyId}`
+      );
+
+      const body = Buffer.concat([
+        Buffer.from([keyIdBytes.length]),
+        keyIdBytes,
+        iv,
+        Buffer.from(authTag, 'base64'),
+        Buffer.from(encryptedData, 'base64')
+      ]);
+      const signature = Buffer.from(
+        this.signEnvelope(Buffer.concat([Buffer.from(COMPACT_PREFIX, 'ascii'), body])),
+        'base64'
+      );
+
+      return {
+        encryptedData: `${COMPACT_PREFIX}${base45.encode(Buffer.concat([body, signature]))}`,
+        iv: iv.toString('base64'),
+        keyId,
+        encoding: QR_CODE.PAYLOAD_ENCODINGS.COMPACT
+      };
+    } catch (error) {
+      console.error('Compact payload encryption error:', error);
+      throw new Error('Encryption failed');
+    }
+  }
+
+  /**
+   * Decrypt a QR payload, accepting both envelopes and legacy CBC strings
+   * Payloads sealed under a package content key need that key, see contentKeyService.decryptPayload
+   * @param {string} encryptedData - Envelope string or legacy base64 ciphertext
+   * @param {Object} options - { contentKey } for payloads sealed under a package content key
+   * @returns {Object} - Parsed payload with envelope metadata
+   */
+  decryptPayload(encryptedData, { contentKey = null } = {}) {
+    if (this.isCompactEnvelope(encryptedData)) {
+      return this.decryptCompactPayload(encryptedData, contentKey);
+    }
+
+    if (!this.isEnvelope(encryptedData)) {
+      if (!ENCRYPTION.ALLOW_LEGACY_CBC) {
+        throw new Error('Legacy QR payloads are no longer accepted');
+      }
+
+      return {
+        data: JSON.parse(this.decryptAES(encryptedData)),
+        version: 0,
+        keyId: null,
+        legacy: true,
+        signed: false,
+        encoding: null
+      };
+    }
+
+    try {
+      const envelope = this.parseEnvelope(encryptedData);
+
+      // Envelopes issued before signing was introduced carry no signature
+      if (envelope.signature && !this.verifyEnvelopeSignature(envelope.signedContent, envelope.signature)) {
+        throw new Error('Signature verification failed');
+      }
+
+      const key = this.getOpeningKey(envelope.keyId, contentKey);
+      const header = this.buildEnvelopeHeader(envelope.version, envelope.keyId);
+      const plaintext = encryptionUtils.decryptAES(
+        envelope.ciphertext,
+        key,
+        envelope.iv,
+        envelope.tag,
+        header
+      );
+
+      return {
+        data: JSON.parse(plaintext),
+        version: envelope.version,
+        keyId: envelope.keyId,
+        legacy: false,
+        signed: Boolean(envelope.signature),
+        encoding: QR_CODE.PAYLOAD_ENCODINGS.ENVELOPE
+      };
+    } catch (error) {
+      console.error('Payload decryption error:', error);
+      throw new Error('Decryption failed');
+    }
+  }
+
+  /**
+   * Decrypt a compact binary envelope; these are always signed
+   * @param {string} value - Compact envelope string
+   * @param {Object} contentKey - Package content key for payloads sealed under one (optional)
+   * @returns {Object} - Parsed payload with envelope metadata
+   */
+  decryptCompactPayload(value, contentKey = null) {
+    try {
+      const envelope = this.parseCompactEnvelope(value);
+
+      if (!this.verifyEnvelopeSignature(envelope.signedContent, envelope.signature.toString('base64'))) {
+        throw new Error('Signature verification failed');
+      }
+
+      const key = this.getOpeningKey(envelope.keyId, contentKey);
+      const plaintext = encryptionUtils.decryptAES(
+        envelope.ciphertext.toString('base64'),
+        key,
+        envelope.iv.toString('base64'),
+        envelope.tag.toString('base64'),
+        `${COMPACT_PREFIX}${envelope.keyId}`,
+        null
+      );
+
+      return {
+        data: decodeFields(plaintext),
+        version: ENCRYPTION.COMPACT_VERSION,
+        keyId: envelope.keyId,
+        legacy: false,
+        signed: true,
+        encoding: QR_CODE.PAYLOAD_ENCODINGS.COMPACT
+      };
+    } catch (error) {
+      console.error('Compact payload decryption error:', error);
+      throw new Error('Decryption failed');
+    }
+  }
+
+  /**
+   * Split a compact envelope into its parts
+   * @param {string} value - Compact envelope string
+   * @returns {Object} - Envelope parts as Buffers (keyId, iv, tag, ciphertext, signature, signedContent)
+   */
+  parseCompactEnvelope(value) {
+    const bytes = base45.decode(value.slice(COMPACT_PREFIX.length));
+    const keyIdLength = bytes[0];
+    const ivStart = 1 + keyIdLength;
+    const tagStart = ivStart + ENCRYPTION.GCM_IV_LENGTH;
+    const ciphertextStart = tagStart + GCM_TAG_LENGTH;
+    const signatureStart = bytes.length - SIGNATURE_LENGTH;
+
+    if (bytes.length === 0 || signatureStart <= ciphertextStart) {
+      throw new Error('Malformed compact envelope');
+    }
+
+    return {
+      keyId: bytes.subarray(1, ivStart).toString('utf8'),
+      iv: bytes.subarray(ivStart, tagStart),
+      tag: bytes.subarray(tagStart, ciphertextStart),
+      ciphertext: bytes.subarray(ciphertextStart, signatureStart),
+      signature: bytes.subarray(signatureStart),
+      signedContent: Buffer.concat([Buffer.from(COMPACT_PREFIX, 'ascii'), bytes.subarray(0, signatureStart)])
+    };
+  }
+
+  /**
+   * Read the key id of a QR payload without decrypting it
+   * @param {string} value - Encrypted QR string
+   * @returns {string|null} - Key id, or null for legacy CBC and malformed payloads
+   */
+  getPayloadKeyId(value) {
+    try {
+      if (this.isCompactEnvelope(value)) {
+        return this.parseCompactEnvelope(value).keyId;
+      }
+      return this.isEnvelope(value) ? this.parseEnvelope(value).keyId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Key id written into envelopes and field blobs sealed under a package content key
+   * @param {string} id - PackageContentKey id
+   * @returns {string}
+   */
+  getContentKeyId(id) {
+    return `${ENCRYPTION.CONTENT_KEY_PREFIX}${id}`;
+  }
+
+  /**
+   * Check whether a key id refers to a package content key rather than a keyring entry
+   * @param {string} keyId - Key id from an envelope or field blob
+   * @returns {boolean}
+   */
+  isContentKeyId(keyId) {
+    return typeof keyId === 'string' && keyId.startsWith(ENCRYPTION.CONTENT_KEY_PREFIX);
+  }
+
+  /**
+   * Key that seals new data: the package content key when one is given, else the primary master key
+   * @param {Object} contentKey - { id, key } (optional)
+   * @returns {Object} - { id, key } with the key hex encoded
+   */
+  getSealingKey(contentKey) {
+    if (contentKey) {
+      return { id: this.getContentKeyId(contentKey.id), key: contentKey.key.toString('hex') };
+    }
+    return keyring.getPrimaryKey();
+  }
+
+  /**
+   * Key that opens data sealed under a key id
+   * Content key ids never fall back to the keyring, so shredded data stays unreadable
+   * @param {string} keyId - Key id from an envelope or field blob
+   * @param {Object} contentKey - { id, key } (optional)
+   * @returns {string} - Hex encoded key
+   */
+  getOpeningKey(keyId, contentKey) {
+    if (!this.isContentKeyId(keyId)) {
+      return keyring.getDecryptionKey(keyId).key;
+    }
+
+    if (!contentKey || this.getContentKeyId(contentKey.id) !== keyId) {
+      throw new Error(`Package content key ${keyId} is not available`);
+    }
+    return contentKey.key.toString('hex');
+  }
+
+  /**
+   * Check whether a QR string uses the compact binary envelope
+   * @param {string} value - Encrypted QR string
+   * @returns {boolean} - True for compact envelopes
+   */
+  isCompactEnvelope(value) {
+    return typeof value === 'string' && value.startsWith(COMPACT_PREFIX);
+  }
+
+  /**
+   * Build the authenticated envelope header
+   * @param {number} version - Envelope format version
+   * @param {string} keyId - Identifier of the encryption key
+   * @returns {string} - Header string
+   */
+  buildEnvelopeHeader(version, keyId) {
+    return `${ENCRYPTION.ENVELOPE_PREFIX}${version}.${keyId}`;
+  }
+
+  /**
+   * Serialize envelope parts into the string stored in QR codes
+   * @param {Object} envelope - Envelope parts (version, keyId, iv, tag, ciphertext)
+   * @returns {string} - Dot separated envelope
+   */
+  serializeEnvelope({ version, keyId, iv, tag, ciphertext }) {
+    return [this.buildEnvelopeHeader(version, keyId), iv, tag, ciphertext].join('.');
+  }
+
+  /**
+   * Parse an envelope string back into its parts
+   * @param {string} value - Envelope string, optionally followed by a signature
+   * @returns {Object} - Envelope parts (version, keyId, iv, tag, ciphertext, signature, signedContent)
+   */
+  parseEnvelope(value) {
+    const parts = value.split('.');
+    if (parts.length !== 5 && parts.length !== 6) {
+      throw new Error('Malformed envelope');
+    }
+
+    const [prefix, keyId, iv, tag, ciphertext, signature = null] = parts;
+    const version = parseInt(prefix.slice(ENCRYPTION.ENVELOPE_PREFIX.length), 10);
+    if (version !== ENCRYPTION.ENVELOPE_VERSION) {
+      throw new Error(`Unsupported envelope version: ${version}`);
+    }
+
+    return {
+      version,
+      keyId,
+      iv,
+      tag,
+      ciphertext,
+      signature,
+      signedContent: parts.slice(0, 5).join('.')
+    };
+  }
+
+  /**
+   * Sign a serialized envelope with the server signing key
+   * @param {string|Buffer} envelope - Serialized envelope without signature
+   * @returns {string} - Base64 encoded ECDSA signature
+   */
+  signEnvelope(envelope) {
+    if (!ENCRYPTION.SIGNING_PRIVATE_KEY) {
+      throw new Error('No QR signing key configured');
+    }
+    return encryptionUtils.signData(envelope, ENCRYPTION.SIGNING_PRIVATE_KEY);
+  }
+
+  /**
+   * Verify an envelope signature with the published public key
+   * @param {string|Buffer} envelope - Serialized envelope without signature
+   * @param {string} signature - Base64 encoded ECDSA signature
+   * @returns {boolean} - Whether the signature is valid
+   */
+  verifyEnvelopeSignature(envelope, signature) {
+    return encryptionUtils.verifySignature(envelope, signature, this.getSigningPublicKey().publicKey);
+  }
+
+  /**
+   * Get the public half of the QR signing key for offline verification
+   * @returns {Object} - Key id, algorithm, PEM public key and base64 SPKI
+   */
+  getSigningPublicKey() {
+    if (!this.signingPublicKey) {
+      const source = ENCRYPTION.SIGNING_PUBLIC_KEY || ENCRYPTION.SIGNING_PRIVATE_KEY;
+      if (!source) {
+        throw new Error('No QR signing key configured');
+      }
+
+      const publicKey = crypto.createPublicKey(source);
+      this.signingPublicKey = {
+        keyId: ENCRYPTION.SIGNING_KEY_ID,
+        algorithm: ENCRYPTION.SIGNING_ALGORITHM,
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        spki: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+      };
+    }
+
+    return this.signingPublicKey;
+  }
+
+  /**
+   * Check whether a QR string uses the versioned envelope format
+   * @param {string} value - Encrypted QR string
+   * @returns {boolean} - True for envelopes, false for legacy ciphertext
+   */
+  isEnvelope(value) {
+    if (typeof value !== 'string' || !value.startsWith(ENCRYPTION.ENVELOPE_PREFIX) || this.isCompactEnvelope(value)) {
+      return false;
+    }
+
+    const segments = value.split('.').length;
+    return segments === 5 || segments === 6;
+  }
+
+  /**
+   * Wrap a data key with the primary master key
+   * @param {Buffer} dataKey - Raw data key
+   * @param {string} context - Authenticated context binding the key to its owner, e.g. the package id
+   * @returns {Object} - { keyId, iv, tag, wrappedKey }
+   */
+  wrapDataKey(dataKey, context) {
+    const { id: keyId, key } = keyring.getPrimaryKey();
+    const iv = crypto.randomBytes(ENCRYPTION.GCM_IV_LENGTH);
+    const { encryptedData, authTag } = encryptionUtils.encryptAES(dataKey.toString('hex'), key, iv, context);
+
+    return { keyId, iv: iv.toString('base64'), tag: authTag, wrappedKey: encryptedData };
+  }
+
+  /**
+   * Unwrap a data key sealed by wrapDataKey
+   * @param {Object} wrapped - { keyId, iv, tag, wrappedKey }
+   * @param {string} context - The context the key was wrapped with
+   * @returns {Buffer} - Raw data key
+   */
+  unwrapDataKey({ keyId, iv, tag, wrappedKey }, context) {
+    const { key } = keyring.getDecryptionKey(keyId);
+    return Buffer.from(encryptionUtils.decryptAES(wrappedKey, key, iv, tag, context), 'hex');
+  }
+
+  /**
+   * Encrypt document fields with the primary master key, or with a package content key
+   * @param {Object} values - Plain field values keyed by path
+   * @param {string} context - Authenticated context binding the ciphertext to its document
+   * @param {Object} contentKey - { id, key } to seal with instead of the master key (optional)
+   * @returns {Object} - { keyId, iv, tag, ciphertext }
+   */
+  encryptFields(values, context, contentKey = null) {
+    const { id: keyId, key } = this.getSealingKey(contentKey);
+    const iv = crypto.randomBytes(ENCRYPTION.GCM_IV_LENGTH);
+    const { encryptedData, authTag } = encryptionUtils.encryptAES(JSON.stringify(values), key, iv, context);
+
+    return { keyId, iv: iv.toString('base64'), tag: authTag, ciphertext: encryptedData };
+  }
+
+  /**
+   * Decrypt document fields sealed by encryptFields
+   * Works with retired keys, so documents stay readable while they are re-encrypted
+   * @param {Object} sealed - { keyId, iv, tag, ciphertext }
+   * @param {string} context - The context the fields were encrypted with
+   * @param {Object} contentKey - { id, key } when the blob is sealed under a package content key
+   * @returns {Object} - Plain field values keyed by path
+   */
+  decryptFields({ keyId, iv, tag, ciphertext }, context, contentKey = null) {
+    const key = this.getOpeningKey(keyId, contentKey);
+    return JSON.parse(encryptionUtils.decryptAES(ciphertext, key, iv, tag, context));
+  }
+
   /**
    * Encrypt data using AES-256-CBC
+   * @deprecated Static IV and no integrity check; use encryptPayload
    * @param {string} data - The data to encrypt
    * @returns {string} - The encrypted data as base64 string
    */
   encryptAES(data) {
     try {
-      const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(AES_KEY, 'hex'), Buffer.from(AES_IV, 'hex'));
+      const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(keyring.getLegacyKey(), 'hex'), Buffer.from(LEGACY_AES_IV, 'hex'));
       let encrypted = cipher.update(data, 'utf8', 'base64');
       encrypted += cipher.final('base64');
       return encrypted;
@@ -25,12 +485,13 @@ class EncryptionService {
 
   /**
    * Decrypt data using AES-256-CBC
+   * Kept so QR codes printed before the envelope format can still be read
    * @param {string} encryptedData - The encrypted data as base64 string
    * @returns {string} - The decrypted data
    */
   decryptAES(encryptedData) {
     try {
-      const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(AES_KEY, 'hex'), Buffer.from(AES_IV, 'hex'));
+      const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(keyring.getLegacyKey(), 'hex'), Buffer.from(LEGACY_AES_IV, 'hex'));
       let decrypted = decipher.update(encryptedData, 'base64', 'utf8');
       decrypted += decipher.final('utf8');
       return decrypted;
@@ -0,0 +1,353 @@
+// handoverPinService.js
+const crypto = require('crypto');
+const HandoverPin = require('../models/HandoverPin');
+const TrackingLog = require('../models/TrackingLog');
+const emailService = require('./emailService');
+const scanAnomalyService = require('./scanAnomalyService');
+const { HANDOVER, SECURITY_ALERTS, TRACKING } = require('../config/constants');
+
+const LOCKED_MESSAGE = 'Too many wrong PIN entries. An administrator has to reset the PIN';
+
+/**
+ * Service for the one-time PIN the recipient gives the agent at the door
+ * A package can only be marked delivered with its PIN or an admin override
+ */
+class HandoverPinService {
+  /**
+   * Generate a random numeric PIN
+   * @returns {string} - PIN of HANDOVER.PIN_LENGTH digits
+   */
+  generatePin() {
+    return crypto.randomInt(0, 10 ** HANDOVER.PIN_LENGTH).toString().padStart(HANDOVER.PIN_LENGTH, '0');
+  }
+
+  /**
+   * Issue a fresh PIN when a package goes out for delivery and email it to the recipient
+   * Replaces any earlier PIN, so a package sent out again after a failed attempt gets a new one.
+   * Send and attempt counters carry over, so moving a package out of delivery and back cannot
+   * get around MAX_SENDS or a lockout; a locked or exhausted PIN needs an admin reset.
+   * Never throws, so a mail outage cannot block the status change itself
+   * @param {Object} pkg - Package document
+   * @param {string} userId - ID of the user who changed the status
+   * @returns {Promise<Object|null>} - { handoverPin, sent, code }, or null if issuing failed
+   */
+  async issue(pkg, userId) {
+    try {
+      let handoverPin = await HandoverPin.findOne({ package: pkg._id });
+      if (!handoverPin) {
+        handoverPin = new HandoverPin({ package: pkg._id });
+      }
+
+      const refused = handoverPin.status === HANDOVER.STATUS.LOCKED
+        ? HANDOVER.ERROR_CODES.LOCKED
+        : handoverPin.sendCount >= HANDOVER.MAX_SENDS ? HANDOVER.ERROR_CODES.RESEND_LIMIT : null;
+
+      if (refused) {
+        await TrackingLog.logAction({
+          package: pkg._id,
+          user: userId,
+          action: 'handover-pin-issue-refused',
+          status: pkg.status,
+          details: { code: refused, attempts: handoverPin.attempts, sendCount: handoverPin.sendCount },
+          level: TRACKING.LOG_LEVEL.WARNING
+        });
+        return { handoverPin, sent: false, code: refused };
+      }
+
+      // An override covers the dispatch it was given for, not the next one
+      handoverPin.override = undefined;
+
+      const sent = await this.sendNewPin(pkg, handoverPin);
+
+      await TrackingLog.logAction({
+        package: pkg._id,
+        user: userId,
+        action: 'handover-pin-issued',
+        status: pkg.status,
+        details: { sent, expiresAt: handoverPin.expiresAt, sendCount: handoverPin.sendCount }
+      });
+
+      return { handoverPin, sent, code: null };
+    } catch (error) {
+      console.error(`Handover PIN issue error for package ${pkg._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the PIN and email it to the recipient
+   * @param {Object} pkg - Package document
+   * @param {Object} handoverPin - HandoverPin document
+   * @returns {Promise<boolean>} - Whether the email went out
+   */
+  async sendNewPin(pkg, handoverPin) {
+    const pin = this.generatePin();
+
+    await handoverPin.setPin(pin);
+    handoverPin.sendCount += 1;
+    handoverPin.lastSentAt = new Date();
+    await handoverPin.save();
+
+    const recipient = pkg.recipient || {};
+    if (!recipient.email) {
+      return false;
+    }
+
+    try {
+      await emailService.sendHandoverPin(recipient.email, recipient.name, pkg.trackingNumber, pin, handoverPin.expiresAt);
+      return true;
+    } catch (error) {
+      console.error(`Handover PIN email error for package ${pkg._id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send the recipient a new PIN, within the cooldown and send limits
+   * A locked PIN stays locked; only an admin reset unlocks it
+   * @param {Object} pkg - Package document
+   * @param {string} userId - ID of the user asking for the resend
+   * @returns {Promise<Object>} - { handoverPin, sent, code, message, retryAfter }
+   */
+  async resend(pkg, userId) {
+    const handoverPin = await HandoverPin.findOne({ package: pkg._id });
+
+    if (!handoverPin) {
+      return { code: HANDOVER.ERROR_CODES.NOT_ISSUED, message: 'No handover PIN has been issued for this package' };
+    }
+
+    if ([HANDOVER.STATUS.VERIFIED, HANDOVER.STATUS.OVERRIDDEN].includes(handoverPin.status)) {
+      return { code: HANDOVER.ERROR_CODES.ALREADY_USED, message: 'The handover for this package is already confirmed' };
+    }
+
+    if (handoverPin.status === HANDOVER.STATUS.LOCKED) {
+      return { code: HANDOVER.ERROR_CODES.LOCKED, message: LOCKED_MESSAGE };
+    }
+
+    const nextAllowed = handoverPin.lastSentAt
+      ? handoverPin.lastSentAt.getTime() + HANDOVER.RESEND_COOLDOWN * 1000
+      : 0;
+    if (nextAllowed > Date.now()) {
+      return {
+        code: HANDOVER.ERROR_CODES.RESEND_COOLDOWN,
+        message: 'A PIN was sent recently. Please wait before requesting another',
+        retryAfter: Math.ceil((nextAllowed - Date.now()) / 1000)
+      };
+    }
+
+    if (handoverPin.sendCount >= HANDOVER.MAX_SENDS) {
+      return {
+        code: HANDOVER.ERROR_CODES.RESEND_LIMIT,
+        message: 'The PIN resend limit for this package has been reached. Contact an administrator'
+      };
+    }
+
+    const sent = await this.sendNewPin(pkg, handoverPin);
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'handover-pin-resent',
+      status: pkg.status,
+      details: { sent, sendCount: handoverPin.sendCount }
+    });
+
+    return { handoverPin, sent, code: null, message: null };
+  }
+
+  /**
+   * Confirm the handover before a package is marked delivered
+   * An admin override stands in for the PIN; otherwise the entered PIN is checked
+   * @param {Object} pkg - Package document
+   * @param {string} pin - PIN entered by the agent
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   * @returns {Promise<Object>} - { method, code, message, remainingAttempts }
+   */
+  async confirmHandover(pkg, pin, context) {
+    const handoverPin = await HandoverPin.findOne({ package: pkg._id });
+
+    if (handoverPin && handoverPin.status === HANDOVER.STATUS.OVERRIDDEN) {
+      return { method: 'override', code: null, message: null };
+    }
+
+    const result = await this.verify(pkg, pin, context);
+    return { method: 'pin', ...result };
+  }
+
+  /**
+   * Check an entered PIN, counting the attempt and locking the PIN after too many wrong ones
+   * @param {Object} pkg - Package document
+   * @param {string} pin - PIN entered by the agent
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   * @returns {Promise<Object>} - { code, message, remainingAttempts }
+   */
+  async verify(pkg, pin, { userId, ipAddress, userAgent }) {
+    const handoverPin = await HandoverPin.findOne({ package: pkg._id }).select('+pinHash');
+
+    if (!handoverPin || !handoverPin.pinHash) {
+      return { code: HANDOVER.ERROR_CODES.NOT_ISSUED, message: 'No handover PIN has been issued for this package' };
+    }
+
+    if ([HANDOVER.STATUS.VERIFIED, HANDOVER.STATUS.OVERRIDDEN].includes(handoverPin.status)) {
+      return { code: HANDOVER.ERROR_CODES.ALREADY_USED, message: 'The handover for this package is already confirmed' };
+    }
+
+    if (handoverPin.status === HANDOVER.STATUS.LOCKED) {
+      return { code: HANDOVER.ERROR_CODES.LOCKED, message: LOCKED_MESSAGE };
+    }
+
+    if (handoverPin.isExpired) {
+      return { code: HANDOVER.ERROR_CODES.EXPIRED, message: 'The handover PIN has expired. Ask for a new PIN to be sent' };
+    }
+
+    // Reserve the attempt atomically so parallel requests cannot exceed the limit
+    const reserved = await HandoverPin.findOneAndUpdate(
+      { _id: handoverPin._id, status: HANDOVER.STATUS.PENDING, attempts: { $lt: HANDOVER.MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      return { code: HANDOVER.ERROR_CODES.LOCKED, message: LOCKED_MESSAGE };
+    }
+
+    const matches = typeof pin === 'string' && pin.length > 0 && await handoverPin.comparePin(pin);
+
+    if (matches) {
+      reserved.status = HANDOVER.STATUS.VERIFIED;
+      reserved.verifiedAt = new Date();
+      reserved.verifiedBy = userId;
+      await reserved.save();
+
+      await TrackingLog.logAction({
+        package: pkg._id,
+        user: userId,
+        action: 'handover-pin-verified',
+        status: pkg.status,
+        details: { attempts: reserved.attempts },
+        ipAddress,
+        userAgent
+      });
+
+      return { code: null, message: null, remainingAttempts: reserved.remainingAttempts };
+    }
+
+    const locked = reserved.attempts >= HANDOVER.MAX_ATTEMPTS;
+    if (locked) {
+      reserved.status = HANDOVER.STATUS.LOCKED;
+      await reserved.save();
+    }
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: locked ? 'handover-pin-locked' : 'handover-pin-failed',
+      status: pkg.status,
+      details: { attempts: reserved.attempts },
+      ipAddress,
+      userAgent,
+      level: TRACKING.LOG_LEVEL.WARNING
+    });
+
+    if (locked) {
+      await scanAnomalyService.raiseAlert({
+        type: SECURITY_ALERTS.TYPES.HANDOVER_PIN_LOCKOUT,
+        severity: SECURITY_ALERTS.SEVERITY.HIGH,
+        dedupKey: `${SECURITY_ALERTS.TYPES.HANDOVER_PIN_LOCKOUT}:${pkg._id}`,
+        message: `Handover PIN for package ${pkg.trackingNumber} locked after ${reserved.attempts} wrong entries`,
+        package: pkg._id,
+        user: userId,
+        ipAddress,
+        details: { attempts: reserved.attempts, userAgent }
+      }).catch((error) => console.error('Handover PIN lockout alert error:', error));
+
+      return { code: HANDOVER.ERROR_CODES.LOCKED, message: LOCKED_MESSAGE, remainingAttempts: 0 };
+    }
+
+    return {
+      code: HANDOVER.ERROR_CODES.INVALID,
+      message: 'Incorrect handover PIN',
+      remainingAttempts: reserved.remainingAttempts
+    };
+  }
+
+  /**
+   * Let an admin clear the wrong entries and sends of a PIN and send the recipient a new one
+   * The only way to unlock a locked PIN or lift the send limit
+   * @param {Object} pkg - Package document
+   * @param {string} userId - ID of the admin
+   * @param {string} justification - Why the PIN is being reset
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - { handoverPin, sent, code, message }
+   */
+  async reset(pkg, userId, justification, { ipAddress, userAgent } = {}) {
+    const handoverPin = await HandoverPin.findOne({ package: pkg._id });
+
+    if (!handoverPin) {
+      return { code: HANDOVER.ERROR_CODES.NOT_ISSUED, message: 'No handover PIN has been issued for this package' };
+    }
+
+    if ([HANDOVER.STATUS.VERIFIED, HANDOVER.STATUS.OVERRIDDEN].includes(handoverPin.status)) {
+      return { code: HANDOVER.ERROR_CODES.ALREADY_USED, message: 'The handover for this package is already confirmed' };
+    }
+
+    const previous = { status: handoverPin.status, attempts: handoverPin.attempts, sendCount: handoverPin.sendCount };
+
+    handoverPin.attempts = 0;
+    handoverPin.sendCount = 0;
+    handoverPin.lastReset = { by: userId, justification, at: new Date() };
+    const sent = await this.sendNewPin(pkg, handoverPin);
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'handover-pin-reset',
+      status: pkg.status,
+      details: { justification, previous, sent },
+      ipAddress,
+      userAgent,
+      level: TRACKING.LOG_LEVEL.WARNING
+    });
+
+    return { handoverPin, sent, code: null, message: null };
+  }
+
+  /**
+   * Let an admin confirm the handover without the PIN, e.g. when the recipient cannot read their email
+   * @param {Object} pkg - Package document
+   * @param {string} userId - ID of the admin
+   * @param {string} justification - Why the PIN is being bypassed
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - { handoverPin, code, message }
+   */
+  async override(pkg, userId, justification, { ipAddress, userAgent } = {}) {
+    let handoverPin = await HandoverPin.findOne({ package: pkg._id });
+
+    if (handoverPin && handoverPin.status === HANDOVER.STATUS.VERIFIED) {
+      return { code: HANDOVER.ERROR_CODES.ALREADY_USED, message: 'The handover for this package is already confirmed' };
+    }
+
+    if (!handoverPin) {
+      handoverPin = new HandoverPin({ package: pkg._id });
+    }
+
+    handoverPin.status = HANDOVER.STATUS.OVERRIDDEN;
+    handoverPin.override = { by: userId, justification, at: new Date() };
+    await handoverPin.save();
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'handover-pin-override',
+      status: pkg.status,
+      details: { justification },
+      ipAddress,
+      userAgent,
+      level: TRACKING.LOG_LEVEL.WARNING
+    });
+
+    return { handoverPin, code: null, message: null };
+  }
+}
+
+module.exports = new HandoverPinService();
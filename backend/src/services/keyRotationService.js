@@ -0,0 +1,209 @@
+// keyRotationService.js
+const QRCodeModel = require('../models/QRCode');
+const TrackingLog = require('../models/TrackingLog');
+const Package = require('../models/Package');
+const PackageContentKey = require('../models/PackageContentKey');
+const User = require('../models/User');
+const contentKeyService = require('./contentKeyService');
+const qrCodeService = require('./qrCodeService');
+const keyring = require('./keyringService');
+const { ENCRYPTION, TRACKING } = require('../config/constants');
+
+const CONTENT_KEY_PATTERN = new RegExp(`^${ENCRYPTION.CONTENT_KEY_PREFIX}`);
+
+// Aggregation expression counting everything sealed under package content keys as one group
+const groupKeyId = (path) => ({
+  $cond: [
+    { $regexMatch: { input: { $ifNull: [path, ''] }, regex: CONTENT_KEY_PATTERN } },
+    'package-content-keys',
+    path
+  ]
+});
+
+/**
+ * Background job that keeps stored QR payloads and encrypted document fields on the primary key
+ * Package content keys are rewrapped under it, and payloads still sealed directly under a master key
+ * are moved onto their package content key. Printed labels keep working because retired keys stay in the keyring
+ */
+class KeyRotationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start re-encrypting on a fixed interval
+   * @param {number} intervalSeconds - Seconds between runs
+   */
+  start(intervalSeconds = ENCRYPTION.REENCRYPTION_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Key rotation job error:', error));
+    }, intervalSeconds * 1000);
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rewrap content keys and re-encrypt every QR code not sealed under its package content key
+   * @param {string} userId - ID of the admin who triggered the run (optional)
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async run(userId = null) {
+    if (this.running) {
+      return { skipped: true, reason: 'A rotation run is already in progress' };
+    }
+
+    this.running = true;
+    const summary = {
+      toKeyId: null,
+      rotated: 0,
+      failed: 0,
+      fieldsRotated: 0,
+      fieldsFailed: 0,
+      contentKeysRewrapped: 0,
+      contentKeysFailed: 0,
+      startedAt: new Date(),
+      finishedAt: null
+    };
+
+    try {
+      const { id: primaryKeyId } = keyring.getPrimaryKey();
+      summary.toKeyId = primaryKeyId;
+
+      const { rewrapped, failed } = await contentKeyService.rewrapKeys(ENCRYPTION.REENCRYPTION_BATCH_SIZE);
+      summary.contentKeysRewrapped = rewrapped;
+      summary.contentKeysFailed = failed;
+
+      // Failed documents keep their old key id, so skip past them by _id; shredded codes have no payload left
+      let lastId = null;
+      let batch;
+      do {
+        const filter = { keyId: { $not: CONTENT_KEY_PATTERN }, encryptedData: { $exists: true } };
+        if (lastId) {
+          filter._id = { $gt: lastId };
+        }
+
+        batch = await QRCodeModel.find(filter)
+          .sort({ _id: 1 })
+          .limit(ENCRYPTION.REENCRYPTION_BATCH_SIZE);
+
+        for (const qrCode of batch) {
+          const rotated = await this.reencrypt(qrCode, userId);
+          summary[rotated ? 'rotated' : 'failed'] += 1;
+          lastId = qrCode._id;
+        }
+      } while (batch.length === ENCRYPTION.REENCRYPTION_BATCH_SIZE);
+
+      // Encrypted PII fields follow the same keys
+      for (const Model of [Package, User]) {
+        const { rotated, failed } = await Model.rotateEncryptedFields(ENCRYPTION.REENCRYPTION_BATCH_SIZE);
+        summary.fieldsRotated += rotated;
+        summary.fieldsFailed += failed;
+      }
+    } finally {
+      this.running = false;
+      summary.finishedAt = new Date();
+      this.lastRun = summary;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Re-encrypt a single QR code and record the rotation
+   * @param {Object} qrCode - QR code document
+   * @param {string} userId - ID of the admin who triggered the run (optional)
+   * @returns {Promise<boolean>} - Whether the payload was rotated
+   */
+  async reencrypt(qrCode, userId = null) {
+    const fromKeyId = qrCode.keyId;
+
+    try {
+      const { data } = await contentKeyService.decryptPayload(qrCode.encryptedData);
+      const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(qrCode.package, data);
+
+      qrCode.encryptedData = encryptedData;
+      qrCode.iv = iv;
+      qrCode.keyId = keyId;
+      qrCode.image = await qrCodeService.renderQRImage(encryptedData);
+      await qrCode.save();
+
+      await TrackingLog.logAction({
+        package: qrCode.package,
+        user: userId,
+        action: 'qr-key-rotated',
+        details: { qrCodeId: qrCode._id, fromKeyId: fromKeyId || 'legacy-cbc', toKeyId: keyId }
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`Key rotation failed for QR code ${qrCode._id}:`, error);
+
+      await TrackingLog.logAction({
+        package: qrCode.package,
+        user: userId,
+        action: 'qr-key-rotation-failed',
+        details: { qrCodeId: qrCode._id, fromKeyId: fromKeyId || 'legacy-cbc', error: error.message },
+        level: TRACKING.LOG_LEVEL.ERROR
+      }).catch(() => {});
+
+      return false;
+    }
+  }
+
+  /**
+   * Report keyring state and how many QR codes, field blobs and content keys sit under each key
+   * @returns {Promise<Object>} - Keyring description and per-key counts
+   */
+  async getStatus() {
+    const counts = await QRCodeModel.aggregate([
+      { $group: { _id: groupKeyId('$keyId'), count: { $sum: 1 } } }
+    ]);
+
+    const qrCodesByKey = {};
+    counts.forEach((item) => {
+      qrCodesByKey[item._id || 'legacy-cbc'] = item.count;
+    });
+
+    const encryptedFieldsByKey = {};
+    for (const Model of [Package, User]) {
+      const fieldCounts = await Model.aggregate([
+        { $group: { _id: groupKeyId('$encryptedFields.keyId'), count: { $sum: 1 } } }
+      ]);
+      encryptedFieldsByKey[Model.modelName] = fieldCounts.reduce((byKey, item) => ({
+        ...byKey,
+        [item._id || 'unencrypted']: item.count
+      }), {});
+    }
+
+    const contentKeyCounts = await PackageContentKey.aggregate([
+      { $group: { _id: '$keyId', count: { $sum: 1 } } }
+    ]);
+    const contentKeysByKey = contentKeyCounts.reduce((byKey, item) => ({ ...byKey, [item._id]: item.count }), {});
+
+    return {
+      keys: keyring.describe(),
+      qrCodesByKey,
+      encryptedFieldsByKey,
+      contentKeysByKey,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new KeyRotationService();
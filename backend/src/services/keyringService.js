@@ -0,0 +1,122 @@
+// keyringService.js
+const { ENCRYPTION } = require('../config/constants');
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/i; // 256-bit key as hex
+
+/**
+ * Service holding the AES keys used to seal QR payloads
+ * Every key has an id that is stamped into the envelope, so retired keys can
+ * still open labels that were printed before a rotation
+ */
+class KeyringService {
+  constructor() {
+    this.keys = new Map();
+    this.primaryKeyId = null;
+    this.load();
+  }
+
+  /**
+   * Load keys from the AES_KEYRING setting, falling back to the single AES_KEY
+   * @param {string} keyringConfig - JSON array of { id, key, status } (optional)
+   */
+  load(keyringConfig = ENCRYPTION.KEYRING) {
+    this.keys.clear();
+    this.primaryKeyId = null;
+
+    let entries = [];
+    if (keyringConfig) {
+      try {
+        entries = JSON.parse(keyringConfig);
+      } catch (error) {
+        console.error('Keyring parse error:', error);
+        throw new Error('AES_KEYRING is not valid JSON');
+      }
+    } else if (ENCRYPTION.AES_KEY) {
+      entries = [{ id: ENCRYPTION.AES_KEY_ID, key: ENCRYPTION.AES_KEY, status: ENCRYPTION.KEY_STATUS.ACTIVE }];
+    }
+
+    entries.forEach((entry) => {
+      if (!entry.id || /[.:]/.test(entry.id)) {
+        console.error(`Keyring entry skipped: invalid key id "${entry.id}"`);
+        return;
+      }
+
+      if (!KEY_PATTERN.test(entry.key || '')) {
+        console.error(`Keyring entry skipped: key ${entry.id} is not a 256-bit hex key`);
+        return;
+      }
+
+      const status = entry.status || ENCRYPTION.KEY_STATUS.ACTIVE;
+      if (!Object.values(ENCRYPTION.KEY_STATUS).includes(status)) {
+        console.error(`Keyring entry skipped: key ${entry.id} has unknown status "${status}"`);
+        return;
+      }
+
+      this.keys.set(entry.id, { id: entry.id, key: entry.key, status });
+
+      // The newest active key wins unless a primary is configured explicitly
+      if (status === ENCRYPTION.KEY_STATUS.ACTIVE) {
+        this.primaryKeyId = entry.id;
+      }
+    });
+
+    if (ENCRYPTION.PRIMARY_KEY_ID) {
+      const configured = this.keys.get(ENCRYPTION.PRIMARY_KEY_ID);
+      if (configured && configured.status === ENCRYPTION.KEY_STATUS.ACTIVE) {
+        this.primaryKeyId = configured.id;
+      } else {
+        console.error(`Configured primary key ${ENCRYPTION.PRIMARY_KEY_ID} is missing or not active`);
+      }
+    }
+  }
+
+  /**
+   * Get the key new payloads are encrypted with
+   * @returns {Object} - Key entry ({ id, key, status })
+   */
+  getPrimaryKey() {
+    const entry = this.primaryKeyId && this.keys.get(this.primaryKeyId);
+    if (!entry) {
+      throw new Error('No active encryption key configured');
+    }
+    return entry;
+  }
+
+  /**
+   * Get a key for decryption by its id
+   * @param {string} keyId - Key id taken from an envelope
+   * @returns {Object} - Key entry ({ id, key, status })
+   */
+  getDecryptionKey(keyId) {
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+    if (entry.status === ENCRYPTION.KEY_STATUS.REVOKED) {
+      throw new Error(`Encryption key ${keyId} has been revoked`);
+    }
+    return entry;
+  }
+
+  /**
+   * Get the key protecting pre-envelope CBC payloads
+   * @returns {string} - Hex encoded key
+   */
+  getLegacyKey() {
+    return ENCRYPTION.AES_KEY;
+  }
+
+  /**
+   * Describe the keyring without exposing key material
+   * @returns {Array} - List of { id, status, isPrimary }
+   */
+  describe() {
+    return Array.from(this.keys.values()).map(({ id, status }) => ({
+      id,
+      status,
+      isPrimary: id === this.primaryKeyId
+    }));
+  }
+}
+
+module.exports = new KeyringService();
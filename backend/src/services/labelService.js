@@ -0,0 +1,316 @@
+// labelService.js
+const QRCode = require('qrcode');
+const code128 = require('../utils/code128');
+const { PdfDocument } = require('../utils/pdf');
+const { LABEL, QR_CODE } = require('../config/constants');
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * Shorten text to a maximum length for a fixed-width label field
+ * @param {string} text - Text to fit
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} - Text, cut with '...' if needed
+ */
+const fit = (text, maxLength) => {
+  const value = text ? String(text) : '';
+  return value.length > maxLength ? `${value.slice(0, maxLength - 3)}...` : value;
+};
+
+/**
+ * Format the city line of an address
+ * @param {Object} address - Address subdocument
+ * @returns {string} - "City, ST 12345"
+ */
+const cityLine = (address) => {
+  if (!address) return '';
+  return `${address.city || ''}, ${address.state || ''} ${address.zipCode || ''}`.trim();
+};
+
+/**
+ * Service rendering printable 4x6 shipping labels as PDF or ZPL
+ */
+class LabelService {
+  /**
+   * Parse a requested list of PII fields to print
+   * @param {string|Array} value - Comma separated string or array of LABEL.PII_FIELDS, 'none', or undefined for the default
+   * @returns {Object} - { fields, unknown } where unknown lists names that are not PII fields
+   */
+  parsePiiFields(value) {
+    if (value === undefined || value === null) {
+      return { fields: LABEL.DEFAULT_PII_FIELDS, unknown: [] };
+    }
+    if (value === 'none') {
+      return { fields: [], unknown: [] };
+    }
+
+    const fields = (Array.isArray(value) ? value : String(value).split(','))
+      .map((field) => String(field).trim())
+      .filter(Boolean);
+    const allowed = Object.values(LABEL.PII_FIELDS);
+
+    return { fields, unknown: fields.filter((field) => !allowed.includes(field)) };
+  }
+
+  /**
+   * Collect what goes on a label
+   * @param {Object} pkg - Package document
+   * @param {Object} qrCode - QR code document holding the encrypted payload
+   * @param {Array} piiFields - LABEL.PII_FIELDS values to print in clear text
+   * @returns {Object} - Label data
+   */
+  buildLabelData(pkg, qrCode, piiFields = LABEL.DEFAULT_PII_FIELDS) {
+    const shows = (field) => piiFields.includes(field);
+    const recipient = pkg.recipient || {};
+    const delivery = pkg.deliveryAddress || {};
+
+    return {
+      trackingNumber: pkg.trackingNumber,
+      qrContent: qrCode.encryptedData,
+      from: cityLine(pkg.pickupAddress),
+      to: {
+        name: shows(LABEL.PII_FIELDS.RECIPIENT_NAME) ? recipient.name : null,
+        street: shows(LABEL.PII_FIELDS.DELIVERY_STREET) ? delivery.street : null,
+        cityLine: cityLine(delivery),
+        phone: shows(LABEL.PII_FIELDS.RECIPIENT_PHONE) ? recipient.phone : null
+      },
+      weight: pkg.weight ? `${pkg.weight.value} ${pkg.weight.unit}` : '',
+      isFragile: Boolean(pkg.isFragile),
+      requiresSignature: Boolean(pkg.requiresSignature)
+    };
+  }
+
+  /**
+   * Render a label as a 4x6 inch PDF
+   * @param {Object} label - Result of buildLabelData
+   * @returns {Buffer} - PDF bytes
+   */
+  renderPdf(label) {
+    return this.renderPdfDocument([label]);
+  }
+
+  /**
+   * Render labels as one PDF with a 4x6 inch page per label
+   * @param {Array} labels - Results of buildLabelData
+   * @returns {Buffer} - PDF bytes
+   */
+  renderPdfDocument(labels) {
+    const document = new PdfDocument();
+
+    labels.forEach((label) => {
+      const page = document.addPage(LABEL.WIDTH_IN * POINTS_PER_INCH, LABEL.HEIGHT_IN * POINTS_PER_INCH);
+      this.drawLabel(page, label);
+    });
+
+    return document.toBuffer();
+  }
+
+  /**
+   * Draw a label onto a 4x6 inch page
+   * @param {PdfPage} page - Page to draw on
+   * @param {Object} label - Result of buildLabelData
+   */
+  drawLabel(page, label) {
+    const { width } = page;
+    const margin = 12;
+
+    // Header
+    page.text('CIPHER SHIP', margin, 28, { size: 16, bold: true });
+    page.text(label.trackingNumber, width - margin - 120, 28, { size: 10 });
+    page.line(margin, 38, width - margin, 38, 1.5);
+
+    // Origin and destination
+    page.text('FROM', margin, 52, { size: 7, bold: true });
+    page.text(fit(label.from, 40), margin, 64, { size: 10 });
+    page.line(margin, 74, width - margin, 74, 0.5);
+
+    page.text('SHIP TO', margin, 88, { size: 7, bold: true });
+    let y = 104;
+    if (label.to.name) {
+      page.text(fit(label.to.name, 32), margin, y, { size: 13, bold: true });
+      y += 16;
+    }
+    if (label.to.street) {
+      page.text(fit(label.to.street, 42), margin, y, { size: 11 });
+      y += 15;
+    }
+    page.text(fit(label.to.cityLine, 26), margin, y + 4, { size: 18, bold: true });
+    y += 24;
+    if (label.to.phone) {
+      page.text(label.to.phone, margin, y, { size: 10 });
+    }
+    page.line(margin, 170, width - margin, 170, 1.5);
+
+    // Encrypted QR payload
+    const qrSize = 160;
+    this.drawQRCode(page, label.qrContent, margin, 178, qrSize);
+
+    // Weight and handling icons next to the QR code
+    const sideX = margin + qrSize + 14;
+    page.text('WEIGHT', sideX, 192, { size: 7, bold: true });
+    page.text(label.weight, sideX, 208, { size: 14, bold: true });
+
+    let iconY = 222;
+    if (label.isFragile) {
+      this.drawFragileIcon(page, sideX, iconY, 44);
+      page.text('FRAGILE', sideX + 50, iconY + 26, { size: 9, bold: true });
+      iconY += 56;
+    }
+    if (label.requiresSignature) {
+      this.drawSignatureIcon(page, sideX, iconY, 44);
+      page.text('SIGNATURE', sideX + 50, iconY + 20, { size: 9, bold: true });
+      page.text('REQUIRED', sideX + 50, iconY + 31, { size: 9, bold: true });
+    }
+    page.line(margin, 346, width - margin, 346, 1.5);
+
+    // Code 128 barcode of the tracking number
+    this.drawBarcode(page, label.trackingNumber, margin, 354, width - margin * 2, 52);
+    page.text(label.trackingNumber, width / 2 - label.trackingNumber.length * 3.3, 420, { size: 11, bold: true });
+  }
+
+  /**
+   * Draw QR content as filled modules
+   */
+  drawQRCode(page, content, x, y, size) {
+    const qr = QRCode.create(content, { errorCorrectionLevel: QR_CODE.ERROR_CORRECTION_LEVEL });
+    const count = qr.modules.size;
+    const moduleSize = size / (count + QR_CODE.MARGIN * 2);
+    const origin = QR_CODE.MARGIN * moduleSize;
+
+    // Draw each horizontal run of dark modules as one rectangle to keep the PDF small
+    for (let row = 0; row < count; row++) {
+      let col = 0;
+      while (col < count) {
+        if (!qr.modules.get(row, col)) {
+          col++;
+          continue;
+        }
+        const start = col;
+        while (col < count && qr.modules.get(row, col)) col++;
+        page.rect(x + origin + start * moduleSize, y + origin + row * moduleSize, (col - start) * moduleSize, moduleSize);
+      }
+    }
+  }
+
+  /**
+   * Draw a Code 128 barcode scaled to the given width
+   */
+  drawBarcode(page, text, x, y, width, height) {
+    const { bars, width: modules } = code128.encode(text);
+    const moduleWidth = width / modules;
+
+    bars.forEach((bar) => {
+      page.rect(x + bar.x * moduleWidth, y, bar.width * moduleWidth, height);
+    });
+  }
+
+  /**
+   * Draw the "fragile" pictogram: a wine glass in a box
+   */
+  drawFragileIcon(page, x, y, size) {
+    const cx = x + size / 2;
+    page.rect(x, y, size, size, { fill: false, lineWidth: 1.5 });
+    page.line(cx - 10, y + 8, cx + 10, y + 8, 1.5);
+    page.line(cx - 10, y + 8, cx - 8, y + 20, 1.5);
+    page.line(cx + 10, y + 8, cx + 8, y + 20, 1.5);
+    page.line(cx - 8, y + 20, cx, y + 25, 1.5);
+    page.line(cx + 8, y + 20, cx, y + 25, 1.5);
+    page.line(cx, y + 25, cx, y + 35, 1.5);
+    page.line(cx - 7, y + 36, cx + 7, y + 36, 1.5);
+  }
+
+  /**
+   * Draw the "signature required" pictogram: a pen over a signing line in a box
+   */
+  drawSignatureIcon(page, x, y, size) {
+    page.rect(x, y, size, size, { fill: false, lineWidth: 1.5 });
+    page.line(x + 8, y + 34, x + 36, y + 34, 1);
+    page.line(x + 10, y + 24, x + 16, y + 30, 1.5);
+    page.line(x + 16, y + 24, x + 10, y + 30, 1.5);
+    page.line(x + 22, y + 30, x + 34, y + 10, 2.5);
+  }
+
+  /**
+   * Render a label as ZPL for 203 dpi thermal printers
+   * @param {Object} label - Result of buildLabelData
+   * @returns {string} - ZPL program
+   */
+  renderZpl(label) {
+    const dpi = LABEL.ZPL_DPI;
+    const width = LABEL.WIDTH_IN * dpi;
+    const margin = 30;
+    const field = (x, y, height, text) => `^FO${x},${y}^A0N,${height},${height}^FH\\^FD${this.escapeZpl(text)}^FS`;
+
+    const lines = [
+      '^XA',
+      '^CI28',
+      `^PW${width}`,
+      `^LL${LABEL.HEIGHT_IN * dpi}`,
+      field(margin, 30, 45, 'CIPHER SHIP'),
+      field(width - margin - 360, 40, 28, label.trackingNumber),
+      `^FO${margin},90^GB${width - margin * 2},3,3^FS`,
+      field(margin, 110, 20, 'FROM'),
+      field(margin, 135, 30, fit(label.from, 40)),
+      `^FO${margin},180^GB${width - margin * 2},1,1^FS`,
+      field(margin, 200, 20, 'SHIP TO')
+    ];
+
+    let y = 230;
+    if (label.to.name) {
+      lines.push(field(margin, y, 38, fit(label.to.name, 32)));
+      y += 45;
+    }
+    if (label.to.street) {
+      lines.push(field(margin, y, 32, fit(label.to.street, 42)));
+      y += 40;
+    }
+    lines.push(field(margin, y, 52, fit(label.to.cityLine, 26)));
+    y += 62;
+    if (label.to.phone) {
+      lines.push(field(margin, y, 28, label.to.phone));
+    }
+    lines.push(`^FO${margin},470^GB${width - margin * 2},3,3^FS`);
+
+    // QR code with the same error correction as the PDF; magnification fills about 2 inches
+    const modules = QRCode.create(label.qrContent, { errorCorrectionLevel: QR_CODE.ERROR_CORRECTION_LEVEL }).modules.size;
+    const magnification = Math.max(1, Math.min(10, Math.floor(420 / modules)));
+    lines.push(`^FO${margin},485^BQN,2,${magnification}^FH\\^FD${QR_CODE.ERROR_CORRECTION_LEVEL}A,${this.escapeZpl(label.qrContent)}^FS`);
+
+    // Weight and handling marks
+    const sideX = margin + 460;
+    lines.push(field(sideX, 500, 20, 'WEIGHT'));
+    lines.push(field(sideX, 525, 40, label.weight));
+
+    let markY = 590;
+    if (label.isFragile) {
+      lines.push(`^FO${sideX},${markY}^GB260,70,4^FS`);
+      lines.push(field(sideX + 20, markY + 20, 34, 'FRAGILE'));
+      markY += 90;
+    }
+    if (label.requiresSignature) {
+      lines.push(`^FO${sideX},${markY}^GB260,90,4^FS`);
+      lines.push(field(sideX + 20, markY + 12, 30, 'SIGNATURE'));
+      lines.push(field(sideX + 20, markY + 48, 30, 'REQUIRED'));
+    }
+    lines.push(`^FO${margin},960^GB${width - margin * 2},3,3^FS`);
+
+    // Code 128 barcode with the tracking number printed below, in automatic code set mode
+    const barModules = code128.encode(label.trackingNumber).width;
+    const moduleWidth = Math.max(1, Math.min(4, Math.floor((width - margin * 2) / barModules)));
+    lines.push(`^FO${margin},990^BY${moduleWidth},3,150^BCN,150,Y,N,N,A^FH\\^FD${this.escapeZpl(label.trackingNumber)}^FS`);
+    lines.push('^XZ');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Escape field data for use after ^FH\
+   * @param {string} text - Field text
+   * @returns {string} - Text with ^, ~ and \ hex encoded
+   */
+  escapeZpl(text) {
+    return String(text || '').replace(/[\\^~]/g, (char) => `\\${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+}
+
+module.exports = new LabelService();
@@ -1,7 +1,7 @@
 // notificationService.js
 const socketIO = require('socket.io');
 const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/constants');
+const { AUTH } = require('../config/constants');
 
 /**
  * Service for handling real-time notifications via WebSockets
@@ -28,7 +28,7 @@ class NotificationService {
     // Set up authentication middleware for socket connections
     this.io.use((socket, next) => {
       if (socket.handshake.query && socket.handshake.query.token) {
-        jwt.verify(socket.handshake.query.token, JWT_SECRET, (err, decoded) => {
+        jwt.verify(socket.handshake.query.token, AUTH.JWT_SECRET, (err, decoded) => {
           if (err) return next(new Error('Authentication error'));
           socket.decoded = decoded;
           next();
@@ -0,0 +1,289 @@
+// qrBatchService.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Package = require('../models/Package');
+const QRBatchJob = require('../models/QRBatchJob');
+const qrCodeService = require('./qrCodeService');
+const labelService = require('./labelService');
+const { ZipArchive } = require('../utils/zip');
+const { QR_BATCH } = require('../config/constants');
+
+const OUTPUT_DIR = QR_BATCH.OUTPUT_DIR || path.join(os.tmpdir(), 'cipher-ship-qr-batches');
+
+// Packages loaded from the database at a time
+const LOAD_BATCH_SIZE = 100;
+
+// File extension and content type of each output format
+const OUTPUT_TYPES = {
+  [QR_BATCH.OUTPUT_FORMATS.LABEL_PDF]: { extension: 'pdf', contentType: 'application/pdf' },
+  [QR_BATCH.OUTPUT_FORMATS.PNG_ZIP]: { extension: 'zip', contentType: 'application/zip', image: 'png' },
+  [QR_BATCH.OUTPUT_FORMATS.SVG_ZIP]: { extension: 'zip', contentType: 'application/zip', image: 'svg' }
+};
+
+/**
+ * Background job queue that issues QR codes for many packages and bundles them
+ * into a label PDF or a ZIP of images. Jobs run one at a time in this process;
+ * their progress and result are kept on QRBatchJob documents
+ */
+class QRBatchService {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+  }
+
+  /**
+   * Resume queued jobs and fail jobs cut off by a restart, then clear expired output files
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await QRBatchJob.updateMany(
+      { status: QR_BATCH.STATUS.RUNNING },
+      { status: QR_BATCH.STATUS.FAILED, error: 'Interrupted by a server restart', finishedAt: new Date() }
+    );
+
+    const queued = await QRBatchJob.find({ status: QR_BATCH.STATUS.QUEUED }).sort({ createdAt: 1 }).select('_id');
+    queued.forEach((job) => this.enqueue(job._id));
+
+    await this.removeExpiredOutputs();
+  }
+
+  /**
+   * Resolve the packages a batch request selects
+   * @param {Object} selection - { packageIds } or { status, startDate, endDate }
+   * @returns {Promise<Array>} - Package IDs, in request order for explicit lists
+   */
+  async resolvePackageIds({ packageIds, status, startDate, endDate }) {
+    if (packageIds && packageIds.length > 0) {
+      const found = await Package.find({ _id: { $in: packageIds } }).select('_id');
+      const existing = new Set(found.map((pkg) => pkg._id.toString()));
+      return [...new Set(packageIds.map(String))].filter((id) => existing.has(id));
+    }
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const packages = await Package.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(QR_BATCH.MAX_PACKAGES + 1) // One extra so callers can tell the limit was exceeded
+      .select('_id');
+    return packages.map((pkg) => pkg._id.toString());
+  }
+
+  /**
+   * Create a job and queue it
+   * @param {Object} options - Job options
+   * @param {Array} options.packageIds - Resolved package IDs
+   * @param {Object} options.selection - The request the IDs were resolved from
+   * @param {string} options.format - One of QR_BATCH.OUTPUT_FORMATS
+   * @param {boolean} options.regenerate - Replace usable QR codes too
+   * @param {Array} options.piiFields - LABEL.PII_FIELDS for label PDFs
+   * @param {string} userId - ID of the admin creating the job
+   * @returns {Promise<Object>} - Queued job
+   */
+  async createJob({ packageIds, selection, format, regenerate, piiFields }, userId) {
+    const job = await QRBatchJob.create({
+      createdBy: userId,
+      format,
+      regenerate,
+      piiFields,
+      selection,
+      packages: packageIds,
+      progress: { total: packageIds.length }
+    });
+
+    this.enqueue(job._id);
+    return job;
+  }
+
+  /**
+   * Add a job to the queue and start processing if idle
+   * @param {string} jobId - Job ID
+   */
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    if (!this.processing) {
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  /**
+   * Run queued jobs one after another
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        try {
+          await this.runJob(jobId);
+        } catch (error) {
+          console.error(`QR batch job ${jobId} error:`, error);
+          await QRBatchJob.updateOne(
+            { _id: jobId },
+            { status: QR_BATCH.STATUS.FAILED, error: error.message, finishedAt: new Date() }
+          ).catch(() => {});
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Issue QR codes for every package of a job and write its output file
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Finished job, or null if it was not queued
+   */
+  async runJob(jobId) {
+    const job = await QRBatchJob.findOne({ _id: jobId, status: QR_BATCH.STATUS.QUEUED });
+    if (!job) return null;
+
+    job.status = QR_BATCH.STATUS.RUNNING;
+    job.startedAt = new Date();
+    job.progress = { total: job.packages.length, processed: 0, issued: 0, failed: 0 };
+    await job.save();
+
+    const outputType = OUTPUT_TYPES[job.format];
+    const labels = [];
+    const archive = new ZipArchive();
+    const userId = job.createdBy;
+
+    for (let start = 0; start < job.packages.length; start += LOAD_BATCH_SIZE) {
+      const ids = job.packages.slice(start, start + LOAD_BATCH_SIZE);
+      const packages = await Package.find({ _id: { $in: ids } });
+      const byId = new Map(packages.map((pkg) => [pkg._id.toString(), pkg]));
+
+      for (const id of ids) {
+        const pkg = byId.get(id.toString());
+
+        try {
+          if (!pkg) {
+            throw new Error('Package no longer exists');
+          }
+
+          const { qrCode, issued } = await qrCodeService.issuePackageQRCode(pkg, {
+            userId,
+            regenerate: job.regenerate,
+            details: { batchJobId: job._id }
+          });
+
+          if (outputType.image) {
+            const image = await qrCodeService.renderQRFile(qrCode.encryptedData, outputType.image);
+            archive.addFile(`${pkg.trackingNumber}.${outputType.image}`, image);
+          } else {
+            labels.push(labelService.buildLabelData(pkg, qrCode, job.piiFields));
+          }
+
+          if (issued) job.progress.issued += 1;
+        } catch (error) {
+          job.progress.failed += 1;
+          job.failures.push({
+            package: id,
+            trackingNumber: pkg ? pkg.trackingNumber : undefined,
+            error: error.message
+          });
+        }
+
+        job.progress.processed += 1;
+        if (job.progress.processed % QR_BATCH.PROGRESS_SAVE_INTERVAL === 0) {
+          await job.save();
+        }
+      }
+    }
+
+    if (job.progress.failed === job.progress.total) {
+      job.status = QR_BATCH.STATUS.FAILED;
+      job.error = 'No QR codes could be generated';
+    } else {
+      const content = outputType.image ? archive.toBuffer() : labelService.renderPdfDocument(labels);
+      const filePath = await this.writeOutput(job._id, outputType.extension, content);
+
+      job.output = {
+        fileName: `qr-batch-${job._id}.${outputType.extension}`,
+        contentType: outputType.contentType,
+        size: content.length,
+        path: filePath
+      };
+      job.status = QR_BATCH.STATUS.COMPLETED;
+    }
+
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(Date.now() + QR_BATCH.RESULT_TTL * 1000);
+    await job.save();
+
+    await this.removeExpiredOutputs();
+    return job;
+  }
+
+  /**
+   * Write a job's output file
+   * @param {string} jobId - Job ID
+   * @param {string} extension - File extension
+   * @param {Buffer} content - File bytes
+   * @returns {Promise<string>} - File path
+   */
+  async writeOutput(jobId, extension, content) {
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    const filePath = path.join(OUTPUT_DIR, `${jobId}.${extension}`);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  /**
+   * Read a finished job's output file
+   * @param {Object} job - Job document selected with +output.path
+   * @returns {Promise<Buffer|null>} - File bytes, or null once the file is gone
+   */
+  async readOutput(job) {
+    if (!job.output || !job.output.path) return null;
+
+    try {
+      return await fs.readFile(job.output.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete output files older than the result lifetime
+   * Job documents expire on their own through the TTL index
+   * @returns {Promise<number>} - Number of files removed
+   */
+  async removeExpiredOutputs() {
+    let files;
+    try {
+      files = await fs.readdir(OUTPUT_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - QR_BATCH.RESULT_TTL * 1000;
+    let removed = 0;
+
+    for (const file of files) {
+      const filePath = path.join(OUTPUT_DIR, file);
+      const { mtimeMs } = await fs.stat(filePath);
+      if (mtimeMs < cutoff) {
+        await fs.unlink(filePath);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = new QRBatchService();
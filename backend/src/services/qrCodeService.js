@@ -1,8 +1,15 @@
 // qrCodeService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const QRCode = require('qrcode');
 const encryptionService = require('./encryptionService');
+const contentKeyService = require('./contentKeyService');
+const scanAnomalyService = require('./scanAnomalyService');
 const QRCodeModel = require('../models/QRCode');
+const QRRevocation = require('../models/QRRevocation');
 const TrackingLog = require('../models/TrackingLog');
+const { QR_CODE, TRACKING } = require('../config/constants');
+const { logSecurity } = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -32,17 +39,19 @@ class QRCodeService {
         timestamp: new Date().toISOString()
       };
       
-      // Encrypt the payload
-      const encryptedData = encryptionService.encryptAES(JSON.stringify(payload));
+      // Encrypt the payload into a versioned AES-GCM envelope under the package content key
+      const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(packageId, payload);
       
       // Generate QR code image
-      const qrCodeImage = await QRCode.toDataURL(encryptedData);
+      const qrCodeImage = await this.renderQRImage(encryptedData);
       
       // Store QR code information in database
       const newQRCode = new QRCodeModel({
         qrCodeId,
         packageId,
         encryptedData,
+        iv,
+        keyId,
         createdBy: userId,
         status: 'active'
       });
@@ -61,6 +70,155 @@ class QRCodeService {
     }
   }
 
+  /**
+   * Render QR content as a PNG data URL
+   * The smallest QR version that fits the content at the configured error correction level is used
+   * @param {string} content - Content to encode
+   * @returns {Promise<string>} - PNG data URL
+   */
+  async renderQRImage(content) {
+    return QRCode.toDataURL(content, {
+      errorCorrectionLevel: QR_CODE.ERROR_CORRECTION_LEVEL,
+      margin: QR_CODE.MARGIN
+    });
+  }
+
+  /**
+   * Render QR content as an image file
+   * @param {string} content - Content to encode
+   * @param {string} type - 'png' or 'svg'
+   * @returns {Promise<Buffer>} - File bytes
+   */
+  async renderQRFile(content, type = 'png') {
+    const options = {
+      errorCorrectionLevel: QR_CODE.ERROR_CORRECTION_LEVEL,
+      margin: QR_CODE.MARGIN
+    };
+
+    if (type === 'svg') {
+      return Buffer.from(await QRCode.toString(content, { ...options, type: 'svg' }), 'utf8');
+    }
+    return QRCode.toBuffer(content, { ...options, type: 'png' });
+  }
+
+  /**
+   * Build the payload sealed into a package QR code
+   * @param {Object} pkg - Package document
+   * @returns {Object} - Payload fields
+   */
+  buildPackagePayload(pkg) {
+    const recipient = pkg.recipient || {};
+    const address = pkg.deliveryAddress || {};
+
+    return {
+      trackingNumber: pkg.trackingNumber,
+      packageId: pkg._id.toString(),
+      customerName: recipient.name,
+      customerPhone: recipient.phone,
+      customerAddress: {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode,
+        country: address.country
+      }
+    };
+  }
+
+  /**
+   * Make sure a package has a usable QR code, issuing a new one when needed
+   * A code that is still active and unexpired is reused unless regenerate is set,
+   * in which case it is revoked so labels printed from it stop working
+   * @param {Object} pkg - Package document
+   * @param {Object} options - Options
+   * @param {string} options.userId - ID of the user issuing the code
+   * @param {boolean} options.regenerate - Replace a usable code as well
+   * @param {Object} options.details - Extra details for the tracking log (optional)
+   * @returns {Promise<Object>} - { qrCode, issued }
+   */
+  async issuePackageQRCode(pkg, { userId, regenerate = false, details = {} }) {
+    const existing = pkg.qrCode
+      ? await QRCodeModel.findById(pkg.qrCode)
+      : await QRCodeModel.findOne({ package: pkg._id, isActive: true }).sort({ createdAt: -1 });
+
+    const usable = existing && existing.isActive && existing.expiresAt > new Date();
+    if (usable && !regenerate) {
+      return { qrCode: existing, issued: false };
+    }
+
+    if (existing && existing.isActive) {
+      await this.revokeQRCode(existing, { reason: QR_CODE.REVOCATION_REASONS.REGENERATED, userId });
+    }
+
+    const { encryptedData, iv, keyId } = await contentKeyService.encryptPayload(pkg._id, this.buildPackagePayload(pkg));
+    const qrCode = await QRCodeModel.create({
+      package: pkg._id,
+      encryptedData,
+      iv,
+      keyId,
+      image: await this.renderQRImage(encryptedData),
+      createdBy: userId
+    });
+
+    pkg.qrCode = qrCode._id;
+    await pkg.save();
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'qr-generated',
+      status: pkg.status,
+      details: { qrCodeId: qrCode._id, replaced: existing ? existing._id : null, ...details }
+    });
+
+    return { qrCode, issued: true };
+  }
+
+  /**
+   * Measure how large the QR code for a payload would be under each encoding
+   * @param {Object} data - Payload that would be encrypted into the QR code
+   * @returns {Object} - Per-encoding metrics and the encoding giving the smallest QR version
+   */
+  getEncodingMetrics(data) {
+    // Throwaway key shaped like a package content key, so the key id takes the same room as on a real label
+    const contentKey = { id: new mongoose.Types.ObjectId().toString(), key: crypto.randomBytes(32) };
+
+    const encodings = Object.values(QR_CODE.PAYLOAD_ENCODINGS).map((encoding) => {
+      const { encryptedData } = encryptionService.encryptPayload(data, { encoding, contentKey });
+      
+      // QR version and module count at each error correction level
+      const versions = {};
+      QR_CODE.ERROR_CORRECTION_LEVELS.forEach((level) => {
+        try {
+          const qr = QRCode.create(encryptedData, { errorCorrectionLevel: level });
+          versions[level] = { version: qr.version, modules: qr.modules.size };
+        } catch (error) {
+          versions[level] = null; // Content does not fit any QR version at this level
+        }
+      });
+      
+      const configured = versions[QR_CODE.ERROR_CORRECTION_LEVEL];
+      return {
+        encoding,
+        characters: encryptedData.length,
+        mode: QRCode.create(encryptedData, { errorCorrectionLevel: 'L' }).segments.map((segment) => segment.mode.id).join('+'),
+        version: configured ? configured.version : null,
+        modules: configured ? configured.modules : null,
+        versions
+      };
+    });
+    
+    const fitting = encodings.filter((metrics) => metrics.version !== null);
+    const smallest = fitting.reduce((best, metrics) => (!best || metrics.version < best.version ? metrics : best), null);
+    
+    return {
+      errorCorrectionLevel: QR_CODE.ERROR_CORRECTION_LEVEL,
+      configuredEncoding: QR_CODE.PAYLOAD_ENCODING,
+      recommendedEncoding: smallest ? smallest.encoding : null,
+      encodings
+    };
+  }
+  
   /**
    * Decode and decrypt a QR code
    * @param {string} encryptedData - The encrypted data from the QR code
@@ -69,19 +227,14 @@ class QRCodeService {
    */
   async decodeQRCode(encryptedData, scannerUserId) {
     try {
-      // Decrypt the data
-      const decryptedData = encryptionService.decryptAES(encryptedData);
-      const payload = JSON.parse(decryptedData);
+      // Decrypt the data (legacy CBC codes are still accepted during migration)
+      const { data: payload } = await contentKeyService.decryptPayload(encryptedData);
       
-      // Retrieve QR code from database to verify it's valid
-      const qrCode = await QRCodeModel.findOne({ qrCodeId: payload.id });
-      
-      if (!qrCode) {
-        throw new Error('Invalid QR code');
-      }
+      // Reject revoked, expired or unknown codes
+      const { code, message } = await this.checkQRCodeStatus(encryptedData);
       
-      if (qrCode.status !== 'active') {
-        throw new Error('QR code is no longer active');
+      if (code) {
+        throw new Error(message);
       }
       
       // Log this scan
@@ -125,35 +278,141 @@ class QRCodeService {
     }
   }
   
+  /**
+   * Check whether scanned QR content may still be used
+   * @param {string} encryptedData - The content read from the QR code
+   * @returns {Promise<Object>} - { qrCode, revocation, code, message }; code is null when usable
+   */
+  async checkQRCodeStatus(encryptedData) {
+    const fingerprint = QRCodeModel.fingerprint(encryptedData);
+    
+    const revocation = await QRRevocation.findByFingerprint(fingerprint);
+    if (revocation) {
+      return {
+        qrCode: await QRCodeModel.findById(revocation.qrCode),
+        revocation,
+        code: QR_CODE.ERROR_CODES.REVOKED,
+        message: `QR code has been revoked (${revocation.reason})`
+      };
+    }
+    
+    // Codes issued before fingerprints were recorded can only be matched on their content
+    const qrCode = await QRCodeModel.findByContent(encryptedData)
+      || await QRCodeModel.findOne({ encryptedData });
+    
+    if (!qrCode) {
+      return { qrCode: null, revocation: null, code: QR_CODE.ERROR_CODES.UNKNOWN, message: 'QR code was not issued by this system' };
+    }
+    
+    if (qrCode.isExpired()) {
+      return { qrCode, revocation: null, code: QR_CODE.ERROR_CODES.EXPIRED, message: 'QR code has expired' };
+    }
+    
+    if (!qrCode.isActive) {
+      return { qrCode, revocation: null, code: QR_CODE.ERROR_CODES.INACTIVE, message: 'QR code is no longer active' };
+    }
+    
+    return { qrCode, revocation: null, code: null, message: null };
+  }
+  
+  /**
+   * Revoke a QR code so every label printed from it is rejected
+   * @param {Object} qrCode - QR code document
+   * @param {Object} options - Revocation options
+   * @param {string} options.reason - One of QR_CODE.REVOCATION_REASONS
+   * @param {string} options.details - Free text justification (optional)
+   * @param {string} options.userId - ID of the user revoking the code
+   * @returns {Promise<Object>} - Revocation record
+   */
+  async revokeQRCode(qrCode, { reason, details, userId }) {
+    try {
+      const existing = await QRRevocation.findOne({ qrCode: qrCode._id });
+      if (existing) {
+        return existing;
+      }
+      
+      qrCode.isActive = false;
+      await qrCode.save();
+      
+      const revocation = await QRRevocation.create({
+        qrCode: qrCode._id,
+        package: qrCode.package,
+        fingerprints: qrCode.fingerprints,
+        reason,
+        details,
+        revokedBy: userId
+      });
+      
+      await TrackingLog.logAction({
+        package: qrCode.package,
+        user: userId,
+        action: 'qr-revoked',
+        details: { qrCodeId: qrCode._id, reason, details },
+        level: TRACKING.LOG_LEVEL.WARNING
+      });
+      
+      return revocation;
+    } catch (error) {
+      console.error('QR Code revocation error:', error);
+      throw new Error('Failed to revoke QR code');
+    }
+  }
+  
   /**
    * Invalidate a QR code after successful delivery or for security reasons
    * @param {string} qrCodeId - ID of the QR code to invalidate
    * @param {string} userId - ID of the user invalidating the code
+   * @param {string} reason - One of QR_CODE.REVOCATION_REASONS
    * @returns {Promise<Object>} - Updated QR code data
    */
-  async invalidateQRCode(qrCodeId, userId) {
+  async invalidateQRCode(qrCodeId, userId, reason = QR_CODE.REVOCATION_REASONS.OTHER) {
+    const qrCode = await QRCodeModel.findById(qrCodeId);
+    
+    if (!qrCode) {
+      throw new Error('QR code not found');
+    }
+    
+    await this.revokeQRCode(qrCode, { reason, userId });
+    
+    return qrCode;
+  }
+  
+  /**
+   * Record a scan or verify attempt on the QR code it was made against, then run anomaly rules on it
+   * Never throws, so telemetry cannot break the scan itself
+   * @param {string} encryptedData - The content read from the QR code
+   * @param {Object} qrCode - QR code document, when already resolved (optional)
+   * @param {Object} scanData - Scan details ({ scannedBy, scannerRole, location, ipAddress, userAgent, isAuthorized, action, outcome })
+   * @returns {Promise<Object|null>} - Updated QR code, or null when the content matches no issued code
+   */
+  async recordScanAttempt(encryptedData, qrCode, scanData) {
     try {
-      const qrCode = await QRCodeModel.findOneAndUpdate(
-        { qrCodeId },
-        { 
-          status: 'inactive',
-          updatedAt: new Date(),
-          updatedBy: userId
-        },
-        { new: true }
-      );
-      
-      if (!qrCode) {
-        throw new Error('QR code not found');
+      const target = qrCode || (typeof encryptedData === 'string' && encryptedData
+        ? await QRCodeModel.findByContent(encryptedData)
+        : null);
+      
+      if (!target) {
+        // Forged or garbled content has no QR code to attach the scan to
+        logSecurity('qr-scan-unmatched', `Unmatched QR ${scanData.action} attempt (${scanData.outcome})`, {
+          ip: scanData.ipAddress,
+          userAgent: scanData.userAgent,
+          scannedBy: scanData.scannedBy,
+          outcome: scanData.outcome
+        });
+        
+        if (scanData.outcome === QR_CODE.SCAN_OUTCOMES.DECRYPT_FAILED) {
+          await scanAnomalyService.recordDecryptFailure(scanData);
+        }
+        return null;
       }
       
-      // Log this invalidation
-      await this.logQRCodeScan(qrCodeId, userId, qrCode.packageId);
+      const updated = await target.recordScan(scanData);
+      await scanAnomalyService.inspectScan(updated, scanData);
       
-      return qrCode;
+      return updated;
     } catch (error) {
-      console.error('QR Code invalidation error:', error);
-      throw new Error('Failed to invalidate QR code');
+      console.error('QR Code scan recording error:', error);
+      return null;
     }
   }
   
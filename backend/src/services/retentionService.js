@@ -0,0 +1,460 @@
+// retentionService.js
+const Package = require('../models/Package');
+const PackageDataKey = require('../models/PackageDataKey');
+const PackageKeyGrant = require('../models/PackageKeyGrant');
+const QRCodeModel = require('../models/QRCode');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const ShreddingReport = require('../models/ShreddingReport');
+const TrackingLog = require('../models/TrackingLog');
+const contentKeyService = require('./contentKeyService');
+const encryptionService = require('./encryptionService');
+const qrCodeService = require('./qrCodeService');
+const { hashEntry } = require('../utils/hashChain');
+const { ENCRYPTION, QR_CODE, RETENTION, TRACKING } = require('../config/constants');
+const { logSecurity } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Background job that crypto-shreds delivered packages once their retention period is over
+ * Destroying the package content key leaves the recipient details and QR payloads unreadable
+ * everywhere, while status, history and tracking logs stay available for analytics.
+ * Each run writes a signed ShreddingReport, chained to the previous one
+ */
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start shredding on a fixed interval
+   * @param {number} intervalSeconds - Seconds between runs
+   */
+  start(intervalSeconds = RETENTION.SHRED_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Retention job error:', error));
+    }, intervalSeconds * 1000);
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * List retention policies, most specific first
+   * @returns {Promise<Array>} - RetentionPolicy documents
+   */
+  async listPolicies() {
+    return RetentionPolicy.find().sort({ tenant: -1, serviceLevel: -1, createdAt: 1 });
+  }
+
+  /**
+   * Check policy input
+   * @param {Object} data - { name, tenant, serviceLevel, retentionDays }
+   * @param {boolean} partial - Whether missing fields are allowed (updates)
+   * @returns {string|null} - Problem description, or null when the input is acceptable
+   */
+  validatePolicyInput(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        return 'A policy name is required';
+      }
+    }
+
+    if (!partial || data.retentionDays !== undefined) {
+      if (!Number.isInteger(data.retentionDays) || data.retentionDays < 1) {
+        return 'retentionDays must be a whole number of days, at least 1';
+      }
+    }
+
+    if (data.tenant !== undefined && data.tenant !== null && typeof data.tenant !== 'string') {
+      return 'tenant must be a string, or null for every tenant';
+    }
+
+    if (data.serviceLevel !== undefined && data.serviceLevel !== null &&
+        !Object.values(RETENTION.SERVICE_LEVELS).includes(data.serviceLevel)) {
+      return `serviceLevel must be one of: ${Object.values(RETENTION.SERVICE_LEVELS).join(', ')}, or null for every level`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a retention policy
+   * @param {Object} data - { name, tenant, serviceLevel, retentionDays, isActive }
+   * @param {string} userId - ID of the admin creating it
+   * @returns {Promise<Object>} - { policy, code, message }
+   */
+  async createPolicy(data, userId) {
+    const problem = this.validatePolicyInput(data);
+    if (problem) {
+      return { code: RETENTION.ERROR_CODES.INVALID_POLICY, message: problem };
+    }
+
+    try {
+      const policy = await RetentionPolicy.create({
+        name: data.name,
+        tenant: data.tenant || null,
+        serviceLevel: data.serviceLevel || null,
+        retentionDays: data.retentionDays,
+        isActive: data.isActive !== false,
+        createdBy: userId,
+        updatedBy: userId
+      });
+
+      this.logPolicyChange('retention-policy-created', policy, userId);
+      return { policy, code: null, message: null };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { code: RETENTION.ERROR_CODES.POLICY_EXISTS, message: 'A policy for this tenant and service level already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a retention policy
+   * @param {string} id - ID of the policy
+   * @param {Object} data - Fields to change
+   * @param {string} userId - ID of the admin changing it
+   * @returns {Promise<Object>} - { policy, code, message }
+   */
+  async updatePolicy(id, data, userId) {
+    const problem = this.validatePolicyInput(data, true);
+    if (problem) {
+      return { code: RETENTION.ERROR_CODES.INVALID_POLICY, message: problem };
+    }
+
+    const policy = await RetentionPolicy.findById(id);
+    if (!policy) {
+      return { code: RETENTION.ERROR_CODES.POLICY_NOT_FOUND, message: 'Retention policy not found' };
+    }
+
+    ['name', 'retentionDays', 'isActive'].forEach((field) => {
+      if (data[field] !== undefined) {
+        policy[field] = data[field];
+      }
+    });
+    ['tenant', 'serviceLevel'].forEach((field) => {
+      if (data[field] !== undefined) {
+        policy[field] = data[field] || null;
+      }
+    });
+    policy.updatedBy = userId;
+
+    try {
+      await policy.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { code: RETENTION.ERROR_CODES.POLICY_EXISTS, message: 'A policy for this tenant and service level already exists' };
+      }
+      throw error;
+    }
+
+    this.logPolicyChange('retention-policy-updated', policy, userId);
+    return { policy, code: null, message: null };
+  }
+
+  /**
+   * Delete a retention policy; its packages fall back to the next matching policy
+   * @param {string} id - ID of the policy
+   * @param {string} userId - ID of the admin deleting it
+   * @returns {Promise<Object>} - { policy, code, message }
+   */
+  async deletePolicy(id, userId) {
+    const policy = await RetentionPolicy.findByIdAndDelete(id);
+    if (!policy) {
+      return { code: RETENTION.ERROR_CODES.POLICY_NOT_FOUND, message: 'Retention policy not found' };
+    }
+
+    this.logPolicyChange('retention-policy-deleted', policy, userId);
+    return { policy, code: null, message: null };
+  }
+
+  /**
+   * Record a policy change in the security log
+   * @param {string} action - Log action
+   * @param {Object} policy - RetentionPolicy document
+   * @param {string} userId - ID of the admin
+   */
+  logPolicyChange(action, policy, userId) {
+    logSecurity(action, `Retention policy "${policy.name}" ${action.split('-').pop()}`, {
+      policyId: policy._id.toString(),
+      tenant: policy.tenant,
+      serviceLevel: policy.serviceLevel,
+      retentionDays: policy.retentionDays,
+      isActive: policy.isActive
+    }, { id: userId });
+  }
+
+  /**
+   * Pick the policy that applies to a package
+   * Tenant and service level together beat tenant alone, which beats service level alone,
+   * which beats a catch-all policy; without any match RETENTION.DEFAULT_DAYS applies
+   * @param {Array} policies - Active RetentionPolicy documents
+   * @param {Object} pkg - Package with tenant and serviceLevel
+   * @returns {Object} - { policy, name, retentionDays } where policy is null for the default
+   */
+  resolvePolicy(policies, pkg) {
+    let best = null;
+    let bestRank = -1;
+
+    policies.forEach((policy) => {
+      const rank = policy.getSpecificity(pkg);
+      if (rank > bestRank) {
+        best = policy;
+        bestRank = rank;
+      }
+    });
+
+    return best
+      ? { policy: best._id, name: best.name, retentionDays: best.retentionDays }
+      : { policy: null, name: 'default', retentionDays: RETENTION.DEFAULT_DAYS };
+  }
+
+  /**
+   * Find delivered packages whose retention period is over
+   * @param {Array} policies - Active RetentionPolicy documents
+   * @param {Date} now - Reference time of the run
+   * @param {number} limit - Most packages to return
+   * @returns {Promise<Array>} - [{ pkg, retention }] oldest delivery first
+   */
+  async findDuePackages(policies, now, limit = RETENTION.SHRED_BATCH_SIZE) {
+    const shortest = Math.min(RETENTION.DEFAULT_DAYS, ...policies.map(policy => policy.retentionDays));
+    const due = [];
+
+    // Lean, so nothing is decrypted just to be shredded
+    const cursor = Package.find({
+      shreddedAt: null,
+      actualDelivery: { $lte: new Date(now.getTime() - shortest * DAY_MS) }
+    })
+      .select('trackingNumber status tenant serviceLevel actualDelivery')
+      .sort({ actualDelivery: 1 })
+      .lean()
+      .cursor();
+
+    for await (const pkg of cursor) {
+      const retention = this.resolvePolicy(policies, pkg);
+      if (pkg.actualDelivery.getTime() + retention.retentionDays * DAY_MS <= now.getTime()) {
+        due.push({ pkg, retention });
+        if (due.length >= limit) {
+          await cursor.close();
+          break;
+        }
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Shred one package
+   * The content key goes first; everything after it only removes leftovers, so a failure
+   * part way leaves the package due and the next run finishes it
+   * @param {Object} pkg - Lean package (_id, trackingNumber, status, tenant, serviceLevel, actualDelivery)
+   * @param {Object} retention - Resolved policy ({ policy, name, retentionDays })
+   * @param {string} userId - ID of the admin who triggered the run (optional)
+   * @returns {Promise<Object>} - Report entry for the package
+   */
+  async shredPackage(pkg, retention, userId = null) {
+    const contentKey = await contentKeyService.destroyKey(pkg._id);
+
+    // Agent copies of the recipient details use the package data key and go with it
+    await PackageKeyGrant.deleteMany({ package: pkg._id });
+    await PackageDataKey.deleteMany({ package: pkg._id });
+
+    const qrCodes = await QRCodeModel.find({ package: pkg._id });
+    let qrCodesRevoked = 0;
+    for (const qrCode of qrCodes.filter(code => code.isActive)) {
+      await qrCodeService.revokeQRCode(qrCode, { reason: QR_CODE.REVOCATION_REASONS.SHREDDED, userId });
+      qrCodesRevoked += 1;
+    }
+
+    // Payloads sealed under a master key cannot be shredded, so the stored copy is deleted;
+    // fingerprints stay so printed labels are still recognised as revoked
+    const qrPayloads = qrCodes.filter(code => code.encryptedData && !encryptionService.isContentKeyId(code.keyId)).length;
+    await QRCodeModel.collection.updateMany({ package: pkg._id }, { $unset: { encryptedData: '', image: '' } });
+
+    // Raw update: the plugin refuses update queries on encrypted paths, and plaintext left
+    // from before field encryption has to go as well. The sealed fields go too whatever their
+    // key: once the content key is destroyed they cannot be read, and the plugin would log a
+    // decryption failure on every load and refuse every later save
+    const stored = await Package.collection.findOne({ _id: pkg._id }, { projection: { 'encryptedFields.keyId': 1 } });
+    const sealedFields = stored && stored.encryptedFields;
+    const fieldsUnderMasterKey = Boolean(sealedFields && sealedFields.keyId) && !encryptionService.isContentKeyId(sealedFields.keyId);
+    const shreddedAt = new Date();
+
+    await Package.collection.updateOne({ _id: pkg._id }, {
+      $set: { shreddedAt },
+      $unset: {
+        recipient: '',
+        deliveryAddress: '',
+        searchIndex: '',
+        customerEnvelope: '',
+        encryptedFields: ''
+      }
+    });
+
+    await TrackingLog.logAction({
+      package: pkg._id,
+      user: userId,
+      action: 'data-shredded',
+      status: pkg.status,
+      details: {
+        policy: retention.name,
+        retentionDays: retention.retentionDays,
+        contentKeyId: contentKey ? contentKey.keyId : null
+      },
+      level: TRACKING.LOG_LEVEL.WARNING
+    });
+
+    return {
+      package: pkg._id,
+      trackingNumber: pkg.trackingNumber,
+      tenant: pkg.tenant,
+      serviceLevel: pkg.serviceLevel,
+      policy: retention.policy,
+      retentionDays: retention.retentionDays,
+      actualDelivery: pkg.actualDelivery,
+      contentKeyId: contentKey ? contentKey.keyId : null,
+      qrCodesRevoked,
+      masterKeySealed: { fields: fieldsUnderMasterKey, qrPayloads },
+      shreddedAt
+    };
+  }
+
+  /**
+   * Report content covered by the hash
+   * @param {Object} report - ShreddingReport document or plain object
+   * @returns {Object}
+   */
+  getReportContent(report) {
+    const { trigger, triggeredBy, policies, packages, failures, totals, startedAt, finishedAt } = report;
+    return { trigger, triggeredBy, policies, packages, failures, totals, startedAt, finishedAt };
+  }
+
+  /**
+   * Check a stored report against its hash and signature
+   * @param {Object} report - ShreddingReport document
+   * @returns {Object} - { hashValid, signatureValid }
+   */
+  verifyReport(report) {
+    const hashValid = hashEntry(this.getReportContent(report.toObject()), report.prevHash) === report.hash;
+    let signatureValid = false;
+    try {
+      signatureValid = encryptionService.verifyEnvelopeSignature(report.hash, report.signature);
+    } catch (error) {
+      signatureValid = false;
+    }
+
+    return { hashValid, signatureValid };
+  }
+
+  /**
+   * Shred every package whose retention period is over
+   * @param {Object} options - { userId, dryRun }
+   * @param {string} options.userId - ID of the admin who triggered the run (optional)
+   * @param {boolean} options.dryRun - Only list what would be shredded; nothing is changed or stored
+   * @returns {Promise<Object>} - The stored report, or the preview for a dry run
+   */
+  async run({ userId = null, dryRun = false } = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A shredding run is already in progress' };
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+
+    try {
+      const policies = await RetentionPolicy.find({ isActive: true });
+      const due = await this.findDuePackages(policies, startedAt);
+
+      const policySnapshot = [
+        ...policies.map(policy => ({
+          policy: policy._id,
+          name: policy.name,
+          tenant: policy.tenant,
+          serviceLevel: policy.serviceLevel,
+          retentionDays: policy.retentionDays
+        })),
+        { policy: null, name: 'default', tenant: null, serviceLevel: null, retentionDays: RETENTION.DEFAULT_DAYS }
+      ];
+
+      if (dryRun) {
+        return {
+          dryRun: true,
+          policies: policySnapshot,
+          packages: due.map(({ pkg, retention }) => ({
+            package: pkg._id,
+            trackingNumber: pkg.trackingNumber,
+            tenant: pkg.tenant,
+            serviceLevel: pkg.serviceLevel,
+            policy: retention.policy,
+            retentionDays: retention.retentionDays,
+            actualDelivery: pkg.actualDelivery
+          })),
+          totals: { due: due.length, shredded: 0, failed: 0 }
+        };
+      }
+
+      const packages = [];
+      const failures = [];
+      for (const { pkg, retention } of due) {
+        try {
+          packages.push(await this.shredPackage(pkg, retention, userId));
+        } catch (error) {
+          console.error(`Shredding failed for package ${pkg._id}:`, error);
+          failures.push({ package: pkg._id, trackingNumber: pkg.trackingNumber, error: error.message });
+        }
+      }
+
+      const totals = { due: due.length, shredded: packages.length, failed: failures.length };
+      const previous = await ShreddingReport.getLatest();
+      const prevHash = previous ? previous.hash : TRACKING.CHAIN.GENESIS_HASH;
+      const report = new ShreddingReport({
+        trigger: userId ? RETENTION.TRIGGERS.MANUAL : RETENTION.TRIGGERS.SCHEDULE,
+        triggeredBy: userId,
+        policies: policySnapshot,
+        packages,
+        failures,
+        totals,
+        startedAt,
+        finishedAt: new Date(),
+        prevHash,
+        keyId: ENCRYPTION.SIGNING_KEY_ID
+      });
+
+      // Hash what will be read back, so verification sees the same values
+      report.hash = hashEntry(this.getReportContent(report.toObject()), prevHash);
+      report.signature = encryptionService.signEnvelope(report.hash);
+      await report.save();
+
+      logSecurity('data-shredded', `Shredded ${packages.length} of ${due.length} packages due for retention`, {
+        reportId: report._id.toString(),
+        shredded: packages.length,
+        failed: failures.length,
+        hash: report.hash
+      }, userId ? { id: userId } : null);
+
+      this.lastRun = { report: report._id, ...totals, startedAt, finishedAt: report.finishedAt };
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,223 @@
+// scanAnomalyService.js
+const Package = require('../models/Package');
+const SecurityAlert = require('../models/SecurityAlert');
+const notificationService = require('./notificationService');
+const { haversineKm, distanceToRouteKm, hasCoordinates } = require('../utils/geo');
+const { QR_CODE, ROLES, SECURITY_ALERTS, TRACKING } = require('../config/constants');
+
+/**
+ * Rules engine that inspects QR scans and raises security alerts for admins
+ * Alerts are persisted and deduplicated; only new alerts are pushed out
+ */
+class ScanAnomalyService {
+  constructor() {
+    this.decryptFailures = new Map(); // IP address -> timestamps of recent failed decrypts
+  }
+
+  /**
+   * Run every rule against a recorded scan
+   * @param {Object} qrCode - QR code document the scan was recorded on (scan already appended)
+   * @param {Object} scanData - Scan details passed to QRCode.recordScan, plus scannerRole
+   * @returns {Promise<Array>} - Alerts raised or updated
+   */
+  async inspectScan(qrCode, scanData) {
+    if (scanData.outcome === QR_CODE.SCAN_OUTCOMES.DECRYPT_FAILED) {
+      const alert = await this.recordDecryptFailure(scanData, qrCode);
+      return alert ? [alert] : [];
+    }
+
+    const pkg = await Package.findById(qrCode.package);
+    if (!pkg) {
+      return [];
+    }
+
+    const candidates = [
+      this.checkUnassignedAgent(pkg, qrCode, scanData),
+      this.checkScanAfterDelivery(pkg, qrCode, scanData),
+      this.checkOffRoute(pkg, qrCode, scanData),
+      this.checkImpossibleTravel(pkg, qrCode, scanData)
+    ].filter(Boolean);
+
+    const alerts = [];
+    for (const candidate of candidates) {
+      alerts.push(await this.raiseAlert(candidate));
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Count a failed decrypt and alert once an IP crosses the threshold
+   * @param {Object} scanData - Scan details
+   * @param {Object} qrCode - QR code document, when the content matched one (optional)
+   * @returns {Promise<Object|null>} - Alert, when the threshold was reached
+   */
+  async recordDecryptFailure(scanData, qrCode = null) {
+    const ipAddress = scanData.ipAddress || 'unknown';
+    const now = Date.now();
+    const windowStart = now - SECURITY_ALERTS.DECRYPT_FAILURE_WINDOW * 1000;
+
+    const recent = (this.decryptFailures.get(ipAddress) || []).filter((time) => time >= windowStart);
+    recent.push(now);
+    this.decryptFailures.set(ipAddress, recent);
+    this.pruneDecryptFailures(windowStart);
+
+    if (recent.length < SECURITY_ALERTS.DECRYPT_FAILURE_THRESHOLD) {
+      return null;
+    }
+
+    return this.raiseAlert({
+      type: SECURITY_ALERTS.TYPES.REPEATED_DECRYPT_FAILURES,
+      severity: SECURITY_ALERTS.SEVERITY.HIGH,
+      dedupKey: `${SECURITY_ALERTS.TYPES.REPEATED_DECRYPT_FAILURES}:${ipAddress}`,
+      message: `${recent.length} failed QR decrypts from ${ipAddress} within ${SECURITY_ALERTS.DECRYPT_FAILURE_WINDOW / 60} minutes`,
+      package: qrCode ? qrCode.package : undefined,
+      qrCode: qrCode ? qrCode._id : undefined,
+      user: scanData.scannedBy,
+      ipAddress,
+      details: { failures: recent.length, userAgent: scanData.userAgent }
+    });
+  }
+
+  /**
+   * Drop IPs whose failures have all aged out of the window
+   * @param {number} windowStart - Oldest timestamp still counted
+   */
+  pruneDecryptFailures(windowStart) {
+    for (const [ipAddress, times] of this.decryptFailures) {
+      if (times[times.length - 1] < windowStart) {
+        this.decryptFailures.delete(ipAddress);
+      }
+    }
+  }
+
+  /**
+   * Rule: a delivery agent scanned a package that is not assigned to them
+   */
+  checkUnassignedAgent(pkg, qrCode, scanData) {
+    if (scanData.scannerRole !== ROLES.DELIVERY_AGENT) return null;
+    if (pkg.assignedAgent && pkg.assignedAgent.toString() === String(scanData.scannedBy)) return null;
+
+    return {
+      type: SECURITY_ALERTS.TYPES.UNASSIGNED_AGENT_SCAN,
+      severity: SECURITY_ALERTS.SEVERITY.MEDIUM,
+      dedupKey: `${SECURITY_ALERTS.TYPES.UNASSIGNED_AGENT_SCAN}:${pkg._id}:${scanData.scannedBy}`,
+      message: `Package ${pkg.trackingNumber} was scanned by an agent it is not assigned to`,
+      package: pkg._id,
+      qrCode: qrCode._id,
+      user: scanData.scannedBy,
+      ipAddress: scanData.ipAddress,
+      details: { assignedAgent: pkg.assignedAgent || null, outcome: scanData.outcome }
+    };
+  }
+
+  /**
+   * Rule: the package was scanned after it had been delivered
+   */
+  checkScanAfterDelivery(pkg, qrCode, scanData) {
+    if (pkg.status !== TRACKING.STATUS.DELIVERED) return null;
+
+    return {
+      type: SECURITY_ALERTS.TYPES.SCAN_AFTER_DELIVERY,
+      severity: SECURITY_ALERTS.SEVERITY.MEDIUM,
+      dedupKey: `${SECURITY_ALERTS.TYPES.SCAN_AFTER_DELIVERY}:${pkg._id}`,
+      message: `Package ${pkg.trackingNumber} was scanned after delivery`,
+      package: pkg._id,
+      qrCode: qrCode._id,
+      user: scanData.scannedBy,
+      ipAddress: scanData.ipAddress,
+      details: { deliveredAt: pkg.actualDelivery || null, location: scanData.location || null, outcome: scanData.outcome }
+    };
+  }
+
+  /**
+   * Rule: the scan happened far from the pickup-to-delivery route
+   * Skipped when the scan or the delivery address has no coordinates
+   */
+  checkOffRoute(pkg, qrCode, scanData) {
+    const destination = pkg.deliveryAddress && pkg.deliveryAddress.coordinates;
+    if (!hasCoordinates(scanData.location) || !hasCoordinates(destination)) return null;
+
+    const origin = pkg.pickupAddress && pkg.pickupAddress.coordinates;
+    const distanceKm = hasCoordinates(origin)
+      ? distanceToRouteKm(scanData.location, origin, destination)
+      : haversineKm(scanData.location, destination);
+
+    if (distanceKm <= SECURITY_ALERTS.ROUTE_DEVIATION_KM) return null;
+
+    return {
+      type: SECURITY_ALERTS.TYPES.OFF_ROUTE_SCAN,
+      severity: SECURITY_ALERTS.SEVERITY.MEDIUM,
+      dedupKey: `${SECURITY_ALERTS.TYPES.OFF_ROUTE_SCAN}:${pkg._id}:${scanData.scannedBy}`,
+      message: `Package ${pkg.trackingNumber} was scanned ${Math.round(distanceKm)} km from its route`,
+      package: pkg._id,
+      qrCode: qrCode._id,
+      user: scanData.scannedBy,
+      ipAddress: scanData.ipAddress,
+      details: { distanceKm: Number(distanceKm.toFixed(1)), location: scanData.location }
+    };
+  }
+
+  /**
+   * Rule: two consecutive scans of the code are too far apart for the time between them
+   */
+  checkImpossibleTravel(pkg, qrCode, scanData) {
+    if (!hasCoordinates(scanData.location)) return null;
+
+    // The current scan is the last entry; find the one before it that had a location
+    const previous = qrCode.scans
+      .slice(0, -1)
+      .reverse()
+      .find((scan) => hasCoordinates(scan.location));
+    if (!previous) return null;
+
+    const distanceKm = haversineKm(previous.location, scanData.location);
+    if (distanceKm < SECURITY_ALERTS.MIN_TRAVEL_DISTANCE_KM) return null;
+
+    const hours = Math.max(Date.now() - previous.timestamp.getTime(), 1000) / (60 * 60 * 1000);
+    const speedKmh = distanceKm / hours;
+    if (speedKmh <= SECURITY_ALERTS.MAX_TRAVEL_SPEED_KMH) return null;
+
+    return {
+      type: SECURITY_ALERTS.TYPES.IMPOSSIBLE_TRAVEL,
+      severity: SECURITY_ALERTS.SEVERITY.HIGH,
+      dedupKey: `${SECURITY_ALERTS.TYPES.IMPOSSIBLE_TRAVEL}:${qrCode._id}`,
+      message: `Package ${pkg.trackingNumber} was scanned ${Math.round(distanceKm)} km apart at ${Math.round(speedKmh)} km/h`,
+      package: pkg._id,
+      qrCode: qrCode._id,
+      user: scanData.scannedBy,
+      ipAddress: scanData.ipAddress,
+      details: {
+        distanceKm: Number(distanceKm.toFixed(1)),
+        speedKmh: Math.round(speedKmh),
+        previousScan: { scannedBy: previous.scannedBy, timestamp: previous.timestamp, location: previous.location },
+        location: scanData.location
+      }
+    };
+  }
+
+  /**
+   * Persist an alert and notify admins the first time it is seen
+   * @param {Object} alertData - Alert fields for SecurityAlert
+   * @returns {Promise<Object>} - Alert document
+   */
+  async raiseAlert(alertData) {
+    const { alert, created } = await SecurityAlert.raise(alertData);
+
+    if (created) {
+      notificationService.sendSecurityAlert(alert.type, {
+        alertId: alert._id,
+        severity: alert.severity,
+        message: alert.message,
+        packageId: alert.package,
+        qrCodeId: alert.qrCode,
+        userId: alert.user,
+        ipAddress: alert.ipAddress
+      });
+    }
+
+    return alert;
+  }
+}
+
+module.exports = new ScanAnomalyService();
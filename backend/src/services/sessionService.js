@@ -0,0 +1,279 @@
+// sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const scanAnomalyService = require('./scanAnomalyService');
+const { logSecurity } = require('../utils/logger');
+const { AUTH, SECURITY_ALERTS } = require('../config/constants');
+
+/**
+ * Service for login sessions
+ * A login starts a token family. Each refresh exchanges the refresh token for a new one, so a
+ * stolen token that is replayed after its owner has refreshed shows up as reuse, and the whole
+ * family is revoked, locking out both the thief and the owner until they log in again
+ */
+class SessionService {
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} refreshToken - Refresh token
+   * @returns {string} - Hex encoded SHA-256
+   */
+  hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Request details stored with each refresh token
+   * @param {Object} req - Express request
+   * @returns {Object} - { ipAddress, userAgent }
+   */
+  getRequestMeta(req) {
+    return {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - User document
+   * @param {string} family - Session id, checked by the auth middleware so logout takes effect at once
+   * @param {string[]} amr - Authentication methods of the login, checked by the MFA policy
+   * @returns {string}
+   */
+  generateAccessToken(user, family, amr = [AUTH.AMR.PASSWORD]) {
+    return jwt.sign({ id: user._id, role: user.role, sid: family, amr }, AUTH.JWT_SECRET, {
+      expiresIn: AUTH.JWT_EXPIRY,
+    });
+  }
+
+  /**
+   * Sign a pre-auth token after a correct password of a 2FA account
+   * It only works for the second factor endpoints, never as an access token
+   * @param {Object} user - User document
+   * @returns {string}
+   */
+  generatePreAuthToken(user) {
+    return jwt.sign({ id: user._id, amr: [AUTH.AMR.PASSWORD] }, AUTH.PRE_AUTH_TOKEN_SECRET, {
+      expiresIn: AUTH.PRE_AUTH_TOKEN_EXPIRY,
+    });
+  }
+
+  /**
+   * Resolve a pre-auth token to the user who entered their password
+   * @param {string} preAuthToken - Token returned by login
+   * @returns {Promise<Object>} - { user }, or { code, message } if refused
+   */
+  async verifyPreAuthToken(preAuthToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(preAuthToken), AUTH.PRE_AUTH_TOKEN_SECRET);
+    } catch (error) {
+      return error.name === 'TokenExpiredError'
+        ? { code: AUTH.MFA.ERROR_CODES.PRE_AUTH_EXPIRED, message: 'Login has timed out. Please enter your password again.' }
+        : { code: AUTH.MFA.ERROR_CODES.PRE_AUTH_INVALID, message: 'Invalid login. Please enter your password again.' };
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // A password change or 2FA reset since the password was entered ends the login attempt
+    if (!user || !user.isActive || !user.twoFactorEnabled
+      || (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000))) {
+      return { code: AUTH.MFA.ERROR_CODES.PRE_AUTH_INVALID, message: 'Invalid login. Please enter your password again.' };
+    }
+
+    return { user };
+  }
+
+  /**
+   * Issue a refresh token in a family and store its hash
+   * @param {Object} user - User document
+   * @param {string} family - Session id
+   * @param {Object} meta - { ipAddress, userAgent }
+   * @param {string[]} amr - Authentication methods of the login
+   * @returns {Promise<Object>} - { refreshToken, stored }
+   */
+  async issueRefreshToken(user, family, meta = {}, amr = [AUTH.AMR.PASSWORD]) {
+    const refreshToken = jwt.sign(
+      { id: user._id, fam: family, jti: crypto.randomBytes(16).toString('hex') },
+      AUTH.REFRESH_TOKEN_SECRET,
+      { expiresIn: AUTH.REFRESH_TOKEN_EXPIRY }
+    );
+
+    const stored = await RefreshToken.create({
+      user: user._id,
+      family,
+      tokenHash: this.hashToken(refreshToken),
+      amr,
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    });
+
+    return { refreshToken, stored };
+  }
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - User document
+   * @param {Object} meta - { ipAddress, userAgent }
+   * @param {string[]} amr - Authentication methods of the login; include AUTH.AMR.OTP after a second factor
+   * @returns {Promise<Object>} - { token, refreshToken }
+   */
+  async createSession(user, meta = {}, amr = [AUTH.AMR.PASSWORD]) {
+    const family = crypto.randomBytes(16).toString('hex');
+    const { refreshToken } = await this.issueRefreshToken(user, family, meta, amr);
+
+    return {
+      token: this.generateAccessToken(user, family, amr),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} meta - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - { user, token, refreshToken }, or { code, message } if refused
+   */
+  async rotate(refreshToken, meta = {}) {
+    try {
+      jwt.verify(refreshToken, AUTH.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+      return error.name === 'TokenExpiredError'
+        ? { code: AUTH.SESSION.ERROR_CODES.EXPIRED, message: 'Refresh token expired. Please login again.' }
+        : { code: AUTH.SESSION.ERROR_CODES.INVALID, message: 'Invalid refresh token. Please login again.' };
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (!stored) {
+      return { code: AUTH.SESSION.ERROR_CODES.INVALID, message: 'Invalid refresh token. Please login again.' };
+    }
+
+    if (stored.revokedAt) {
+      return stored.revokedReason === AUTH.SESSION.REVOKE_REASONS.ROTATED
+        ? this.handleReuse(stored, meta)
+        : { code: AUTH.SESSION.ERROR_CODES.INVALID, message: 'Session has ended. Please login again.' };
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      await this.revokeFamily(stored.family, AUTH.SESSION.REVOKE_REASONS.ACCOUNT_INACTIVE);
+      return { code: AUTH.SESSION.ERROR_CODES.ACCOUNT_INACTIVE, message: 'Access denied. Your account is inactive.' };
+    }
+
+    // Claim the token; if another request got there first this one is a replay
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: AUTH.SESSION.REVOKE_REASONS.ROTATED },
+      { new: true }
+    );
+    if (!claimed) {
+      return this.handleReuse(stored, meta);
+    }
+
+    const { refreshToken: nextToken, stored: next } = await this.issueRefreshToken(user, stored.family, meta, stored.amr);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: next._id });
+
+    // A replay revoking the family while the new token was issued must not leave it live
+    if (await RefreshToken.exists({ family: stored.family, revokedReason: AUTH.SESSION.REVOKE_REASONS.REUSE_DETECTED })) {
+      await this.revokeFamily(stored.family, AUTH.SESSION.REVOKE_REASONS.REUSE_DETECTED);
+      return { code: AUTH.SESSION.ERROR_CODES.REUSED, message: 'Session revoked for security reasons. Please login again.' };
+    }
+
+    return {
+      user,
+      token: this.generateAccessToken(user, stored.family, stored.amr),
+      refreshToken: nextToken
+    };
+  }
+
+  /**
+   * Revoke the family of a replayed refresh token and raise an alert
+   * @param {Object} stored - RefreshToken document that was presented again
+   * @param {Object} meta - { ipAddress, userAgent } of the replaying request
+   * @returns {Promise<Object>} - { code, message }
+   */
+  async handleReuse(stored, meta = {}) {
+    const revoked = await this.revokeFamily(stored.family, AUTH.SESSION.REVOKE_REASONS.REUSE_DETECTED);
+
+    logSecurity('refresh-token-reuse', 'Refresh token reused, session revoked', {
+      ip: meta.ipAddress,
+      userId: stored.user,
+      family: stored.family,
+      revokedTokens: revoked
+    });
+
+    await scanAnomalyService.raiseAlert({
+      type: SECURITY_ALERTS.TYPES.REFRESH_TOKEN_REUSE,
+      severity: SECURITY_ALERTS.SEVERITY.HIGH,
+      dedupKey: `${SECURITY_ALERTS.TYPES.REFRESH_TOKEN_REUSE}:${stored.family}`,
+      message: 'A rotated refresh token was presented again; the session was revoked',
+      user: stored.user,
+      ipAddress: meta.ipAddress,
+      details: {
+        family: stored.family,
+        issuedTo: { ipAddress: stored.ipAddress, userAgent: stored.userAgent },
+        userAgent: meta.userAgent
+      }
+    }).catch((error) => console.error('Refresh token reuse alert error:', error));
+
+    return { code: AUTH.SESSION.ERROR_CODES.REUSED, message: 'Session revoked for security reasons. Please login again.' };
+  }
+
+  /**
+   * Whether a session still has a live refresh token
+   * @param {string} family - Session id
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(family) {
+    return Boolean(await RefreshToken.exists({ family, revokedAt: null }));
+  }
+
+  /**
+   * Revoke every live token of a session
+   * @param {string} family - Session id
+   * @param {string} reason - One of AUTH.SESSION.REVOKE_REASONS
+   * @returns {Promise<number>} - Tokens revoked
+   */
+  async revokeFamily(family, reason) {
+    const result = await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - ID of the user
+   * @param {string} reason - One of AUTH.SESSION.REVOKE_REASONS
+   * @returns {Promise<number>} - Tokens revoked
+   */
+  async revokeUserSessions(userId, reason) {
+    const result = await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * Unknown tokens are ignored, so logging out twice is harmless
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<boolean>} - True if a session was found
+   */
+  async logout(refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (!stored) {
+      return false;
+    }
+
+    await this.revokeFamily(stored.family, AUTH.SESSION.REVOKE_REASONS.LOGOUT);
+    return true;
+  }
+}
+
+module.exports = new SessionService();
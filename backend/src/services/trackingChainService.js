@@ -0,0 +1,331 @@
+// trackingChainService.js
+const crypto = require('crypto');
+const TrackingLog = require('../models/TrackingLog');
+const TrackingAnchor = require('../models/TrackingAnchor');
+const encryptionService = require('./encryptionService');
+const { canonicalize, hashEntry } = require('../utils/hashChain');
+const { logSecurity } = require('../utils/logger');
+const { ENCRYPTION, TRACKING } = require('../config/constants');
+
+const { CHAIN } = TRACKING;
+
+// Content cleared from a redacted entry; who, what and when stay in the chain
+const REDACTED_FIELDS = ['details', 'location', 'ipAddress', 'userAgent'];
+
+/**
+ * Service keeping tracking history tamper-evident
+ * Every package's TrackingLog entries form a hash chain (see the TrackingLog model);
+ * this service verifies chains, replaces deletions with signed redaction entries and
+ * periodically anchors chain heads in a signed record of its own
+ */
+class TrackingChainService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Serialize the part of a redaction the server signs
+   * @param {string} packageId - ID of the package
+   * @param {string} userId - ID of the admin who redacted the entry
+   * @param {Object} redaction - Redaction details without the signature
+   * @returns {string} - Canonical JSON
+   */
+  getRedactionPayload(packageId, userId, redaction) {
+    return canonicalize({
+      package: packageId,
+      user: userId,
+      target: redaction.target,
+      targetSequence: redaction.targetSequence,
+      targetHash: redaction.targetHash,
+      retainedHash: redaction.retainedHash,
+      reason: redaction.reason,
+      keyId: redaction.keyId
+    });
+  }
+
+  /**
+   * Check the server signature on a redaction entry
+   * @param {Object} entry - Redaction TrackingLog entry
+   * @returns {boolean} - Whether the signature is valid
+   */
+  verifyRedactionSignature(entry) {
+    const { redaction } = entry;
+    if (!redaction || !redaction.signature) return false;
+
+    const payload = this.getRedactionPayload(entry.package, entry.user, redaction);
+    return encryptionService.verifyEnvelopeSignature(payload, redaction.signature);
+  }
+
+  /**
+   * Hash the list of chain heads recorded in an anchor
+   * @param {Array<Object>} heads - Heads ({ package, sequence, hash })
+   * @returns {string} - Hex encoded SHA-256
+   */
+  getHeadsRoot(heads) {
+    const list = heads.map(({ package: packageId, sequence, hash }) => ({ package: packageId, sequence, hash }));
+    return crypto.createHash('sha256').update(canonicalize(list)).digest('hex');
+  }
+
+  /**
+   * Check an anchor's root, its hash and the server signature over it
+   * @param {Object} anchor - TrackingAnchor document
+   * @returns {boolean} - Whether the anchor is intact
+   */
+  verifyAnchor(anchor) {
+    const root = this.getHeadsRoot(anchor.heads);
+    const hash = hashEntry({ root, anchoredAt: anchor.anchoredAt, packages: anchor.heads.length }, anchor.prevHash);
+
+    return root === anchor.root && hash === anchor.hash &&
+      encryptionService.verifyEnvelopeSignature(anchor.hash, anchor.signature);
+  }
+
+  /**
+   * Validate the hash chain of a package's tracking history
+   * @param {string} packageId - ID of the package
+   * @returns {Promise<Object>} - Verification report; problems name entries by sequence
+   */
+  async verifyPackage(packageId) {
+    const [entries, legacyEntries, anchor] = await Promise.all([
+      TrackingLog.find({ package: packageId, sequence: { $exists: true } }).sort({ sequence: 1 }),
+      TrackingLog.countDocuments({ package: packageId, sequence: { $exists: false } }),
+      TrackingAnchor.getLatestForPackage(packageId)
+    ]);
+
+    const problems = [];
+    const redactions = new Map();
+    entries.forEach((entry) => {
+      if (entry.action === CHAIN.REDACTION_ACTION && entry.redaction && entry.redaction.target) {
+        redactions.set(entry.redaction.target.toString(), entry);
+      }
+    });
+
+    let expectedSequence = 0;
+    let prevHash = CHAIN.GENESIS_HASH;
+
+    entries.forEach((entry) => {
+      const report = (problem) => problems.push({ sequence: entry.sequence, entry: entry._id, problem });
+
+      if (entry.sequence !== expectedSequence) {
+        report(`Entries ${expectedSequence} to ${entry.sequence - 1} are missing`);
+      }
+
+      if (entry.prevHash !== prevHash) {
+        report('Does not link to the previous entry');
+      }
+
+      if (entry.redactedBy && entry.redactedBy.entry) {
+        // Cleared content can no longer produce the original hash; the signed redaction vouches for it instead
+        const redactionEntry = redactions.get(entry._id.toString());
+        if (!redactionEntry || redactionEntry.redaction.targetHash !== entry.hash ||
+          redactionEntry.redaction.targetSequence !== entry.sequence) {
+          report('Redacted without a matching redaction entry');
+        } else if (entry.computeHash() !== redactionEntry.redaction.retainedHash) {
+          report('Content was changed after redaction');
+        }
+      } else if (entry.computeHash() !== entry.hash) {
+        report('Content does not match its hash');
+      }
+
+      if (entry.action === CHAIN.REDACTION_ACTION && !this.verifyRedactionSignature(entry)) {
+        report('Redaction signature is invalid');
+      }
+
+      expectedSequence = entry.sequence + 1;
+      prevHash = entry.hash;
+    });
+
+    let anchorReport = null;
+    if (anchor) {
+      const head = anchor.heads.find(item => item.package.toString() === packageId.toString());
+      const anchored = entries.find(entry => entry.sequence === head.sequence);
+      const signatureValid = this.verifyAnchor(anchor);
+      const matches = Boolean(anchored) && anchored.hash === head.hash;
+
+      if (!signatureValid) {
+        problems.push({ anchor: anchor._id, problem: 'Anchor signature is invalid' });
+      }
+      if (!matches) {
+        problems.push({ sequence: head.sequence, anchor: anchor._id, problem: 'Does not match the anchored chain head' });
+      }
+
+      anchorReport = {
+        id: anchor._id,
+        anchoredAt: anchor.anchoredAt,
+        sequence: head.sequence,
+        hash: head.hash,
+        verified: signatureValid && matches
+      };
+    }
+
+    const head = entries[entries.length - 1];
+
+    return {
+      package: packageId,
+      valid: problems.length === 0,
+      length: entries.length,
+      legacyEntries, // Written before the chain existed and not covered by it
+      head: head ? { sequence: head.sequence, hash: head.hash } : null,
+      redactions: redactions.size,
+      anchor: anchorReport,
+      problems,
+      verifiedAt: new Date()
+    };
+  }
+
+  /**
+   * Redact a tracking entry in place of deleting it
+   * A signed redaction entry is appended to the chain and the target's content is cleared;
+   * its hash, position and the fact it existed are kept
+   * @param {string} entryId - ID of the TrackingLog entry
+   * @param {string} reason - Why the entry is redacted
+   * @param {Object} context - userId, ipAddress and userAgent of the admin
+   * @returns {Promise<Object>} - { entry, target } or { code, message }
+   */
+  async redactEntry(entryId, reason, { userId, ipAddress, userAgent } = {}) {
+    const target = await TrackingLog.findById(entryId);
+    if (!target) {
+      return { code: CHAIN.ERROR_CODES.NOT_FOUND, message: 'Tracking event not found' };
+    }
+
+    if (target.redactedBy && target.redactedBy.entry) {
+      return { code: CHAIN.ERROR_CODES.ALREADY_REDACTED, message: 'Tracking event has already been redacted' };
+    }
+
+    if (target.action === CHAIN.REDACTION_ACTION || !target.hash) {
+      return {
+        code: CHAIN.ERROR_CODES.NOT_REDACTABLE,
+        message: 'Redaction entries and entries written before the hash chain cannot be redacted'
+      };
+    }
+
+    const retained = target.getChainContent();
+    REDACTED_FIELDS.forEach((field) => { delete retained[field]; });
+
+    const redaction = {
+      target: target._id,
+      targetSequence: target.sequence,
+      targetHash: target.hash,
+      retainedHash: hashEntry(retained, target.prevHash),
+      reason,
+      keyId: ENCRYPTION.SIGNING_KEY_ID
+    };
+    redaction.signature = encryptionService.signEnvelope(this.getRedactionPayload(target.package, userId, redaction));
+
+    const entry = await TrackingLog.logAction({
+      package: target.package,
+      user: userId,
+      action: CHAIN.REDACTION_ACTION,
+      level: TRACKING.LOG_LEVEL.WARNING,
+      ipAddress,
+      userAgent,
+      redaction
+    });
+
+    await TrackingLog.updateOne(
+      { _id: target._id },
+      {
+        $unset: REDACTED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: 1 }), {}),
+        $set: { redactedBy: { entry: entry._id, at: entry.timestamp } }
+      }
+    );
+
+    logSecurity('tracking-entry-redacted', `Tracking entry ${target.sequence} of package ${target.package} redacted`, {
+      entryId: target._id.toString(),
+      redactionId: entry._id.toString(),
+      reason,
+      ip: ipAddress
+    }, { id: userId });
+
+    return { entry, target: target._id };
+  }
+
+  /**
+   * Start anchoring chain heads on a fixed interval
+   * @param {number} intervalSeconds - Seconds between anchors
+   */
+  start(intervalSeconds = CHAIN.ANCHOR_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error('Tracking anchor job error:', error));
+    }, intervalSeconds * 1000);
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Record the current head of every chain that grew since the last anchor
+   * Anchors are chained and signed, and also written to the security log so a
+   * copy exists outside the database
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async run() {
+    if (this.running) {
+      return { skipped: true, reason: 'An anchoring run is already in progress' };
+    }
+
+    this.running = true;
+    const summary = { anchor: null, packages: 0, startedAt: new Date(), finishedAt: null };
+
+    try {
+      const previous = await TrackingAnchor.getLatest();
+
+      const heads = await TrackingLog.aggregate([
+        { $match: { sequence: { $exists: true }, ...(previous ? { timestamp: { $gt: previous.anchoredAt } } : {}) } },
+        { $sort: { package: 1, sequence: -1 } },
+        { $group: { _id: '$package', sequence: { $first: '$sequence' }, hash: { $first: '$hash' } } },
+        { $sort: { _id: 1 } }
+      ]);
+
+      if (heads.length > 0) {
+        const anchorHeads = heads.map(head => ({ package: head._id, sequence: head.sequence, hash: head.hash }));
+        const root = this.getHeadsRoot(anchorHeads);
+        const anchoredAt = new Date();
+        const prevHash = previous ? previous.hash : CHAIN.GENESIS_HASH;
+        const hash = hashEntry({ root, anchoredAt, packages: anchorHeads.length }, prevHash);
+
+        const anchor = await TrackingAnchor.create({
+          heads: anchorHeads,
+          root,
+          prevHash,
+          hash,
+          keyId: ENCRYPTION.SIGNING_KEY_ID,
+          signature: encryptionService.signEnvelope(hash),
+          anchoredAt
+        });
+
+        logSecurity('tracking-chain-anchored', `Anchored ${anchorHeads.length} tracking chain heads`, {
+          anchorId: anchor._id.toString(),
+          root,
+          hash,
+          prevHash,
+          anchoredAt: anchoredAt.toISOString()
+        });
+
+        summary.anchor = anchor._id;
+        summary.packages = anchorHeads.length;
+      }
+    } finally {
+      summary.finishedAt = new Date();
+      this.lastRun = summary;
+      this.running = false;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new TrackingChainService();
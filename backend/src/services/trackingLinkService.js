@@ -0,0 +1,142 @@
+// trackingLinkService.js
+const Package = require('../models/Package');
+const { createHMAC, verifyHMAC } = require('../utils/encryption');
+const { TRACKING } = require('../config/constants');
+
+/**
+ * Service for public tracking lookups
+ * Anyone holding a signed share link sees the package status; without one the destination
+ * zip code has to be given as well, so a guessed tracking number alone reveals nothing
+ */
+class TrackingLinkService {
+  /**
+   * Data the share link HMAC is computed over
+   * @param {string} trackingNumber - Tracking number
+   * @param {number} expires - Expiry as Unix time in seconds
+   * @returns {string}
+   */
+  getSignedData(trackingNumber, expires) {
+    return `tracking-link:${trackingNumber}:${expires}`;
+  }
+
+  /**
+   * Create a signed share link for a tracking number
+   * @param {string} trackingNumber - Tracking number
+   * @param {number} expiresIn - Seconds the link stays valid
+   * @returns {Object} - { token, url, expiresAt }
+   */
+  createLink(trackingNumber, expiresIn = TRACKING.PUBLIC.LINK_EXPIRY) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const token = `${expires}.${createHMAC(this.getSignedData(trackingNumber, expires), TRACKING.PUBLIC.LINK_SECRET)}`;
+    const query = new URLSearchParams({ id: trackingNumber, token });
+
+    return {
+      token,
+      url: `${process.env.FRONTEND_URL}/track-package?${query}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  /**
+   * Check a share link token against a tracking number
+   * @param {string} trackingNumber - Tracking number from the request
+   * @param {string} token - Token from the share link
+   * @returns {Object|null} - { code, message } if the token is not accepted, null if it is
+   */
+  verifyToken(trackingNumber, token) {
+    const [expiresPart, hmac] = String(token).split('.');
+    const expires = Number(expiresPart);
+
+    if (!Number.isInteger(expires) || !verifyHMAC(this.getSignedData(trackingNumber, expires), TRACKING.PUBLIC.LINK_SECRET, hmac)) {
+      return { code: TRACKING.PUBLIC.ERROR_CODES.INVALID_LINK, message: 'Invalid tracking link' };
+    }
+
+    if (expires * 1000 < Date.now()) {
+      return { code: TRACKING.PUBLIC.ERROR_CODES.LINK_EXPIRED, message: 'Tracking link has expired' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a zip code so "12345-6789", "123456789" and "sw1a 1aa" / "SW1A1AA" compare equal
+   * @param {string} zip - Zip or postal code
+   * @returns {string}
+   */
+  normalizeZip(zip) {
+    return String(zip || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Check a zip code against the package destination
+   * US ZIP+4 codes also match their 5 digit prefix. Shredded packages have no address left and never match
+   * @param {Object} pkg - Package document with deliveryAddress decrypted
+   * @param {string} zip - Zip code given by the caller
+   * @returns {boolean}
+   */
+  matchesZip(pkg, zip) {
+    const expected = this.normalizeZip(pkg.deliveryAddress && pkg.deliveryAddress.zipCode);
+    const given = this.normalizeZip(zip);
+
+    if (!expected || !given) {
+      return false;
+    }
+
+    return given === expected || (/^\d{9}$/.test(expected) && given === expected.slice(0, 5));
+  }
+
+  /**
+   * Limited view of a package for public lookups: status and dates only, no locations, notes or people
+   * @param {Object} pkg - Package document
+   * @returns {Object} - { package, trackingHistory }
+   */
+  getPublicView(pkg) {
+    return {
+      package: {
+        trackingNumber: pkg.trackingNumber,
+        status: pkg.status,
+        estimatedDelivery: pkg.estimatedDelivery,
+        actualDelivery: pkg.actualDelivery,
+        createdAt: pkg.createdAt,
+        updatedAt: pkg.updatedAt
+      },
+      trackingHistory: pkg.statusHistory.map(entry => ({
+        status: entry.status,
+        timestamp: entry.timestamp
+      }))
+    };
+  }
+
+  /**
+   * Look up a package for a public request
+   * A wrong zip code and an unknown tracking number give the same answer
+   * @param {string} trackingNumber - Tracking number
+   * @param {Object} proof - { token } from a share link or { zip } of the destination
+   * @returns {Promise<Object>} - Public view, or { code, message } if the lookup is refused
+   */
+  async lookup(trackingNumber, { token, zip } = {}) {
+    if (!token && !zip) {
+      return {
+        code: TRACKING.PUBLIC.ERROR_CODES.SECOND_FACTOR_REQUIRED,
+        message: 'A tracking link or the destination zip code is required'
+      };
+    }
+
+    // A bad token is rejected before touching the database
+    if (token) {
+      const error = this.verifyToken(trackingNumber, token);
+      if (error) {
+        return error;
+      }
+    }
+
+    const pkg = await Package.findOne({ trackingNumber });
+    if (!pkg || (!token && !this.matchesZip(pkg, zip))) {
+      return { code: TRACKING.PUBLIC.ERROR_CODES.NOT_FOUND, message: 'Package not found' };
+    }
+
+    return this.getPublicView(pkg);
+  }
+}
+
+module.exports = new TrackingLinkService();
@@ -0,0 +1,287 @@
+// twoFactorService.js
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { AUTH } = require('../config/constants');
+
+const { TWO_FACTOR } = AUTH;
+
+// Crockford base32, no look-alike letters; codes are read off paper and typed back in
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Service for the second login factor
+ * The authenticator app is the primary method. Recovery codes and an emailed code are fallbacks
+ * for users who have lost their device, so they are never locked out of their account
+ */
+class TwoFactorService {
+  /**
+   * Check a code from the authenticator app
+   * @param {string} secret - Base32 TOTP secret
+   * @param {string} token - Code given by the user
+   * @returns {boolean}
+   */
+  verifyTotp(secret, token) {
+    if (!secret || !token) {
+      return false;
+    }
+
+    return speakeasy.totp.verify({
+      secret,
+      encoding: 'base32',
+      token: String(token).replace(/\s/g, ''),
+      window: 1
+    });
+  }
+
+  /**
+   * Normalize a recovery code so dashes, spaces, case and look-alike letters do not matter
+   * @param {string} code - Recovery code as typed
+   * @returns {string}
+   */
+  normalizeRecoveryCode(code) {
+    return String(code || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+  }
+
+  /**
+   * Replace the recovery codes of a user with a fresh set
+   * Only hashes are kept, so the returned codes can be shown exactly once. Saves the user
+   * @param {Object} user - User document
+   * @returns {Promise<string[]>} - Codes formatted as XXXX-XXXX-XXXX-XXXX
+   */
+  async generateRecoveryCodes(user) {
+    const codes = Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, () => {
+      const chars = Array.from(
+        { length: TWO_FACTOR.RECOVERY_CODE_LENGTH },
+        () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]
+      ).join('');
+      return chars.match(/.{1,4}/g).join('-');
+    });
+
+    user.twoFactorRecoveryCodes = codes.map(code => ({
+      codeHash: User.hashToken(this.normalizeRecoveryCode(code))
+    }));
+    await user.save();
+
+    return codes;
+  }
+
+  /**
+   * Use up a recovery code; each code works once, even under concurrent requests
+   * @param {Object} user - User document
+   * @param {string} code - Recovery code given by the user
+   * @returns {Promise<boolean>}
+   */
+  async useRecoveryCode(user, code) {
+    const normalized = this.normalizeRecoveryCode(code);
+    if (normalized.length !== TWO_FACTOR.RECOVERY_CODE_LENGTH) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        twoFactorRecoveryCodes: { $elemMatch: { codeHash: User.hashToken(normalized), usedAt: null } }
+      },
+      { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Recovery codes of a user not used yet
+   * @param {Object} user - User document
+   * @returns {number}
+   */
+  countRecoveryCodes(user) {
+    return (user.twoFactorRecoveryCodes || []).filter(entry => !entry.usedAt).length;
+  }
+
+  /**
+   * Email a one-time login code, subject to the cooldown and the send limit
+   * A new code replaces the previous one
+   * @param {Object} user - User document with 2FA enabled
+   * @returns {Promise<Object>} - { expiresAt }, or { code, message, retryAfter } if refused
+   */
+  async sendEmailCode(user) {
+    if (!user.twoFactorEnabled) {
+      return { code: TWO_FACTOR.ERROR_CODES.NOT_ENABLED, message: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!this.getLoginMethods(user).includes(TWO_FACTOR.METHODS.EMAIL)) {
+      return { code: TWO_FACTOR.ERROR_CODES.INVALID_METHOD, message: 'Emailed login codes are not available for your account' };
+    }
+
+    const now = Date.now();
+    const emailCode = user.twoFactorEmailCode;
+
+    const nextAllowed = emailCode.lastSentAt
+      ? emailCode.lastSentAt.getTime() + TWO_FACTOR.EMAIL_CODE_RESEND_COOLDOWN * 1000
+      : 0;
+    if (nextAllowed > now) {
+      return {
+        code: TWO_FACTOR.ERROR_CODES.SEND_COOLDOWN,
+        message: 'A code was sent recently. Please wait before requesting another',
+        retryAfter: Math.ceil((nextAllowed - now) / 1000)
+      };
+    }
+
+    // Start a new send window once the previous one has passed
+    if (!emailCode.windowStartedAt || emailCode.windowStartedAt.getTime() + TWO_FACTOR.EMAIL_CODE_SEND_WINDOW * 1000 <= now) {
+      emailCode.windowStartedAt = new Date(now);
+      emailCode.sendCount = 0;
+    }
+
+    if (emailCode.sendCount >= TWO_FACTOR.EMAIL_CODE_MAX_SENDS) {
+      return {
+        code: TWO_FACTOR.ERROR_CODES.SEND_LIMIT,
+        message: 'Too many codes have been sent. Please try again later',
+        retryAfter: Math.ceil((emailCode.windowStartedAt.getTime() + TWO_FACTOR.EMAIL_CODE_SEND_WINDOW * 1000 - now) / 1000)
+      };
+    }
+
+    const code = String(crypto.randomInt(10 ** TWO_FACTOR.EMAIL_CODE_LENGTH)).padStart(TWO_FACTOR.EMAIL_CODE_LENGTH, '0');
+    emailCode.codeHash = User.hashToken(`${user._id}:${code}`);
+    emailCode.expiresAt = new Date(now + AUTH.TWO_FACTOR_EXPIRY * 1000);
+    emailCode.attempts = 0;
+    emailCode.lastSentAt = new Date(now);
+    emailCode.sendCount += 1;
+    await user.save();
+
+    await emailService.send2FACode(user.email, user.firstName, code);
+
+    return { expiresAt: emailCode.expiresAt };
+  }
+
+  /**
+   * Check an emailed login code; it works once and is discarded after too many wrong guesses
+   * @param {Object} user - User document
+   * @param {string} code - Code given by the user
+   * @returns {Promise<Object|null>} - { code, message } if the code is not accepted, null if it is
+   */
+  async verifyEmailCode(user, code) {
+    const emailCode = user.twoFactorEmailCode;
+
+    if (!emailCode.codeHash) {
+      return { code: TWO_FACTOR.ERROR_CODES.INVALID_CODE, message: 'Invalid code. Please request a new one' };
+    }
+
+    if (emailCode.expiresAt < new Date()) {
+      return { code: TWO_FACTOR.ERROR_CODES.CODE_EXPIRED, message: 'Code has expired. Please request a new one' };
+    }
+
+    // Count the attempt before comparing, so parallel guesses cannot exceed the limit
+    const counted = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'twoFactorEmailCode.codeHash': emailCode.codeHash,
+        'twoFactorEmailCode.attempts': { $lt: TWO_FACTOR.EMAIL_CODE_MAX_ATTEMPTS }
+      },
+      { $inc: { 'twoFactorEmailCode.attempts': 1 } },
+      { new: true }
+    );
+
+    if (!counted) {
+      await User.updateOne(
+        { _id: user._id, 'twoFactorEmailCode.codeHash': emailCode.codeHash },
+        { $unset: { 'twoFactorEmailCode.codeHash': 1, 'twoFactorEmailCode.expiresAt': 1 } }
+      );
+      return { code: TWO_FACTOR.ERROR_CODES.TOO_MANY_ATTEMPTS, message: 'Too many wrong codes. Please request a new one' };
+    }
+
+    if (User.hashToken(`${user._id}:${String(code || '').trim()}`) !== emailCode.codeHash) {
+      return { code: TWO_FACTOR.ERROR_CODES.INVALID_CODE, message: 'Invalid code' };
+    }
+
+    // Clear the code; if another request already used it, this one is refused
+    const used = await User.updateOne(
+      { _id: user._id, 'twoFactorEmailCode.codeHash': emailCode.codeHash },
+      { $unset: { 'twoFactorEmailCode.codeHash': 1, 'twoFactorEmailCode.expiresAt': 1 } }
+    );
+    if (used.modifiedCount !== 1) {
+      return { code: TWO_FACTOR.ERROR_CODES.INVALID_CODE, message: 'Invalid code. Please request a new one' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Login methods open to a user
+   * The emailed code is left out for roles that need MFA: whoever controls the inbox can also
+   * reset the password, so together they would make a full session
+   * @param {Object} user - User document
+   * @returns {string[]} - Values of AUTH.TWO_FACTOR.METHODS
+   */
+  getLoginMethods(user) {
+    const methods = Object.values(TWO_FACTOR.METHODS);
+
+    return AUTH.MFA.REQUIRED_ROLES.includes(user.role)
+      ? methods.filter(method => method !== TWO_FACTOR.METHODS.EMAIL)
+      : methods;
+  }
+
+  /**
+   * Authentication methods to record on a session after a second factor
+   * @param {string} method - One of AUTH.TWO_FACTOR.METHODS
+   * @returns {string[]} - Values of AUTH.AMR
+   */
+  getAmr(method) {
+    return method === TWO_FACTOR.METHODS.EMAIL
+      ? [AUTH.AMR.PASSWORD, AUTH.AMR.EMAIL_OTP]
+      : [AUTH.AMR.PASSWORD, AUTH.AMR.OTP];
+  }
+
+  /**
+   * Check a second factor with any of the login methods
+   * @param {Object} user - User document with 2FA enabled
+   * @param {string} method - One of AUTH.TWO_FACTOR.METHODS
+   * @param {string} code - Code given by the user
+   * @returns {Promise<Object|null>} - { code, message } if the code is not accepted, null if it is
+   */
+  async verify(user, method, code) {
+    if (!user.twoFactorEnabled) {
+      return { code: TWO_FACTOR.ERROR_CODES.NOT_ENABLED, message: 'Two-factor authentication is not enabled' };
+    }
+
+    if (!this.getLoginMethods(user).includes(method)) {
+      return { code: TWO_FACTOR.ERROR_CODES.INVALID_METHOD, message: 'This verification method is not available for your account' };
+    }
+
+    switch (method) {
+      case TWO_FACTOR.METHODS.TOTP:
+        return this.verifyTotp(user.twoFactorSecret, code)
+          ? null
+          : { code: TWO_FACTOR.ERROR_CODES.INVALID_CODE, message: 'Invalid code' };
+      case TWO_FACTOR.METHODS.RECOVERY_CODE:
+        return await this.useRecoveryCode(user, code)
+          ? null
+          : { code: TWO_FACTOR.ERROR_CODES.INVALID_CODE, message: 'Invalid or already used recovery code' };
+      case TWO_FACTOR.METHODS.EMAIL:
+        return this.verifyEmailCode(user, code);
+      default:
+        return { code: TWO_FACTOR.ERROR_CODES.INVALID_METHOD, message: 'Unknown verification method' };
+    }
+  }
+
+  /**
+   * Turn 2FA off, discarding the secret, the recovery codes and any emailed code. Saves the user
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorTempSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEmailCode = {};
+    await user.save();
+  }
+}
+
+module.exports = new TwoFactorService();
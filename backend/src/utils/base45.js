@@ -0,0 +1,76 @@
+/**
+ * Base45 encoding (RFC 9285)
+ * Output only uses the QR alphanumeric character set, so QR codes can store it
+ * in alphanumeric mode at 5.5 bits per character instead of 8
+ */
+
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * Encode bytes as base45
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base45 string
+ */
+const encode = (buffer) => {
+  let output = '';
+
+  for (let i = 0; i < buffer.length; i += 2) {
+    if (i + 1 < buffer.length) {
+      let value = buffer[i] * 256 + buffer[i + 1];
+      const c = value % 45;
+      value = (value - c) / 45;
+      const d = value % 45;
+      const e = (value - d) / 45;
+      output += CHARSET[c] + CHARSET[d] + CHARSET[e];
+    } else {
+      const value = buffer[i];
+      output += CHARSET[value % 45] + CHARSET[Math.floor(value / 45)];
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base45 string
+ * @param {string} value - Base45 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const decode = (value) => {
+  if (value.length % 3 === 1) {
+    throw new Error('Invalid base45 length');
+  }
+
+  const bytes = [];
+  for (let i = 0; i < value.length; i += 3) {
+    const digits = value.slice(i, i + 3).split('').map((char) => {
+      const index = CHARSET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base45 character: ${char}`);
+      }
+      return index;
+    });
+
+    const number = digits.reduce((sum, digit, position) => sum + digit * 45 ** position, 0);
+
+    if (digits.length === 3) {
+      if (number > 0xffff) {
+        throw new Error('Invalid base45 group');
+      }
+      bytes.push(number >> 8, number & 0xff);
+    } else {
+      if (number > 0xff) {
+        throw new Error('Invalid base45 group');
+      }
+      bytes.push(number);
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  CHARSET,
+  encode,
+  decode
+};
@@ -0,0 +1,123 @@
+/**
+ * Blind indexes
+ * Keyed HMACs of normalized values, stored next to encrypted fields so they can be
+ * searched by exact match without keeping the plaintext in the database
+ */
+
+const crypto = require('crypto');
+const { ENCRYPTION } = require('../config/constants');
+
+const INDEX_TYPES = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  NAME: 'name',
+};
+
+const NATIONAL_NUMBER_LENGTH = 10; // Lets a number match with or without its country code
+
+/**
+ * HMAC a normalized value; the type is mixed in so equal values of different types never collide
+ * @param {string} type - Index type
+ * @param {string} value - Normalized value
+ * @returns {string} - Hex encoded, truncated HMAC-SHA256
+ */
+const hmac = (type, value) => {
+  if (!ENCRYPTION.BLIND_INDEX_KEY) {
+    throw new Error('BLIND_INDEX_KEY is not configured');
+  }
+
+  return crypto
+    .createHmac('sha256', Buffer.from(ENCRYPTION.BLIND_INDEX_KEY, 'hex'))
+    .update(`${type}:${value}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+const normalizeEmail = (value) => String(value).trim().toLowerCase();
+
+const normalizePhone = (value) => String(value).replace(/\D/g, '');
+
+// Lower case words without diacritics, e.g. "José O'Neil" -> ['jose', 'o', 'neil']
+const getWords = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Index tokens stored for a value
+ * @param {string} type - One of INDEX_TYPES
+ * @param {string} value - Plain value
+ * @returns {Array<string>} - Blind index tokens
+ */
+const getTokens = (type, value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  switch (type) {
+    case INDEX_TYPES.EMAIL:
+      return [hmac(type, normalizeEmail(value))];
+
+    case INDEX_TYPES.PHONE: {
+      const digits = normalizePhone(value);
+      if (!digits) return [];
+      const national = digits.slice(-NATIONAL_NUMBER_LENGTH);
+      return [...new Set([digits, national])].map(number => hmac(type, number));
+    }
+
+    case INDEX_TYPES.NAME: {
+      // Every prefix of every word, so "smi" finds "Smith"
+      const prefixes = new Set();
+      getWords(value).forEach((word) => {
+        const longest = Math.min(word.length, ENCRYPTION.BLIND_INDEX_MAX_PREFIX);
+        for (let length = ENCRYPTION.BLIND_INDEX_MIN_PREFIX; length <= longest; length++) {
+          prefixes.add(word.slice(0, length));
+        }
+      });
+      return [...prefixes].map(prefix => hmac(type, prefix));
+    }
+
+    default:
+      throw new Error(`Unknown blind index type "${type}"`);
+  }
+};
+
+/**
+ * Tokens to look up for a search term
+ * Returns null when the term cannot match the index, e.g. a name shorter than the minimum prefix
+ * @param {string} type - One of INDEX_TYPES
+ * @param {string} term - Search term as typed
+ * @returns {Object|null} - { tokens, all } where all means every token has to match
+ */
+const getSearchTokens = (type, term) => {
+  if (!term) return null;
+
+  switch (type) {
+    case INDEX_TYPES.EMAIL:
+      return term.includes('@') ? { tokens: getTokens(type, term), all: false } : null;
+
+    case INDEX_TYPES.PHONE: {
+      const digits = normalizePhone(term);
+      // Only terms that are mostly digits are phone numbers
+      if (digits.length < 7 || digits.length < term.replace(/\s/g, '').length - 4) return null;
+      return { tokens: getTokens(type, term), all: false };
+    }
+
+    case INDEX_TYPES.NAME: {
+      if (term.includes('@')) return null;
+      const words = getWords(term)
+        .filter(word => word.length >= ENCRYPTION.BLIND_INDEX_MIN_PREFIX)
+        .map(word => word.slice(0, ENCRYPTION.BLIND_INDEX_MAX_PREFIX));
+      return words.length > 0 ? { tokens: words.map(word => hmac(type, word)), all: true } : null;
+    }
+
+    default:
+      throw new Error(`Unknown blind index type "${type}"`);
+  }
+};
+
+module.exports = {
+  INDEX_TYPES,
+  getTokens,
+  getSearchTokens,
+};
@@ -0,0 +1,116 @@
+/**
+ * Code 128 barcode encoder
+ * Uses code set B for text and switches to code set C for runs of digits,
+ * which packs two digits into each symbol
+ */
+
+// Bar and space widths for symbol values 0-106, in modules
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE_C = 99;
+const CODE_B = 100;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+const QUIET_ZONE = 10; // Modules of white space required on each side
+
+/**
+ * Count consecutive digits starting at a position
+ * @param {string} text - Text to scan
+ * @param {number} start - Start position
+ * @returns {number} - Number of digits
+ */
+const digitRun = (text, start) => {
+  let end = start;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+  return end - start;
+};
+
+/**
+ * Convert text to Code 128 symbol values, including start, checksum and stop
+ * @param {string} text - Printable ASCII text
+ * @returns {Array} - Symbol values
+ */
+const encodeValues = (text) => {
+  if (!/^[\x20-\x7e]+$/.test(text)) {
+    throw new Error('Code 128 text must be non-empty printable ASCII');
+  }
+
+  const values = [];
+  let set = digitRun(text, 0) >= 4 && digitRun(text, 0) % 2 === 0 ? 'C' : 'B';
+  values.push(set === 'C' ? START_C : START_B);
+
+  let i = 0;
+  while (i < text.length) {
+    const run = digitRun(text, i);
+
+    if (set === 'B' && (run >= 6 || (run >= 4 && i + run === text.length))) {
+      // An odd run keeps its first digit in set B so the rest pairs up
+      if (run % 2 === 1) {
+        values.push(text.charCodeAt(i) - 32);
+        i++;
+      }
+      values.push(CODE_C);
+      set = 'C';
+      continue;
+    }
+
+    if (set === 'C') {
+      if (run >= 2) {
+        values.push(parseInt(text.slice(i, i + 2), 10));
+        i += 2;
+        continue;
+      }
+      values.push(CODE_B);
+      set = 'B';
+    }
+
+    values.push(text.charCodeAt(i) - 32);
+    i++;
+  }
+
+  const checksum = values.reduce((sum, value, position) => sum + value * Math.max(position, 1), 0) % 103;
+  values.push(checksum, STOP);
+
+  return values;
+};
+
+/**
+ * Encode text as a list of bars
+ * @param {string} text - Printable ASCII text
+ * @returns {Object} - { bars: [{ x, width }], width } in modules, quiet zones included
+ */
+const encode = (text) => {
+  const bars = [];
+  let x = QUIET_ZONE;
+
+  encodeValues(text).forEach((value) => {
+    PATTERNS[value].split('').forEach((digit, index) => {
+      const width = Number(digit);
+      // Even positions are bars, odd positions are spaces
+      if (index % 2 === 0) {
+        bars.push({ x, width });
+      }
+      x += width;
+    });
+  });
+
+  return { bars, width: x + QUIET_ZONE };
+};
+
+module.exports = {
+  encode,
+  encodeValues
+};
@@ -0,0 +1,164 @@
+/**
+ * Compact binary encoding for QR payload fields
+ * Each field is written as [tag][length varint][value] with a one byte tag in place of
+ * its JSON key; fields without a tag are kept as JSON under REST_TAG
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Tag and value type for each known payload field
+const FIELD_TAGS = {
+  trackingNumber: { tag: 0x01, type: 'string' },
+  packageId: { tag: 0x02, type: 'objectId' }, // 12 bytes instead of 24 hex characters
+  customerName: { tag: 0x03, type: 'string' },
+  customerPhone: { tag: 0x04, type: 'string' },
+  customerAddress: { tag: 0x05, type: 'json' }, // String or address object
+};
+
+const REST_TAG = 0x1f;
+
+const FIELDS_BY_TAG = Object.entries(FIELD_TAGS).reduce((map, [name, { tag, type }]) => {
+  map[tag] = { name, type };
+  return map;
+}, {});
+
+/**
+ * Write an unsigned integer as LEB128
+ * @param {number} value - Integer to encode
+ * @returns {Array} - Bytes
+ */
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0);
+  return bytes;
+};
+
+/**
+ * Read a LEB128 integer
+ * @param {Buffer} buffer - Source bytes
+ * @param {number} offset - Position to read from
+ * @returns {Object} - { value, offset } with offset moved past the integer
+ */
+const decodeVarint = (buffer, offset) => {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (offset >= buffer.length || shift > 28) {
+      throw new Error('Invalid varint');
+    }
+    byte = buffer[offset++];
+    value |= (byte & 0x7f) << shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return { value: value >>> 0, offset };
+};
+
+/**
+ * Encode a single value for its field type
+ * @param {*} value - Field value
+ * @param {string} type - Field type (string, objectId or json)
+ * @returns {Buffer|null} - Encoded bytes, or null when the value does not fit the type
+ */
+const encodeValue = (value, type) => {
+  if (type === 'objectId') {
+    const hex = value && value.toString();
+    return OBJECT_ID_PATTERN.test(hex) ? Buffer.from(hex, 'hex') : null;
+  }
+  if (type === 'string') {
+    return typeof value === 'string' ? Buffer.from(value, 'utf8') : null;
+  }
+  return Buffer.from(JSON.stringify(value), 'utf8');
+};
+
+/**
+ * Decode a single value for its field type
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {string} type - Field type (string, objectId or json)
+ * @returns {*} - Field value
+ */
+const decodeValue = (bytes, type) => {
+  if (type === 'objectId') return bytes.toString('hex');
+  if (type === 'string') return bytes.toString('utf8');
+  return JSON.parse(bytes.toString('utf8'));
+};
+
+/**
+ * Encode a payload object
+ * @param {Object} data - Payload to encode
+ * @returns {Buffer} - Encoded bytes
+ */
+const encodeFields = (data) => {
+  const chunks = [];
+  const rest = {};
+
+  const writeField = (tag, bytes) => {
+    chunks.push(Buffer.from([tag, ...encodeVarint(bytes.length)]), bytes);
+  };
+
+  Object.entries(data).forEach(([name, value]) => {
+    if (value === undefined) return;
+
+    const field = FIELD_TAGS[name];
+    const bytes = field ? encodeValue(value, field.type) : null;
+    if (bytes) {
+      writeField(field.tag, bytes);
+    } else {
+      rest[name] = value;
+    }
+  });
+
+  if (Object.keys(rest).length > 0) {
+    writeField(REST_TAG, Buffer.from(JSON.stringify(rest), 'utf8'));
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Decode bytes produced by encodeFields
+ * @param {Buffer} buffer - Encoded bytes
+ * @returns {Object} - Payload object
+ */
+const decodeFields = (buffer) => {
+  const data = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tag = buffer[offset++];
+    const length = decodeVarint(buffer, offset);
+    offset = length.offset;
+
+    const end = offset + length.value;
+    if (end > buffer.length) {
+      throw new Error('Truncated field');
+    }
+    const bytes = buffer.subarray(offset, end);
+    offset = end;
+
+    if (tag === REST_TAG) {
+      Object.assign(data, JSON.parse(bytes.toString('utf8')));
+      continue;
+    }
+
+    const field = FIELDS_BY_TAG[tag];
+    if (!field) {
+      throw new Error(`Unknown field tag: ${tag}`);
+    }
+    data[field.name] = decodeValue(bytes, field.type);
+  }
+
+  return data;
+};
+
+module.exports = {
+  FIELD_TAGS,
+  encodeFields,
+  decodeFields
+};
@@ -46,12 +46,13 @@ const generateRSAKeyPair = (modulusLength = 2048) => {
 
 /**
  * Encrypt data using AES-256-GCM (Authenticated Encryption)
- * @param {string} data - Data to encrypt
+ * @param {string|Buffer} data - Data to encrypt
  * @param {string} key - Encryption key (hex string)
  * @param {Buffer} iv - Initialization vector (optional)
+ * @param {string} aad - Additional authenticated data bound to the ciphertext (optional)
  * @returns {Object} - Object containing encrypted data, iv, and authTag
  */
-const encryptAES = (data, key, iv = null) => {
+const encryptAES = (data, key, iv = null, aad = null) => {
   try {
     // Convert hex key to buffer
     const keyBuffer = Buffer.from(key, 'hex');
@@ -63,6 +64,9 @@ const encryptAES = (data, key, iv = null) => {
     
     // Create cipher using AES-256-GCM
     const cipher = crypto.createCipheriv('aes-256-gcm', keyBuffer, iv);
+    if (aad) {
+      cipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
     
     // Encrypt data
     let encrypted = cipher.update(data, 'utf8', 'base64');
@@ -87,9 +91,11 @@ const encryptAES = (data, key, iv = null) => {
  * @param {string} key - Encryption key (hex string)
  * @param {string} iv - Base64 encoded initialization vector
  * @param {string} authTag - Base64 encoded authentication tag
- * @returns {string} - Decrypted data
+ * @param {string} aad - Additional authenticated data used during encryption (optional)
+ * @param {string} outputEncoding - Encoding of the result, or null for a Buffer (default utf8)
+ * @returns {string|Buffer} - Decrypted data
  */
-const decryptAES = (encryptedData, key, iv, authTag) => {
+const decryptAES = (encryptedData, key, iv, authTag, aad = null, outputEncoding = 'utf8') => {
   try {
     // Convert inputs to buffers
     const keyBuffer = Buffer.from(key, 'hex');
@@ -99,12 +105,17 @@ const decryptAES = (encryptedData, key, iv, authTag) => {
     // Create decipher
     const decipher = crypto.createDecipheriv('aes-256-gcm', keyBuffer, ivBuffer);
     decipher.setAuthTag(authTagBuffer);
+    if (aad) {
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+    }
     
     // Decrypt data
-    let decrypted = decipher.update(encryptedData, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(encryptedData, 'base64')),
+      decipher.final()
+    ]);
     
-    return decrypted;
+    return outputEncoding ? decrypted.toString(outputEncoding) : decrypted;
   } catch (error) {
     throw new Error(`AES decryption failed: ${error.message}`);
   }
@@ -176,9 +187,13 @@ const createHMAC = (data, key) => {
  * @param {string} data - Original data
  * @param {string} key - Secret key for HMAC
  * @param {string} hmac - HMAC to verify
- * @returns {boolean} - True if HMAC is valid
+ * @returns {boolean} - True if HMAC is valid; false for malformed input, which comes from untrusted callers
  */
 const verifyHMAC = (data, key, hmac) => {
+  if (typeof hmac !== 'string' || !/^[0-9a-f]{64}$/i.test(hmac)) {
+    return false;
+  }
+
   const calculatedHmac = createHMAC(data, key);
   return crypto.timingSafeEqual(
     Buffer.from(calculatedHmac, 'hex'),
@@ -186,6 +201,63 @@ const verifyHMAC = (data, key, hmac) => {
   );
 };
 
+/**
+ * Sign data with an ECDSA private key
+ * Signatures use the IEEE P1363 (r || s) encoding so Web Crypto can verify them
+ * @param {string|Buffer} data - Data to sign (strings are signed as UTF-8)
+ * @param {string} privateKey - EC private key in PEM format
+ * @returns {string} - Base64 encoded signature
+ */
+const signData = (data, privateKey) => {
+  try {
+    return crypto
+      .sign('sha256', Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+      .toString('base64');
+  } catch (error) {
+    throw new Error(`Signing failed: ${error.message}`);
+  }
+};
+
+/**
+ * Verify an ECDSA signature produced by signData
+ * @param {string|Buffer} data - Original data
+ * @param {string} signature - Base64 encoded signature
+ * @param {string} publicKey - EC public key in PEM format
+ * @returns {boolean} - True if signature is valid
+ */
+const verifySignature = (data, signature, publicKey) => {
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Generate an ECDSA P-256 key pair for signing
+ * @returns {Object} - Object containing public and private keys in PEM format
+ */
+const generateSigningKeyPair = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+    publicKeyEncoding: {
+      type: 'spki',
+      format: 'pem'
+    },
+    privateKeyEncoding: {
+      type: 'pkcs8',
+      format: 'pem'
+    }
+  });
+
+  return { publicKey, privateKey };
+};
+
 /**
  * Hash password with salt using PBKDF2
  * @param {string} password - Plain text password
@@ -271,6 +343,9 @@ module.exports = {
   decryptRSA,
   createHMAC,
   verifyHMAC,
+  signData,
+  verifySignature,
+  generateSigningKeyPair,
   hashPassword,
   verifyPassword,
   generateSecureToken,
@@ -0,0 +1,67 @@
+/**
+ * Geographic helpers for scan locations and addresses
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in kilometres
+ */
+const haversineKm = (from, to) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance from a point to the straight route between two points
+ * Uses a local flat projection, which is accurate enough at city and regional scale
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} start - { latitude, longitude }
+ * @param {Object} end - { latitude, longitude }
+ * @returns {number} - Distance in kilometres
+ */
+const distanceToRouteKm = (point, start, end) => {
+  const kmPerDegLat = (Math.PI * EARTH_RADIUS_KM) / 180;
+  const kmPerDegLon = kmPerDegLat * Math.cos((point.latitude * Math.PI) / 180);
+  const project = (p) => ({
+    x: (p.longitude - point.longitude) * kmPerDegLon,
+    y: (p.latitude - point.latitude) * kmPerDegLat
+  });
+
+  const a = project(start);
+  const b = project(end);
+  const abX = b.x - a.x;
+  const abY = b.y - a.y;
+  const lengthSq = abX * abX + abY * abY;
+
+  if (lengthSq === 0) {
+    return haversineKm(point, start);
+  }
+
+  // Closest point on the segment to the scan (which sits at the origin)
+  const t = Math.max(0, Math.min(1, -(a.x * abX + a.y * abY) / lengthSq));
+  return Math.hypot(a.x + t * abX, a.y + t * abY);
+};
+
+/**
+ * Check that a location object carries usable coordinates
+ * @param {Object} location - Location to check
+ * @returns {boolean} - Whether latitude and longitude are numbers
+ */
+const hasCoordinates = (location) => Boolean(location)
+  && typeof location.latitude === 'number'
+  && typeof location.longitude === 'number';
+
+module.exports = {
+  haversineKm,
+  distanceToRouteKm,
+  hasCoordinates
+};
@@ -0,0 +1,60 @@
+/**
+ * Hash chain helpers
+ * Entries are hashed over a canonical JSON form so the same content always
+ * produces the same hash, whether it comes from a new document or from the database
+ */
+
+const crypto = require('crypto');
+
+// Reduce a value to plain JSON types: ObjectIds and Dates become strings via toJSON
+const toPlain = (value) => {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const isEmpty = (value) => (
+  value === undefined || value === null ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+);
+
+// Sort object keys recursively and drop empty values, which MongoDB may or may not store
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      const child = sortKeys(value[key]);
+      if (!isEmpty(child)) {
+        sorted[key] = child;
+      }
+      return sorted;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Serialize a value to canonical JSON
+ * @param {*} value - Value to serialize
+ * @returns {string} - JSON with sorted keys and without empty values
+ */
+const canonicalize = (value) => JSON.stringify(sortKeys(toPlain(value)) ?? null);
+
+/**
+ * Hash chain entry content together with the previous entry's hash
+ * @param {Object} content - Entry content
+ * @param {string} prevHash - Hex hash of the previous entry
+ * @returns {string} - Hex encoded SHA-256
+ */
+const hashEntry = (content, prevHash) => crypto
+  .createHash('sha256')
+  .update(canonicalize({ content, prevHash }))
+  .digest('hex');
+
+module.exports = {
+  canonicalize,
+  hashEntry,
+};
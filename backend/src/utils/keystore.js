@@ -0,0 +1,151 @@
+// keystore.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 'cipher-ship-keystore';
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// scrypt cost; N = 2^15 with r = 8 needs 32 MB, so maxmem is raised above the 32 MB default
+const DEFAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Derive the keystore encryption key from the master passphrase
+ * @param {string} passphrase - Master passphrase
+ * @param {Object} kdf - KDF parameters including the base64 salt
+ * @returns {Buffer} - 256-bit key
+ */
+const deriveKey = (passphrase, kdf) => {
+  if (kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported keystore KDF "${kdf.name}"`);
+  }
+
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+};
+
+// The header is authenticated so the KDF parameters cannot be downgraded
+const getHeader = (keystore) => JSON.stringify({
+  format: keystore.format,
+  version: keystore.version,
+  kdf: keystore.kdf,
+});
+
+/**
+ * Encrypt a set of secrets into a keystore document
+ * @param {Object} secrets - Map of secret name to string value
+ * @param {string} passphrase - Master passphrase
+ * @returns {Object} - Keystore document, safe to write to disk
+ */
+const seal = (secrets, passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Keystore passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const keystore = {
+    format: FORMAT,
+    version: VERSION,
+    kdf: { ...DEFAULT_KDF, salt: crypto.randomBytes(SALT_LENGTH).toString('base64') },
+  };
+
+  const key = deriveKey(passphrase, keystore.kdf);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(getHeader(keystore)));
+
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ secrets }), 'utf8'), cipher.final()]);
+
+  return {
+    ...keystore,
+    cipher: { name: CIPHER, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    ciphertext: ciphertext.toString('base64'),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Decrypt a keystore document
+ * @param {Object} keystore - Keystore document
+ * @param {string} passphrase - Master passphrase
+ * @returns {Object} - Map of secret name to string value
+ */
+const open = (keystore, passphrase) => {
+  if (!keystore || keystore.format !== FORMAT) {
+    throw new Error('File is not a Cipher Ship keystore');
+  }
+
+  if (keystore.version !== VERSION) {
+    throw new Error(`Unsupported keystore version ${keystore.version}`);
+  }
+
+  if (!passphrase) {
+    throw new Error('Keystore passphrase is not set');
+  }
+
+  try {
+    const key = deriveKey(passphrase, keystore.kdf);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(keystore.cipher.iv, 'base64'));
+    decipher.setAAD(Buffer.from(getHeader(keystore)));
+    decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'base64')),
+      decipher.final(),
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8')).secrets;
+  } catch (error) {
+    throw new Error('Keystore could not be unlocked: wrong passphrase or corrupted file');
+  }
+};
+
+/**
+ * Read and decrypt a keystore file
+ * @param {string} filePath - Path to the keystore file
+ * @param {string} passphrase - Master passphrase
+ * @returns {Object} - Map of secret name to string value
+ */
+const readFile = (filePath, passphrase) => {
+  let keystore;
+  try {
+    keystore = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Keystore ${filePath} could not be read: ${error.code || error.message}`);
+  }
+
+  return open(keystore, passphrase);
+};
+
+/**
+ * Encrypt secrets and write them to a keystore file
+ * The file is replaced atomically and is only readable by its owner
+ * @param {string} filePath - Path to the keystore file
+ * @param {Object} secrets - Map of secret name to string value
+ * @param {string} passphrase - Master passphrase
+ */
+const writeFile = (filePath, secrets, passphrase) => {
+  const keystore = seal(secrets, passphrase);
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, `${JSON.stringify(keystore, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  seal,
+  open,
+  readFile,
+  writeFile,
+};
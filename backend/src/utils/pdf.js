@@ -0,0 +1,167 @@
+/**
+ * Minimal PDF writer for labels
+ * Supports filled and stroked rectangles, lines and text in the standard
+ * Helvetica fonts, which every PDF reader provides without embedding.
+ * Coordinates are in points with the origin at the top-left corner
+ */
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number to format
+ * @returns {string} - Number with at most two decimals
+ */
+const num = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1 become '?'
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+class PdfPage {
+  /**
+   * @param {number} width - Page width in points
+   * @param {number} height - Page height in points
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.operations = [];
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} options - { fill (default true), lineWidth }
+   * @returns {PdfPage} - This page, for chaining
+   */
+  rect(x, y, width, height, { fill = true, lineWidth = 1 } = {}) {
+    const bottom = this.height - y - height;
+    this.operations.push(fill
+      ? `${num(x)} ${num(bottom)} ${num(width)} ${num(height)} re f`
+      : `${num(lineWidth)} w ${num(x)} ${num(bottom)} ${num(width)} ${num(height)} re S`);
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {number} lineWidth - Stroke width
+   * @returns {PdfPage} - This page, for chaining
+   */
+  line(x1, y1, x2, y2, lineWidth = 1) {
+    this.operations.push(
+      `${num(lineWidth)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline
+   * @param {Object} options - { size, bold }
+   * @returns {PdfPage} - This page, for chaining
+   */
+  text(text, x, y, { size = 10, bold = false } = {}) {
+    const font = bold ? FONTS.bold : FONTS.regular;
+    this.operations.push(
+      `BT /${font.name} ${num(size)} Tf ${num(x)} ${num(this.height - y)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the page into a single-page PDF file
+   * @returns {Buffer} - PDF bytes
+   */
+  toBuffer() {
+    const document = new PdfDocument();
+    document.pages.push(this);
+    return document.toBuffer();
+  }
+}
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+  }
+
+  /**
+   * Append a blank page
+   * @param {number} width - Page width in points
+   * @param {number} height - Page height in points
+   * @returns {PdfPage} - The new page
+   */
+  addPage(width, height) {
+    const page = new PdfPage(width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Serialize all pages into a PDF file
+   * Objects 1-4 are the catalog, page tree and fonts; each page adds a page object and its content stream
+   * @returns {Buffer} - PDF bytes
+   */
+  toBuffer() {
+    const pageObjectId = (index) => 5 + index * 2;
+    const kids = this.pages.map((page, index) => `${pageObjectId(index)} 0 R`).join(' ');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${kids}] /Count ${this.pages.length} >>`,
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`,
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`
+    ];
+
+    this.pages.forEach((page, index) => {
+      const content = page.operations.join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectId(index) + 1} 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+      );
+    });
+
+    // Build the file from chunks; batch documents can hold hundreds of pages
+    const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const offset = length;
+      const chunk = Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1');
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    let trailer = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      trailer += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    trailer += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+    chunks.push(Buffer.from(trailer, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PdfPage
+};
@@ -96,9 +96,9 @@ const validatePasswordStrength = (password) => {
 const isValidTrackingNumber = (trackingNumber) => {
   if (!trackingNumber) return false;
   
-  // Cipher Ship tracking format is CS-YYYYMMDD-XXXXX
-  // where XXXXX is alphanumeric
-  const trackingRegex = /^CS-\d{8}-[A-Z0-9]{5}$/;
+  // Cipher Ship tracking format is CS-YYYYMMDD-XXXXXXXXXX
+  // where XXXXXXXXXX is Crockford base32
+  const trackingRegex = /^CS-\d{8}-[0-9A-HJKMNP-TV-Z]{10}$/;
   return trackingRegex.test(trackingNumber);
 };
 
@@ -0,0 +1,130 @@
+/**
+ * Minimal ZIP archive writer
+ * Entries are deflated unless compression does not pay off (PNG images already are),
+ * in which case they are stored as is
+ */
+
+const zlib = require('zlib');
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20; // 2.0, deflate support
+const UTF8_FLAG = 0x0800; // File names are UTF-8
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Modification time
+ * @returns {Object} - { time, date }
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive
+   * @param {Buffer|string} content - File content
+   * @returns {ZipArchive} - This archive, for chaining
+   */
+  addFile(name, content) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const compress = deflated.length < data.length;
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf8'),
+      crc: crc32(data),
+      size: data.length,
+      method: compress ? METHOD_DEFLATE : METHOD_STORE,
+      data: compress ? deflated : data,
+      modified: dosDateTime(new Date())
+    });
+    return this;
+  }
+
+  /**
+   * Serialize the archive
+   * @returns {Buffer} - ZIP bytes
+   */
+  toBuffer() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(UTF8_FLAG, 6);
+      header.writeUInt16LE(entry.method, 8);
+      header.writeUInt16LE(entry.modified.time, 10);
+      header.writeUInt16LE(entry.modified.date, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.data.length, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4);
+      record.writeUInt16LE(VERSION, 6);
+      record.writeUInt16LE(UTF8_FLAG, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.modified.time, 12);
+      record.writeUInt16LE(entry.modified.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.data.length, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(offset, 42);
+
+      chunks.push(header, entry.name, entry.data);
+      central.push(record, entry.name);
+      offset += header.length + entry.name.length + entry.data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, ...central, end]);
+  }
+}
+
+module.exports = {
+  ZipArchive,
+  crc32
+};
@@ -4,6 +4,10 @@ import { NotificationProvider } from './contexts/NotificationContext';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import TrackPackage from './pages/TrackPackage';
 import Admin from './pages/Admin';
 import DeliveryAgent from './pages/DeliveryAgent';
 import Customer from './pages/Customer';
@@ -23,6 +27,10 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/track-package" element={<TrackPackage />} />
             
             {/* Protected routes with role-based access */}
             <Route
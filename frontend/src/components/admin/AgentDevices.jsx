@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAgentDevices, revokeAgentDevice } from '../../services/deviceKeys';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const AgentDevices = ({ agent }) => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const fetchDevices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getAgentDevices(agent._id);
+      setDevices(response.data.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch devices.');
+      console.error('Error fetching agent devices:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [agent._id]);
+
+  useEffect(() => {
+    fetchDevices();
+  }, [fetchDevices]);
+
+  const handleRevoke = async (deviceId) => {
+    try {
+      const response = await revokeAgentDevice(agent._id, deviceId, reason || undefined);
+      setMessage(`Device revoked. ${response.data.data.packagesRekeyed} package(s) were re-keyed.`);
+      setRevoking(null);
+      setReason('');
+      fetchDevices();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke device.');
+    }
+  };
+
+  if (loading) return <div className="p-4">Loading devices...</div>;
+
+  return (
+    <div className="p-4">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {devices.length === 0 ? (
+        <p className="text-gray-500">{agent.email} has not enrolled any devices.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {devices.map((device) => (
+            <li key={device._id} className="py-3">
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="font-medium">{device.label || 'Unnamed device'}</p>
+                  <p className="text-xs text-gray-500 break-all">{device.userAgent}</p>
+                  <p className="text-xs text-gray-500">
+                    Enrolled {formatDate(device.createdAt)} · Last used {formatDate(device.lastUsedAt)}
+                  </p>
+                  <p className="text-xs text-gray-400 font-mono">{device.fingerprint.slice(0, 16)}</p>
+                  {device.status === 'revoked' && (
+                    <p className="text-xs text-red-600">
+                      Revoked {formatDate(device.revokedAt)}{device.revokeReason ? `: ${device.revokeReason}` : ''}
+                    </p>
+                  )}
+                </div>
+                {device.status === 'active' ? (
+                  <button
+                    onClick={() => setRevoking(revoking === device._id ? null : device._id)}
+                    className="text-red-500 hover:text-red-700 text-sm"
+                  >
+                    Revoke
+                  </button>
+                ) : (
+                  <span className="bg-red-100 text-red-800 px-2 py-1 rounded text-xs">revoked</span>
+                )}
+              </div>
+
+              {revoking === device._id && (
+                <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                  <Input
+                    type="text"
+                    placeholder="Reason, e.g. phone reported lost"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    className="flex-grow"
+                  />
+                  <Button
+                    type="button"
+                    className="bg-red-600 hover:bg-red-700"
+                    onClick={() => handleRevoke(device._id)}
+                  >
+                    Confirm Revoke
+                  </Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AgentDevices;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSecurityAlerts, acknowledgeSecurityAlert } from '../../services/securityAlerts';
+import { Button } from '../ui/Button';
+import { Card } from '../ui/Card';
+import { Input } from '../ui/Input';
+
+const severityClasses = {
+  high: 'bg-red-100 text-red-800 border-red-300',
+  medium: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  low: 'bg-blue-100 text-blue-800 border-blue-300',
+};
+
+const alertTypes = {
+  'unassigned-agent-scan': 'Scan by unassigned agent',
+  'repeated-decrypt-failures': 'Repeated failed decrypts',
+  'off-route-scan': 'Scan far from route',
+  'scan-after-delivery': 'Scan after delivery',
+  'impossible-travel': 'Impossible travel',
+  'handover-pin-lockout': 'Handover PIN locked',
+  'refresh-token-reuse': 'Refresh token reused',
+};
+
+const SecurityAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({
+    status: 'open',
+    type: 'all',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+  });
+  const [acknowledging, setAcknowledging] = useState(null);
+  const [note, setNote] = useState('');
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getSecurityAlerts({
+        status: filters.status === 'all' ? undefined : filters.status,
+        type: filters.type === 'all' ? undefined : filters.type,
+        page: pagination.page,
+        limit: pagination.limit,
+      });
+
+      setAlerts(response.data.data);
+      setPagination((prev) => ({ ...prev, total: response.data.total }));
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch security alerts. Please try again later.');
+      console.error('Error fetching security alerts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, pagination.page, pagination.limit]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPagination({ ...pagination, page: 1 }); // Reset to first page on filter change
+  };
+
+  const handleAcknowledge = async (alertId) => {
+    try {
+      await acknowledgeSecurityAlert(alertId, note || undefined);
+      setAcknowledging(null);
+      setNote('');
+      fetchAlerts();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to acknowledge alert.');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return new Intl.DateTimeFormat('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(date);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(pagination.total / pagination.limit));
+
+  return (
+    <div className="w-full">
+      <h2 className="text-2xl font-bold mb-6">Security Alerts</h2>
+
+      {/* Filters */}
+      <Card className="mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="alert-status" className="block mb-1 text-sm font-medium">Status</label>
+            <select
+              id="alert-status"
+              className="w-full border rounded-md p-2"
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+            >
+              <option value="open">Open</option>
+              <option value="acknowledged">Acknowledged</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="alert-type" className="block mb-1 text-sm font-medium">Type</label>
+            <select
+              id="alert-type"
+              className="w-full border rounded-md p-2"
+              value={filters.type}
+              onChange={(e) => handleFilterChange('type', e.target.value)}
+            >
+              <option value="all">All Types</option>
+              {Object.entries(alertTypes).map(([key, value]) => (
+                <option key={key} value={key}>{value}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </Card>
+
+      {/* Error message */}
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {/* Alerts list */}
+      <Card>
+        {loading ? (
+          <div className="flex justify-center items-center p-10">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : alerts.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {alerts.map((alert) => (
+              <li key={alert._id} className="py-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium border ${severityClasses[alert.severity] || ''}`}>
+                        {alert.severity.toUpperCase()}
+                      </span>
+                      <span className="text-sm font-medium text-gray-900">
+                        {alertTypes[alert.type] || alert.type}
+                      </span>
+                      {alert.occurrences > 1 && (
+                        <span className="text-xs text-gray-500">×{alert.occurrences}</span>
+                      )}
+                    </div>
+                    <p className="mt-1 text-sm text-gray-700">{alert.message}</p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {alert.package && `Package ${alert.package.trackingNumber} · `}
+                      {alert.user && `${alert.user.email} · `}
+                      {alert.ipAddress && `${alert.ipAddress} · `}
+                      Last seen {formatDate(alert.lastSeenAt)}
+                    </p>
+                    {alert.status === 'acknowledged' && (
+                      <p className="mt-1 text-xs text-green-700">
+                        Acknowledged{alert.acknowledgedBy && ` by ${alert.acknowledgedBy.email}`} on {formatDate(alert.acknowledgedAt)}
+                        {alert.acknowledgementNote && `: ${alert.acknowledgementNote}`}
+                      </p>
+                    )}
+                  </div>
+
+                  {alert.status === 'open' && acknowledging !== alert._id && (
+                    <Button size="sm" variant="outline" onClick={() => setAcknowledging(alert._id)}>
+                      Acknowledge
+                    </Button>
+                  )}
+                </div>
+
+                {acknowledging === alert._id && (
+                  <div className="mt-3 flex items-center space-x-2">
+                    <Input
+                      id={`note-${alert._id}`}
+                      type="text"
+                      placeholder="Note (optional)"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                    />
+                    <Button size="sm" onClick={() => handleAcknowledge(alert._id)}>
+                      Confirm
+                    </Button>
+                    <Button size="sm" variant="secondary" onClick={() => { setAcknowledging(null); setNote(''); }}>
+                      Cancel
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-center py-10 text-gray-500">
+            No security alerts matching your criteria.
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.total > pagination.limit && (
+          <div className="pt-4 flex items-center justify-between border-t border-gray-200">
+            <Button
+              size="sm"
+              variant="secondary"
+              onClick={() => setPagination({ ...pagination, page: pagination.page - 1 })}
+              disabled={pagination.page === 1}
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.page} of {totalPages}
+            </span>
+            <Button
+              size="sm"
+              variant="secondary"
+              onClick={() => setPagination({ ...pagination, page: pagination.page + 1 })}
+              disabled={pagination.page === totalPages}
+            >
+              Next
+            </Button>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default SecurityAlerts;
@@ -4,6 +4,7 @@ import Button from '../ui/Button';
 import Card from '../ui/Card';
 import Modal from '../ui/Modal';
 import Input from '../ui/Input';
+import AgentDevices from './AgentDevices';
 
 const UserManagement = () => {
   const [users, setUsers] = useState([]);
@@ -13,6 +14,7 @@ const UserManagement = () => {
   const [currentUser, setCurrentUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('all');
+  const [devicesUser, setDevicesUser] = useState(null);
 
   useEffect(() => {
     fetchUsers();
@@ -92,6 +94,7 @@ const UserManagement = () => {
             <option value="all">All Roles</option>
             <option value="admin">Admin</option>
             <option value="delivery_agent">Delivery Agent</option>
+            <option value="hub_sorter">Hub Sorter</option>
             <option value="customer">Customer</option>
           </select>
           <Button onClick={fetchUsers}>Refresh</Button>
@@ -119,6 +122,14 @@ const UserManagement = () => {
                   </div>
                 </div>
                 <div className="flex">
+                  {user.role === 'delivery_agent' && (
+                    <button
+                      onClick={() => setDevicesUser(user)}
+                      className="text-gray-600 hover:text-gray-800 mr-2"
+                    >
+                      Devices
+                    </button>
+                  )}
                   <button
                     onClick={() => handleEditUser(user)}
                     className="text-blue-500 hover:text-blue-700 mr-2"
@@ -168,6 +179,7 @@ const UserManagement = () => {
               >
                 <option value="admin">Admin</option>
                 <option value="delivery_agent">Delivery Agent</option>
+                <option value="hub_sorter">Hub Sorter</option>
                 <option value="customer">Customer</option>
               </select>
             </div>
@@ -192,6 +204,16 @@ const UserManagement = () => {
           </div>
         </Modal>
       )}
+
+      {devicesUser && (
+        <Modal
+          isOpen={Boolean(devicesUser)}
+          onClose={() => setDevicesUser(null)}
+          title={`Enrolled Devices: ${devicesUser.email}`}
+        >
+          <AgentDevices agent={devicesUser} />
+        </Modal>
+      )}
     </div>
   );
 };
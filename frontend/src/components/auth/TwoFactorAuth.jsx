@@ -6,26 +6,75 @@ import { Button } from '../ui/Button';
 import { Input } from '../ui/Input';
 import { Alert } from '../shared/Alert';
 
+// Ways to give the second factor; the last two are for users without their authenticator.
+// Login says which ones the account may use: roles that need MFA cannot use an emailed code
+const METHODS = {
+  totp: {
+    label: 'Authenticator app',
+    prompt: 'Please enter the verification code from your authenticator app',
+    placeholder: 'Authentication code',
+  },
+  'recovery-code': {
+    label: 'Recovery code',
+    prompt: 'Enter one of the recovery codes you saved when you set up two-factor authentication. Each code works once',
+    placeholder: 'XXXX-XXXX-XXXX-XXXX',
+  },
+  email: {
+    label: 'Email code',
+    prompt: 'We can email a one-time code to the address on your account',
+    placeholder: 'Emailed code',
+  },
+};
+
 const TwoFactorAuth = () => {
+  const [method, setMethod] = useState('totp');
   const [token, setToken] = useState('');
   const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
   const [loading, setLoading] = useState(false);
-  const { verifyTwoFactor, tempUserId } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
+  const { verifyTwoFactorAuth, requestTwoFactorEmailCode, twoFactorMethods } = useAuth();
   const navigate = useNavigate();
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const selectMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setToken('');
     setError('');
-    setLoading(true);
+    setInfo('');
+  };
+
+  const handleSendEmailCode = async () => {
+    setError('');
+    setInfo('');
+    setSending(true);
 
     try {
-      await verifyTwoFactor(token, tempUserId);
-      navigate('/dashboard');
+      await requestTwoFactorEmailCode();
+      setEmailSent(true);
+      setInfo('A code has been sent to your email address. It expires in 10 minutes');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to verify token');
+      setError(err.response?.data?.error || 'Failed to send code');
     } finally {
-      setLoading(false);
+      setSending(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setInfo('');
+    setLoading(true);
+
+    const result = await verifyTwoFactorAuth(token, method);
+    setLoading(false);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to verify token');
+      return;
     }
+
+    navigate('/dashboard');
   };
 
   return (
@@ -36,12 +85,37 @@ const TwoFactorAuth = () => {
             Two-Factor Authentication
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            Please enter the verification code from your authenticator app
+            {METHODS[method].prompt}
           </p>
         </div>
-        
+
+        <div className="flex justify-center space-x-2">
+          {Object.entries(METHODS).filter(([key]) => twoFactorMethods.includes(key)).map(([key, { label }]) => (
+            <Button
+              key={key}
+              size="sm"
+              variant={method === key ? 'primary' : 'ghost'}
+              onClick={() => selectMethod(key)}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+
         {error && <Alert type="error" message={error} />}
-        
+        {info && <Alert type="success" message={info} />}
+
+        {method === 'email' && (
+          <Button
+            variant="outline"
+            fullWidth
+            disabled={sending}
+            onClick={handleSendEmailCode}
+          >
+            {sending ? 'Sending...' : emailSent ? 'Send a new code' : 'Email me a code'}
+          </Button>
+        )}
+
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
@@ -50,11 +124,11 @@ const TwoFactorAuth = () => {
                 name="token"
                 type="text"
                 required
-                placeholder="Authentication code"
+                placeholder={METHODS[method].placeholder}
                 value={token}
                 onChange={(e) => setToken(e.target.value)}
                 className="rounded-md"
-                autoComplete="off"
+                autoComplete="one-time-code"
                 autoFocus
               />
             </div>
@@ -64,7 +138,7 @@ const TwoFactorAuth = () => {
             <Button
               type="submit"
               fullWidth
-              disabled={loading}
+              disabled={loading || (method === 'email' && !emailSent)}
             >
               {loading ? 'Verifying...' : 'Verify'}
             </Button>
@@ -0,0 +1,227 @@
+// frontend/src/components/auth/TwoFactorSettings.jsx
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { regenerateRecoveryCodes } from '../../services/auth';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { Card } from '../ui/Card';
+import { Alert } from '../shared/Alert';
+
+// Codes accepted when turning 2FA off; emailed codes are for login only
+const DISABLE_METHODS = {
+  totp: { label: 'Authenticator app', placeholder: 'Authentication code' },
+  'recovery-code': { label: 'Recovery code', placeholder: 'XXXX-XXXX-XXXX-XXXX' },
+};
+
+const TwoFactorSettings = () => {
+  const { currentUser, twoFactorSetupData, startTwoFactorSetup, setupTwoFactorAuth, disableTwoFactorAuth } = useAuth();
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [disableMethod, setDisableMethod] = useState('totp');
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const enabled = Boolean(currentUser?.twoFactorEnabled);
+
+  const resetMessages = () => {
+    setError('');
+    setInfo('');
+  };
+
+  const handleStartSetup = async () => {
+    resetMessages();
+    setBusy(true);
+
+    try {
+      await startTwoFactorSetup();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    setBusy(true);
+
+    const result = await setupTwoFactorAuth(code);
+    setBusy(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setCode('');
+    setRecoveryCodes(result.recoveryCodes);
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    setBusy(true);
+
+    try {
+      const response = await regenerateRecoveryCodes(code);
+      setCode('');
+      setRecoveryCodes(response.data.recoveryCodes);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to generate new recovery codes');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    setBusy(true);
+
+    const result = await disableTwoFactorAuth(password, disableCode, disableMethod);
+    setBusy(false);
+    setPassword('');
+    setDisableCode('');
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setInfo('Two-factor authentication has been disabled');
+  };
+
+  // The server keeps only hashes, so this is the one chance to save the codes
+  if (recoveryCodes) {
+    return (
+      <Card title="Recovery codes">
+        <Alert
+          type="warning"
+          message="Save these codes somewhere safe. Each one works once if you lose your authenticator app, and they will not be shown again."
+          className="mb-4"
+        />
+        <ul className="grid grid-cols-2 gap-2 mb-4 font-mono text-sm text-gray-900">
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+        <Button onClick={() => setRecoveryCodes(null)}>
+          I have saved my codes
+        </Button>
+      </Card>
+    );
+  }
+
+  return (
+    <Card title="Two-Factor Authentication">
+      {error && <Alert type="error" message={error} className="mb-4" />}
+      {info && <Alert type="success" message={info} className="mb-4" />}
+
+      {!enabled && !twoFactorSetupData && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Protect your account with a code from an authenticator app in addition to your password.
+          </p>
+          <Button onClick={handleStartSetup} disabled={busy}>
+            {busy ? 'Starting...' : 'Set up two-factor authentication'}
+          </Button>
+        </div>
+      )}
+
+      {!enabled && twoFactorSetupData && (
+        <form className="space-y-4" onSubmit={handleConfirmSetup}>
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key by hand, then enter the code it shows.
+          </p>
+          <img src={twoFactorSetupData.qrCodeUrl} alt="Authenticator QR code" className="h-48 w-48" />
+          <p className="font-mono text-sm text-gray-900 break-all">{twoFactorSetupData.secret}</p>
+          <Input
+            id="setupCode"
+            name="setupCode"
+            type="text"
+            required
+            placeholder="Authentication code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+          />
+          <Button type="submit" disabled={busy}>
+            {busy ? 'Verifying...' : 'Enable'}
+          </Button>
+        </form>
+      )}
+
+      {enabled && (
+        <div className="space-y-8">
+          <form className="space-y-4" onSubmit={handleRegenerate}>
+            <h4 className="text-md font-medium text-gray-900">Recovery codes</h4>
+            <p className="text-sm text-gray-600">
+              Generate a new set of recovery codes. Your old codes stop working.
+            </p>
+            <Input
+              id="regenerateCode"
+              name="regenerateCode"
+              type="text"
+              required
+              placeholder="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+            />
+            <Button type="submit" variant="outline" disabled={busy}>
+              Generate new recovery codes
+            </Button>
+          </form>
+
+          {/* Admins have to keep 2FA on; the server refuses to disable it for them */}
+          {currentUser.role !== 'admin' && (
+            <form className="space-y-4" onSubmit={handleDisable}>
+              <h4 className="text-md font-medium text-gray-900">Disable two-factor authentication</h4>
+              <div className="flex space-x-2">
+                {Object.entries(DISABLE_METHODS).map(([key, { label }]) => (
+                  <Button
+                    key={key}
+                    size="sm"
+                    variant={disableMethod === key ? 'primary' : 'ghost'}
+                    onClick={() => setDisableMethod(key)}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+              <Input
+                id="disablePassword"
+                name="disablePassword"
+                type="password"
+                required
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+              />
+              <Input
+                id="disableCode"
+                name="disableCode"
+                type="text"
+                required
+                placeholder={DISABLE_METHODS[disableMethod].placeholder}
+                value={disableCode}
+                onChange={(e) => setDisableCode(e.target.value)}
+                autoComplete="one-time-code"
+              />
+              <Button type="submit" variant="danger" disabled={busy}>
+                {busy ? 'Disabling...' : 'Disable'}
+              </Button>
+            </form>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -8,10 +8,12 @@ import { Alert } from '../shared/Alert';
 import { Modal } from '../ui/Modal';
 import { Input } from '../ui/Input';
 import { useAuth } from '../../hooks/useAuth';
+import { EmailVerificationBanner } from './EmailVerificationBanner';
 import * as trackingService from '../../services/tracking';
 
 const CustomerDashboard = () => {
-  const { user } = useAuth();
+  const { currentUser } = useAuth();
+  const emailUnverified = currentUser?.emailVerified === false;
   const [packages, setPackages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -86,7 +88,7 @@ const CustomerDashboard = () => {
         description: ''
       });
     } catch (err) {
-      setFormError(err.response?.data?.error || 'Failed to create package');
+      setFormError(err.response?.data?.error || err.response?.data?.message || 'Failed to create package');
     }
   };
 
@@ -125,12 +127,15 @@ const CustomerDashboard = () => {
         <Button 
           onClick={() => setShowNewPackageModal(true)}
           className="flex items-center"
+          disabled={emailUnverified}
         >
           <PlusIcon className="w-4 h-4 mr-2" />
           New Package
         </Button>
       </div>
 
+      {emailUnverified && <EmailVerificationBanner />}
+
       {error && <Alert type="error" message={error} className="mb-6" />}
 
       {packages.length === 0 ? (
@@ -0,0 +1,39 @@
+// frontend/src/components/customer/EmailVerificationBanner.jsx
+import { useState } from 'react';
+import { Button } from '../ui/Button';
+import { resendVerificationEmail } from '../../services/auth';
+
+// Shown to customers who have not verified their email address yet
+export const EmailVerificationBanner = () => {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await resendVerificationEmail();
+      setMessage(response.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Could not send the verification email. Please try again later.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <p className="text-sm text-yellow-800 font-medium">Please verify your email address</p>
+          <p className="text-sm text-yellow-700">
+            Until you do, you cannot create shipments or view QR codes. Check your inbox for the verification link.
+          </p>
+          {message && <p className="mt-2 text-sm text-yellow-800">{message}</p>}
+        </div>
+        <Button variant="outline" size="sm" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend email'}
+        </Button>
+      </div>
+    </div>
+  );
+};
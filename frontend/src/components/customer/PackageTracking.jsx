@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
-import { getPackagesByUser, getPackageByTrackingNumber, getTrackingHistory } from '../../services/tracking';
+import { getPackagesByUser, getPackageByTrackingNumber, getTrackingHistory, createTrackingShareLink } from '../../services/tracking';
 
 const PackageTracking = () => {
   const [packages, setPackages] = useState([]);
@@ -10,6 +10,8 @@ const PackageTracking = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [trackingId, setTrackingId] = useState('');
+  const [zipCode, setZipCode] = useState('');
+  const [shareLink, setShareLink] = useState(null);
   
   const { currentUser } = useAuth();
   const navigate = useNavigate();
@@ -56,24 +58,17 @@ const PackageTracking = () => {
         packageData = { data: packages.find(pkg => pkg._id === packageId) };
       } else {
         // If using tracking ID from input
-        if (!trackingId.trim()) {
-          setError('Please enter a tracking ID');
+        if (!trackingId.trim() || !zipCode.trim()) {
+          setError('Please enter a tracking ID and the destination zip code');
           setLoading(false);
           return;
         }
         
-        // Get package by tracking number
-        packageData = await getPackageByTrackingNumber(trackingId);
-        
-        // If found, get its history
-        if (packageData.data && packageData.data._id) {
-          historyData = await getTrackingHistory(packageData.data._id);
-          
-          // Add to packages list if not already there
-          if (!packages.find(pkg => pkg._id === packageData.data._id)) {
-            setPackages(prev => [...prev, packageData.data]);
-          }
-        }
+        // Public lookup returns the status and dates only
+        const response = await getPackageByTrackingNumber(trackingId.trim(), { zip: zipCode.trim() });
+        const { package: found, trackingHistory: history } = response.data.data;
+        packageData = { data: { ...found, trackingId: found.trackingNumber } };
+        historyData = { data: history };
       }
       
       if (packageData.data) {
@@ -86,7 +81,9 @@ const PackageTracking = () => {
       }
     } catch (err) {
       console.error('Error tracking package:', err);
-      setError('Failed to track package. Please check the tracking ID and try again.');
+      setError(err.response?.status === 429
+        ? 'Too many failed lookups. Please try again later.'
+        : 'Failed to track package. Please check the tracking ID and zip code and try again.');
       setSelectedPackage(null);
       setTrackingHistory([]);
     } finally {
@@ -94,6 +91,19 @@ const PackageTracking = () => {
     }
   };
   
+  // Signed link anyone can open to see the status, without knowing the destination zip code
+  const handleShareLink = async (packageId) => {
+    try {
+      setError(null);
+      const response = await createTrackingShareLink(packageId);
+      setShareLink(response.data.data);
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.response?.data?.message || 'Failed to create a tracking link. Please try again later.');
+      setShareLink(null);
+    }
+  };
+  
   const handleViewQRCode = (packageId) => {
     navigate(`/customer/qrcode/${packageId}`);
   };
@@ -142,6 +152,13 @@ const PackageTracking = () => {
             placeholder="Enter tracking ID"
             className="flex-grow px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
+          <input
+            type="text"
+            value={zipCode}
+            onChange={(e) => setZipCode(e.target.value)}
+            placeholder="Destination zip code"
+            className="sm:w-48 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
           <button
             onClick={() => handleTrackPackage()}
             className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
@@ -152,6 +169,21 @@ const PackageTracking = () => {
         </div>
       </div>
       
+      {shareLink && (
+        <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded mb-4">
+          <p className="text-sm mb-1">
+            Anyone with this link can see the package status until {new Date(shareLink.expiresAt).toLocaleString()}:
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={shareLink.url}
+            onFocus={(e) => e.target.select()}
+            className="w-full px-3 py-1 text-sm border border-blue-200 rounded-md bg-white"
+          />
+        </div>
+      )}
+      
       {/* Your packages section */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
         <h2 className="text-lg font-medium mb-4">Your Packages</h2>
@@ -208,10 +240,16 @@ const PackageTracking = () => {
                       </button>
                       <button
                         onClick={() => handleViewQRCode(pkg._id)}
-                        className="text-green-600 hover:text-green-900"
+                        className="text-green-600 hover:text-green-900 mr-3"
                       >
                         View QR
                       </button>
+                      <button
+                        onClick={() => handleShareLink(pkg._id)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Share
+                      </button>
                     </td>
                   </tr>
                 ))}
@@ -288,7 +326,7 @@ const PackageTracking = () => {
               <div className="flow-root">
                 <ul className="-mb-8">
                   {trackingHistory.map((event, eventIdx) => (
-                    <li key={event._id}>
+                    <li key={event._id || eventIdx}>
                       <div className="relative pb-8">
                         {eventIdx !== trackingHistory.length - 1 ? (
                           <span
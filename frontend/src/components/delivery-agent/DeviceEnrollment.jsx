@@ -0,0 +1,165 @@
+// frontend/src/components/delivery-agent/DeviceEnrollment.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { Smartphone, ShieldCheck, ShieldAlert } from 'lucide-react';
+import { Button } from '../ui/Button';
+import { Card } from '../ui/Card';
+import { Alert } from '../shared/Alert';
+import { useAuth } from '../../hooks/useAuth';
+import { registerDevice, getMyDevices } from '../../services/deviceKeys';
+import { getDeviceKey, createDeviceKey } from '../../utils/deviceKeyStore';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const DeviceEnrollment = () => {
+  const { currentUser } = useAuth();
+  const [localKey, setLocalKey] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [label, setLabel] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [enrolling, setEnrolling] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    if (!currentUser?._id) return;
+
+    try {
+      setLoading(true);
+      const [storedKey, response] = await Promise.all([
+        getDeviceKey(currentUser._id),
+        getMyDevices(),
+      ]);
+      setLocalKey(storedKey);
+      setDevices(response.data.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load enrolled devices');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const thisDevice = localKey && devices.find(device => device.fingerprint === localKey.fingerprint);
+  const isEnrolled = thisDevice?.status === 'active';
+
+  const handleEnroll = async () => {
+    setEnrolling(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      // A revoked key can never be enrolled again, so a fresh pair is generated for it.
+      // Enrolling an active key again grants it the assigned packages it is still missing
+      const key = localKey && (!thisDevice || isEnrolled) ? localKey : await createDeviceKey(currentUser._id);
+      const response = await registerDevice(key.publicKey, label.trim() || undefined);
+      const { packagesGranted, packagesFailed = [] } = response.data.data;
+
+      setLabel('');
+      if (packagesFailed.length > 0) {
+        setError(`${packagesFailed.length} assigned package(s) could not be made readable on this device: ${packagesFailed.map(entry => entry.trackingNumber).join(', ')}. Sync again to retry.`);
+      }
+      setSuccess(isEnrolled
+        ? `Synced. ${packagesGranted} more assigned package(s) are now readable on this device.`
+        : `Device enrolled. ${packagesGranted} assigned package(s) are now readable on it.`);
+      await loadDevices();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to enroll this device');
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
+  if (loading) return <div className="flex justify-center items-center h-64">Loading devices...</div>;
+
+  return (
+    <div className="w-full">
+      <h2 className="text-2xl font-bold mb-6">Device Security</h2>
+
+      {error && <Alert type="error" message={error} className="mb-6" />}
+      {success && <Alert type="success" message={success} className="mb-6" />}
+
+      <Card className="mb-6">
+        <div className="flex items-start gap-4">
+          {isEnrolled ? (
+            <ShieldCheck className="w-10 h-10 text-green-600 flex-shrink-0" />
+          ) : (
+            <ShieldAlert className="w-10 h-10 text-yellow-600 flex-shrink-0" />
+          )}
+          <div className="flex-grow">
+            <h3 className="text-lg font-medium">
+              {isEnrolled ? 'This device is enrolled' : 'This device is not enrolled'}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {isEnrolled
+                ? 'Customer details of your assigned packages are encrypted to a key that never leaves this browser.'
+                : thisDevice
+                  ? 'The key on this device was revoked. Enroll again to generate a new one.'
+                  : 'Enroll this device to read customer details of the packages assigned to you.'}
+            </p>
+
+            {isEnrolled && (
+              <Button variant="outline" onClick={handleEnroll} disabled={enrolling}>
+                {enrolling ? 'Syncing...' : 'Sync Assigned Packages'}
+              </Button>
+            )}
+
+            {!isEnrolled && (
+              <div className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="text"
+                  className="appearance-none rounded-md block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="Device name, e.g. Work phone"
+                  value={label}
+                  onChange={(e) => setLabel(e.target.value)}
+                  maxLength={60}
+                />
+                <Button onClick={handleEnroll} disabled={enrolling} className="whitespace-nowrap">
+                  {enrolling ? 'Enrolling...' : 'Enroll This Device'}
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      <Card>
+        <h3 className="text-lg font-medium mb-4">Enrolled Devices</h3>
+        {devices.length === 0 ? (
+          <p className="text-gray-500">No devices enrolled yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {devices.map(device => (
+              <li key={device._id} className="py-3 flex items-center justify-between">
+                <div className="flex items-center">
+                  <Smartphone className="w-5 h-5 mr-3 text-gray-500" />
+                  <div>
+                    <p className="font-medium">
+                      {device.label || 'Unnamed device'}
+                      {localKey?.fingerprint === device.fingerprint && (
+                        <span className="ml-2 text-xs text-primary-600">(this device)</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Enrolled {formatDate(device.createdAt)} · Last used {formatDate(device.lastUsedAt)}
+                    </p>
+                  </div>
+                </div>
+                <span className={`px-2 py-1 rounded text-xs ${
+                  device.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                }`}>
+                  {device.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default DeviceEnrollment;
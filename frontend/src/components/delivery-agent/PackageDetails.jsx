@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { getPackageDetails, updatePackageStatus, getPackageQRCode } from '../../services/api';
+import { markPackageDelivered, resendHandoverPin } from '../../services/tracking';
+import { getCustomerEnvelope } from '../../services/deviceKeys';
+import { getDeviceKey } from '../../utils/deviceKeyStore';
+import { decryptCustomerEnvelope } from '../../utils/encryption';
+import { useAuth } from '../../hooks/useAuth';
 import Button from '../ui/Button';
 import Card from '../ui/Card';
 import Modal from '../ui/Modal';
@@ -8,6 +13,7 @@ import Modal from '../ui/Modal';
 const PackageDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { currentUser } = useAuth();
   const [packageData, setPackageData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -17,6 +23,12 @@ const PackageDetails = () => {
   const [qrCodeData, setQRCodeData] = useState(null);
   const [qrLoading, setQRLoading] = useState(false);
   const [statusNote, setStatusNote] = useState('');
+  const [handoverPin, setHandoverPin] = useState('');
+  const [pinError, setPinError] = useState(null);
+  const [pinMessage, setPinMessage] = useState(null);
+  const [customerDetails, setCustomerDetails] = useState(null);
+  const [revealError, setRevealError] = useState(null);
+  const [revealing, setRevealing] = useState(false);
 
   useEffect(() => {
     fetchPackageDetails();
@@ -36,12 +48,42 @@ const PackageDetails = () => {
     }
   };
 
+  // Decrypt the customer details with the key enrolled on this device
+  const handleRevealCustomer = async () => {
+    setRevealing(true);
+    setRevealError(null);
+
+    try {
+      const deviceKey = await getDeviceKey(currentUser._id);
+      if (!deviceKey) {
+        setRevealError('This device is not enrolled. Enroll it under Device Security first.');
+        return;
+      }
+
+      const response = await getCustomerEnvelope(packageData._id, deviceKey.fingerprint);
+      setCustomerDetails(await decryptCustomerEnvelope(response.data.data, deviceKey.privateKey));
+    } catch (err) {
+      setRevealError(err.response?.data?.message || err.message || 'Failed to decrypt customer details');
+    } finally {
+      setRevealing(false);
+    }
+  };
+
   const handleStatusChange = (status) => {
     setStatusToUpdate(status);
+    setHandoverPin('');
+    setPinError(null);
+    setPinMessage(null);
     setShowConfirmModal(true);
   };
 
   const confirmStatusChange = async () => {
+    // Delivery needs the PIN the recipient received by email
+    if (statusToUpdate === 'delivered') {
+      await confirmDelivery();
+      return;
+    }
+
     try {
       setLoading(true);
       await updatePackageStatus(id, statusToUpdate, statusNote);
@@ -56,6 +98,42 @@ const PackageDetails = () => {
     }
   };
 
+  const confirmDelivery = async () => {
+    if (!handoverPin) {
+      setPinError('Enter the handover PIN from the recipient');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await markPackageDelivered(id, { pin: handoverPin, notes: statusNote });
+      fetchPackageDetails(); // Refresh data
+      setShowConfirmModal(false);
+      setStatusNote('');
+      setHandoverPin('');
+    } catch (err) {
+      const data = err.response?.data;
+      const remaining = typeof data?.remainingAttempts === 'number' && data.remainingAttempts > 0
+        ? ` (${data.remainingAttempts} attempts left)`
+        : '';
+      setPinError(`${data?.message || err.message}${remaining}`);
+      console.error('Error confirming delivery:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResendPin = async () => {
+    try {
+      setPinError(null);
+      const response = await resendHandoverPin(id);
+      setPinMessage(response.data.message);
+    } catch (err) {
+      setPinError(err.response?.data?.message || 'Failed to resend the handover PIN');
+      console.error('Error resending handover PIN:', err);
+    }
+  };
+
   const handleViewQRCode = async () => {
     try {
       setQRLoading(true);
@@ -76,6 +154,8 @@ const PackageDetails = () => {
         return 'bg-yellow-100 text-yellow-800';
       case 'in_transit':
         return 'bg-blue-100 text-blue-800';
+      case 'out_for_delivery':
+        return 'bg-indigo-100 text-indigo-800';
       case 'delivered':
         return 'bg-green-100 text-green-800';
       case 'failed':
@@ -90,7 +170,7 @@ const PackageDetails = () => {
   };
 
   const formatStatusText = (status) => {
-    return status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+    return status.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
   };
 
   if (loading && !packageData) {
@@ -215,6 +295,17 @@ const PackageDetails = () => {
               )}
               
               {packageData.status === 'in_transit' && (
+                <>
+                  <Button onClick={() => handleStatusChange('out_for_delivery')} className="bg-indigo-600 hover:bg-indigo-700">
+                    Out for Delivery
+                  </Button>
+                  <Button onClick={() => handleStatusChange('failed')} className="bg-red-600 hover:bg-red-700">
+                    Mark as Failed
+                  </Button>
+                </>
+              )}
+              
+              {packageData.status === 'out_for_delivery' && (
                 <>
                   <Button onClick={() => handleStatusChange('delivered')} className="bg-green-600 hover:bg-green-700">
                     Mark as Delivered
@@ -225,8 +316,8 @@ const PackageDetails = () => {
                 </>
               )}
               
-              {/* Scan button available for assigned and in_transit statuses */}
-              {['assigned', 'in_transit'].includes(packageData.status) && (
+              {/* Scan button available until the package is handed over */}
+              {['assigned', 'in_transit', 'out_for_delivery'].includes(packageData.status) && (
                 <Link to={`/delivery-agent/scan?packageId=${packageData._id}`}>
                   <Button className="bg-purple-600 hover:bg-purple-700">
                     Scan QR Code
@@ -276,16 +367,45 @@ const PackageDetails = () => {
                 </div>
               )}
             </div>
+          ) : customerDetails ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Customer Name</p>
+                <p>{customerDetails.customerName}</p>
+              </div>
+              
+              <div>
+                <p className="text-sm text-gray-500">Phone Number</p>
+                <p>{customerDetails.customerPhone}</p>
+              </div>
+              
+              <div className="md:col-span-2">
+                <p className="text-sm text-gray-500">Delivery Address</p>
+                <p>{customerDetails.customerAddress?.street}, {customerDetails.customerAddress?.city}</p>
+                <p>{customerDetails.customerAddress?.state}, {customerDetails.customerAddress?.country} {customerDetails.customerAddress?.zipCode}</p>
+              </div>
+            </div>
           ) : (
             <div className="text-center py-4">
               <p className="mb-3">🔒 Customer information is encrypted</p>
-              <p className="text-sm text-gray-500 mb-4">Scan the QR code to decrypt customer details for delivery</p>
+              <p className="text-sm text-gray-500 mb-4">Scan the QR code or decrypt with this device's enrolled key</p>
               
-              <Link to={`/delivery-agent/scan?packageId=${packageData._id}`}>
-                <Button className="bg-blue-600 hover:bg-blue-700">
-                  Scan QR Code
+              {revealError && <p className="text-sm text-red-600 mb-3">{revealError}</p>}
+              
+              <div className="flex justify-center gap-3">
+                <Link to={`/delivery-agent/scan?packageId=${packageData._id}`}>
+                  <Button className="bg-blue-600 hover:bg-blue-700">
+                    Scan QR Code
+                  </Button>
+                </Link>
+                <Button
+                  onClick={handleRevealCustomer}
+                  disabled={revealing}
+                  className="bg-gray-600 hover:bg-gray-700"
+                >
+                  {revealing ? 'Decrypting...' : 'Decrypt on This Device'}
                 </Button>
-              </Link>
+              </div>
             </div>
           )}
         </div>
@@ -338,6 +458,31 @@ const PackageDetails = () => {
               to <span className="font-medium"> {formatStatusText(statusToUpdate)}?</span>
             </p>
             
+            {statusToUpdate === 'delivered' && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Handover PIN from the recipient:</label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  className="w-full border rounded-md p-2 tracking-widest text-center text-lg"
+                  placeholder="000000"
+                  value={handoverPin}
+                  onChange={(e) => setHandoverPin(e.target.value.replace(/\D/g, ''))}
+                />
+                {pinError && <p className="text-sm text-red-600 mt-1">{pinError}</p>}
+                {pinMessage && <p className="text-sm text-green-600 mt-1">{pinMessage}</p>}
+                <button
+                  type="button"
+                  onClick={handleResendPin}
+                  className="text-sm text-blue-600 hover:underline mt-2"
+                >
+                  Recipient didn't get a PIN? Send a new one
+                </button>
+              </div>
+            )}
+            
             <div className="mb-4">
               <label className="block text-sm font-medium mb-1">Add a note (optional):</label>
               <textarea
@@ -360,6 +505,7 @@ const PackageDetails = () => {
                 onClick={confirmStatusChange}
                 className={`
                   ${statusToUpdate === 'in_transit' ? 'bg-blue-600 hover:bg-blue-700' : ''}
+                  ${statusToUpdate === 'out_for_delivery' ? 'bg-indigo-600 hover:bg-indigo-700' : ''}
                   ${statusToUpdate === 'delivered' ? 'bg-green-600 hover:bg-green-700' : ''}
                   ${statusToUpdate === 'failed' ? 'bg-red-600 hover:bg-red-700' : ''}
                 `}
@@ -1,186 +1,339 @@
 // frontend/src/components/delivery-agent/ScanQR.jsx
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { Button } from '../ui/Button';
 import { Card } from '../ui/Card';
 import { Alert } from '../shared/Alert';
 import { Modal } from '../ui/Modal';
-import { QrScanIcon, CheckCircleIcon, XCircleIcon, Camera, FlipCameraIcon } from 'lucide-react';
-import { useAuth } from '../../hooks/useAuth';
+import {
+  ScanQrCode,
+  XCircleIcon,
+  Camera,
+  SwitchCamera,
+  Flashlight,
+  FlashlightOff,
+  Upload,
+  Keyboard,
+} from 'lucide-react';
 import { useQRCode } from '../../hooks/useQRCode';
 import * as trackingService from '../../services/tracking';
+import { decodeQRCode, decodeQRCodeFromFile, createReadDebouncer } from '../../utils/qrDecoder';
+
+// Pause between decode attempts on the live camera feed
+const SCAN_INTERVAL_MS = 250;
+// The same code is ignored for this long while it stays in front of the camera
+const SCAN_DEBOUNCE_MS = 3000;
+// Give up on a location fix after this long rather than holding up the scan
+const LOCATION_TIMEOUT_MS = 5000;
+
+// Statuses an agent can set from the scanner; delivery itself needs the recipient's PIN
+const STATUS_OPTIONS = [
+  { value: 'in_transit', label: 'In Transit' },
+  { value: 'out_for_delivery', label: 'Out for Delivery' },
+  { value: 'failed', label: 'Delivery Failed' },
+];
+
+const FIELD_LABELS = {
+  recipientName: 'recipient name',
+  fullAddress: 'full address',
+  phone: 'phone number',
+};
+
+// Best-effort position of the agent for scan telemetry; resolves undefined when unavailable
+const getCurrentLocation = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(undefined);
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+    }),
+    () => resolve(undefined),
+    { timeout: LOCATION_TIMEOUT_MS, maximumAge: 60000 }
+  );
+});
+
+const formatAddress = (address) => {
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
 
 const ScanQR = () => {
-  const { user } = useAuth();
-  const { verifyQRCode } = useQRCode();
+  const { verifyQRCode, verifyQRCodeOffline, scanQRCode } = useQRCode();
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [scanning, setScanning] = useState(false);
+  const [processing, setProcessing] = useState(false);
   const [videoDevices, setVideoDevices] = useState([]);
   const [selectedDeviceId, setSelectedDeviceId] = useState(null);
-  const [packageData, setPackageData] = useState(null);
+  const [activeDeviceId, setActiveDeviceId] = useState(null);
+  const [torchSupported, setTorchSupported] = useState(false);
+  const [torchOn, setTorchOn] = useState(false);
+  const [manualTrackingNumber, setManualTrackingNumber] = useState('');
+  const [scanResult, setScanResult] = useState(null);
   const [showPackageModal, setShowPackageModal] = useState(false);
   const [statusUpdate, setStatusUpdate] = useState({
-    status: 'in-transit',
+    status: 'in_transit',
     details: '',
   });
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  const intervalRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const processingRef = useRef(false);
+  const debounceRef = useRef(createReadDebouncer(SCAN_DEBOUNCE_MS));
+  const onDecodedRef = useRef(null);
+
+  const stopCamera = useCallback(() => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+    }
 
-  // Get available cameras
+    setTorchSupported(false);
+    setTorchOn(false);
+  }, []);
+
+  // Run the camera and decode frames while scanning is on
   useEffect(() => {
-    const getVideoDevices = async () => {
+    if (!scanning) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    // Decode one frame at a time; the next attempt is only scheduled once this one finishes
+    const scanFrame = async () => {
+      if (cancelled) return;
+
+      const video = videoRef.current;
+      if (video && video.readyState >= 2 && !processingRef.current) {
+        try {
+          const content = await decodeQRCode(video, canvasRef.current);
+          if (content && !cancelled) {
+            onDecodedRef.current(content);
+          }
+        } catch (err) {
+          console.error('Error decoding video frame:', err);
+        }
+      }
+
+      if (!cancelled) {
+        timerRef.current = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+      }
+    };
+
+    const startCamera = async () => {
       try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: selectedDeviceId
+            ? { deviceId: { exact: selectedDeviceId } }
+            : { facingMode: { ideal: 'environment' } },
+        });
+
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const [track] = stream.getVideoTracks();
+        const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+        setTorchSupported(Boolean(capabilities.torch));
+        setActiveDeviceId(track.getSettings().deviceId || selectedDeviceId);
+
+        // Device labels are only filled in once camera permission has been granted
         const devices = await navigator.mediaDevices.enumerateDevices();
-        const videoInputs = devices.filter(device => device.kind === 'videoinput');
-        setVideoDevices(videoInputs);
-        if (videoInputs.length > 0) {
-          setSelectedDeviceId(videoInputs[0].deviceId);
+        if (!cancelled) {
+          setVideoDevices(devices.filter(device => device.kind === 'videoinput'));
         }
+
+        scanFrame();
       } catch (err) {
-        setError('Failed to access camera devices: ' + err.message);
+        if (!cancelled) {
+          setError('Failed to start camera: ' + err.message);
+          setScanning(false);
+        }
       }
     };
 
-    getVideoDevices();
-  }, []);
-
-  // Start the camera when scanning is toggled on
-  useEffect(() => {
-    if (scanning && selectedDeviceId) {
-      startCamera();
-    } else {
-      stopScanning();
-    }
+    startCamera();
 
     return () => {
-      stopScanning();
+      cancelled = true;
+      stopCamera();
     };
-  }, [scanning, selectedDeviceId]);
+  }, [scanning, selectedDeviceId, stopCamera]);
+
+  const handleQRCodeDetected = async (encryptedData) => {
+    setError(null);
+    setSuccess(null);
 
-  const startCamera = async () => {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { deviceId: selectedDeviceId ? { exact: selectedDeviceId } : undefined }
-      });
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        videoRef.current.play();
-        
-        // Start processing frames for QR code detection
-        intervalRef.current = setInterval(() => {
-          processVideoFrame();
-        }, 500); // Process every 500ms
+      // Check the server signature locally first; this works without connectivity
+      const offlineCheck = await verifyQRCodeOffline(encryptedData);
+
+      if (offlineCheck.checked && !offlineCheck.isGenuine) {
+        setError('QR code signature is invalid. This label may be forged.');
+        return;
       }
-    } catch (err) {
-      setError('Failed to start camera: ' + err.message);
+
+      if (offlineCheck.isRevoked) {
+        setError('This QR code has been revoked. Do not deliver against this label.');
+        return;
+      }
+
+      if (!navigator.onLine) {
+        if (offlineCheck.checked) {
+          setSuccess('Label signature verified offline. Package details will load once you are back online.');
+        } else {
+          setError('You are offline and no signing key is cached yet. Connect once to download it.');
+        }
+        return;
+      }
+
+      // Verify the QR code with backend
+      const result = await verifyQRCode(encryptedData);
+
+      if (!result.isValid) {
+        setError(result.message || 'Invalid QR code');
+        return;
+      }
+
+      // Record the scan and get the package details this agent is allowed to see
+      const location = await getCurrentLocation();
+      const scan = await scanQRCode(encryptedData, location);
+
       setScanning(false);
+      setSuccess('QR code verified successfully!');
+      setScanResult(scan.data);
+      setShowPackageModal(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to verify QR code');
     }
   };
 
-  const stopScanning = () => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
+  const handleDecoded = async (content, { debounce = true } = {}) => {
+    if (processingRef.current || (debounce && !debounceRef.current(content))) {
+      return;
     }
-    
-    if (videoRef.current && videoRef.current.srcObject) {
-      const tracks = videoRef.current.srcObject.getTracks();
-      tracks.forEach(track => track.stop());
-      videoRef.current.srcObject = null;
+
+    processingRef.current = true;
+    setProcessing(true);
+    try {
+      await handleQRCodeDetected(content);
+    } finally {
+      processingRef.current = false;
+      setProcessing(false);
     }
   };
 
-  const processVideoFrame = () => {
-    if (!videoRef.current || !canvasRef.current) return;
-    
+  // The frame loop outlives renders, so it calls the latest handler through a ref
+  useEffect(() => {
+    onDecodedRef.current = handleDecoded;
+  });
+
+  const handlePhotoSelected = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Allow picking the same photo again
+    if (!file) return;
+
+    setError(null);
+    setSuccess(null);
+
     try {
-      const video = videoRef.current;
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      
-      // Match canvas size to video
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      
-      // Draw the current video frame to canvas
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-      
-      // Get image data
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      
-      // Here we would normally use a QR code library to detect and decode the QR code
-      // For demonstration, let's assume we got a QR code value
-      // In a real implementation, you would use a library like jsQR
-      
-      // Assuming we've detected a QR code and it contains an encrypted string
-      // For demo purposes, we'll prompt for manual input if needed
-      
-      // For now, let's simulate a scan after 3 seconds
-      setTimeout(() => {
-        // This is just for simulation - in a real app, you'd actually scan a QR code
-        const mockQrCodeData = prompt("Enter QR code data (for testing):");
-        if (mockQrCodeData) {
-          handleQRCodeDetected(mockQrCodeData);
-        }
-      }, 3000);
+      const content = await decodeQRCodeFromFile(file, canvasRef.current);
+      if (!content) {
+        setError('No QR code found in the photo. Try again closer to the label and in better light.');
+        return;
+      }
+      await handleDecoded(content, { debounce: false });
     } catch (err) {
-      console.error("Error processing video frame:", err);
-      setError("Error processing video frame: " + err.message);
+      console.error('Error decoding photo:', err);
+      setError('Could not read the photo: ' + err.message);
     }
   };
 
-  const handleQRCodeDetected = async (encryptedData) => {
-    // Stop scanning while processing
-    setScanning(false);
-    
+  const handleManualLookup = async (e) => {
+    e.preventDefault();
+    const trackingNumber = manualTrackingNumber.trim().toUpperCase();
+    if (!trackingNumber) return;
+
+    setError(null);
+    setSuccess(null);
+
     try {
-      // Verify the QR code with backend
-      const result = await verifyQRCode(encryptedData);
-      
-      if (result.success) {
-        setSuccess('QR code verified successfully!');
-        
-        // Get package details
-        const packageResponse = await trackingService.getPackageByTrackingNumber(result.data.trackingNumber);
-        setPackageData(packageResponse.data.data);
-        setShowPackageModal(true);
-      } else {
-        setError('Invalid QR code');
+      const pkg = await trackingService.findPackageByTrackingNumber(trackingNumber);
+      if (!pkg) {
+        setError(`No package found with tracking number ${trackingNumber}`);
+        return;
       }
+
+      // Without the label there is nothing to decrypt, so only routing details are available
+      setScanResult({
+        package: { id: pkg._id, trackingNumber: pkg.trackingNumber, status: pkg.status },
+        packageData: null,
+        disclosure: null,
+        manual: true,
+      });
+      setShowPackageModal(true);
+      setManualTrackingNumber('');
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to verify QR code');
+      setError(err.response?.data?.message || 'Failed to look up package');
     }
   };
 
   const handleUpdateStatus = async () => {
-    if (!packageData || !statusUpdate.status) {
+    if (!scanResult?.package?.id || !statusUpdate.status) {
       setError('Invalid status update');
       return;
     }
-    
+
     try {
       await trackingService.updatePackageStatus(
-        packageData._id,
+        scanResult.package.id,
         statusUpdate.status,
         statusUpdate.details
       );
-      
-      setSuccess(`Package status updated to: ${statusUpdate.status}`);
-      setShowPackageModal(false);
-      
-      // Reset state for next scan
-      setPackageData(null);
-      setStatusUpdate({
-        status: 'in-transit',
-        details: '',
-      });
+
+      setSuccess(`Package status updated to: ${statusUpdate.status.replace(/_/g, ' ')}`);
+      closePackageModal();
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to update package status');
+      setError(err.response?.data?.message || 'Failed to update package status');
     }
   };
 
+  const closePackageModal = () => {
+    setShowPackageModal(false);
+
+    // Reset state for next scan
+    setScanResult(null);
+    setStatusUpdate({
+      status: 'in_transit',
+      details: '',
+    });
+  };
+
   const handleToggleScanning = () => {
     if (scanning) {
       setScanning(false);
@@ -192,29 +345,50 @@ const ScanQR = () => {
   };
 
   const handleDeviceChange = (e) => {
+    // Changing the device restarts the camera effect
     setSelectedDeviceId(e.target.value);
-    if (scanning) {
-      // Restart camera with new device
-      stopScanning();
-      setScanning(true);
+  };
+
+  const handleSwitchCamera = () => {
+    if (videoDevices.length < 2) return;
+
+    const index = videoDevices.findIndex(device => device.deviceId === activeDeviceId);
+    setSelectedDeviceId(videoDevices[(index + 1) % videoDevices.length].deviceId);
+  };
+
+  const handleToggleTorch = async () => {
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+
+    try {
+      await track.applyConstraints({ advanced: [{ torch: !torchOn }] });
+      setTorchOn(!torchOn);
+    } catch (err) {
+      setError('Failed to toggle the flashlight: ' + err.message);
     }
   };
 
+  const packageInfo = scanResult?.package;
+  const disclosed = scanResult?.packageData;
+  const withheld = (scanResult?.disclosure?.withheld || [])
+    .map(field => FIELD_LABELS[field])
+    .filter(Boolean);
+
   return (
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-2xl font-bold mb-8">Scan QR Code</h1>
-      
+
       {error && <Alert type="error" message={error} className="mb-6" />}
       {success && <Alert type="success" message={success} className="mb-6" />}
-      
+
       <Card className="mb-6">
         <div className="text-center mb-4">
-          <QrScanIcon className="w-16 h-16 mx-auto text-primary-500 mb-4" />
+          <ScanQrCode className="w-16 h-16 mx-auto text-primary-500 mb-4" />
           <h2 className="text-xl font-medium mb-2">QR Code Scanner</h2>
           <p className="text-gray-600 mb-4">
             Scan package QR codes to update delivery status
           </p>
-          
+
           {videoDevices.length > 1 && (
             <div className="mb-4">
               <label htmlFor="cameraSelect" className="block text-sm font-medium text-gray-700 mb-1">
@@ -222,37 +396,84 @@ const ScanQR = () => {
               </label>
               <select
                 id="cameraSelect"
-                value={selectedDeviceId || ''}
+                value={activeDeviceId || selectedDeviceId || ''}
                 onChange={handleDeviceChange}
                 className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
               >
-                {videoDevices.map((device) => (
+                {videoDevices.map((device, index) => (
                   <option key={device.deviceId} value={device.deviceId}>
-                    {device.label || `Camera ${videoDevices.indexOf(device) + 1}`}
+                    {device.label || `Camera ${index + 1}`}
                   </option>
                 ))}
               </select>
             </div>
           )}
-          
-          <Button
-            onClick={handleToggleScanning}
-            className="flex items-center mx-auto"
-          >
-            {scanning ? (
-              <>
-                <XCircleIcon className="w-5 h-5 mr-2" />
-                Stop Scanning
-              </>
-            ) : (
-              <>
-                <Camera className="w-5 h-5 mr-2" />
-                Start Scanning
-              </>
+
+          <div className="flex flex-wrap justify-center gap-3">
+            <Button
+              onClick={handleToggleScanning}
+              className="flex items-center"
+            >
+              {scanning ? (
+                <>
+                  <XCircleIcon className="w-5 h-5 mr-2" />
+                  Stop Scanning
+                </>
+              ) : (
+                <>
+                  <Camera className="w-5 h-5 mr-2" />
+                  Start Scanning
+                </>
+              )}
+            </Button>
+
+            {scanning && videoDevices.length > 1 && (
+              <Button variant="secondary" onClick={handleSwitchCamera} className="flex items-center">
+                <SwitchCamera className="w-5 h-5 mr-2" />
+                Switch Camera
+              </Button>
             )}
-          </Button>
+
+            {scanning && torchSupported && (
+              <Button variant="secondary" onClick={handleToggleTorch} className="flex items-center">
+                {torchOn ? (
+                  <>
+                    <FlashlightOff className="w-5 h-5 mr-2" />
+                    Light Off
+                  </>
+                ) : (
+                  <>
+                    <Flashlight className="w-5 h-5 mr-2" />
+                    Light On
+                  </>
+                )}
+              </Button>
+            )}
+
+            <Button
+              variant="secondary"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={processing}
+              className="flex items-center"
+            >
+              <Upload className="w-5 h-5 mr-2" />
+              Upload Photo of Label
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              className="hidden"
+              onChange={handlePhotoSelected}
+            />
+          </div>
+
+          {processing && (
+            <p className="text-sm text-gray-500 mt-3">Verifying QR code...</p>
+          )}
         </div>
-        
+
         <div className="relative">
           {scanning && (
             <div className="aspect-video max-w-lg mx-auto bg-black relative">
@@ -262,25 +483,45 @@ const ScanQR = () => {
                 playsInline
                 muted
               />
-              <canvas
-                ref={canvasRef}
-                className="absolute top-0 left-0 w-full h-full hidden"
-              />
               <div className="absolute inset-0 border-2 border-primary-500 border-dashed opacity-70 pointer-events-none"></div>
             </div>
           )}
+          {/* Scratch canvas for decoding, also used for uploaded photos */}
+          <canvas ref={canvasRef} className="hidden" />
         </div>
       </Card>
-      
+
+      <Card className="mb-6">
+        <form onSubmit={handleManualLookup}>
+          <label htmlFor="manualTrackingNumber" className="block text-sm font-medium text-gray-700 mb-1">
+            Label unreadable? Enter the tracking number
+          </label>
+          <div className="flex gap-3">
+            <input
+              id="manualTrackingNumber"
+              type="text"
+              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              placeholder="Tracking number"
+              value={manualTrackingNumber}
+              onChange={(e) => setManualTrackingNumber(e.target.value)}
+            />
+            <Button type="submit" className="flex items-center" disabled={!manualTrackingNumber.trim()}>
+              <Keyboard className="w-5 h-5 mr-2" />
+              Look Up
+            </Button>
+          </div>
+        </form>
+      </Card>
+
       {/* Package Update Modal */}
       <Modal
         isOpen={showPackageModal}
-        onClose={() => setShowPackageModal(false)}
+        onClose={closePackageModal}
         title="Update Package Status"
         size="md"
         footer={
           <div className="flex justify-end space-x-3">
-            <Button variant="secondary" onClick={() => setShowPackageModal(false)}>
+            <Button variant="secondary" onClick={closePackageModal}>
               Cancel
             </Button>
             <Button onClick={handleUpdateStatus}>
@@ -289,25 +530,56 @@ const ScanQR = () => {
           </div>
         }
       >
-        {packageData && (
+        {packageInfo && (
           <div className="space-y-4">
             <div>
               <h3 className="font-medium text-gray-900">Package Details</h3>
               <div className="mt-2 grid grid-cols-2 gap-2 text-sm">
                 <div className="text-gray-500">Tracking Number:</div>
-                <div>{packageData.trackingNumber}</div>
-                
-                <div className="text-gray-500">Recipient:</div>
-                <div>{packageData.recipient.name}</div>
-                
-                <div className="text-gray-500">Address:</div>
-                <div>{packageData.recipient.address}</div>
-                
+                <div>{packageInfo.trackingNumber}</div>
+
+                {disclosed?.customerName && (
+                  <>
+                    <div className="text-gray-500">Recipient:</div>
+                    <div>{disclosed.customerName}</div>
+                  </>
+                )}
+
+                {disclosed?.customerAddress ? (
+                  <>
+                    <div className="text-gray-500">Address:</div>
+                    <div>{formatAddress(disclosed.customerAddress)}</div>
+                  </>
+                ) : disclosed?.city && (
+                  <>
+                    <div className="text-gray-500">Destination:</div>
+                    <div>{[disclosed.city, disclosed.zipCode].filter(Boolean).join(' ')}</div>
+                  </>
+                )}
+
+                {disclosed?.customerPhone && (
+                  <>
+                    <div className="text-gray-500">Phone:</div>
+                    <div>{disclosed.customerPhone}</div>
+                  </>
+                )}
+
                 <div className="text-gray-500">Current Status:</div>
-                <div>{packageData.status}</div>
+                <div>{packageInfo.status?.replace(/_/g, ' ')}</div>
               </div>
+
+              {scanResult.manual && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Entered manually. Recipient details are only shown after scanning the label.
+                </p>
+              )}
+              {withheld.length > 0 && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Not shown at this stage: {withheld.join(', ')}.
+                </p>
+              )}
             </div>
-            
+
             <div>
               <label htmlFor="statusSelect" className="block text-sm font-medium text-gray-700 mb-1">
                 Update Status
@@ -318,12 +590,19 @@ const ScanQR = () => {
                 onChange={(e) => setStatusUpdate({ ...statusUpdate, status: e.target.value })}
                 className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
               >
-                <option value="in-transit">In Transit</option>
-                <option value="delivered">Delivered</option>
-                <option value="cancelled">Cancelled</option>
+                {STATUS_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
               </select>
+              <p className="mt-1 text-xs text-gray-500">
+                To mark the package delivered, open{' '}
+                <Link to={`/delivery-agent/package/${packageInfo.id}`} className="text-primary-600 hover:underline">
+                  the package
+                </Link>{' '}
+                and enter the recipient&apos;s handover PIN.
+              </p>
             </div>
-            
+
             <div>
               <label htmlFor="statusDetails" className="block text-sm font-medium text-gray-700 mb-1">
                 Details (optional)
@@ -344,4 +623,4 @@ const ScanQR = () => {
   );
 };
 
-export default ScanQR;
\ No newline at end of file
+export default ScanQR;
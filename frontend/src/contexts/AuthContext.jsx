@@ -1,5 +1,15 @@
 import { createContext, useState, useEffect } from 'react';
-import { login, register, logout, verifyToken, setupTwoFactor, verifyTwoFactor } from '../services/auth';
+import {
+  login,
+  register,
+  logout,
+  getCurrentUser,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  verifyTwoFactor,
+  sendTwoFactorEmailCode,
+} from '../services/auth';
 
 export const AuthContext = createContext(null);
 
@@ -11,6 +21,7 @@ export const AuthProvider = ({ children }) => {
   const [twoFactorRequired, setTwoFactorRequired] = useState(false);
   const [twoFactorSetupData, setTwoFactorSetupData] = useState(null);
   const [tempAuthToken, setTempAuthToken] = useState(null);
+  const [twoFactorMethods, setTwoFactorMethods] = useState([]);
 
   useEffect(() => {
     // Check if user is already logged in on initial load
@@ -20,12 +31,12 @@ export const AuthProvider = ({ children }) => {
       if (token) {
         try {
           setLoading(true);
-          const userData = await verifyToken(token);
+          // An expired access token is renewed with the refresh token by the api interceptor
+          const userData = await getCurrentUser();
           setCurrentUser(userData);
           setIsAuthenticated(true);
         } catch (err) {
-          // Token might be expired or invalid
-          localStorage.removeItem('token');
+          // The session is over; the interceptor has already cleared the stored tokens
           setError('Your session has expired. Please log in again.');
         } finally {
           setLoading(false);
@@ -45,19 +56,21 @@ export const AuthProvider = ({ children }) => {
       
       const response = await login(email, password);
       
-      if (response.twoFactorRequired) {
+      // Users with 2FA get a short-lived pre-auth token to exchange at /2fa/verify, not a session
+      if (response.requiresTwoFactor) {
         setTwoFactorRequired(true);
-        setTempAuthToken(response.tempToken);
-        return { success: false, twoFactorRequired: true };
+        setTempAuthToken(response.preAuthToken);
+        setTwoFactorMethods(response.methods);
+        return { success: false, twoFactorRequired: true, methods: response.methods };
       }
       
-      localStorage.setItem('token', response.token);
-      setCurrentUser(response.user);
+      setCurrentUser(response.data);
       setIsAuthenticated(true);
       return { success: true };
     } catch (err) {
-      setError(err.message || 'Failed to login');
-      return { success: false, error: err.message };
+      const message = err.response?.data?.error || err.message || 'Failed to login';
+      setError(message);
+      return { success: false, error: message };
     } finally {
       setLoading(false);
     }
@@ -68,21 +81,15 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       setError(null);
       
-      const response = await register(userData);
+      const response = await register(userData.name, userData.email, userData.password, userData.phone);
       
-      if (response.twoFactorSetup) {
-        setTwoFactorSetupData(response.twoFactorData);
-        setTempAuthToken(response.tempToken);
-        return { success: false, twoFactorSetup: true };
-      }
-      
-      localStorage.setItem('token', response.token);
-      setCurrentUser(response.user);
+      setCurrentUser(response.data);
       setIsAuthenticated(true);
       return { success: true };
     } catch (err) {
-      setError(err.message || 'Failed to register');
-      return { success: false, error: err.message };
+      const message = err.response?.data?.error || err.message || 'Failed to register';
+      setError(message);
+      return { success: false, error: message };
     } finally {
       setLoading(false);
     }
@@ -90,64 +97,89 @@ export const AuthProvider = ({ children }) => {
 
   const handleLogout = async () => {
     try {
+      // Revokes the session and clears the stored tokens, even if the API fails
       await logout();
-      // Always clear local auth data even if API fails
     } catch (err) {
       console.error('Logout error:', err);
     } finally {
-      localStorage.removeItem('token');
       setCurrentUser(null);
       setIsAuthenticated(false);
       setTwoFactorRequired(false);
       setTwoFactorSetupData(null);
       setTempAuthToken(null);
+      setTwoFactorMethods([]);
     }
   };
 
+  // Start 2FA setup; returns the QR code and secret for the authenticator app, throws on refusal
+  const startTwoFactorSetup = async () => {
+    const response = await setupTwoFactor();
+    setTwoFactorSetupData(response.data);
+    return response.data;
+  };
+
+  // The global loading flag is left alone here and below: ProtectedRoute would unmount the
+  // settings page, losing the recovery codes before they are shown
   const setupTwoFactorAuth = async (confirmationCode) => {
     try {
-      setLoading(true);
       setError(null);
       
-      const response = await setupTwoFactor(tempAuthToken, confirmationCode);
+      const response = await confirmTwoFactorSetup(confirmationCode);
       
-      localStorage.setItem('token', response.token);
-      setCurrentUser(response.user);
-      setIsAuthenticated(true);
+      setCurrentUser((user) => ({ ...user, twoFactorEnabled: true }));
       setTwoFactorSetupData(null);
-      setTempAuthToken(null);
+      
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (err) {
+      const message = err.response?.data?.error || err.message || 'Failed to setup two-factor authentication';
+      setError(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // method is 'totp' or 'recovery-code'
+  const disableTwoFactorAuth = async (password, verificationCode, method) => {
+    try {
+      setError(null);
+      
+      await disableTwoFactor(password, verificationCode, method);
+      
+      setCurrentUser((user) => ({ ...user, twoFactorEnabled: false }));
       
       return { success: true };
     } catch (err) {
-      setError(err.message || 'Failed to setup two-factor authentication');
-      return { success: false, error: err.message };
-    } finally {
-      setLoading(false);
+      const message = err.response?.data?.error || err.message || 'Failed to disable two-factor authentication';
+      setError(message);
+      return { success: false, error: message };
     }
   };
 
-  const verifyTwoFactorAuth = async (verificationCode) => {
+  // method is 'totp', 'recovery-code' or 'email'
+  const verifyTwoFactorAuth = async (verificationCode, method) => {
     try {
       setLoading(true);
       setError(null);
       
-      const response = await verifyTwoFactor(tempAuthToken, verificationCode);
+      const response = await verifyTwoFactor(tempAuthToken, verificationCode, method);
       
-      localStorage.setItem('token', response.token);
-      setCurrentUser(response.user);
+      setCurrentUser(response.data);
       setIsAuthenticated(true);
       setTwoFactorRequired(false);
       setTempAuthToken(null);
       
       return { success: true };
     } catch (err) {
-      setError(err.message || 'Failed to verify two-factor code');
-      return { success: false, error: err.message };
+      const message = err.response?.data?.error || err.message || 'Failed to verify two-factor code';
+      setError(message);
+      return { success: false, error: message };
     } finally {
       setLoading(false);
     }
   };
 
+  // Email a login code for users without their authenticator; throws on refusal
+  const requestTwoFactorEmailCode = () => sendTwoFactorEmailCode(tempAuthToken);
+
   // Check if the user has the required role
   const hasRole = (requiredRole) => {
     if (!currentUser || !currentUser.role) return false;
@@ -169,12 +201,16 @@ export const AuthProvider = ({ children }) => {
     error,
     isAuthenticated,
     twoFactorRequired,
+    twoFactorMethods,
     twoFactorSetupData,
     handleLogin,
     handleRegister,
     handleLogout,
+    startTwoFactorSetup,
     setupTwoFactorAuth,
+    disableTwoFactorAuth,
     verifyTwoFactorAuth,
+    requestTwoFactorEmailCode,
     hasRole,
     setError
   };
@@ -1,6 +1,61 @@
 // frontend/src/hooks/useQRCode.js
 import { useState } from 'react';
 import * as qrCodeService from '../services/qrcode';
+import { verifyQRSignature, hashData } from '../utils/encryption';
+
+const SIGNING_KEY_STORAGE = 'qrSigningKey';
+const REVOCATIONS_STORAGE = 'qrRevocations';
+
+// Fetch the published signing key while online and keep it for offline scans
+const loadSigningKey = async () => {
+  const cached = localStorage.getItem(SIGNING_KEY_STORAGE);
+  
+  if (navigator.onLine) {
+    try {
+      const response = await qrCodeService.getSigningKey();
+      const { keyId, spki } = response.data.data;
+      localStorage.setItem(SIGNING_KEY_STORAGE, JSON.stringify({ keyId, spki }));
+      return { keyId, spki };
+    } catch (err) {
+      console.error('Failed to refresh QR signing key:', err);
+    }
+  }
+  
+  return cached ? JSON.parse(cached) : null;
+};
+
+// Pull revocations since the last sync and keep their fingerprints for offline scans
+const syncRevocations = async () => {
+  const cached = localStorage.getItem(REVOCATIONS_STORAGE);
+  const store = cached ? JSON.parse(cached) : { since: null, fingerprints: [] };
+  
+  if (!navigator.onLine) {
+    return store;
+  }
+  
+  try {
+    const fingerprints = new Set(store.fingerprints);
+    let since = store.since;
+    let page = 1;
+    let pages = 1;
+    
+    do {
+      const response = await qrCodeService.getRevokedQRCodes(store.since, page);
+      const { data, nextSince } = response.data;
+      data.forEach(revocation => revocation.fingerprints.forEach(fp => fingerprints.add(fp)));
+      since = nextSince || since;
+      pages = response.data.pages;
+      page += 1;
+    } while (page <= pages);
+    
+    const updated = { since, fingerprints: Array.from(fingerprints) };
+    localStorage.setItem(REVOCATIONS_STORAGE, JSON.stringify(updated));
+    return updated;
+  } catch (err) {
+    console.error('Failed to sync QR revocations:', err);
+    return store;
+  }
+};
 
 export const useQRCode = () => {
   const [loading, setLoading] = useState(false);
@@ -37,11 +92,40 @@ export const useQRCode = () => {
     }
   };
 
+  const scanQRCode = async (encryptedData, location) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await qrCodeService.scanQRCode(encryptedData, location);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to scan QR code');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyQRCodeOffline = async (qrContent) => {
+    const [signingKey, revocations] = await Promise.all([loadSigningKey(), syncRevocations()]);
+    const isRevoked = revocations.fingerprints.includes(await hashData(qrContent));
+    
+    if (!signingKey) {
+      return { checked: false, isGenuine: false, isRevoked };
+    }
+    
+    const isGenuine = await verifyQRSignature(qrContent, signingKey.spki);
+    return { checked: true, isGenuine, isRevoked, keyId: signingKey.keyId };
+  };
+
   return {
     loading,
     error,
     qrCodeData,
     generateQRCode,
     verifyQRCode,
+    scanQRCode,
+    verifyQRCodeOffline,
   };
 };
\ No newline at end of file
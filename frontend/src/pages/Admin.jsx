@@ -4,6 +4,8 @@ import { useAuth } from '../hooks/useAuth';
 import AdminDashboard from '../components/admin/AdminDashboard';
 import UserManagement from '../components/admin/UserManagement';
 import SystemLogs from '../components/admin/SystemLogs';
+import SecurityAlerts from '../components/admin/SecurityAlerts';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
 import Button from '../components/ui/Button';
 import Card from '../components/ui/Card';
 import Alert from '../components/shared/Alert';
@@ -112,6 +114,26 @@ const Admin = () => {
             >
               System Logs
             </button>
+            <button
+              className={`${
+                activeTab === 'alerts'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+              onClick={() => handleTabChange('alerts')}
+            >
+              Security Alerts
+            </button>
+            <button
+              className={`${
+                activeTab === 'account'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+              onClick={() => handleTabChange('account')}
+            >
+              Account Security
+            </button>
           </nav>
         </div>
 
@@ -120,6 +142,8 @@ const Admin = () => {
           {activeTab === 'dashboard' && <AdminDashboard />}
           {activeTab === 'users' && <UserManagement />}
           {activeTab === 'logs' && <SystemLogs />}
+          {activeTab === 'alerts' && <SecurityAlerts />}
+          {activeTab === 'account' && <TwoFactorSettings />}
         </div>
       </div>
     </div>
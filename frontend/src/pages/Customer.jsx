@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import CustomerDashboard from '../components/customer/CustomerDashboard';
 import PackageTracking from '../components/customer/PackageTracking';
 import QRCodeView from '../components/customer/QRCodeView';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
 import Navbar from '../components/shared/Navbar';
 import Footer from '../components/shared/Footer';
 import { useAuth } from '../hooks/useAuth';
@@ -10,7 +11,7 @@ import { getCustomerPackages } from '../services/tracking';
 
 /**
  * Customer page component 
- * Container for customer features including dashboard, package tracking and QR code view
+ * Container for customer features including dashboard, package tracking, QR code view and account security
  */
 const Customer = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -60,6 +61,8 @@ const Customer = () => {
         return <PackageTracking packages={packages} loading={loading} />;
       case 'qrcode':
         return <QRCodeView packages={packages} loading={loading} />;
+      case 'account':
+        return <TwoFactorSettings />;
       default:
         return <CustomerDashboard packages={packages} loading={loading} />;
     }
@@ -108,6 +111,16 @@ const Customer = () => {
           >
             My QR Codes
           </button>
+          <button
+            className={`px-4 py-2 mr-2 font-medium text-sm rounded-t-lg ${
+              activeTab === 'account'
+                ? 'bg-blue-500 text-white'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+            onClick={() => setActiveTab('account')}
+          >
+            Account Security
+          </button>
         </div>
         
         {/* Content Area */}
@@ -4,6 +4,8 @@ import { useAuth } from '../hooks/useAuth';
 import DeliveryDashboard from '../components/delivery-agent/DeliveryDashboard';
 import ScanQR from '../components/delivery-agent/ScanQR';
 import PackageDetails from '../components/delivery-agent/PackageDetails';
+import DeviceEnrollment from '../components/delivery-agent/DeviceEnrollment';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
 import Button from '../components/ui/Button';
 import Card from '../components/ui/Card';
 import Alert from '../components/shared/Alert';
@@ -119,6 +121,26 @@ const DeliveryAgent = () => {
             >
               Scan QR Code
             </button>
+            <button
+              className={`${
+                activeTab === 'device'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+              onClick={() => handleTabChange('device')}
+            >
+              Device Security
+            </button>
+            <button
+              className={`${
+                activeTab === 'account'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+              onClick={() => handleTabChange('account')}
+            >
+              Account Security
+            </button>
             {selectedPackage && (
               <button
                 className={`${
@@ -142,6 +164,8 @@ const DeliveryAgent = () => {
           {activeTab === 'scan-qr' && (
             <ScanQR onSuccessfulScan={handleSuccessfulScan} />
           )}
+          {activeTab === 'device' && <DeviceEnrollment />}
+          {activeTab === 'account' && <TwoFactorSettings />}
           {activeTab === 'package-details' && selectedPackage && (
             <PackageDetails packageData={selectedPackage} />
           )}
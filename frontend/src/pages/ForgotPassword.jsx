@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/auth';
+import { Button } from '../components/ui/Button';
+import { Input } from '../components/ui/Input';
+import { Card } from '../components/ui/Card';
+import { Alert } from '../components/shared/Alert';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setIsLoading(true);
+
+    try {
+      const response = await forgotPassword(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not send the reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Reset your password
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Enter your email and we will send you a link to choose a new password.
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          {error && <Alert type="error" message={error} className="mb-4" />}
+          {message && <Alert type="success" message={message} className="mb-4" />}
+
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            <Input
+              id="email"
+              name="email"
+              type="email"
+              label="Email address"
+              autoComplete="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+
+            <Button type="submit" fullWidth disabled={isLoading}>
+              {isLoading ? 'Sending...' : 'Send reset link'}
+            </Button>
+          </form>
+
+          <p className="mt-6 text-center text-sm text-gray-600">
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </p>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
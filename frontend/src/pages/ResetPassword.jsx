@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { resetPassword } from '../services/auth';
+import { Button } from '../components/ui/Button';
+import { Input } from '../components/ui/Input';
+import { Card } from '../components/ui/Card';
+import { Alert } from '../components/shared/Alert';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await resetPassword(token, formData.password);
+      setMessage(response.message);
+      setTimeout(() => navigate('/login'), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not reset your password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <Card>
+            <Alert type="error" message="This password reset link is incomplete." className="mb-4" />
+            <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+              Request a new link
+            </Link>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          You will be signed out on every device.
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          {error && <Alert type="error" message={error} className="mb-4" />}
+          {message && <Alert type="success" message={message} className="mb-4" />}
+
+          {!message && (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <Input
+                id="password"
+                name="password"
+                type="password"
+                label="New password"
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleChange}
+              />
+
+              <Input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                label="Confirm new password"
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleChange}
+              />
+
+              <p className="text-xs text-gray-500">
+                At least 8 characters with an uppercase letter, a lowercase letter, a number and a special character.
+              </p>
+
+              <Button type="submit" fullWidth disabled={isLoading}>
+                {isLoading ? 'Saving...' : 'Reset password'}
+              </Button>
+            </form>
+          )}
+
+          {error && (
+            <p className="mt-6 text-center text-sm text-gray-600">
+              <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+                Request a new link
+              </Link>
+            </p>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getPackageByTrackingNumber } from '../services/tracking';
+import { Card } from '../components/ui/Card';
+import { Button } from '../components/ui/Button';
+import { Input } from '../components/ui/Input';
+import { Alert } from '../components/shared/Alert';
+
+const lookupErrorMessage = (err) => (
+  err.response?.status === 429
+    ? 'Too many failed lookups. Please try again later.'
+    : err.response?.data?.message || 'Could not load tracking information. Please try again.'
+);
+
+// Landing page of signed share links: /track-package?id=<tracking number>&token=<token>
+const TrackPackage = () => {
+  const [searchParams] = useSearchParams();
+  const trackingNumber = searchParams.get('id') || '';
+  const token = searchParams.get('token');
+  const [tracking, setTracking] = useState(null);
+  const [zipCode, setZipCode] = useState('');
+  const [loading, setLoading] = useState(Boolean(trackingNumber && token));
+  const [error, setError] = useState(trackingNumber ? '' : 'This tracking link is incomplete.');
+
+  useEffect(() => {
+    if (!trackingNumber || !token) return;
+
+    const lookup = async () => {
+      try {
+        const response = await getPackageByTrackingNumber(trackingNumber, { token });
+        setTracking(response.data.data);
+      } catch (err) {
+        setError(lookupErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    lookup();
+  }, [trackingNumber, token]);
+
+  // Links without a token, or with an expired one, can still be used with the destination zip code
+  const handleZipSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getPackageByTrackingNumber(trackingNumber, { zip: zipCode.trim() });
+      setTracking(response.data.data);
+    } catch (err) {
+      setError(lookupErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Track your package
+        </h2>
+        {trackingNumber && (
+          <p className="mt-2 text-center text-sm text-gray-600">Tracking ID {trackingNumber}</p>
+        )}
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          {loading && (
+            <div className="flex justify-center p-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          )}
+
+          {!loading && error && <Alert type="error" message={error} className="mb-4" />}
+
+          {!loading && tracking && (
+            <div>
+              <dl className="grid grid-cols-1 gap-y-2 sm:grid-cols-2">
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">Status</dt>
+                  <dd className="mt-1 text-sm text-gray-900">{tracking.package.status}</dd>
+                </div>
+                <div>
+                  <dt className="text-sm font-medium text-gray-500">
+                    {tracking.package.actualDelivery ? 'Delivered' : 'Estimated delivery'}
+                  </dt>
+                  <dd className="mt-1 text-sm text-gray-900">
+                    {tracking.package.actualDelivery || tracking.package.estimatedDelivery
+                      ? new Date(tracking.package.actualDelivery || tracking.package.estimatedDelivery).toLocaleDateString()
+                      : 'N/A'}
+                  </dd>
+                </div>
+              </dl>
+
+              {tracking.trackingHistory.length > 0 && (
+                <ul className="mt-4 divide-y divide-gray-200">
+                  {tracking.trackingHistory.map((event, index) => (
+                    <li key={index} className="py-2 flex justify-between text-sm">
+                      <span className="text-gray-900">{event.status}</span>
+                      <span className="text-gray-500">{new Date(event.timestamp).toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {!loading && !tracking && trackingNumber && (
+            <form className="space-y-4" onSubmit={handleZipSubmit}>
+              <p className="text-sm text-gray-600">
+                Enter the destination zip code to see the status of this package.
+              </p>
+              <Input
+                id="zipCode"
+                name="zipCode"
+                type="text"
+                required
+                placeholder="Destination zip code"
+                value={zipCode}
+                onChange={(e) => setZipCode(e.target.value)}
+              />
+              <Button type="submit" fullWidth>
+                Track Package
+              </Button>
+            </form>
+          )}
+
+          <p className="mt-4 text-center text-sm text-gray-600">
+            <Link to="/" className="font-medium text-blue-600 hover:text-blue-500">
+              Go to home page
+            </Link>
+          </p>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default TrackPackage;
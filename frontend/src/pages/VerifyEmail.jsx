@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { verifyEmail } from '../services/auth';
+import { Card } from '../components/ui/Card';
+import { Alert } from '../components/shared/Alert';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setStatus('success');
+        setMessage(response.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Could not verify your email address. Please try again.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Email verification
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <Card>
+          {status === 'verifying' && (
+            <div className="flex justify-center p-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          )}
+
+          {status === 'success' && <Alert type="success" message={message} className="mb-4" />}
+          {status === 'error' && <Alert type="error" message={message} className="mb-4" />}
+
+          {status !== 'verifying' && (
+            <p className="text-center text-sm text-gray-600">
+              {status === 'error' && 'Sign in to request a new verification email. '}
+              <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+                Go to sign in
+              </Link>
+            </p>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -24,16 +24,62 @@ api.interceptors.request.use(
   }
 );
 
-// Add a response interceptor to handle token expiration
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/2fa/verify', '/auth/2fa/email'];
+
+// Refresh requests in flight; concurrent 401s share one, since a refresh token works only once
+let refreshPromise = null;
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Exchange the stored refresh token for new tokens, bypassing the interceptors
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Add a response interceptor that renews an expired access token and retries the request once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (!response || response.status !== 401 || !config || config._retried || NO_REFRESH_URLS.includes(config.url)) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshSession();
+      config._retried = true;
+      config.headers['Authorization'] = `Bearer ${token}`;
+      return api(config);
+    } catch {
+      // The session is over (logged out, expired or revoked after token reuse)
+      clearSession();
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -2,6 +2,11 @@
 import api from './api';
 import jwt_decode from 'jwt-decode';
 
+const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
 export const register = async (name, email, password, phone) => {
   const response = await api.post('/auth/register', {
     name,
@@ -9,6 +14,11 @@ export const register = async (name, email, password, phone) => {
     password,
     phone,
   });
+
+  if (response.data.success) {
+    storeSession(response.data.data);
+  }
+
   return response.data;
 };
 
@@ -18,34 +28,94 @@ export const login = async (email, password) => {
     password,
   });
   
-  // If login is successful and doesn't require 2FA, store the token
+  // If login is successful and doesn't require 2FA, store the tokens
   if (response.data.success && !response.data.requiresTwoFactor) {
-    localStorage.setItem('token', response.data.data.token);
+    storeSession(response.data.data);
   }
   
   return response.data;
 };
 
-export const verifyTwoFactor = async (token, userId) => {
+// Exchange the pre-auth token from login and a second factor for a session;
+// method is 'totp', 'recovery-code' or 'email'
+export const verifyTwoFactor = async (preAuthToken, token, method = 'totp') => {
   const response = await api.post('/auth/2fa/verify', {
+    preAuthToken,
     token,
-    userId,
+    method,
   });
   
   if (response.data.success) {
-    localStorage.setItem('token', response.data.data.token);
+    storeSession(response.data.data);
   }
   
   return response.data;
 };
 
+export const sendTwoFactorEmailCode = async (preAuthToken) => {
+  const response = await api.post('/auth/2fa/email', { preAuthToken });
+  return response.data;
+};
+
 export const setupTwoFactor = async () => {
   const response = await api.post('/auth/2fa/setup');
   return response.data;
 };
 
-export const logout = () => {
-  localStorage.removeItem('token');
+// Returns the recovery codes, which are shown only this once, and replaces the
+// session with one that counts the second factor
+export const confirmTwoFactorSetup = async (token) => {
+  const response = await api.post('/auth/2fa/setup/verify', { token });
+
+  if (response.data.success) {
+    storeSession(response.data.data);
+  }
+
+  return response.data;
+};
+
+export const regenerateRecoveryCodes = async (token) => {
+  const response = await api.post('/auth/2fa/recovery-codes', { token });
+  return response.data;
+};
+
+export const disableTwoFactor = async (password, token, method = 'totp') => {
+  const response = await api.post('/auth/2fa/disable', { password, token, method });
+  return response.data;
+};
+
+// Revoke the session on the server; local tokens are cleared even if that fails
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    if (refreshToken) {
+      await api.post('/auth/logout', { refreshToken });
+    }
+  } finally {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+export const verifyEmail = async (token) => {
+  const response = await api.post('/auth/verify-email', { token });
+  return response.data;
+};
+
+export const resendVerificationEmail = async () => {
+  const response = await api.post('/auth/verify-email/resend');
+  return response.data;
+};
+
+export const forgotPassword = async (email) => {
+  const response = await api.post('/auth/forgot-password', { email });
+  return response.data;
+};
+
+export const resetPassword = async (token, password) => {
+  const response = await api.post(`/auth/reset-password/${encodeURIComponent(token)}`, { password });
+  return response.data;
 };
 
 export const getCurrentUser = async () => {
@@ -0,0 +1,22 @@
+// frontend/src/services/deviceKeys.js
+import api from './api';
+
+export const registerDevice = async (publicKey, label) => {
+  return await api.post('/users/me/devices', { publicKey, label });
+};
+
+export const getMyDevices = async () => {
+  return await api.get('/users/me/devices');
+};
+
+export const getAgentDevices = async (agentId) => {
+  return await api.get(`/users/${agentId}/devices`);
+};
+
+export const revokeAgentDevice = async (agentId, deviceId, reason) => {
+  return await api.post(`/users/${agentId}/devices/${deviceId}/revoke`, { reason });
+};
+
+export const getCustomerEnvelope = async (packageId, fingerprint) => {
+  return await api.get(`/packages/${packageId}/customer-envelope`, { params: { device: fingerprint } });
+};
@@ -9,6 +9,40 @@ export const verifyQRCode = async (encryptedData) => {
   return await api.post('/qrcodes/verify', { encryptedData });
 };
 
+export const scanQRCode = async (encryptedData, location) => {
+  return await api.post('/qrcodes/scan', { encryptedData, location });
+};
+
 export const getQRCodeByPackageId = async (packageId) => {
   return await api.get(`/qrcodes/package/${packageId}`);
 };
+
+export const getSigningKey = async () => {
+  return await api.get('/qrcodes/signing-key');
+};
+
+export const getRevokedQRCodes = async (since, page = 1) => {
+  return await api.get('/qrcodes/revoked', { params: { since, page } });
+};
+
+export const getScanHistory = async (packageId, { authorized, startDate, endDate, page = 1 } = {}) => {
+  return await api.get(`/qrcodes/package/${packageId}/scans`, {
+    params: { authorized, startDate, endDate, page }
+  });
+};
+
+export const createQRBatchJob = async ({ packageIds, filter, format, regenerate, pii }) => {
+  return await api.post('/qrcodes/batch', { packageIds, filter, format, regenerate, pii });
+};
+
+export const getQRBatchJobs = async (page = 1) => {
+  return await api.get('/qrcodes/batch', { params: { page } });
+};
+
+export const getQRBatchJob = async (jobId) => {
+  return await api.get(`/qrcodes/batch/${jobId}`);
+};
+
+export const downloadQRBatchJob = async (jobId) => {
+  return await api.get(`/qrcodes/batch/${jobId}/download`, { responseType: 'blob' });
+};
@@ -0,0 +1,14 @@
+// frontend/src/services/securityAlerts.js
+import api from './api';
+
+export const getSecurityAlerts = async ({ status, type, page = 1, limit = 20 } = {}) => {
+  return await api.get('/security-alerts', { params: { status, type, page, limit } });
+};
+
+export const getOpenAlertCount = async () => {
+  return await api.get('/security-alerts/open-count');
+};
+
+export const acknowledgeSecurityAlert = async (alertId, note) => {
+  return await api.post(`/security-alerts/${alertId}/acknowledge`, { note });
+};
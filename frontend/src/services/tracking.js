@@ -1,8 +1,19 @@
 // frontend/src/services/tracking.js
 import api from './api';
 
-export const getPackageByTrackingNumber = async (trackingNumber) => {
-  return await api.get(`/tracking/${trackingNumber}`);
+// Public lookup: needs the token of a share link or the destination zip code, returns status and dates only
+export const getPackageByTrackingNumber = async (trackingNumber, { token, zip } = {}) => {
+  return await api.get(`/tracking/${encodeURIComponent(trackingNumber)}`, { params: { token, zip } });
+};
+
+export const createTrackingShareLink = async (packageId) => {
+  return await api.post(`/tracking/${packageId}/share-link`);
+};
+
+// Authenticated lookup that returns the package ID, unlike the public tracking endpoint
+export const findPackageByTrackingNumber = async (trackingNumber) => {
+  const response = await api.get('/packages', { params: { search: trackingNumber, limit: 10 } });
+  return (response.data.data || []).find(pkg => pkg.trackingNumber === trackingNumber) || null;
 };
 
 export const getPackagesByUser = async () => {
@@ -27,3 +38,19 @@ export const updatePackageStatus = async (packageId, status, details) => {
 export const getTrackingHistory = async (packageId) => {
   return await api.get(`/tracking/history/${packageId}`);
 };
+
+export const markPackageDelivered = async (packageId, { pin, notes, location } = {}) => {
+  return await api.post(`/tracking/${packageId}/delivered`, { pin, notes, location });
+};
+
+export const getHandoverPinStatus = async (packageId) => {
+  return await api.get(`/tracking/${packageId}/handover-pin`);
+};
+
+export const resendHandoverPin = async (packageId) => {
+  return await api.post(`/tracking/${packageId}/handover-pin/resend`);
+};
+
+export const overrideHandoverPin = async (packageId, justification) => {
+  return await api.post(`/tracking/${packageId}/handover-pin/override`, { justification });
+};
@@ -0,0 +1,85 @@
+/**
+ * Storage for this device's delivery agent key pair
+ * The private key is generated non-exportable and kept as a CryptoKey in IndexedDB,
+ * so it can decrypt on this device but can never be read out of the browser
+ */
+import { generateRSAKeyPair } from './encryption';
+
+const DB_NAME = 'cipher-ship';
+const DB_VERSION = 1;
+const STORE_NAME = 'device-keys';
+
+// Open the database, creating the key store on first use
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'userId' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run a single request against the key store
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Fingerprint of a public key, matching the one the server stores
+ * @param {string} publicKeyBase64 - Base64 encoded SPKI public key
+ * @returns {Promise<string>} Hex encoded SHA-256 of the key bytes
+ */
+export const getKeyFingerprint = async (publicKeyBase64) => {
+  const bytes = Uint8Array.from(atob(publicKeyBase64), (char) => char.charCodeAt(0));
+  const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Get the key pair stored on this device for a user
+ * @param {string} userId - ID of the signed in agent
+ * @returns {Promise<{userId: string, privateKey: CryptoKey, publicKey: string, fingerprint: string, createdAt: string}|null>}
+ */
+export const getDeviceKey = async (userId) => {
+  const record = await withStore('readonly', (store) => store.get(userId));
+  return record || null;
+};
+
+/**
+ * Generate a new key pair for this device and store it, replacing any earlier one
+ * @param {string} userId - ID of the signed in agent
+ * @returns {Promise<Object>} The stored record; publicKey is what gets enrolled with the server
+ */
+export const createDeviceKey = async (userId) => {
+  const { publicKey, privateKey } = await generateRSAKeyPair({ extractable: false });
+  const record = {
+    userId,
+    privateKey,
+    publicKey,
+    fingerprint: await getKeyFingerprint(publicKey),
+    createdAt: new Date().toISOString(),
+  };
+
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+};
+
+/**
+ * Remove this device's key pair for a user
+ * @param {string} userId - ID of the signed in agent
+ * @returns {Promise<void>}
+ */
+export const deleteDeviceKey = async (userId) => {
+  await withStore('readwrite', (store) => store.delete(userId));
+};
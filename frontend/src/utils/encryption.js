@@ -34,6 +34,39 @@ const arrayBufferToBase64 = (buffer) => {
     return new TextDecoder().decode(buffer);
   };
   
+  // Decodes a base45 string (RFC 9285) to bytes
+  const BASE45_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+  const base45ToBytes = (value) => {
+    if (value.length % 3 === 1) {
+      throw new Error('Invalid base45 length');
+    }
+    
+    const bytes = [];
+    for (let i = 0; i < value.length; i += 3) {
+      const group = value.slice(i, i + 3);
+      let number = 0;
+      for (let j = group.length - 1; j >= 0; j--) {
+        const index = BASE45_CHARSET.indexOf(group[j]);
+        if (index === -1) {
+          throw new Error('Invalid base45 character');
+        }
+        number = number * 45 + index;
+      }
+      
+      if (group.length === 3) {
+        bytes.push(number >> 8, number & 0xff);
+      } else {
+        bytes.push(number);
+      }
+    }
+    
+    return new Uint8Array(bytes);
+  };
+  
+  // Prefix and signature size of the compact binary QR envelope
+  const COMPACT_QR_PREFIX = 'CS2:';
+  const COMPACT_SIGNATURE_LENGTH = 64;
+  
   /**
    * Generate a random encryption key for AES-GCM
    * @returns {Promise<string>} Base64 encoded AES key
@@ -143,11 +176,13 @@ const arrayBufferToBase64 = (buffer) => {
   
   /**
    * Generate an RSA key pair
-   * @returns {Promise<{publicKey: string, privateKey: string}>} Base64 encoded keys
+   * @param {Object} options - Options
+   * @param {boolean} options.extractable - Export the private key; when false it is returned as a non-exportable CryptoKey
+   * @returns {Promise<{publicKey: string, privateKey: string|CryptoKey}>} Base64 encoded keys
    */
-  export const generateRSAKeyPair = async () => {
+  export const generateRSAKeyPair = async ({ extractable = true } = {}) => {
     try {
-      // Generate RSA key pair
+      // Generate RSA key pair; the public key can always be exported
       const keyPair = await window.crypto.subtle.generateKey(
         {
           name: 'RSA-OAEP',
@@ -155,12 +190,18 @@ const arrayBufferToBase64 = (buffer) => {
           publicExponent: new Uint8Array([1, 0, 1]),
           hash: 'SHA-256'
         },
-        true,
+        extractable,
         ['encrypt', 'decrypt']
       );
       
       // Export the keys
       const publicKeyData = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
+      if (!extractable) {
+        return {
+          publicKey: arrayBufferToBase64(publicKeyData),
+          privateKey: keyPair.privateKey
+        };
+      }
       const privateKeyData = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
       
       // Return Base64 encoded keys
@@ -369,6 +410,35 @@ const arrayBufferToBase64 = (buffer) => {
     }
   };
   
+  /**
+   * Decrypt customer details the server encrypted to this device's key
+   * @param {{ciphertext: string, iv: string, encryptedKey: string}} envelope - Response of /packages/:id/customer-envelope
+   * @param {CryptoKey|string} privateKey - Device RSA-OAEP private key, or Base64 encoded PKCS#8
+   * @returns {Promise<Object>} Decrypted customer data
+   */
+  export const decryptCustomerEnvelope = async (envelope, privateKey) => {
+    try {
+      if (typeof privateKey === 'string') {
+        return JSON.parse(await hybridDecrypt(envelope.ciphertext, envelope.encryptedKey, envelope.iv, privateKey));
+      }
+      
+      // Non-exportable keys can only be used as CryptoKey objects
+      const aesKeyData = await window.crypto.subtle.decrypt(
+        {
+          name: 'RSA-OAEP'
+        },
+        privateKey,
+        base64ToArrayBuffer(envelope.encryptedKey)
+      );
+      
+      const plaintext = await decryptWithAES(envelope.ciphertext, envelope.iv, arrayBufferToString(aesKeyData));
+      return JSON.parse(plaintext);
+    } catch (error) {
+      console.error('Error decrypting customer envelope:', error);
+      throw new Error('Failed to decrypt customer details');
+    }
+  };
+  
   /**
    * Hash a string using SHA-256
    * @param {string} data - String to hash
@@ -393,32 +463,108 @@ const arrayBufferToBase64 = (buffer) => {
   
   /**
    * Generate a digital signature for data verification
-   * Note: This would require a more complete RSA key setup with signing capabilities
-   * This is a simplified implementation for demonstration
+   * Uses ECDSA P-256 with SHA-256, matching the signatures issued by the server
    * @param {string} data - Data to sign
-   * @param {string} privateKeyBase64 - Base64 encoded private key
+   * @param {string} privateKeyBase64 - Base64 encoded PKCS#8 EC private key
    * @returns {Promise<string>} Base64 encoded signature
    */
   export const signData = async (data, privateKeyBase64) => {
-    // In a real implementation, this would use the Web Crypto API's sign method
-    // This is a placeholder to show the concept
-    const hash = await hashData(data);
-    return `SIGNATURE_${hash}_${Date.now()}`;
+    try {
+      const privateKey = await window.crypto.subtle.importKey(
+        'pkcs8',
+        base64ToArrayBuffer(privateKeyBase64),
+        {
+          name: 'ECDSA',
+          namedCurve: 'P-256'
+        },
+        false,
+        ['sign']
+      );
+      
+      const signature = await window.crypto.subtle.sign(
+        {
+          name: 'ECDSA',
+          hash: 'SHA-256'
+        },
+        privateKey,
+        stringToArrayBuffer(data)
+      );
+      
+      return arrayBufferToBase64(signature);
+    } catch (error) {
+      console.error('Error signing data:', error);
+      throw new Error('Failed to sign data');
+    }
   };
   
   /**
    * Verify a digital signature
-   * @param {string} data - Original data
+   * @param {string|Uint8Array} data - Original data (strings are verified as UTF-8)
    * @param {string} signature - Base64 encoded signature
-   * @param {string} publicKeyBase64 - Base64 encoded public key
+   * @param {string} publicKeyBase64 - Base64 encoded SPKI EC public key
    * @returns {Promise<boolean>} Whether the signature is valid
    */
   export const verifySignature = async (data, signature, publicKeyBase64) => {
-    // In a real implementation, this would use the Web Crypto API's verify method
-    // This is a placeholder to show the concept
-    const hash = await hashData(data);
-    const signatureParts = signature.split('_');
-    return signatureParts[1] === hash;
+    try {
+      const publicKey = await window.crypto.subtle.importKey(
+        'spki',
+        base64ToArrayBuffer(publicKeyBase64),
+        {
+          name: 'ECDSA',
+          namedCurve: 'P-256'
+        },
+        false,
+        ['verify']
+      );
+      
+      return await window.crypto.subtle.verify(
+        {
+          name: 'ECDSA',
+          hash: 'SHA-256'
+        },
+        publicKey,
+        base64ToArrayBuffer(signature),
+        typeof data === 'string' ? stringToArrayBuffer(data) : data
+      );
+    } catch (error) {
+      console.error('Error verifying signature:', error);
+      return false;
+    }
+  };
+  
+  /**
+   * Verify the server signature on scanned QR content without contacting the server
+   * Dotted envelopes end in '.' and the signature; compact (CS2:) envelopes end in the raw signature bytes
+   * @param {string} qrContent - Content scanned from QR code
+   * @param {string} publicKeyBase64 - Base64 encoded SPKI public key published by the server
+   * @returns {Promise<boolean>} Whether the label was issued by the server
+   */
+  export const verifyQRSignature = async (qrContent, publicKeyBase64) => {
+    if (qrContent.startsWith(COMPACT_QR_PREFIX)) {
+      try {
+        const bytes = base45ToBytes(qrContent.slice(COMPACT_QR_PREFIX.length));
+        const signatureStart = bytes.length - COMPACT_SIGNATURE_LENGTH;
+        if (signatureStart <= 0) {
+          return false;
+        }
+        
+        const prefix = stringToArrayBuffer(COMPACT_QR_PREFIX);
+        const signed = new Uint8Array(prefix.length + signatureStart);
+        signed.set(prefix);
+        signed.set(bytes.subarray(0, signatureStart), prefix.length);
+        
+        return verifySignature(signed, arrayBufferToBase64(bytes.subarray(signatureStart)), publicKeyBase64);
+      } catch {
+        return false;
+      }
+    }
+    
+    const parts = qrContent.split('.');
+    if (parts.length !== 6) {
+      return false;
+    }
+    
+    return verifySignature(parts.slice(0, 5).join('.'), parts[5], publicKeyBase64);
   };
   
   export default {
@@ -432,7 +578,9 @@ const arrayBufferToBase64 = (buffer) => {
     hybridDecrypt,
     encryptCustomerDataForQR,
     decryptCustomerDataFromQR,
+    decryptCustomerEnvelope,
     hashData,
     signData,
-    verifySignature
+    verifySignature,
+    verifyQRSignature
   };
\ No newline at end of file
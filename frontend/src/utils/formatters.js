@@ -144,6 +144,7 @@ export const formatDate = (date, format = 'medium') => {
     const roleMap = {
       'admin': { text: 'Administrator', class: 'text-purple-600 font-semibold' },
       'delivery_agent': { text: 'Delivery Agent', class: 'text-blue-600 font-semibold' },
+      'hub_sorter': { text: 'Hub Sorter', class: 'text-orange-600 font-semibold' },
       'customer': { text: 'Customer', class: 'text-green-600' }
     };
     
@@ -0,0 +1,109 @@
+/**
+ * QR code decoding for camera frames and photos
+ * Uses the browser's BarcodeDetector where available (hardware accelerated on most phones)
+ * and falls back to jsQR everywhere else
+ */
+import jsQR from 'jsqr';
+
+// Frames are scaled down to this width before decoding; label QR codes stay readable and decoding stays fast
+const MAX_DECODE_WIDTH = 800;
+
+let barcodeDetector;
+
+// Create the native detector once, or remember that it is not available
+const getBarcodeDetector = async () => {
+  if (barcodeDetector !== undefined) {
+    return barcodeDetector;
+  }
+
+  barcodeDetector = null;
+  if ('BarcodeDetector' in window) {
+    try {
+      const formats = await window.BarcodeDetector.getSupportedFormats();
+      if (formats.includes('qr_code')) {
+        barcodeDetector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      }
+    } catch (err) {
+      console.warn('BarcodeDetector unavailable, using jsQR:', err);
+    }
+  }
+  return barcodeDetector;
+};
+
+// Draw a video frame or image onto the canvas, scaled down to MAX_DECODE_WIDTH
+const drawScaled = (source, canvas, sourceWidth, sourceHeight) => {
+  const scale = Math.min(1, MAX_DECODE_WIDTH / sourceWidth);
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx;
+};
+
+/**
+ * Decode the QR code in a video frame or image
+ * @param {HTMLVideoElement|HTMLImageElement|ImageBitmap} source - What to decode
+ * @param {HTMLCanvasElement} canvas - Scratch canvas
+ * @returns {Promise<string|null>} - QR content, or null when no code was found
+ */
+export const decodeQRCode = async (source, canvas) => {
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  if (!sourceWidth || !sourceHeight) {
+    return null;
+  }
+
+  const detector = await getBarcodeDetector();
+  if (detector) {
+    const codes = await detector.detect(source);
+    return codes.length > 0 ? codes[0].rawValue : null;
+  }
+
+  const ctx = drawScaled(source, canvas, sourceWidth, sourceHeight);
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const code = jsQR(imageData.data, imageData.width, imageData.height, {
+    inversionAttempts: 'attemptBoth' // Thermal labels are sometimes printed inverted
+  });
+  return code ? code.data : null;
+};
+
+/**
+ * Decode the QR code in a photo chosen by the user
+ * @param {File} file - Image file
+ * @param {HTMLCanvasElement} canvas - Scratch canvas
+ * @returns {Promise<string|null>} - QR content, or null when no code was found
+ */
+export const decodeQRCodeFromFile = async (file, canvas) => {
+  const url = URL.createObjectURL(file);
+
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return await decodeQRCode(image, canvas);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Remember recent reads so a code held in front of the camera is only handled once
+ * @param {number} windowMs - How long a repeated read of the same content is ignored
+ * @returns {Function} - Returns true when the content should be handled
+ */
+export const createReadDebouncer = (windowMs) => {
+  let lastValue = null;
+  let lastTime = 0;
+
+  return (value) => {
+    const now = Date.now();
+    if (value === lastValue && now - lastTime < windowMs) {
+      lastTime = now; // Keep ignoring it for as long as it stays in view
+      return false;
+    }
+    lastValue = value;
+    lastTime = now;
+    return true;
+  };
+};